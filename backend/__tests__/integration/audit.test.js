@@ -0,0 +1,214 @@
+// Integration tests for querying the audit log — filters, cursor pagination,
+// tenant scoping, the per-store timeline and CSV/NDJSON export. Entries are
+// seeded directly with spread-out timestamps.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'ops', token: 'ops-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 1000,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { db, store, audit } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer ops-secret-token' };
+
+const SEED = [
+  ['store-a', 'store_created', 'token:ops', '2026-01-01 10:00:00'],
+  ['store-a', 'store_ready', null, '2026-01-01 10:05:00'],
+  ['store-b', 'store_created', 'token:ops', '2026-01-02 10:00:00'],
+  ['store-a', 'update_requested', 'key:other', '2026-01-03 10:00:00'],
+  ['store-b', 'delete_requested', 'key:other', '2026-01-04 10:00:00'],
+  ['store-x', 'store_created', 'token:ops', '2026-01-05 10:00:00'],
+];
+
+let app;
+let viewer;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+
+  await request(app).post('/api/admin/tenants').set(ADMIN).send({ id: 'acme' });
+  const res = await request(app)
+    .post('/api/admin/keys')
+    .set(ADMIN)
+    .send({ name: 'acme-viewer', role: 'viewer', tenant: 'acme' });
+  viewer = { Authorization: `Bearer ${res.body.secret}` };
+
+  store.create({ id: 'store-a', name: 'Alpha', engine: 'woocommerce', namespace: 'store-a', helmRelease: 'store-a' });
+  store.create({ id: 'store-b', name: 'Beta', engine: 'woocommerce', namespace: 'store-b', helmRelease: 'store-b' });
+  store.create({ id: 'store-x', name: 'Acme', engine: 'woocommerce', namespace: 'store-x', helmRelease: 'store-x', tenantId: 'acme' });
+
+  // Only the seeded entries, so ids and ordering are predictable.
+  db.prepare('DELETE FROM audit_log').run();
+  const backdate = db.prepare('UPDATE audit_log SET created_at = ? WHERE id = (SELECT MAX(id) FROM audit_log)');
+  for (const [storeId, action, actor, createdAt] of SEED) {
+    audit.log(storeId, action, { name: storeId === 'store-b' ? '=HYPERLINK("x")' : storeId }, actor);
+    backdate.run(createdAt);
+  }
+});
+
+async function get(path, headers = ADMIN) {
+  const res = await request(app).get(path).set(headers);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+const summary = (body) => body.audit.map(e => `${e.store_id}:${e.action}`);
+
+describe('GET /api/audit', () => {
+  it('lists every entry newest first for admins', async () => {
+    const body = await get('/api/audit');
+    expect(summary(body)).toEqual([
+      'store-x:store_created',
+      'store-b:delete_requested',
+      'store-a:update_requested',
+      'store-b:store_created',
+      'store-a:store_ready',
+      'store-a:store_created',
+    ]);
+    expect(body.nextCursor).toBeNull();
+  });
+
+  it('scopes other callers to their tenant', async () => {
+    expect(summary(await get('/api/audit', viewer))).toEqual(['store-x:store_created']);
+    expect(summary(await get('/api/audit?store=store-a', viewer))).toEqual([]);
+  });
+
+  it('filters by store, action, actor and time', async () => {
+    expect(summary(await get('/api/audit?store=store-b'))).toEqual(['store-b:delete_requested', 'store-b:store_created']);
+    expect(summary(await get('/api/audit?action=store_ready,update_requested')))
+      .toEqual(['store-a:update_requested', 'store-a:store_ready']);
+    expect(summary(await get('/api/audit?actor=key:other&store=store-a'))).toEqual(['store-a:update_requested']);
+    expect(summary(await get('/api/audit?actor=me&created_after=2026-01-02T00:00:00Z&created_before=2026-01-05T00:00:00Z')))
+      .toEqual(['store-b:store_created']);
+  });
+
+  it('pages with a cursor in either order', async () => {
+    const first = await get('/api/audit?limit=4');
+    expect(first.audit).toHaveLength(4);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await get(`/api/audit?limit=4&cursor=${first.nextCursor}`);
+    expect(summary(second)).toEqual(['store-a:store_ready', 'store-a:store_created']);
+    expect(second.nextCursor).toBeNull();
+
+    const oldest = await get('/api/audit?order=asc&limit=2&store=store-a');
+    const next = await get(`/api/audit?order=asc&limit=2&store=store-a&cursor=${oldest.nextCursor}`);
+    expect([...summary(oldest), ...summary(next)])
+      .toEqual(['store-a:store_created', 'store-a:store_ready', 'store-a:update_requested']);
+  });
+
+  it.each([
+    ['?cursor=abc', /Invalid cursor/],
+    ['?order=sideways', /'order'/],
+    ['?created_before=soon', /'created_before' must be an ISO date/],
+    ['?action=a&action=b', /'action' must be given once/],
+    ['?limit=ten', /'limit' must be an integer from 1 to 500/],
+    ['?limit=0', /'limit'/],
+    ['?limit=501', /'limit'/],
+  ])('rejects %s', async (query, message) => {
+    const res = await request(app).get(`/api/audit${query}`).set(ADMIN);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_QUERY');
+    expect(res.body.error.message).toMatch(message);
+  });
+});
+
+describe('GET /api/stores/:id/audit', () => {
+  it('returns one store\'s timeline', async () => {
+    const body = await get('/api/stores/store-a/audit?order=asc');
+    expect(body.audit.map(e => e.action)).toEqual(['store_created', 'store_ready', 'update_requested']);
+  });
+
+  it('hides other tenants\' stores', async () => {
+    const res = await request(app).get('/api/stores/store-a/audit').set(viewer);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/audit/export', () => {
+  it('exports CSV oldest first, escaping quotes and formulas', async () => {
+    const res = await request(app).get('/api/audit/export?store=store-b').set(ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="audit-.*\.csv"$/);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('id,created_at,store_id,action,actor,details,prev_hash,hash');
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(',2026-01-02 10:00:00,store-b,store_created,token:ops,');
+    expect(lines[1]).toContain('"{""name"":""=HYPERLINK(\\""x\\"")""}"');
+    expect(lines[2]).toContain(',delete_requested,');
+  });
+
+  it('exports NDJSON with parsed details', async () => {
+    const res = await request(app).get('/api/audit/export?format=ndjson&action=store_created').set(ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+
+    const entries = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.map(e => e.store_id)).toEqual(['store-a', 'store-b', 'store-x']);
+    expect(entries[0].details).toEqual({ name: 'store-a' });
+  });
+
+  it('applies tenant scoping', async () => {
+    const res = await request(app).get('/api/audit/export?format=ndjson').set(viewer);
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line).store_id)).toEqual(['store-x']);
+  });
+
+  it('rejects an unknown format', async () => {
+    const res = await request(app).get('/api/audit/export?format=xlsx').set(ADMIN);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_QUERY');
+  });
+});
+
+describe('csvField', () => {
+  const { csvField } = require('../../src/services/auditExport');
+
+  it.each([
+    [null, ''],
+    ['plain', 'plain'],
+    ['a,b', '"a,b"'],
+    ['say "hi"', '"say ""hi"""'],
+    ['=1+1', "'=1+1"],
+    ['-2', "'-2"],
+    [42, '42'],
+  ])('writes %p as %p', (value, expected) => {
+    expect(csvField(value)).toBe(expected);
+  });
+});
@@ -0,0 +1,226 @@
+// Integration tests for the tamper-evident audit log — entries chained by
+// hash, GET /api/audit/verify finding edited or removed entries, and signed
+// checkpoints catching a truncated log.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  auditSigningKey: require('crypto').generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  auditCheckpointPath: require('path').join(require('os').tmpdir(), `audit-checkpoints-${process.pid}.jsonl`),
+  auditCheckpointIntervalMs: 3600000,
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'ops', token: 'ops-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 1000,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const fs = require('fs');
+const request = require('supertest');
+const config = require('../../src/config');
+const auditCheckpoints = require('../../src/services/auditCheckpoints');
+const { db, audit } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer ops-secret-token' };
+
+let app;
+let viewer;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+
+  const res = await request(app).post('/api/admin/keys').set(ADMIN).send({ name: 'auditor', role: 'viewer' });
+  viewer = { Authorization: `Bearer ${res.body.secret}` };
+
+  for (const action of ['store_created', 'store_ready', 'update_requested']) {
+    audit.log('store-a', action, { note: action }, 'token:ops');
+  }
+});
+
+afterAll(() => {
+  fs.rmSync(config.auditCheckpointPath, { force: true });
+});
+
+const entries = () => db.prepare('SELECT * FROM audit_log ORDER BY id').all();
+
+async function verify(query = '') {
+  const res = await request(app).get(`/api/audit/verify${query}`).set(ADMIN);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+describe('hash chain', () => {
+  it('links every entry to the one before it', () => {
+    const rows = entries();
+    expect(rows[0].prev_hash).toBeNull();
+    for (let i = 1; i < rows.length; i++) {
+      expect(rows[i].prev_hash).toBe(rows[i - 1].hash);
+    }
+    expect(rows.every(row => /^[0-9a-f]{64}$/.test(row.hash))).toBe(true);
+  });
+
+  it('verifies an untouched log', async () => {
+    const body = await verify();
+    const rows = entries();
+    expect(body.valid).toBe(true);
+    expect(body.chain).toEqual({
+      valid: true,
+      entries: rows.length,
+      head: { id: rows.at(-1).id, hash: rows.at(-1).hash },
+      brokenAt: null,
+      from: null,
+    });
+  });
+
+  it('finds an edited entry', async () => {
+    const target = entries()[2];
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run('{"note":"nothing to see"}', target.id);
+
+    const body = await verify();
+    expect(body.valid).toBe(false);
+    expect(body.chain.entries).toBe(2);
+    expect(body.chain.brokenAt).toEqual({ id: target.id, reason: 'Entry content does not match its hash' });
+
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run(target.details, target.id);
+    expect((await verify()).valid).toBe(true);
+  });
+
+  it('finds a removed entry', async () => {
+    const [, removed, next] = entries();
+    db.prepare('DELETE FROM audit_log WHERE id = ?').run(removed.id);
+
+    const body = await verify();
+    expect(body.valid).toBe(false);
+    expect(body.chain.brokenAt.id).toBe(next.id);
+    expect(body.chain.brokenAt.reason).toMatch(/removed or inserted/);
+
+    db.prepare(`
+      INSERT INTO audit_log (id, store_id, action, details, created_at, actor, prev_hash, hash)
+      VALUES (@id, @store_id, @action, @details, @created_at, @actor, @prev_hash, @hash)
+    `).run(removed);
+    expect((await verify()).valid).toBe(true);
+  });
+
+  it('is admin-only', async () => {
+    const res = await request(app).get('/api/audit/verify').set(viewer);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('checkpoints', () => {
+  let checkpoint;
+
+  it('signs the chain head', () => {
+    checkpoint = auditCheckpoints.tick(new Date('2026-03-01T00:00:00Z'));
+    const head = entries().at(-1);
+    expect(checkpoint).toMatchObject({ id: head.id, hash: head.hash, createdAt: '2026-03-01T00:00:00.000Z' });
+    expect(checkpoint.signature).toEqual(expect.any(String));
+
+    const lines = fs.readFileSync(config.auditCheckpointPath, 'utf8').trim().split('\n');
+    expect(JSON.parse(lines.at(-1))).toEqual(checkpoint);
+  });
+
+  it('skips a head that is already checkpointed', () => {
+    expect(auditCheckpoints.tick()).toBeNull();
+  });
+
+  it('verifies the checkpoints', async () => {
+    audit.log('store-a', 'delete_requested', {}, 'token:ops');
+    const body = await verify();
+    expect(body.valid).toBe(true);
+    expect(body.checkpoints).toEqual({ enabled: true, verified: 1, latest: checkpoint, failure: null });
+  });
+
+  it('walks the whole chain by default, so an edit before the checkpoint is found and not signed', async () => {
+    const [first] = entries();
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run('{"note":"rewritten"}', first.id);
+
+    const body = await verify();
+    expect(body.valid).toBe(false);
+    expect(body.chain).toMatchObject({ from: null });
+    expect(body.chain.brokenAt).toEqual({ id: first.id, reason: 'Entry content does not match its hash' });
+    expect(auditCheckpoints.tick()).toBeNull();
+
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run(first.details, first.id);
+  });
+
+  it('resumes after the latest signed checkpoint when asked to', async () => {
+    const body = await verify('?from=checkpoint');
+    expect(body.valid).toBe(true);
+    expect(body.chain).toMatchObject({ entries: 1, from: { id: checkpoint.id, hash: checkpoint.hash } });
+  });
+
+  it('finds an edited entry after the checkpoint, and does not sign it', async () => {
+    const last = entries().at(-1);
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run('{"note":"rewritten"}', last.id);
+
+    const body = await verify();
+    expect(body.valid).toBe(false);
+    expect(body.chain.brokenAt).toEqual({ id: last.id, reason: 'Entry content does not match its hash' });
+    expect(auditCheckpoints.tick()).toBeNull();
+
+    db.prepare('UPDATE audit_log SET details = ? WHERE id = ?').run(last.details, last.id);
+  });
+
+  it('rejects an edited checkpoint', async () => {
+    const original = fs.readFileSync(config.auditCheckpointPath, 'utf8');
+    fs.writeFileSync(config.auditCheckpointPath, original.replace(checkpoint.hash, '0'.repeat(64)));
+
+    const body = await verify();
+    expect(body.valid).toBe(false);
+    expect(body.checkpoints.failure).toEqual({ line: 1, id: checkpoint.id, reason: 'Signature does not match' });
+
+    fs.writeFileSync(config.auditCheckpointPath, original);
+  });
+
+  it('catches entries cut off the end, which a chain walk alone cannot', async () => {
+    db.prepare('DELETE FROM audit_log WHERE id >= ?').run(checkpoint.id);
+
+    const body = await verify();
+    expect(body.chain.valid).toBe(true);
+    expect(body.valid).toBe(false);
+    expect(body.checkpoints.failure).toEqual({
+      line: 1,
+      id: checkpoint.id,
+      reason: `Entry ${checkpoint.id} is missing from the audit log`,
+    });
+
+    const resumed = await verify('?from=checkpoint');
+    expect(resumed.chain).toMatchObject({ valid: true, from: null });
+    expect(resumed.valid).toBe(false);
+  });
+
+  it('does not sign a broken chain', () => {
+    db.prepare('UPDATE audit_log SET action = ? WHERE id = (SELECT MIN(id) FROM audit_log)').run('edited');
+    expect(auditCheckpoints.tick()).toBeNull();
+  });
+});
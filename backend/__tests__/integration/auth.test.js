@@ -0,0 +1,277 @@
+// Integration tests for authentication and API key management.
+// Auth is enabled with one static admin token; provisioner is mocked.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    free: { maxStores: 1, maxResources: { cpu: '4', memory: '4Gi', storage: '8Gi' } },
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'bootstrap', token: 'admin-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  provisionStore: jest.fn().mockResolvedValue(undefined),
+  deleteStore: jest.fn().mockResolvedValue(undefined),
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { apiKeys } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer admin-secret-token' };
+
+let app;
+let apiKey;
+
+beforeAll(() => {
+  app = require('../../src/index');
+});
+
+describe('authentication', () => {
+  it('leaves the health check public', async () => {
+    const res = await request(app).get('/api/health');
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects requests without credentials', async () => {
+    const res = await request(app).get('/api/stores');
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+
+  it('rejects unknown credentials', async () => {
+    const res = await request(app)
+      .get('/api/stores')
+      .set('Authorization', 'Bearer spk_not-a-real-key');
+    expect(res.status).toBe(401);
+  });
+
+  it('accepts a static bearer token', async () => {
+    const res = await request(app).get('/api/stores').set(ADMIN);
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('/api/admin/keys', () => {
+  it('creates a key and returns the secret once', async () => {
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set(ADMIN)
+      .send({ name: 'ci-pipeline' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secret).toMatch(/^spk_/);
+    expect(res.body.key.name).toBe('ci-pipeline');
+    expect(res.body.key.created_by).toBe('token:bootstrap');
+    expect(res.body.key).not.toHaveProperty('key_hash');
+    apiKey = res.body;
+  });
+
+  it('stores only a hash of the key', () => {
+    const stored = apiKeys.getAll().find(k => k.id === apiKey.key.id);
+    expect(JSON.stringify(stored)).not.toContain(apiKey.secret);
+  });
+
+  it('rejects a missing key name', async () => {
+    const res = await request(app).post('/api/admin/keys').set(ADMIN).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('MISSING_KEY_NAME');
+  });
+
+  it('lists keys without secrets', async () => {
+    const res = await request(app).get('/api/admin/keys').set(ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.body.keys).toHaveLength(1);
+    expect(res.body.keys[0].key_prefix).toBe(apiKey.secret.slice(0, 10));
+  });
+
+  it('does not let operator keys manage keys', async () => {
+    const res = await request(app)
+      .get('/api/admin/keys')
+      .set('X-API-Key', apiKey.secret);
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+});
+
+describe('audit attribution', () => {
+  it('records the API key as actor on create', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .set('Authorization', `Bearer ${apiKey.secret}`)
+      .send({ name: 'Keyed Store' });
+    expect(res.status).toBe(201);
+
+    const auditRes = await request(app).get('/api/audit').set(ADMIN);
+    const createEntry = auditRes.body.audit.find(
+      e => e.action === 'create' && e.store_id === res.body.store.id
+    );
+    expect(createEntry.actor).toBe(`key:${apiKey.key.id}`);
+  });
+
+  it('records the key as used', () => {
+    expect(apiKeys.getById(apiKey.key.id).last_used_at).not.toBeNull();
+  });
+});
+
+describe('revocation', () => {
+  it('revokes a key so it no longer authenticates', async () => {
+    const res = await request(app)
+      .delete(`/api/admin/keys/${apiKey.key.id}`)
+      .set(ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.body.key.revoked_at).not.toBeNull();
+
+    const after = await request(app)
+      .get('/api/stores')
+      .set('Authorization', `Bearer ${apiKey.secret}`);
+    expect(after.status).toBe(401);
+  });
+
+  it('returns 404 for an unknown key', async () => {
+    const res = await request(app).delete('/api/admin/keys/key-missing').set(ADMIN);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('tenants', () => {
+  let acmeKey;
+  let defaultStoreId;
+
+  beforeAll(async () => {
+    const storeRes = await request(app)
+      .post('/api/stores')
+      .set(ADMIN)
+      .send({ name: 'Default Tenant Store' });
+    defaultStoreId = storeRes.body.store.id;
+  });
+
+  it('creates a tenant on a tier', async () => {
+    const res = await request(app)
+      .post('/api/admin/tenants')
+      .set(ADMIN)
+      .send({ id: 'acme', name: 'Acme', tier: 'free' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.tenant.tier).toBe('free');
+    expect(res.body.tenant.maxStores).toBe(1);
+    expect(res.body.tenant.activeStores).toBe(0);
+  });
+
+  it('rejects an unknown tier', async () => {
+    const res = await request(app)
+      .post('/api/admin/tenants')
+      .set(ADMIN)
+      .send({ id: 'globex', tier: 'platinum' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_TIER');
+  });
+
+  it('rejects a duplicate tenant', async () => {
+    const res = await request(app)
+      .post('/api/admin/tenants')
+      .set(ADMIN)
+      .send({ id: 'acme' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('TENANT_EXISTS');
+  });
+
+  it('rejects a key for an unknown tenant', async () => {
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set(ADMIN)
+      .send({ name: 'nope', tenant: 'missing' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_TENANT');
+  });
+
+  it('issues a key scoped to the tenant', async () => {
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set(ADMIN)
+      .send({ name: 'acme-ci', tenant: 'acme' });
+    expect(res.status).toBe(201);
+    expect(res.body.key.tenant_id).toBe('acme');
+    acmeKey = { Authorization: `Bearer ${res.body.secret}` };
+  });
+
+  it('creates stores owned by the caller tenant', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .set(acmeKey)
+      .send({ name: 'Acme Shop' });
+    expect(res.status).toBe(201);
+    expect(res.body.store.tenant_id).toBe('acme');
+    expect(res.body.store.owner).toMatch(/^key:/);
+  });
+
+  it('enforces the tenant store limit', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .set(acmeKey)
+      .send({ name: 'Acme Shop Two' });
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(res.body.error.message).toContain("Tenant 'acme'");
+  });
+
+  it('lists only the caller tenant stores', async () => {
+    const res = await request(app).get('/api/stores').set(acmeKey);
+    expect(res.status).toBe(200);
+    expect(res.body.stores.map(s => s.name)).toEqual(['Acme Shop']);
+  });
+
+  it('hides other tenants stores', async () => {
+    const res = await request(app).get(`/api/stores/${defaultStoreId}`).set(acmeKey);
+    expect(res.status).toBe(404);
+  });
+
+  it('reports the caller tenant usage', async () => {
+    const res = await request(app).get('/api/tenant').set(acmeKey);
+    expect(res.status).toBe(200);
+    expect(res.body.tenant).toMatchObject({ id: 'acme', tier: 'free', maxStores: 1, activeStores: 1 });
+  });
+
+  it('raises the limit with a per-tenant override', async () => {
+    const patch = await request(app)
+      .patch('/api/admin/tenants/acme')
+      .set(ADMIN)
+      .send({ maxStores: 2 });
+    expect(patch.status).toBe(200);
+    expect(patch.body.tenant.maxStores).toBe(2);
+
+    const res = await request(app)
+      .post('/api/stores')
+      .set(acmeKey)
+      .send({ name: 'Acme Shop Two' });
+    expect(res.status).toBe(201);
+  });
+});
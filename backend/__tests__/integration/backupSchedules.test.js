@@ -0,0 +1,320 @@
+// Integration tests for backup schedules — schedule routes, scheduler ticks
+// (driven with an explicit clock), retention pruning and backup metrics.
+// Real provisioner + job worker with stubbed helm/kubectl, in-memory SQLite.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 'pvc',
+  backupPvcSize: '5Gi',
+  backupS3: {
+    endpoint: 'http://minio.minio.svc:9000',
+    bucket: 'store-backups',
+    region: 'us-east-1',
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+  },
+  backupTimeoutMs: 5000,
+  backupPollIntervalMs: 10,
+  backupSchedulerIntervalMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+const CHECKSUM = 'a'.repeat(64);
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+  apply: jest.fn().mockResolvedValue(''),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getJobLogs: jest.fn().mockResolvedValue(`upload: done\nBACKUP_RESULT size=2048 sha256=${'a'.repeat(64)}`),
+  deleteJob: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+const backupScheduler = require('../../src/services/backupScheduler');
+const { db, store, audit, backups, backupSchedules } = require('../../src/db');
+
+let app;
+let storeId;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+
+  const res = await request(app).post('/api/stores').send({ name: 'Scheduled Store' });
+  storeId = res.body.store.id;
+  await waitFor(() => store.getById(storeId).status === 'ready');
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+}
+
+function putSchedule(body, id = storeId) {
+  return request(app).put(`/api/stores/${id}/backup-schedule`).send(body);
+}
+
+/** Run the scheduler as if it were just past the schedule's next run. */
+function tickWhenDue(id = storeId) {
+  const due = new Date(backupSchedules.get(id).next_run_at);
+  return backupScheduler.tick(new Date(due.getTime() + 1000));
+}
+
+function scheduledBackups(id = storeId) {
+  return backups.getByStoreId(id).filter(b => b.trigger === 'scheduled');
+}
+
+describe('PUT /api/stores/:id/backup-schedule', () => {
+  it('creates a schedule with its next run', async () => {
+    const before = Date.now();
+    const res = await putSchedule({ cron: '0 3 * * *', retention: { daily: 7, weekly: 4 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.schedule).toMatchObject({
+      store_id: storeId,
+      cron: '0 3 * * *',
+      retention: { daily: 7, weekly: 4 },
+      enabled: true,
+    });
+
+    const next = new Date(res.body.schedule.next_run_at);
+    expect(next.getTime()).toBeGreaterThan(before);
+    expect(next.getUTCHours()).toBe(3);
+    expect(next.getUTCMinutes()).toBe(0);
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'backup_schedule_updated');
+    expect(JSON.parse(entry.details)).toMatchObject({ cron: '0 3 * * *' });
+  });
+
+  it('replaces an existing schedule', async () => {
+    const res = await putSchedule({ cron: '@hourly', retention: { daily: 2 } });
+    expect(res.status).toBe(200);
+    expect(res.body.schedule.cron).toBe('@hourly');
+    expect(new Date(res.body.schedule.next_run_at).getUTCMinutes()).toBe(0);
+  });
+
+  it.each([
+    [{}, 'INVALID_CRON'],
+    [{ cron: 'every day' }, 'INVALID_CRON'],
+    [{ cron: '61 * * * *' }, 'INVALID_CRON'],
+    [{ cron: '@daily', retention: { daily: -1 } }, 'INVALID_RETENTION'],
+    [{ cron: '@daily', retention: { daily: 1.5 } }, 'INVALID_RETENTION'],
+    [{ cron: '@daily', retention: { yearly: 2 } }, 'INVALID_RETENTION'],
+    [{ cron: '@daily', retention: 'forever' }, 'INVALID_RETENTION'],
+    [{ cron: '@daily', enabled: 'yes' }, 'INVALID_SCHEDULE'],
+  ])('rejects %j with %s', async (body, code) => {
+    const res = await putSchedule(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(code);
+  });
+
+  it('returns 404 for an unknown store', async () => {
+    const res = await putSchedule({ cron: '@daily' }, 'store-nope');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/stores/:id/backup-schedule', () => {
+  it('returns the schedule', async () => {
+    const res = await request(app).get(`/api/stores/${storeId}/backup-schedule`);
+    expect(res.status).toBe(200);
+    expect(res.body.schedule.cron).toBe('@hourly');
+  });
+});
+
+describe('backup scheduler', () => {
+  it('queues a scheduled backup when a schedule is due', async () => {
+    const { next_run_at: dueAt } = backupSchedules.get(storeId);
+    expect(backupScheduler.tick(new Date(new Date(dueAt).getTime() - 1000))).toBe(0);
+    expect(tickWhenDue()).toBe(1);
+
+    const [backup] = scheduledBackups();
+    expect(backup.created_by).toBe('scheduler');
+    await waitFor(() => backups.getById(backup.id).status === 'completed');
+
+    const schedule = backupSchedules.get(storeId);
+    expect(schedule.next_run_at > dueAt).toBe(true);
+    expect(schedule.last_run_at).not.toBeNull();
+    expect(schedule.last_success_at).not.toBeNull();
+
+    const requested = audit.getByStoreId(storeId).find(e => e.action === 'backup_requested');
+    expect(JSON.parse(requested.details)).toMatchObject({ backupId: backup.id, trigger: 'scheduled' });
+    expect(requested.actor).toBe('scheduler');
+  });
+
+  it('claims a due run only once across processes', () => {
+    const schedule = backupSchedules.get(storeId);
+    const now = new Date(new Date(schedule.next_run_at).getTime() + 1000);
+    const nextRunAt = new Date(now.getTime() + 3600000).toISOString();
+
+    // Another replica claims the run between our read and our claim
+    expect(backupSchedules.claimRun(storeId, schedule.next_run_at, nextRunAt, now.toISOString())).toBe(true);
+    expect(backupSchedules.claimRun(storeId, schedule.next_run_at, nextRunAt, now.toISOString())).toBe(false);
+  });
+
+  it('collapses missed runs into one', async () => {
+    const { next_run_at: dueAt } = backupSchedules.get(storeId);
+    const muchLater = new Date(new Date(dueAt).getTime() + 5 * 3600000 + 1000);
+
+    const count = scheduledBackups().length;
+    expect(backupScheduler.tick(muchLater)).toBe(1);
+    expect(backupScheduler.tick(muchLater)).toBe(0);
+    expect(scheduledBackups()).toHaveLength(count + 1);
+    expect(new Date(backupSchedules.get(storeId).next_run_at).getTime()).toBeGreaterThan(muchLater.getTime());
+
+    await waitFor(() => scheduledBackups().every(b => b.status === 'completed' || b.status === 'deleted'));
+  });
+
+  it('records a skipped run when the store cannot be backed up', () => {
+    store.updateStatus(storeId, 'failed', 'Something broke');
+    try {
+      expect(tickWhenDue()).toBe(1);
+    } finally {
+      store.updateStatus(storeId, 'ready');
+    }
+
+    const schedule = backupSchedules.get(storeId);
+    expect(schedule.last_failure_at).not.toBeNull();
+    expect(schedule.last_error).toMatch(/^Skipped: Cannot back up a store in 'failed' state/);
+
+    const skipped = audit.getByStoreId(storeId).find(e => e.action === 'backup_skipped');
+    expect(skipped.actor).toBe('scheduler');
+  });
+
+  it('does not fire disabled schedules', async () => {
+    await putSchedule({ cron: '@hourly', retention: { daily: 2 }, enabled: false });
+    expect(tickWhenDue()).toBe(0);
+    await putSchedule({ cron: '@hourly', retention: { daily: 2 } });
+  });
+});
+
+describe('retention', () => {
+  it('prunes scheduled backups outside the policy after a scheduled backup', async () => {
+    // Scheduled backups from the last three days, plus an old manual one
+    const older = [1, 2, 3].map(days => {
+      const backup = backups.create({
+        id: `bkp-old${days}`, storeId, tenantId: 'default', target: 'pvc',
+        location: `${storeId}/bkp-old${days}.tar.gz`, trigger: 'scheduled',
+      });
+      backups.markCompleted(backup.id, { sizeBytes: 1, checksum: 'a'.repeat(64) });
+      db.prepare("UPDATE backups SET created_at = datetime('now', ?) WHERE id = ?").run(`-${days} days`, backup.id);
+      return backup;
+    });
+    const manual = (await request(app).post(`/api/stores/${storeId}/backups`)).body.backup;
+    await waitFor(() => backups.getById(manual.id).status === 'completed');
+    db.prepare("UPDATE backups SET created_at = datetime('now', '-30 days') WHERE id = ?").run(manual.id);
+
+    // daily: 2 keeps the new backup (today) and bkp-old1 (yesterday)
+    const pruned = scheduledBackups().filter(b => b.status === 'completed' && b.id !== older[0].id);
+    expect(pruned.map(b => b.id)).toEqual(expect.arrayContaining(['bkp-old2', 'bkp-old3']));
+
+    kubectl.apply.mockClear();
+    expect(tickWhenDue()).toBe(1);
+    await waitFor(() => audit.getByStoreId(storeId).some(e => e.action === 'backup_pruned'
+      && JSON.parse(e.details).backupIds.includes('bkp-old3')));
+
+    const kept = scheduledBackups().filter(b => b.status === 'completed');
+    expect(kept).toHaveLength(2);
+    expect(kept.map(b => b.id)).toContain('bkp-old1');
+    for (const b of pruned) {
+      expect(backups.getById(b.id).status).toBe('deleted');
+    }
+    expect(backups.getById(manual.id).status).toBe('completed');
+
+    const pruneJob = kubectl.apply.mock.calls.map(([m]) => m)
+      .find(m => m.kind === 'Job' && m.metadata.name.includes('-prune-'));
+    const keys = pruneJob.spec.template.spec.containers[0].env.find(e => e.name === 'KEYS').value;
+    expect(keys.split(' ').sort()).toEqual(pruned.map(b => b.location).sort());
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'backup_pruned'
+      && JSON.parse(e.details).backupIds.includes('bkp-old3'));
+    expect(JSON.parse(entry.details).backupIds.sort()).toEqual(pruned.map(b => b.id).sort());
+  });
+});
+
+describe('GET /api/metrics', () => {
+  it('reports backup outcomes and schedules', async () => {
+    const failing = backups.create({
+      id: 'bkp-failing', storeId, tenantId: 'default', target: 'pvc', location: `${storeId}/bkp-failing.tar.gz`,
+    });
+    backups.markFailed(failing.id, 'disk full');
+
+    const res = await request(app).get('/api/metrics');
+    expect(res.status).toBe(200);
+    expect(res.body.backups.schedules).toEqual({ total: 1, enabled: 1 });
+    expect(res.body.backups.byStatus.completed).toBeGreaterThan(0);
+    expect(res.body.backups.lastSuccess.store_id).toBe(storeId);
+    expect(res.body.backups.lastFailure).toMatchObject({ id: 'bkp-failing', error_message: 'disk full' });
+  });
+});
+
+describe('DELETE /api/stores/:id/backup-schedule', () => {
+  it('removes the schedule', async () => {
+    const res = await request(app).delete(`/api/stores/${storeId}/backup-schedule`);
+    expect(res.status).toBe(200);
+    expect(backupSchedules.get(storeId)).toBeUndefined();
+
+    const again = await request(app).delete(`/api/stores/${storeId}/backup-schedule`);
+    expect(again.status).toBe(404);
+
+    const get = await request(app).get(`/api/stores/${storeId}/backup-schedule`);
+    expect(get.body.schedule).toBeNull();
+  });
+
+  it('is removed along with the store', async () => {
+    await putSchedule({ cron: '@daily' });
+    await request(app).delete(`/api/stores/${storeId}`);
+    await waitFor(() => store.getById(storeId).status === 'deleted');
+    expect(backupSchedules.get(storeId)).toBeUndefined();
+  });
+});
@@ -0,0 +1,395 @@
+// Integration tests for store backups and restore — real provisioner + job
+// worker, stubbed helm/kubectl clients (backup Jobs "succeed" instantly and log
+// their result line), in-memory SQLite.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 'pvc',
+  backupPvcSize: '5Gi',
+  backupS3: {
+    endpoint: 'http://minio.minio.svc:9000',
+    bucket: 'store-backups',
+    region: 'us-east-1',
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+  },
+  backupTimeoutMs: 5000,
+  backupPollIntervalMs: 10,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+const CHECKSUM = 'a'.repeat(64);
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+  apply: jest.fn().mockResolvedValue(''),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getJobLogs: jest.fn().mockResolvedValue(`upload: done\nBACKUP_RESULT size=2048 sha256=${'a'.repeat(64)}`),
+  deleteJob: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const config = require('../../src/config');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+const { store, audit, backups } = require('../../src/db');
+
+let app;
+let storeId;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+
+  const res = await request(app).post('/api/stores').send({ name: 'Backed Up Store' });
+  storeId = res.body.store.id;
+  await waitFor(() => store.getById(storeId).status === 'ready');
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+}
+
+async function createBackup(id = storeId) {
+  const res = await request(app).post(`/api/stores/${id}/backups`);
+  expect(res.status).toBe(202);
+  const backupId = res.body.backup.id;
+  await waitFor(() => ['completed', 'failed'].includes(backups.getById(backupId).status));
+  return backups.getById(backupId);
+}
+
+function appliedJob() {
+  return kubectl.apply.mock.calls.map(([manifest]) => manifest).find(m => m.kind === 'Job');
+}
+
+describe('POST /api/stores/:id/backups', () => {
+  let backup;
+
+  beforeAll(async () => {
+    kubectl.apply.mockClear();
+    backup = await createBackup();
+  });
+
+  it('completes with the size and checksum reported by the Job', () => {
+    expect(backup).toMatchObject({
+      status: 'completed',
+      target: 'pvc',
+      size_bytes: 2048,
+      checksum: CHECKSUM,
+      location: `${storeId}/${backup.id}.tar.gz`,
+    });
+    expect(backup.completed_at).toBeTruthy();
+  });
+
+  it('runs a dump → package → upload Job in the store namespace', () => {
+    const pvc = kubectl.apply.mock.calls[0][0];
+    expect(pvc).toMatchObject({ kind: 'PersistentVolumeClaim', metadata: { name: 'store-backups', namespace: storeId } });
+
+    const job = appliedJob();
+    expect(job.metadata.namespace).toBe(storeId);
+    expect(job.metadata.labels['store.platform/role']).toBe('backup');
+
+    const pod = job.spec.template.spec;
+    expect(pod.initContainers.map(c => c.name)).toEqual(['dump', 'package']);
+    expect(pod.containers[0].name).toBe('upload');
+    expect(pod.initContainers[0].command[2]).toContain('mysqldump');
+    expect(pod.volumes).toContainEqual({ name: 'wp-content', persistentVolumeClaim: { claimName: `${storeId}-wordpress` } });
+  });
+
+  it('never puts database passwords in the Job spec', () => {
+    const env = appliedJob().spec.template.spec.initContainers[0].env;
+    const password = env.find(e => e.name === 'DB_ROOT_PASSWORD');
+    expect(password.value).toBeUndefined();
+    expect(password.valueFrom.secretKeyRef).toEqual({ name: `${storeId}-mysql`, key: 'mysql-root-password' });
+  });
+
+  it('removes the finished Job and audits the backup', () => {
+    expect(kubectl.deleteJob).toHaveBeenCalledWith(storeId, `${storeId}-${backup.id}`);
+    const actions = audit.getByStoreId(storeId).map(e => e.action);
+    expect(actions).toContain('backup_requested');
+    expect(actions).toContain('backup');
+  });
+
+  it('leaves the store ready', () => {
+    expect(store.getById(storeId).status).toBe('ready');
+  });
+
+  it('records a failed backup when the Job fails', async () => {
+    kubectl.jobCompleted.mockResolvedValueOnce(false);
+    kubectl.jobFailed.mockResolvedValueOnce(true);
+
+    const failed = await createBackup();
+    expect(failed.status).toBe('failed');
+    expect(failed.error_message).toContain('failed');
+    expect(store.getById(storeId).status).toBe('ready');
+  });
+
+  it('records a failed backup when the Job reports no result', async () => {
+    kubectl.getJobLogs.mockResolvedValueOnce('upload: done');
+
+    const failed = await createBackup();
+    expect(failed.status).toBe('failed');
+    expect(failed.error_message).toContain('without reporting');
+  });
+
+  it('rejects backups when the S3 target has no credentials', async () => {
+    config.backupTarget = 's3';
+    config.backupS3.accessKey = '';
+    try {
+      const res = await request(app).post(`/api/stores/${storeId}/backups`);
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('BACKUP_UNAVAILABLE');
+    } finally {
+      config.backupTarget = 'pvc';
+      config.backupS3.accessKey = 'minio';
+    }
+  });
+
+  it('rejects engines without backup support', async () => {
+    store.create({
+      id: 'store-medusa', name: 'Medusa', engine: 'medusa', namespace: 'store-medusa', helmRelease: 'store-medusa',
+    });
+    store.markReady('store-medusa', 'http://m', 'http://m/app');
+
+    const res = await request(app).post('/api/stores/store-medusa/backups');
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_OPERATION');
+  });
+});
+
+describe('GET /api/stores/:id/backups', () => {
+  it('lists the store backups newest first', async () => {
+    const res = await request(app).get(`/api/stores/${storeId}/backups`);
+    expect(res.status).toBe(200);
+    expect(res.body.backups).toHaveLength(3);
+    expect(res.body.backups.map(b => b.status)).toEqual(['failed', 'failed', 'completed']);
+    expect(res.body.backups[2]).toHaveProperty('size_bytes', 2048);
+    expect(res.body.backups[2]).toHaveProperty('checksum', CHECKSUM);
+  });
+
+  it('returns 404 for an unknown store', async () => {
+    const res = await request(app).get('/api/stores/store-nope/backups');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/stores/:id/restore', () => {
+  let completed;
+
+  beforeAll(() => {
+    completed = backups.getByStoreId(storeId).find(b => b.status === 'completed');
+  });
+
+  it('returns 404 for an unknown backup', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/restore`).send({ backupId: 'bkp-nope' });
+    expect(res.status).toBe(404);
+  });
+
+  it('refuses backups that did not complete', async () => {
+    const failed = backups.getByStoreId(storeId).find(b => b.status === 'failed');
+    const res = await request(app).post(`/api/stores/${storeId}/restore`).send({ backupId: failed.id });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_BACKUP');
+  });
+
+  it('rejects an unknown restore destination', async () => {
+    const res = await request(app)
+      .post(`/api/stores/${storeId}/restore`)
+      .send({ backupId: completed.id, into: 'elsewhere' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_RESTORE_TARGET');
+  });
+
+  it('restores into the existing store', async () => {
+    kubectl.apply.mockClear();
+    const res = await request(app).post(`/api/stores/${storeId}/restore`).send({ backupId: completed.id });
+    expect(res.status).toBe(202);
+
+    await waitFor(() => audit.getByStoreId(storeId).some(e => e.action === 'restore'));
+    expect(store.getById(storeId).status).toBe('ready');
+
+    const job = appliedJob();
+    expect(job.metadata.name).toMatch(new RegExp(`^${storeId}-restore-`));
+    const pod = job.spec.template.spec;
+    expect(pod.initContainers.map(c => c.name)).toEqual(['fetch', 'unpack']);
+    expect(pod.initContainers[1].env).toContainEqual({ name: 'CHECKSUM', value: CHECKSUM });
+    expect(pod.containers[0].name).toBe('load');
+
+    const statuses = audit.getByStoreId(storeId)
+      .filter(e => e.action === 'status_change')
+      .map(e => JSON.parse(e.details).status);
+    expect(statuses).toContain('restoring');
+  });
+
+  it('refuses to restore a PVC backup into a new store', async () => {
+    const res = await request(app)
+      .post(`/api/stores/${storeId}/restore`)
+      .send({ backupId: completed.id, into: 'new', name: 'Copy' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_OPERATION');
+  });
+
+  it('restores an S3 backup into a fresh store', async () => {
+    config.backupTarget = 's3';
+    let s3Backup;
+    try {
+      kubectl.apply.mockClear();
+      s3Backup = await createBackup();
+    } finally {
+      config.backupTarget = 'pvc';
+    }
+    expect(s3Backup).toMatchObject({ status: 'completed', target: 's3' });
+    expect(kubectl.apply.mock.calls[0][0]).toMatchObject({ kind: 'Secret', metadata: { name: 'store-backup-s3' } });
+
+    kubectl.apply.mockClear();
+    const res = await request(app)
+      .post(`/api/stores/${storeId}/restore`)
+      .send({ backupId: s3Backup.id, into: 'new', name: 'Restored Copy' });
+    expect(res.status).toBe(201);
+
+    const copyId = res.body.store.id;
+    expect(copyId).not.toBe(storeId);
+    await waitFor(() => store.getById(copyId).status === 'ready');
+
+    expect(appliedJob().metadata.namespace).toBe(copyId);
+    const restore = audit.getByStoreId(copyId).find(e => e.action === 'restore');
+    expect(JSON.parse(restore.details)).toEqual({ backupId: s3Backup.id, sourceStoreId: storeId });
+  });
+});
+
+describe('POST /api/stores/:id/clone', () => {
+  afterEach(() => {
+    config.backupTarget = 'pvc';
+  });
+
+  it('needs a durable backup target', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/clone`).send({ name: 'QA Copy' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_OPERATION');
+  });
+
+  it('returns 404 for an unknown store', async () => {
+    config.backupTarget = 's3';
+    const res = await request(app).post('/api/stores/store-nope/clone').send({});
+    expect(res.status).toBe(404);
+  });
+
+  it('provisions a new store seeded with a copy of the source', async () => {
+    config.backupTarget = 's3';
+    kubectl.apply.mockClear();
+
+    const res = await request(app).post(`/api/stores/${storeId}/clone`).send({});
+    expect(res.status).toBe(201);
+    expect(res.body.store).toMatchObject({ name: 'Backed Up Store (copy)', cloned_from: storeId, status: 'queued' });
+
+    const copyId = res.body.store.id;
+    await waitFor(() => store.getById(copyId).status === 'ready');
+
+    const backup = backups.getByStoreId(storeId).find(b => b.trigger === 'clone');
+    expect(backup).toMatchObject({ status: 'completed', target: 's3' });
+
+    const jobs = kubectl.apply.mock.calls.map(([m]) => m).filter(m => m.kind === 'Job');
+    expect(jobs.map(j => j.metadata.namespace)).toEqual([storeId, copyId]);
+    const load = jobs[1].spec.template.spec.containers[0];
+    expect(load.env).toContainEqual({ name: 'SOURCE_URL', value: `http://${storeId}.127.0.0.1.nip.io` });
+    expect(load.env).toContainEqual({ name: 'SITE_URL', value: `http://${copyId}.127.0.0.1.nip.io` });
+
+    const clone = audit.getByStoreId(copyId).find(e => e.action === 'clone');
+    expect(JSON.parse(clone.details)).toEqual({ sourceStoreId: storeId, backupId: backup.id });
+    expect(audit.getByStoreId(copyId).some(e => e.action === 'clone_requested')).toBe(true);
+  });
+
+  it('copies the data again when a failed clone is retried', async () => {
+    config.backupTarget = 's3';
+    // The copy's init Job completes; the source's backup Job fails
+    kubectl.jobCompleted.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    kubectl.jobFailed.mockResolvedValueOnce(true);
+
+    const res = await request(app).post(`/api/stores/${storeId}/clone`).send({ name: 'Flaky Copy' });
+    const copyId = res.body.store.id;
+    await waitFor(() => store.getById(copyId).status === 'failed');
+    expect(store.getById(copyId).error_message).toMatch(/^Backing up source store/);
+
+    const retry = await request(app).post(`/api/stores/${copyId}/retry`);
+    expect(retry.status).toBe(202);
+    await waitFor(() => store.getById(copyId).status === 'ready');
+    expect(audit.getByStoreId(copyId).some(e => e.action === 'clone')).toBe(true);
+  });
+
+  it('refuses to clone a store that is not ready', async () => {
+    config.backupTarget = 's3';
+    store.updateStatus(storeId, 'failed', 'Broken');
+    try {
+      const res = await request(app).post(`/api/stores/${storeId}/clone`).send({});
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('INVALID_STATE_TRANSITION');
+    } finally {
+      store.updateStatus(storeId, 'ready');
+    }
+  });
+});
+
+describe('store deletion', () => {
+  it('drops PVC backups with the namespace but keeps S3 ones', async () => {
+    const res = await request(app).delete(`/api/stores/${storeId}`);
+    expect(res.status).toBe(202);
+    await waitFor(() => store.getById(storeId).status === 'deleted');
+
+    const byTarget = backups.getByStoreId(storeId).reduce((acc, b) => {
+      (acc[b.target] = acc[b.target] || []).push(b.status);
+      return acc;
+    }, {});
+    expect(byTarget.pvc.every(status => status === 'deleted')).toBe(true);
+    expect(byTarget.s3.filter(status => status === 'completed').length).toBeGreaterThan(0);
+    expect(byTarget.s3).not.toContain('deleted');
+  });
+});
@@ -0,0 +1,160 @@
+// Integration tests for store credential retrieval and rotation.
+// Secrets and pod exec are stubbed on the kubectl client; provisioner is mocked.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'bootstrap', token: 'admin-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  getSecret: jest.fn(),
+  patchSecret: jest.fn().mockResolvedValue(undefined),
+  exec: jest.fn().mockResolvedValue(''),
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn(name => require('../../src/services/engineRegistry').get(name)),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { store, db } = require('../../src/db');
+const kubectl = require('../../src/utils/kubectlClient');
+
+const ADMIN = { Authorization: 'Bearer admin-secret-token' };
+
+let app;
+let viewer;
+
+function createStore(id, { engine = 'woocommerce', status = 'ready', owner = 'token:bootstrap' } = {}) {
+  store.create({ id, name: id, engine, namespace: id, helmRelease: id, actor: owner });
+  store.markReady(id, `http://${id}.127.0.0.1.nip.io`, `http://${id}.127.0.0.1.nip.io/wp-admin`);
+  if (status !== 'ready') store.updateStatus(id, status);
+}
+
+beforeAll(async () => {
+  app = require('../../src/index');
+
+  const res = await request(app).post('/api/admin/keys').set(ADMIN).send({ name: 'viewer', role: 'viewer' });
+  viewer = { Authorization: `Bearer ${res.body.secret}` };
+
+  createStore('store-creds');
+  createStore('store-busy', { status: 'provisioning' });
+  createStore('store-medusa', { engine: 'medusa' });
+
+  kubectl.getSecret.mockResolvedValue({
+    'admin-user': 'admin',
+    'admin-password': 'initialPass123',
+    'admin-email': 'admin@test.com',
+  });
+});
+
+describe('GET /api/stores/:id/credentials', () => {
+  it('returns the admin login from the store secret', async () => {
+    const res = await request(app).get('/api/stores/store-creds/credentials').set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.credentials).toEqual({
+      username: 'admin',
+      password: 'initialPass123',
+      email: 'admin@test.com',
+      adminUrl: 'http://store-creds.127.0.0.1.nip.io/wp-admin',
+    });
+    expect(kubectl.getSecret).toHaveBeenCalledWith('store-creds', 'store-creds-admin');
+  });
+
+  it('audits the view without the password', async () => {
+    const res = await request(app).get('/api/audit').set(ADMIN);
+    const entry = res.body.audit.find(e => e.action === 'credentials_viewed');
+    expect(entry.store_id).toBe('store-creds');
+    expect(entry.actor).toBe('token:bootstrap');
+    expect(entry.details).not.toContain('initialPass123');
+  });
+
+  it('never writes the password to SQLite', () => {
+    const dump = db.prepare('SELECT details FROM audit_log').all().map(r => r.details).join();
+    expect(dump).not.toContain('initialPass123');
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/stores/store-creds/credentials');
+    expect(res.status).toBe(401);
+  });
+
+  it('is forbidden for viewers', async () => {
+    const res = await request(app).get('/api/stores/store-creds/credentials').set(viewer);
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects stores that are not ready', async () => {
+    const res = await request(app).get('/api/stores/store-busy/credentials').set(ADMIN);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('INVALID_STATE_TRANSITION');
+  });
+});
+
+describe('POST /api/stores/:id/credentials/rotate', () => {
+  it('sets a new password in the running store and the secret', async () => {
+    const res = await request(app).post('/api/stores/store-creds/credentials/rotate').set(ADMIN);
+
+    expect(res.status).toBe(200);
+    const { password } = res.body.credentials;
+    expect(password).not.toBe('initialPass123');
+    expect(password).toMatch(/^[\w-]{16}$/);
+
+    const [namespace, target, container, command, { input }] = kubectl.exec.mock.calls[0];
+    expect(namespace).toBe('store-creds');
+    expect(target).toBe('statefulset/store-creds-mysql');
+    expect(container).toBe('mysql');
+    expect(command.join(' ')).not.toContain(password);
+    expect(input).toContain(`MD5('${password}')`);
+
+    expect(kubectl.patchSecret).toHaveBeenCalledWith(
+      'store-creds', 'store-creds-admin', { 'admin-password': password }
+    );
+  });
+
+  it('does not touch the secret when the store update fails', async () => {
+    kubectl.exec.mockRejectedValueOnce(new Error('kubectl failed: pod not running'));
+    kubectl.patchSecret.mockClear();
+
+    const res = await request(app).post('/api/stores/store-creds/credentials/rotate').set(ADMIN);
+    expect(res.status).toBe(500);
+    expect(kubectl.patchSecret).not.toHaveBeenCalled();
+  });
+
+  it('rejects engines without rotation support', async () => {
+    const res = await request(app).post('/api/stores/store-medusa/credentials/rotate').set(ADMIN);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_OPERATION');
+  });
+});
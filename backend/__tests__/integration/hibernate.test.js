@@ -0,0 +1,258 @@
+// Integration tests for hibernation — stores scale to zero and back, the
+// running-store quota ignores hibernated stores, and the idle monitor (ticked
+// with an explicit clock) hibernates stores that saw no traffic.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxRunningStores: 2, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 'pvc',
+  backupPvcSize: '5Gi',
+  backupS3: {
+    endpoint: 'http://minio.minio.svc:9000',
+    bucket: 'store-backups',
+    region: 'us-east-1',
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+  },
+  backupTimeoutMs: 5000,
+  backupPollIntervalMs: 10,
+  deleteGracePeriodMs: 3600000,
+  reaperIntervalMs: 60000,
+  autoHibernateIdleMs: 3600000,
+  idleCheckIntervalMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+  getReplicas: jest.fn(),
+  scale: jest.fn().mockResolvedValue(undefined),
+  getLogs: jest.fn().mockResolvedValue(''),
+}));
+
+const request = require('supertest');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+const idleMonitor = require('../../src/services/idleMonitor');
+const { store, audit } = require('../../src/db');
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+beforeEach(() => {
+  kubectl.scale.mockClear();
+  kubectl.getLogs.mockReset().mockResolvedValue('');
+  kubectl.getReplicas.mockImplementation(async (namespace) => ({
+    [`deployment/${namespace}-wordpress`]: 2,
+    [`statefulset/${namespace}-mysql`]: 1,
+  }));
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+}
+
+async function readyStore(name) {
+  const res = await request(app).post('/api/stores').send({ name });
+  expect(res.status).toBe(201);
+  await waitFor(() => store.getById(res.body.store.id).status === 'ready');
+  return res.body.store.id;
+}
+
+async function hibernate(id) {
+  const res = await request(app).post(`/api/stores/${id}/hibernate`);
+  expect(res.status).toBe(202);
+  await waitFor(() => store.getById(id).status === 'hibernated');
+}
+
+async function forceDelete(id) {
+  await request(app).delete(`/api/stores/${id}?force=true`);
+  await waitFor(() => store.getById(id).status === 'deleted');
+}
+
+describe('POST /api/stores/:id/hibernate and /wake', () => {
+  let storeId;
+
+  beforeAll(async () => {
+    storeId = await readyStore('Sleepy');
+  });
+
+  afterAll(async () => {
+    await forceDelete(storeId);
+  });
+
+  it('scales the store to zero and keeps the replica counts', async () => {
+    await hibernate(storeId);
+
+    expect(kubectl.scale.mock.calls).toEqual([
+      [storeId, `deployment/${storeId}-wordpress`, 0],
+      [storeId, `statefulset/${storeId}-mysql`, 0],
+    ]);
+    expect(JSON.parse(store.getById(storeId).suspended_replicas)).toEqual({
+      [`deployment/${storeId}-wordpress`]: 2,
+      [`statefulset/${storeId}-mysql`]: 1,
+    });
+    expect(audit.getByStoreId(storeId).some(e => e.action === 'hibernate')).toBe(true);
+  });
+
+  it('still counts towards the store quota but not the running one', () => {
+    expect(store.getActiveCount('default')).toBe(1);
+    expect(store.getRunningCount('default')).toBe(0);
+  });
+
+  it('only hibernates ready stores', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/hibernate`);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('INVALID_STATE_TRANSITION');
+  });
+
+  it('wakes the store with the original replica counts', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/wake`);
+    expect(res.status).toBe(202);
+    await waitFor(() => store.getById(storeId).status === 'ready');
+
+    expect(kubectl.scale.mock.calls).toEqual([
+      [storeId, `deployment/${storeId}-wordpress`, 2],
+      [storeId, `statefulset/${storeId}-mysql`, 1],
+    ]);
+
+    const record = store.getById(storeId);
+    expect(record.suspended_replicas).toBeNull();
+    expect(record.last_active_at).not.toBeNull();
+    expect(audit.getByStoreId(storeId).some(e => e.action === 'wake')).toBe(true);
+  });
+
+  it('only wakes hibernated stores', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/wake`);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('running-store quota', () => {
+  const ids = [];
+
+  afterAll(async () => {
+    for (const id of ids) await forceDelete(id);
+  });
+
+  it('refuses a new store once the running limit is reached', async () => {
+    ids.push(await readyStore('Running A'), await readyStore('Running B'));
+
+    const res = await request(app).post('/api/stores').send({ name: 'Running C' });
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('RUNNING_QUOTA_EXCEEDED');
+  });
+
+  it('frees a running slot when a store hibernates', async () => {
+    await hibernate(ids[0]);
+    ids.push(await readyStore('Running C'));
+  });
+
+  it('refuses to wake a store past the running limit', async () => {
+    const res = await request(app).post(`/api/stores/${ids[0]}/wake`);
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('RUNNING_QUOTA_EXCEEDED');
+    expect(store.getById(ids[0]).status).toBe('hibernated');
+  });
+
+  it('reports running stores on the tenant', async () => {
+    const res = await request(app).get('/api/admin/tenants');
+    const tenant = res.body.tenants.find(t => t.id === 'default');
+    expect(tenant).toMatchObject({ maxRunningStores: 2, runningStores: 2 });
+  });
+});
+
+describe('idle monitor', () => {
+  let storeId;
+
+  beforeAll(async () => {
+    storeId = await readyStore('Idle');
+  });
+
+  afterAll(async () => {
+    await forceDelete(storeId);
+  });
+
+  it('leaves recently active stores alone', async () => {
+    expect(await idleMonitor.tick(new Date())).toEqual([]);
+    expect(kubectl.getLogs).not.toHaveBeenCalled();
+  });
+
+  it('marks a store active when it served requests', async () => {
+    kubectl.getLogs.mockResolvedValue([
+      '10.0.0.1 - - [19/Oct/2026:10:00:00 +0000] "GET /shop/ HTTP/1.1" 200 512 "-" "Mozilla/5.0"',
+      '10.0.0.2 - - [19/Oct/2026:10:00:05 +0000] "GET / HTTP/1.1" 200 128 "-" "kube-probe/1.29"',
+    ].join('\n'));
+
+    const later = new Date(Date.now() + 3600000 + 1000);
+    expect(await idleMonitor.tick(later)).toEqual([]);
+    expect(kubectl.getLogs).toHaveBeenCalledWith(storeId, `deployment/${storeId}-wordpress`, 'wordpress', 3600);
+    expect(store.getById(storeId).last_active_at).toBe(later.toISOString());
+  });
+
+  it('hibernates a store that only saw probes', async () => {
+    kubectl.getLogs.mockResolvedValue(
+      '10.0.0.2 - - [19/Oct/2026:10:00:05 +0000] "GET / HTTP/1.1" 200 128 "-" "kube-probe/1.29"'
+    );
+
+    const later = new Date(Date.now() + 2 * 3600000 + 2000);
+    expect(await idleMonitor.tick(later)).toEqual([storeId]);
+    await waitFor(() => store.getById(storeId).status === 'hibernated');
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'hibernate');
+    expect(entry.actor).toBe(idleMonitor.IDLE_ACTOR);
+  });
+});
@@ -0,0 +1,144 @@
+// Integration tests for Idempotency-Key on store creation — retries get the
+// original response, a reused key with another body is rejected, keys are per
+// caller, and failed requests are not remembered.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 3,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  idempotencyWindowMs: 60000,
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [
+    { name: 'ops', token: 'ops-secret-token' },
+    { name: 'ci', token: 'ci-secret-token' },
+  ],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const config = require('../../src/config');
+const provisioner = require('../../src/services/provisioner');
+const { store, idempotencyKeys } = require('../../src/db');
+
+const OPS = { Authorization: 'Bearer ops-secret-token' };
+const CI = { Authorization: 'Bearer ci-secret-token' };
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+});
+
+beforeEach(() => {
+  provisioner.enqueue.mockClear();
+});
+
+function create(headers, key, body) {
+  return request(app).post('/api/stores').set(headers).set('Idempotency-Key', key).send(body);
+}
+
+describe('Idempotency-Key on POST /api/stores', () => {
+  let first;
+
+  it('creates the store on first use', async () => {
+    first = await create(OPS, 'retry-1', { name: 'Retried Store' });
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(provisioner.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('replays the original response to a retry', async () => {
+    const res = await create(OPS, 'retry-1', { name: 'Retried Store' });
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(res.body).toEqual(first.body);
+    expect(provisioner.enqueue).not.toHaveBeenCalled();
+    expect(store.getAll().filter(s => s.name === 'Retried Store')).toHaveLength(1);
+  });
+
+  it('replays a retry whose body lists the same fields in another order', async () => {
+    const original = await create(OPS, 'reordered', { name: 'Ordered Store', engine: 'woocommerce' });
+    expect(original.status).toBe(201);
+
+    const res = await create(OPS, 'reordered', { engine: 'woocommerce', name: 'Ordered Store' });
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(res.body).toEqual(original.body);
+
+    // Free the quota slot the later tests count on
+    store.updateStatus(original.body.store.id, 'deleted');
+  });
+
+  it('rejects the same key with a different body', async () => {
+    const res = await create(OPS, 'retry-1', { name: 'Another Store' });
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(res.body.error.message).toContain("'retry-1'");
+  });
+
+  it('scopes keys to the caller', async () => {
+    const res = await create(CI, 'retry-1', { name: 'Retried Store' });
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(res.body.store.id).not.toBe(first.body.store.id);
+  });
+
+  it('rejects a malformed key', async () => {
+    const res = await create(OPS, 'has spaces', { name: 'Spaced Key' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('does not remember failed requests', async () => {
+    const invalid = await create(OPS, 'fix-and-retry', { name: 'x' });
+    expect(invalid.status).toBe(400);
+
+    const fixed = await create(OPS, 'fix-and-retry', { name: 'Fixed Store' });
+    expect(fixed.status).toBe(201);
+  });
+
+  it('replays even once the quota is used up', async () => {
+    const full = await create(OPS, 'over-quota', { name: 'One Too Many' });
+    expect(full.status).toBe(429);
+
+    const replay = await create(OPS, 'retry-1', { name: 'Retried Store' });
+    expect(replay.status).toBe(201);
+    expect(replay.body.store.id).toBe(first.body.store.id);
+  });
+
+  it('forgets keys after the window', async () => {
+    const later = new Date(Date.now() + config.idempotencyWindowMs + 1000);
+    expect(idempotencyKeys.get('token:ops', 'retry-1')).toBeDefined();
+    expect(idempotencyKeys.get('token:ops', 'retry-1', later)).toBeUndefined();
+  });
+});
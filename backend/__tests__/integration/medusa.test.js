@@ -0,0 +1,178 @@
+// Integration tests for the MedusaJS engine — real provisioner + job worker,
+// stubbed helm/kubectl clients, in-memory SQLite.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: require('path').resolve(__dirname, '../../../helm/medusa-chart'),
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 5,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    free: { maxStores: 1, maxResources: { cpu: '4', memory: '4Gi', storage: '8Gi' } },
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+  medusaAdminEmail: 'medusa-admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+}));
+
+const request = require('supertest');
+const config = require('../../src/config');
+const helm = require('../../src/utils/helmClient');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitForStatus(storeId, status, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const res = await request(app).get(`/api/stores/${storeId}`);
+    if (res.body.store?.status === status) return res.body.store;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Store ${storeId} did not reach '${status}'`);
+}
+
+describe('MedusaJS engine', () => {
+  let storeId;
+
+  it('provisions a Medusa store through the job worker', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .send({ name: 'Medusa Shop', engine: 'medusa' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.store.engine).toBe('medusa');
+    storeId = res.body.store.id;
+
+    const ready = await waitForStatus(storeId, 'ready');
+    expect(ready.store_url).toBe(`http://${storeId}.127.0.0.1.nip.io`);
+    expect(ready.admin_url).toBe(`http://${storeId}.127.0.0.1.nip.io/app`);
+  });
+
+  it('installs the Medusa chart with per-store values', () => {
+    expect(helm.install).toHaveBeenCalledTimes(1);
+    const { releaseName, chartPath, namespace, values } = helm.install.mock.calls[0][0];
+
+    expect(releaseName).toBe(storeId);
+    expect(namespace).toBe(storeId);
+    expect(chartPath).toBe(config.medusaChartPath);
+    expect(values['store.id']).toBe(storeId);
+    expect(values['ingress.host']).toBe(`${storeId}.127.0.0.1.nip.io`);
+    expect(values['medusa.adminEmail']).toBe('medusa-admin@test.com');
+    expect(values['postgres.password']).toHaveLength(16);
+    expect(values['medusa.jwtSecret']).toHaveLength(32);
+  });
+
+  it('generates fresh secrets for every store', () => {
+    const engine = provisioner.getEngine('medusa');
+    const a = engine.getHelmValues('store-a');
+    const b = engine.getHelmValues('store-b');
+    expect(a['postgres.password']).not.toBe(b['postgres.password']);
+    expect(a['medusa.cookieSecret']).not.toBe(b['medusa.cookieSecret']);
+  });
+
+  it('deletes a Medusa store through the job worker', async () => {
+    const res = await request(app).delete(`/api/stores/${storeId}`);
+    expect(res.status).toBe(202);
+
+    await waitForStatus(storeId, 'deleted');
+    expect(helm.uninstall).toHaveBeenCalledWith({ releaseName: storeId, namespace: storeId });
+    expect(kubectl.deleteNamespace).toHaveBeenCalledWith(storeId);
+  });
+
+  it('marks the store failed when pods crash', async () => {
+    kubectl.allPodsReady.mockResolvedValueOnce(false);
+    kubectl.getPodStatuses.mockResolvedValueOnce([
+      { name: 'medusa-0', phase: 'Running', ready: false, restarts: 8 },
+    ]);
+
+    const res = await request(app)
+      .post('/api/stores')
+      .send({ name: 'Crashing Medusa', engine: 'medusa' });
+
+    const failed = await waitForStatus(res.body.store.id, 'failed');
+    expect(failed.error_message).toContain('medusa-0');
+  });
+
+  it('fails fast, naming the image, when the Medusa image cannot be pulled', async () => {
+    kubectl.allPodsReady.mockResolvedValueOnce(false);
+    kubectl.getPodStatuses.mockResolvedValueOnce([{
+      name: 'medusa-7d9f',
+      phase: 'Pending',
+      ready: false,
+      restarts: 0,
+      waiting: { container: 'migrate', image: 'store-medusa:latest', reason: 'ImagePullBackOff', message: 'Back-off pulling image' },
+    }]);
+
+    const res = await request(app)
+      .post('/api/stores')
+      .send({ name: 'Unbuilt Medusa', engine: 'medusa' });
+
+    const failed = await waitForStatus(res.body.store.id, 'failed');
+    expect(failed.error_message).toContain(
+      'Image store-medusa:latest (container migrate of pod medusa-7d9f) cannot be pulled: ImagePullBackOff'
+    );
+  });
+
+  it('rejects creation when the chart is missing', async () => {
+    const chartPath = config.medusaChartPath;
+    config.medusaChartPath = '/nonexistent/medusa-chart';
+
+    try {
+      const res = await request(app)
+        .post('/api/stores')
+        .send({ name: 'No Chart', engine: 'medusa' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('ENGINE_UNAVAILABLE');
+    } finally {
+      config.medusaChartPath = chartPath;
+    }
+  });
+});
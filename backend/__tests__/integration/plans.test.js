@@ -0,0 +1,252 @@
+// Integration tests for resource plans — the plan catalog, choosing and
+// changing a store's plan, the tenant resource budget plans count against,
+// and admin plan management.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 20,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    free: { maxStores: 5, maxResources: { cpu: '4', memory: '4Gi', storage: '10Gi' } },
+    standard: { maxStores: 20, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 1,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 's3',
+  deleteGracePeriodMs: 3600000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'bootstrap', token: 'admin-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 1000,
+  rateLimitMaxCreates: 100,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  upgrade: jest.fn().mockResolvedValue({ upgraded: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+}));
+
+const request = require('supertest');
+const provisioner = require('../../src/services/provisioner');
+const { store, audit } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer admin-secret-token' };
+
+let app;
+let acmeKey;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+
+  await request(app).post('/api/admin/tenants').set(ADMIN).send({ id: 'acme', tier: 'free' });
+  const res = await request(app)
+    .post('/api/admin/keys')
+    .set(ADMIN)
+    .send({ name: 'acme-operator', role: 'operator', tenant: 'acme' });
+  acmeKey = { Authorization: `Bearer ${res.body.secret}` };
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function createStore(headers, body) {
+  return request(app).post('/api/stores').set(headers).send(body);
+}
+
+async function waitForReady(id, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (store.getById(id).status === 'ready' && !provisioner.getOperationStatus(id)) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Store ${id} did not become ready`);
+}
+
+describe('GET /api/plans', () => {
+  it('lists the seeded plans and the default', async () => {
+    const res = await request(app).get('/api/plans').set(acmeKey);
+    expect(res.status).toBe(200);
+    expect(res.body.defaultPlan).toBe('small');
+    expect(res.body.plans.map(p => p.id)).toEqual(['small', 'medium', 'large']);
+    expect(res.body.plans[0]).toMatchObject({ cpu: '2', memory: '2Gi', storage: '2Gi', dbStorage: '2Gi' });
+  });
+});
+
+describe('choosing a plan', () => {
+  it('puts new stores on the default plan', async () => {
+    const res = await createStore(ADMIN, { name: 'Default Plan' });
+    expect(res.status).toBe(201);
+    expect(JSON.parse(store.getById(res.body.store.id).settings).plan).toBe('small');
+  });
+
+  it('accepts a plan at creation', async () => {
+    const res = await createStore(ADMIN, { name: 'Large Plan', plan: 'large' });
+    expect(res.status).toBe(201);
+    expect(JSON.parse(store.getById(res.body.store.id).settings).plan).toBe('large');
+  });
+
+  it('rejects an unknown plan', async () => {
+    const res = await createStore(ADMIN, { name: 'Bad Plan', plan: 'huge' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PLAN');
+  });
+});
+
+describe('tenant resource budget', () => {
+  let smallId;
+
+  it('admits stores while their plans fit', async () => {
+    const res = await createStore(acmeKey, { name: 'Acme Small' });
+    expect(res.status).toBe(201);
+    smallId = res.body.store.id;
+  });
+
+  it('rejects a plan that would go over the budget', async () => {
+    const res = await createStore(acmeKey, { name: 'Acme Medium', plan: 'medium' });
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('RESOURCE_QUOTA_EXCEEDED');
+    expect(res.body.error.message).toContain('cpu limit reached (using 2, plan needs 4, max: 4)');
+  });
+
+  it('reports usage against the budget', async () => {
+    const res = await request(app).get('/api/tenant').set(acmeKey);
+    expect(res.status).toBe(200);
+    expect(res.body.tenant.resources).toEqual({
+      cpu: { used: '2', limit: '4' },
+      memory: { used: '2Gi', limit: '4Gi' },
+      storage: { used: '4Gi', limit: '10Gi' },
+    });
+  });
+
+  it('leaves the store itself out when checking a plan change', async () => {
+    await waitForReady(smallId);
+
+    const res = await request(app).patch(`/api/stores/${smallId}`).set(acmeKey).send({ plan: 'medium' });
+    expect(res.status).toBe(202);
+    const entry = audit.getByStoreId(smallId).find(e => e.action === 'update_requested');
+    expect(JSON.parse(entry.details)).toEqual({ changes: { plan: 'medium' } });
+
+    await waitForReady(smallId);
+    expect(JSON.parse(store.getById(smallId).settings).plan).toBe('medium');
+  });
+
+  it('rejects a plan change that would go over the budget', async () => {
+    const res = await request(app).patch(`/api/stores/${smallId}`).set(acmeKey).send({ plan: 'large' });
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('RESOURCE_QUOTA_EXCEEDED');
+  });
+
+  it('checks the budget again before retrying a failed store', async () => {
+    store.updateStatus(smallId, 'failed', 'Pods failed');
+    const other = await createStore(acmeKey, { name: 'Acme Replacement' });
+    expect(other.status).toBe(201);
+
+    const res = await request(app).post(`/api/stores/${smallId}/retry`).set(acmeKey);
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('RESOURCE_QUOTA_EXCEEDED');
+    expect(store.getById(smallId).status).toBe('failed');
+  });
+});
+
+describe('admin plan management', () => {
+  it('creates a plan', async () => {
+    const res = await request(app)
+      .post('/api/admin/plans')
+      .set(ADMIN)
+      .send({ id: 'xl', name: 'Extra Large', cpu: '16', memory: '16Gi', storage: '20Gi', dbStorage: '20Gi' });
+    expect(res.status).toBe(201);
+    expect(res.body.plan).toMatchObject({ id: 'xl', name: 'Extra Large', cpu: '16', dbStorage: '20Gi' });
+    expect(audit.getAll(10).some(e => e.action === 'plan_created')).toBe(true);
+  });
+
+  it('rejects a duplicate or malformed plan', async () => {
+    const duplicate = await request(app)
+      .post('/api/admin/plans')
+      .set(ADMIN)
+      .send({ id: 'xl', name: 'Again', cpu: '1', memory: '1Gi', storage: '1Gi', dbStorage: '1Gi' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('PLAN_EXISTS');
+
+    const badId = await request(app).post('/api/admin/plans').set(ADMIN).send({ id: 'X L' });
+    expect(badId.status).toBe(400);
+    expect(badId.body.error.code).toBe('INVALID_PLAN_ID');
+
+    const badQuantity = await request(app)
+      .post('/api/admin/plans')
+      .set(ADMIN)
+      .send({ id: 'odd', name: 'Odd', cpu: 'lots', memory: '1Gi', storage: '1Gi', dbStorage: '1Gi' });
+    expect(badQuantity.status).toBe(400);
+    expect(badQuantity.body.error.code).toBe('INVALID_PLAN');
+    expect(badQuantity.body.error.message).toContain("'cpu'");
+  });
+
+  it('updates a plan', async () => {
+    const res = await request(app).patch('/api/admin/plans/xl').set(ADMIN).send({ memory: '32Gi' });
+    expect(res.status).toBe(200);
+    expect(res.body.plan).toMatchObject({ id: 'xl', memory: '32Gi', cpu: '16' });
+  });
+
+  it('refuses to shrink the volumes of a plan in use', async () => {
+    const res = await request(app).patch('/api/admin/plans/large').set(ADMIN).send({ storage: '5Gi' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('PLAN_IN_USE');
+  });
+
+  it('refuses to delete the default plan or a plan in use', async () => {
+    const byDefault = await request(app).delete('/api/admin/plans/small').set(ADMIN);
+    expect(byDefault.status).toBe(409);
+    expect(byDefault.body.error.code).toBe('PLAN_IN_USE');
+
+    const inUse = await request(app).delete('/api/admin/plans/large').set(ADMIN);
+    expect(inUse.status).toBe(409);
+    expect(inUse.body.error.message).toContain('used by 1 store(s)');
+  });
+
+  it('deletes an unused plan', async () => {
+    const res = await request(app).delete('/api/admin/plans/xl').set(ADMIN);
+    expect(res.status).toBe(200);
+    expect(res.body.plan.id).toBe('xl');
+
+    const list = await request(app).get('/api/plans').set(ADMIN);
+    expect(list.body.plans.map(p => p.id)).not.toContain('xl');
+  });
+
+  it('is admin-only', async () => {
+    const res = await request(app).delete('/api/admin/plans/medium').set(acmeKey);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,106 @@
+// Integration tests for GET /api/metrics/prometheus — store and job queue
+// gauges read from SQLite, per-route request latency, and helm/kubectl
+// command timings.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { store, jobs } = require('../../src/db');
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+
+  store.create({ id: 'store-a', name: 'Alpha', engine: 'woocommerce', namespace: 'store-a', helmRelease: 'store-a' });
+  store.create({ id: 'store-b', name: 'Beta', engine: 'woocommerce', namespace: 'store-b', helmRelease: 'store-b' });
+  store.create({ id: 'store-c', name: 'Gamma', engine: 'medusa', namespace: 'store-c', helmRelease: 'store-c' });
+  store.updateStatus('store-a', 'ready');
+  jobs.enqueue('store-b', 'provision');
+  jobs.enqueue('store-c', 'provision');
+});
+
+async function scrape() {
+  const res = await request(app).get('/api/metrics/prometheus');
+  expect(res.status).toBe(200);
+  return res.text;
+}
+
+describe('GET /api/metrics/prometheus', () => {
+  it('serves the text exposition format', async () => {
+    const res = await request(app).get('/api/metrics/prometheus');
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('# TYPE store_platform_stores gauge');
+    expect(res.text).toContain('# TYPE store_platform_http_request_duration_seconds histogram');
+  });
+
+  it('counts stores by status and engine', async () => {
+    const text = await scrape();
+    expect(text).toContain('store_platform_stores{status="ready",engine="woocommerce"} 1');
+    expect(text).toContain('store_platform_stores{status="queued",engine="woocommerce"} 1');
+    expect(text).toContain('store_platform_stores{status="queued",engine="medusa"} 1');
+  });
+
+  it('reports the job queue depth', async () => {
+    expect(await scrape()).toContain('store_platform_job_queue_depth{type="provision",state="pending"} 2');
+  });
+
+  it('drops gauge series that no longer exist', async () => {
+    store.updateStatus('store-c', 'ready');
+    const text = await scrape();
+    expect(text).not.toContain('status="queued",engine="medusa"');
+    expect(text).toContain('store_platform_stores{status="ready",engine="medusa"} 1');
+  });
+
+  it('times requests by route template, including errors', async () => {
+    await request(app).get('/api/stores/store-a');
+    await request(app).get('/api/stores/no-such-store');
+    await request(app).get('/api/nowhere');
+
+    const text = await scrape();
+    expect(text).toMatch(/store_platform_http_request_duration_seconds_count\{method="GET",route="\/api\/stores\/:id",status="200"\} 1\n/);
+    expect(text).toMatch(/store_platform_http_request_duration_seconds_count\{method="GET",route="\/api\/stores\/:id",status="404"\} 1\n/);
+    expect(text).toContain('route="unmatched",status="404"');
+    expect(text).not.toContain('no-such-store');
+  });
+
+  it('labels routes with the mount path of the router that matched', async () => {
+    await request(app).get('/api/admin/keys');
+    expect(await scrape()).toMatch(/store_platform_http_request_duration_seconds_count\{method="GET",route="\/api\/admin\/keys",status="\d+"\} 1\n/);
+  });
+});
@@ -0,0 +1,137 @@
+// Integration tests for provisioning attempts — each provisioning run recorded
+// with its outcome and per-phase timings, retries numbered, and the
+// aggregates served by GET /api/metrics.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 20,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 20, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 1,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'ops', token: 'ops-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 1000,
+  rateLimitMaxCreates: 100,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  upgrade: jest.fn().mockResolvedValue({ upgraded: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([{ reason: 'BackoffLimitExceeded', message: 'Job has reached the specified backoff limit' }]),
+  getSecret: jest.fn().mockResolvedValue(null),
+}));
+
+const request = require('supertest');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+const { store, provisioningAttempts } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer ops-secret-token' };
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitForStatus(id, status, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (store.getById(id).status === status && !provisioner.getOperationStatus(id)) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Store ${id} did not become ${status}`);
+}
+
+describe('provisioning attempts', () => {
+  let storeId;
+
+  it('records a successful run with its phase timings', async () => {
+    const res = await request(app).post('/api/stores').set(ADMIN).send({ name: 'Timed Store' });
+    storeId = res.body.store.id;
+    await waitForStatus(storeId, 'ready');
+
+    const [attempt] = provisioningAttempts.getByStoreId(storeId);
+    expect(attempt).toMatchObject({ engine: 'woocommerce', attempt: 1, outcome: 'ready', error: null });
+    expect(attempt.duration_ms).toEqual(expect.any(Number));
+    expect(Object.keys(JSON.parse(attempt.phases))).toEqual(['helm_install', 'pods', 'init']);
+    expect(kubectl.jobCompleted).toHaveBeenCalledWith(storeId, `${storeId}-init`);
+  });
+
+  it('fails provisioning when the init job fails, keeping the phases that finished', async () => {
+    kubectl.jobCompleted.mockResolvedValueOnce(false);
+    kubectl.jobFailed.mockResolvedValueOnce(true);
+
+    const res = await request(app).post('/api/stores').set(ADMIN).send({ name: 'Flaky Store' });
+    storeId = res.body.store.id;
+    await waitForStatus(storeId, 'failed');
+    expect(store.getById(storeId).error_message).toMatch(new RegExp(`^Job ${storeId}-init failed`));
+
+    const [attempt] = provisioningAttempts.getByStoreId(storeId);
+    expect(attempt).toMatchObject({ attempt: 1, outcome: 'failed', error: store.getById(storeId).error_message });
+    expect(Object.keys(JSON.parse(attempt.phases))).toEqual(['helm_install', 'pods']);
+  });
+
+  it('numbers a retry as the next attempt', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/retry`).set(ADMIN);
+    expect(res.status).toBe(202);
+    await waitForStatus(storeId, 'ready');
+
+    expect(provisioningAttempts.getByStoreId(storeId).map(a => [a.attempt, a.outcome])).toEqual([
+      [1, 'failed'],
+      [2, 'ready'],
+    ]);
+  });
+
+  it('reports success rate, retries and percentiles in GET /api/metrics', async () => {
+    const res = await request(app).get('/api/metrics').set(ADMIN);
+    expect(res.status).toBe(200);
+
+    const { provisioning } = res.body;
+    expect(provisioning).toMatchObject({ attempts: 3, succeeded: 2, failed: 1, successRate: 0.667, retries: 1 });
+    expect(provisioning.byEngine.woocommerce).toMatchObject({ attempts: 3, retries: 1 });
+    expect(Object.keys(provisioning.phases)).toEqual(['helm_install', 'pods', 'init']);
+    expect(provisioning.daily).toEqual([
+      expect.objectContaining({ date: new Date().toISOString().slice(0, 10), attempts: 3 }),
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+// Integration tests for role-based access control on store routes.
+// Auth is enabled; keys are issued per role and provisioner is mocked.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  authEnabled: true,
+  authTokens: [{ name: 'bootstrap', token: 'admin-secret-token' }],
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  provisionStore: jest.fn().mockResolvedValue(undefined),
+  deleteStore: jest.fn().mockResolvedValue(undefined),
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { store, backups } = require('../../src/db');
+
+const ADMIN = { Authorization: 'Bearer admin-secret-token' };
+
+let app;
+const keys = {};
+
+async function issueKey(name, role, tenant = 'default') {
+  const res = await request(app)
+    .post('/api/admin/keys')
+    .set(ADMIN)
+    .send({ name, role, tenant });
+  return { Authorization: `Bearer ${res.body.secret}` };
+}
+
+beforeAll(async () => {
+  app = require('../../src/index');
+
+  await request(app).post('/api/admin/tenants').set(ADMIN).send({ id: 'acme' });
+
+  keys.viewer = await issueKey('viewer', 'viewer');
+  keys.operator = await issueKey('operator', 'operator');
+  keys.otherOperator = await issueKey('other-operator', 'operator');
+  keys.tenantAdmin = await issueKey('tenant-admin', 'admin');
+  keys.acmeOperator = await issueKey('acme-operator', 'operator', 'acme');
+});
+
+describe('role assignment', () => {
+  it('rejects an unknown role', async () => {
+    const res = await request(app)
+      .post('/api/admin/keys')
+      .set(ADMIN)
+      .send({ name: 'bad', role: 'superuser' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_ROLE');
+  });
+
+  it('reports the caller role and permissions', async () => {
+    const res = await request(app).get('/api/me').set(keys.viewer);
+    expect(res.status).toBe(200);
+    expect(res.body.identity.role).toBe('viewer');
+    expect(res.body.permissions).toContain('stores:read');
+    expect(res.body.permissions).not.toContain('stores:create');
+  });
+});
+
+describe('viewer', () => {
+  it('can list stores', async () => {
+    const res = await request(app).get('/api/stores').set(keys.viewer);
+    expect(res.status).toBe(200);
+  });
+
+  it('cannot create stores', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .set(keys.viewer)
+      .send({ name: 'Viewer Store' });
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+});
+
+describe('operator', () => {
+  let ownStoreId;
+  let otherStoreId;
+
+  beforeAll(async () => {
+    const own = await request(app).post('/api/stores').set(keys.operator).send({ name: 'Own Store' });
+    ownStoreId = own.body.store.id;
+    const other = await request(app).post('/api/stores').set(keys.otherOperator).send({ name: 'Other Store' });
+    otherStoreId = other.body.store.id;
+  });
+
+  it('cannot delete a store it does not own', async () => {
+    const res = await request(app).delete(`/api/stores/${otherStoreId}`).set(keys.operator);
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+
+  it('cannot retry a store it does not own', async () => {
+    store.updateStatus(otherStoreId, 'failed', 'boom');
+    const res = await request(app).post(`/api/stores/${otherStoreId}/retry`).set(keys.operator);
+    expect(res.status).toBe(403);
+  });
+
+  it('cannot restore a store it does not own into a new one', async () => {
+    backups.create({ id: 'backup-other', storeId: otherStoreId, tenantId: 'default', target: 's3', location: 's3://b/other' });
+    backups.markCompleted('backup-other', { sizeBytes: 1, checksum: 'abc' });
+
+    const res = await request(app)
+      .post(`/api/stores/${otherStoreId}/restore`)
+      .set(keys.operator)
+      .send({ backupId: 'backup-other', into: 'new', name: 'Stolen Copy' });
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+
+  it('can delete its own store', async () => {
+    const res = await request(app).delete(`/api/stores/${ownStoreId}`).set(keys.operator);
+    expect(res.status).toBe(202);
+  });
+
+  it('cannot manage API keys', async () => {
+    const res = await request(app).get('/api/admin/keys').set(keys.operator);
+    expect(res.status).toBe(403);
+  });
+
+  it('only sees audit entries for its own tenant', async () => {
+    await request(app).post('/api/stores').set(keys.acmeOperator).send({ name: 'Acme Store' });
+
+    const res = await request(app).get('/api/audit').set(keys.operator);
+    expect(res.status).toBe(200);
+    expect(res.body.audit.length).toBeGreaterThan(0);
+    expect(res.body.audit.every(e => e.store_id)).toBe(true);
+    expect(res.body.audit.some(e => e.details.includes('Acme Store'))).toBe(false);
+  });
+});
+
+describe('admin', () => {
+  it('can delete a store it does not own', async () => {
+    const other = await request(app).post('/api/stores').set(keys.otherOperator).send({ name: 'Admin Target' });
+    const res = await request(app).delete(`/api/stores/${other.body.store.id}`).set(keys.tenantAdmin);
+    expect(res.status).toBe(202);
+  });
+
+  it('sees audit entries across tenants', async () => {
+    const res = await request(app).get('/api/audit').set(keys.tenantAdmin);
+    expect(res.body.audit.some(e => e.details.includes('Acme Store'))).toBe(true);
+    expect(res.body.audit.some(e => e.action === 'api_key_created')).toBe(true);
+  });
+});
@@ -0,0 +1,247 @@
+// Integration tests for soft delete — DELETE with a grace period scales the
+// store to zero, undelete brings it back, and the reaper (ticked with an
+// explicit clock) finishes deletions whose grace period ran out.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 'pvc',
+  backupPvcSize: '5Gi',
+  backupS3: {
+    endpoint: 'http://minio.minio.svc:9000',
+    bucket: 'store-backups',
+    region: 'us-east-1',
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+  },
+  backupTimeoutMs: 5000,
+  backupPollIntervalMs: 10,
+  deleteGracePeriodMs: 3600000,
+  reaperIntervalMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+  getReplicas: jest.fn(),
+  scale: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const config = require('../../src/config');
+const helm = require('../../src/utils/helmClient');
+const kubectl = require('../../src/utils/kubectlClient');
+const provisioner = require('../../src/services/provisioner');
+const reaper = require('../../src/services/reaper');
+const { store, audit } = require('../../src/db');
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+beforeEach(() => {
+  kubectl.scale.mockClear();
+  helm.uninstall.mockClear();
+  kubectl.getReplicas.mockImplementation(async (namespace) => ({
+    [`deployment/${namespace}-wordpress`]: 2,
+    [`statefulset/${namespace}-mysql`]: 1,
+  }));
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+}
+
+async function readyStore(name) {
+  const res = await request(app).post('/api/stores').send({ name });
+  await waitFor(() => store.getById(res.body.store.id).status === 'ready');
+  return res.body.store.id;
+}
+
+async function softDelete(id) {
+  const res = await request(app).delete(`/api/stores/${id}`);
+  expect(res.status).toBe(202);
+  await waitFor(() => store.getById(id).status === 'pending_deletion');
+  return res;
+}
+
+describe('DELETE /api/stores/:id with a grace period', () => {
+  let storeId;
+
+  beforeAll(async () => {
+    storeId = await readyStore('Soft Deleted');
+  });
+
+  it('scales the store to zero instead of uninstalling it', async () => {
+    const before = Date.now();
+    const res = await softDelete(storeId);
+    expect(res.body).toMatchObject({ storeId, gracePeriodMs: 3600000 });
+
+    expect(kubectl.scale.mock.calls).toEqual([
+      [storeId, `deployment/${storeId}-wordpress`, 0],
+      [storeId, `statefulset/${storeId}-mysql`, 0],
+    ]);
+    expect(helm.uninstall).not.toHaveBeenCalled();
+
+    const record = store.getById(storeId);
+    expect(new Date(record.delete_after).getTime()).toBeGreaterThanOrEqual(before + 3600000);
+    expect(JSON.parse(record.suspended_replicas)).toEqual({
+      [`deployment/${storeId}-wordpress`]: 2,
+      [`statefulset/${storeId}-mysql`]: 1,
+    });
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'soft_delete');
+    expect(JSON.parse(entry.details)).toEqual({ deleteAfter: record.delete_after });
+  });
+
+  it('does not count towards the store quota', () => {
+    expect(store.getActiveCount()).toBe(0);
+  });
+
+  it('refuses a second delete without force', async () => {
+    const res = await request(app).delete(`/api/stores/${storeId}`);
+    expect(res.status).toBe(409);
+  });
+
+  it('leaves stores alone until the grace period ends', () => {
+    expect(reaper.tick(new Date())).toBe(0);
+  });
+
+  it('undeletes with the original replica counts', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/undelete`);
+    expect(res.status).toBe(202);
+    await waitFor(() => store.getById(storeId).status === 'ready');
+
+    expect(kubectl.scale.mock.calls).toEqual([
+      [storeId, `deployment/${storeId}-wordpress`, 2],
+      [storeId, `statefulset/${storeId}-mysql`, 1],
+    ]);
+
+    const record = store.getById(storeId);
+    expect(record.delete_after).toBeNull();
+    expect(record.suspended_replicas).toBeNull();
+    expect(audit.getByStoreId(storeId).some(e => e.action === 'undelete')).toBe(true);
+  });
+
+  it('only undeletes stores pending deletion', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/undelete`);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('INVALID_STATE_TRANSITION');
+  });
+});
+
+describe('reaper', () => {
+  it('queues deletion once the grace period has ended', async () => {
+    const storeId = await readyStore('Reaped');
+    await softDelete(storeId);
+
+    const later = new Date(Date.now() + 3600000 + 1000);
+    expect(reaper.tick(later)).toBe(1);
+
+    // Not yet due by the wall clock, so the queued job leaves it alone
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(store.getById(storeId).status).toBe('pending_deletion');
+  });
+
+  it('finishes the deletion when the store is due', async () => {
+    const storeId = await readyStore('Expired');
+    config.deleteGracePeriodMs = 1;  // due as soon as it's soft-deleted
+    try {
+      await softDelete(storeId);
+    } finally {
+      config.deleteGracePeriodMs = 3600000;
+    }
+
+    expect(reaper.tick()).toBeGreaterThanOrEqual(1);
+    await waitFor(() => store.getById(storeId).status === 'deleted');
+    expect(helm.uninstall).toHaveBeenCalledWith({ releaseName: storeId, namespace: storeId });
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'delete');
+    expect(entry.actor).toBe('reaper');
+  });
+
+  it('skips a queued deletion when the store was undeleted first', async () => {
+    const storeId = await readyStore('Rescued');
+    config.deleteGracePeriodMs = 1;
+    try {
+      await softDelete(storeId);
+    } finally {
+      config.deleteGracePeriodMs = 3600000;
+    }
+
+    store.markUndeleted(storeId);
+    await provisioner.deleteStore(storeId, { actor: 'reaper', payload: { expired: true } });
+    expect(store.getById(storeId).status).toBe('ready');
+  });
+});
+
+describe('force delete', () => {
+  it('deletes a pending store immediately', async () => {
+    const storeId = await readyStore('Forced');
+    await softDelete(storeId);
+
+    const res = await request(app).delete(`/api/stores/${storeId}?force=true`);
+    expect(res.status).toBe(202);
+    await waitFor(() => store.getById(storeId).status === 'deleted');
+  });
+
+  it('skips the grace period for a ready store', async () => {
+    const storeId = await readyStore('Forced Ready');
+    const res = await request(app).delete(`/api/stores/${storeId}?force=true`);
+    expect(res.status).toBe(202);
+    await waitFor(() => store.getById(storeId).status === 'deleted');
+    expect(kubectl.scale).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+// Integration tests for listing stores — filters, sorting, cursor pagination
+// and the deleted-store opt-in on GET /api/stores. Stores are seeded directly
+// with spread-out creation times.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/services/provisioner', () => ({
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getEngine: jest.fn().mockReturnValue({
+    validate: () => ({ valid: true }),
+  }),
+  getOperationStatus: jest.fn().mockReturnValue(null),
+  recoverOnStartup: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const { db, store } = require('../../src/db');
+
+const SEED = [
+  { id: 'store-a', name: 'Alpha Shop', engine: 'woocommerce', status: 'ready', owner: 'anonymous', createdAt: '2026-01-01 10:00:00' },
+  { id: 'store-b', name: 'beta_outlet', engine: 'medusa', status: 'failed', owner: 'key:other', createdAt: '2026-01-02 10:00:00' },
+  { id: 'store-c', name: 'Gamma Shop', engine: 'woocommerce', status: 'hibernated', owner: 'anonymous', createdAt: '2026-01-03 10:00:00' },
+  { id: 'store-d', name: 'Delta 100%', engine: 'woocommerce', status: 'ready', owner: 'key:other', createdAt: '2026-01-03 10:00:00' },
+  { id: 'store-e', name: 'Echo Shop', engine: 'woocommerce', status: 'deleted', owner: 'anonymous', createdAt: '2026-01-04 10:00:00' },
+  { id: 'store-f', name: 'Foxtrot', engine: 'woocommerce', status: 'ready', owner: 'anonymous', createdAt: '2026-01-05 10:00:00', tenantId: 'acme' },
+];
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+
+  db.prepare("INSERT INTO tenants (id, name, tier) VALUES ('acme', 'Acme', 'standard')").run();
+  const backdate = db.prepare('UPDATE stores SET status = ?, owner = ?, created_at = ?, updated_at = ? WHERE id = ?');
+  for (const s of SEED) {
+    store.create({ id: s.id, name: s.name, engine: s.engine, namespace: s.id, helmRelease: s.id, tenantId: s.tenantId });
+    backdate.run(s.status, s.owner, s.createdAt, s.createdAt, s.id);
+  }
+});
+
+async function list(query = '') {
+  const res = await request(app).get(`/api/stores${query}`);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+const ids = (body) => body.stores.map(s => s.id);
+
+describe('GET /api/stores', () => {
+  it('lists the tenant\'s stores newest first, without deleted ones', async () => {
+    const body = await list();
+    expect(ids(body)).toEqual(['store-d', 'store-c', 'store-b', 'store-a']);
+    expect(body.nextCursor).toBeNull();
+  });
+
+  it('includes deleted stores on request', async () => {
+    expect(ids(await list('?include_deleted=true'))).toContain('store-e');
+  });
+
+  it('filters by status, engine and owner', async () => {
+    expect(ids(await list('?status=ready,failed'))).toEqual(['store-d', 'store-b', 'store-a']);
+    expect(ids(await list('?engine=medusa'))).toEqual(['store-b']);
+    expect(ids(await list('?owner=me'))).toEqual(['store-c', 'store-a']);
+    expect(ids(await list('?owner=key:other&status=ready'))).toEqual(['store-d']);
+  });
+
+  it('searches names case-insensitively, matching wildcards literally', async () => {
+    expect(ids(await list('?q=shop'))).toEqual(['store-c', 'store-a']);
+    expect(ids(await list('?q=100%25'))).toEqual(['store-d']);
+    expect(ids(await list('?q=_'))).toEqual(['store-b']);
+  });
+
+  it('filters by creation time', async () => {
+    expect(ids(await list('?created_after=2026-01-02T00:00:00Z&created_before=2026-01-03T12:00:00Z')))
+      .toEqual(['store-d', 'store-c', 'store-b']);
+  });
+
+  it('sorts names ascending and case-insensitively', async () => {
+    expect(ids(await list('?sort=name'))).toEqual(['store-a', 'store-b', 'store-d', 'store-c']);
+    expect(ids(await list('?sort=name&order=desc&limit=3'))).toEqual(['store-c', 'store-d', 'store-b']);
+    expect(ids(await list('?sort=created_at&order=asc'))).toEqual(['store-a', 'store-b', 'store-c', 'store-d']);
+  });
+
+  it('pages with a cursor, breaking ties by id', async () => {
+    const first = await list('?limit=2');
+    expect(ids(first)).toEqual(['store-d', 'store-c']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await list(`?limit=2&cursor=${first.nextCursor}`);
+    expect(ids(second)).toEqual(['store-b', 'store-a']);
+    expect(second.nextCursor).toBeNull();
+
+    const byName = await list('?sort=name&limit=2');
+    expect(ids(await list(`?sort=name&limit=2&cursor=${byName.nextCursor}`))).toEqual(['store-d', 'store-c']);
+  });
+
+  it('keeps filters across pages', async () => {
+    const first = await list('?status=ready&limit=1&include_deleted=true');
+    const second = await list(`?status=ready&limit=1&include_deleted=true&cursor=${first.nextCursor}`);
+    expect([...ids(first), ...ids(second)]).toEqual(['store-d', 'store-a']);
+  });
+
+  it.each([
+    ['?status=sleeping', /Unknown status: sleeping/],
+    ['?sort=engine', /'sort' must be one of/],
+    ['?order=up', /'order'/],
+    ['?limit=0', /'limit'/],
+    ['?limit=500', /'limit'/],
+    ['?created_after=yesterday', /'created_after' must be an ISO date/],
+    ['?include_deleted=yes', /'include_deleted'/],
+    ['?cursor=not-a-cursor', /Invalid cursor/],
+    ['?status=ready&status=failed', /'status' must be given once/],
+  ])('rejects %s', async (query, message) => {
+    const res = await request(app).get(`/api/stores${query}`);
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_QUERY');
+    expect(res.body.error.message).toMatch(message);
+  });
+});
@@ -7,9 +7,20 @@ jest.mock('../../src/config', () => ({
   dbPath: ':memory:',
   helmChartPath: '/app/charts/woocommerce-chart',
   kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
   baseDomain: '127.0.0.1.nip.io',
   maxStores: 3,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    free: { maxStores: 1, maxResources: { cpu: '4', memory: '4Gi', storage: '8Gi' } },
+    standard: { maxStores: 10, maxResources: null },
+  },
   provisionTimeoutMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
   rateLimitWindowMs: 60000,
   rateLimitMaxRequests: 100,
   rateLimitMaxCreates: 100,
@@ -21,6 +32,9 @@ jest.mock('../../src/config', () => ({
 jest.mock('../../src/services/provisioner', () => ({
   provisionStore: jest.fn().mockResolvedValue(undefined),
   deleteStore: jest.fn().mockResolvedValue(undefined),
+  enqueue: jest.fn(),
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
   getEngine: jest.fn().mockReturnValue({
     validate: () => ({ valid: true }),
   }),
@@ -28,7 +42,10 @@ jest.mock('../../src/services/provisioner', () => ({
   recoverOnStartup: jest.fn().mockResolvedValue(undefined),
 }));
 
+const http = require('http');
 const request = require('supertest');
+const provisioner = require('../../src/services/provisioner');
+const { db } = require('../../src/db');
 
 let app;
 
@@ -45,6 +62,44 @@ describe('GET /api/health', () => {
   });
 });
 
+describe('POST /api/stores creation parameters', () => {
+  // Stores made here are removed again, so the quota tests below start from an empty table
+  afterEach(() => {
+    db.prepare('DELETE FROM stores').run();
+  });
+
+  it('stores creation parameters with the engine defaults filled in', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .send({
+        name: 'Euro Store',
+        parameters: { siteTitle: 'Euro Shop, Ltd.', currency: 'EUR', country: 'DE', sampleData: false },
+      });
+
+    expect(res.status).toBe(201);
+    expect(JSON.parse(res.body.store.parameters)).toEqual({
+      siteTitle: 'Euro Shop, Ltd.',
+      adminUser: 'admin',
+      adminEmail: 'admin@test.com',
+      currency: 'EUR',
+      country: 'DE',
+      sampleData: false,
+    });
+  });
+
+  it('rejects parameters the engine schema does not allow', async () => {
+    const res = await request(app)
+      .post('/api/stores')
+      .send({ name: 'Bad Params', parameters: { currency: 'euro', adminEmail: 'nobody', theme: 'dark' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PARAMETERS');
+    expect(res.body.error.message).toContain("'currency' has an invalid format");
+    expect(res.body.error.message).toContain("'adminEmail' has an invalid format");
+    expect(res.body.error.message).toContain("'theme' is not a recognised field");
+  });
+});
+
 describe('POST /api/stores', () => {
   it('creates a store with valid input', async () => {
     const res = await request(app)
@@ -56,6 +111,7 @@ describe('POST /api/stores', () => {
     expect(res.body.store.name).toBe('My Test Store');
     expect(res.body.store.status).toBe('queued');
     expect(res.body.store.engine).toBe('woocommerce');
+    expect(provisioner.enqueue).toHaveBeenCalledWith(res.body.store.id, 'provision', 'anonymous');
   });
 
   it('rejects missing name', async () => {
@@ -141,6 +197,41 @@ describe('DELETE /api/stores/:id', () => {
     const res = await request(app).delete('/api/stores/store-nonexistent');
     expect(res.status).toBe(404);
   });
+
+  it('queues a delete job', async () => {
+    const storesRes = await request(app).get('/api/stores');
+    const storeId = storesRes.body.stores[0].id;
+
+    const res = await request(app).delete(`/api/stores/${storeId}`);
+    expect(res.status).toBe(202);
+    expect(provisioner.enqueue).toHaveBeenCalledWith(storeId, 'delete', 'anonymous');
+  });
+
+  it('rejects delete while a delete job is already queued', async () => {
+    const storesRes = await request(app).get('/api/stores');
+    const storeId = storesRes.body.stores[0].id;
+    provisioner.getOperationStatus.mockReturnValueOnce('delete');
+
+    const res = await request(app).delete(`/api/stores/${storeId}`);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('OPERATION_IN_PROGRESS');
+  });
+});
+
+describe('GET /api/engines', () => {
+  it('lists registered engines with metadata', async () => {
+    const res = await request(app).get('/api/engines');
+    expect(res.status).toBe(200);
+    expect(res.body.defaultEngine).toBe('woocommerce');
+
+    const names = res.body.engines.map(e => e.name);
+    expect(names).toEqual(expect.arrayContaining(['woocommerce', 'medusa']));
+
+    const woo = res.body.engines.find(e => e.name === 'woocommerce');
+    expect(woo.displayName).toBeDefined();
+    expect(woo.parameters.type).toBe('object');
+    expect(woo.available).toBe(true);
+  });
 });
 
 describe('GET /api/audit', () => {
@@ -161,6 +252,63 @@ describe('GET /api/metrics', () => {
   });
 });
 
+describe('GET /api/events', () => {
+  let server;
+
+  beforeAll(done => {
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  // Opens an SSE stream and resolves with the raw text once `until` matches.
+  function readStream(headers, until, onOpen = () => {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({
+        port: server.address().port,
+        path: '/api/events',
+        headers,
+      }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (until.test(body)) {
+            req.destroy();
+            resolve({ res, body });
+          }
+        });
+        onOpen();
+      });
+      req.on('error', reject);
+    });
+  }
+
+  it('streams store and audit events as they are written', async () => {
+    const { store } = require('../../src/db');
+    const [record] = store.getAll();
+
+    const { res, body } = await readStream({}, /event: audit[\s\S]*"action":"status_change"/, () => {
+      store.updateStatus(record.id, 'failed', 'streamed failure');
+    });
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(body).toMatch(/event: store\ndata: .*"error_message":"streamed failure"/);
+  });
+
+  it('replays missed events after Last-Event-ID', async () => {
+    const { body } = await readStream({ 'Last-Event-ID': '0' }, /event: store/);
+    expect(body).toMatch(/id: 1\n/);
+  });
+
+  it('asks the client to resync when the ID is unknown', async () => {
+    const { body } = await readStream({ 'Last-Event-ID': '999999' }, /event: resync/);
+    expect(body).toContain('event: resync');
+  });
+});
+
 describe('error responses', () => {
   it('returns structured error for malformed JSON', async () => {
     const res = await request(app)
@@ -0,0 +1,205 @@
+// Integration tests for ephemeral stores — ttl/expiresAt on create, the
+// extend endpoint, and the reaper (ticked with an explicit clock) deleting
+// stores whose TTL ran out.
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 10,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  backupTarget: 'pvc',
+  backupPvcSize: '5Gi',
+  backupS3: {
+    endpoint: 'http://minio.minio.svc:9000',
+    bucket: 'store-backups',
+    region: 'us-east-1',
+    accessKey: 'minio',
+    secretKey: 'minio-secret',
+  },
+  backupTimeoutMs: 5000,
+  backupPollIntervalMs: 10,
+  deleteGracePeriodMs: 3600000,
+  reaperIntervalMs: 60000,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn().mockResolvedValue({ installed: true }),
+  status: jest.fn().mockResolvedValue({ version: 1 }),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn().mockResolvedValue(null),
+  getReplicas: jest.fn(),
+  scale: jest.fn().mockResolvedValue(undefined),
+}));
+
+const request = require('supertest');
+const helm = require('../../src/utils/helmClient');
+const provisioner = require('../../src/services/provisioner');
+const reaper = require('../../src/services/reaper');
+const { store, audit } = require('../../src/db');
+
+const HOUR = 60 * 60 * 1000;
+
+let app;
+
+beforeAll(() => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+}
+
+async function createStore(body) {
+  const res = await request(app).post('/api/stores').send(body);
+  expect(res.status).toBe(201);
+  await waitFor(() => store.getById(res.body.store.id).status === 'ready');
+  return res.body.store;
+}
+
+describe('POST /api/stores with a TTL', () => {
+  it('sets expires_at from a duration', async () => {
+    const before = Date.now();
+    const created = await createStore({ name: 'Demo', ttl: '2h' });
+
+    const expiresAt = Date.parse(created.expires_at);
+    expect(expiresAt).toBeGreaterThanOrEqual(before + 2 * HOUR);
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 2 * HOUR);
+
+    const entry = audit.getByStoreId(created.id).find(e => e.action === 'create');
+    expect(JSON.parse(entry.details).expiresAt).toBe(created.expires_at);
+  });
+
+  it('accepts a TTL in seconds and an absolute expiresAt', async () => {
+    const bySeconds = await createStore({ name: 'Seconds', ttl: 600 });
+    expect(Date.parse(bySeconds.expires_at)).toBeGreaterThan(Date.now() + 590 * 1000);
+
+    const at = new Date(Date.now() + 3 * HOUR).toISOString();
+    const absolute = await createStore({ name: 'Absolute', expiresAt: at });
+    expect(absolute.expires_at).toBe(at);
+  });
+
+  it('keeps stores without a TTL indefinitely', async () => {
+    const created = await createStore({ name: 'Permanent' });
+    expect(created.expires_at).toBeNull();
+  });
+
+  it.each([
+    [{ ttl: '5y' }],
+    [{ ttl: -1 }],
+    [{ ttl: 0 }],
+    [{ ttl: '1h', expiresAt: new Date(Date.now() + HOUR).toISOString() }],
+    [{ expiresAt: '2001-01-01T00:00:00Z' }],
+    [{ expiresAt: 'tomorrow' }],
+    [{ ttl: '91d' }],
+  ])('rejects %j', async (expiry) => {
+    const res = await request(app).post('/api/stores').send({ name: 'Bad TTL', ...expiry });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_TTL');
+  });
+});
+
+describe('POST /api/stores/:id/extend', () => {
+  let storeId;
+
+  beforeAll(async () => {
+    storeId = (await createStore({ name: 'Extendable', ttl: '1h' })).id;
+  });
+
+  it('adds the TTL to the current expiry', async () => {
+    const previous = store.getById(storeId).expires_at;
+    const res = await request(app).post(`/api/stores/${storeId}/extend`).send({ ttl: '1d' });
+    expect(res.status).toBe(200);
+    expect(Date.parse(res.body.store.expires_at)).toBe(Date.parse(previous) + 24 * HOUR);
+
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'expiry_extended');
+    expect(JSON.parse(entry.details)).toEqual({ expiresAt: res.body.store.expires_at, previous });
+  });
+
+  it('clears the expiry with expiresAt: null', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/extend`).send({ expiresAt: null });
+    expect(res.status).toBe(200);
+    expect(res.body.store.expires_at).toBeNull();
+  });
+
+  it('needs a ttl or expiresAt', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/extend`).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_TTL');
+  });
+});
+
+describe('reaper', () => {
+  it('leaves stores alone until they expire', async () => {
+    await createStore({ name: 'Not Yet', ttl: '1h' });
+    expect(reaper.tick(new Date())).toBe(0);
+  });
+
+  it('deletes expired stores and audits the expiry', async () => {
+    const created = await createStore({ name: 'Expiring', ttl: '1h' });
+    store.setExpiry(created.id, new Date(Date.now() - 1000).toISOString());
+    helm.uninstall.mockClear();
+
+    expect(reaper.tick()).toBeGreaterThanOrEqual(1);
+    await waitFor(() => store.getById(created.id).status === 'deleted');
+    expect(helm.uninstall).toHaveBeenCalledWith({ releaseName: created.id, namespace: created.id });
+
+    const entries = audit.getByStoreId(created.id);
+    const expired = entries.find(e => e.action === 'expired');
+    expect(expired.actor).toBe('reaper');
+    expect(entries.find(e => e.action === 'delete').actor).toBe('reaper');
+  });
+
+  it('skips a queued expiry when the store was extended first', async () => {
+    const created = await createStore({ name: 'Extended in Time', ttl: '1h' });
+    await provisioner.deleteStore(created.id, { actor: 'reaper', payload: { ttlExpired: true } });
+
+    expect(store.getById(created.id).status).toBe('ready');
+    expect(audit.getByStoreId(created.id).some(e => e.action === 'expired')).toBe(false);
+  });
+});
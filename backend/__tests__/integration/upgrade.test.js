@@ -0,0 +1,354 @@
+// Integration tests for store upgrades and rollbacks — real provisioner + job
+// worker, in-memory SQLite, and a stubbed helm client that keeps a revision
+// history the way helm does (every install/upgrade/rollback is a new revision).
+
+jest.mock('../../src/config', () => ({
+  port: 0,
+  nodeEnv: 'test',
+  dbPath: ':memory:',
+  helmChartPath: '/app/charts/woocommerce-chart',
+  medusaChartPath: '/nonexistent/medusa-chart',
+  kubeconfig: '',
+  engineDir: require('path').resolve(__dirname, '../../src/services/storeEngines'),
+  defaultEngine: 'woocommerce',
+  baseDomain: '127.0.0.1.nip.io',
+  maxStores: 5,
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+  tenantTiers: {
+    standard: { maxStores: 10, maxResources: null },
+  },
+  provisionTimeoutMs: 60000,
+  jobConcurrency: 2,
+  jobPollIntervalMs: 50,
+  jobLeaseMs: 60000,
+  jobMaxAttempts: 3,
+  sseKeepAliveMs: 15000,
+  sseRetryMs: 3000,
+  rateLimitWindowMs: 60000,
+  rateLimitMaxRequests: 100,
+  rateLimitMaxCreates: 50,
+  wpAdminUser: 'admin',
+  wpAdminEmail: 'admin@test.com',
+}));
+
+// Values passed at each revision, index 0 = revision 1
+const mockReleaseValues = [];
+// The admin Secret, re-rendered from the release values on rollback as helm would
+const mockSecret = {
+  'admin-user': 'admin',
+  'admin-password': 'rotatedPass456',
+  'admin-email': 'admin@test.com',
+};
+
+jest.mock('../../src/utils/helmClient', () => ({
+  install: jest.fn(async ({ values }) => {
+    mockReleaseValues.push(values);
+    return { installed: true };
+  }),
+  upgrade: jest.fn(async ({ values }) => {
+    mockReleaseValues.push({ ...mockReleaseValues[mockReleaseValues.length - 1], ...values });
+    return { upgraded: true };
+  }),
+  rollback: jest.fn(async ({ revision }) => {
+    mockReleaseValues.push(mockReleaseValues[revision - 1]);
+    mockSecret['admin-password'] = mockReleaseValues[revision - 1]['wordpress.adminPassword'];
+    return { rolledBack: true };
+  }),
+  status: jest.fn(async () => ({ version: mockReleaseValues.length })),
+  history: jest.fn(async () => mockReleaseValues.map((_, i) => ({
+    revision: i + 1,
+    status: i === mockReleaseValues.length - 1 ? 'deployed' : 'superseded',
+    updated: '2024-01-01T00:00:00Z',
+    chart: 'woocommerce-0.1.0',
+    app_version: '1.0.0',
+    description: i === 0 ? 'Install complete' : 'Upgrade complete',
+  }))),
+  getValues: jest.fn(async (release, namespace, revision) => mockReleaseValues[revision - 1]),
+  uninstall: jest.fn().mockResolvedValue({ uninstalled: true }),
+  releaseExists: jest.fn().mockResolvedValue(false),
+  listReleases: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/utils/kubectlClient', () => ({
+  namespaceExists: jest.fn().mockResolvedValue(true),
+  deleteNamespace: jest.fn().mockResolvedValue(undefined),
+  getPodStatuses: jest.fn().mockResolvedValue([]),
+  allPodsReady: jest.fn().mockResolvedValue(true),
+  jobCompleted: jest.fn().mockResolvedValue(true),
+  jobFailed: jest.fn().mockResolvedValue(false),
+  getEvents: jest.fn().mockResolvedValue([]),
+  getSecret: jest.fn(async () => ({ ...mockSecret })),
+  patchSecret: jest.fn(async (namespace, name, stringData) => Object.assign(mockSecret, stringData)),
+  exec: jest.fn().mockResolvedValue(''),
+}));
+
+const request = require('supertest');
+const helm = require('../../src/utils/helmClient');
+const provisioner = require('../../src/services/provisioner');
+const { store, audit, revisions, plans } = require('../../src/db');
+
+let app;
+let storeId;
+
+beforeAll(async () => {
+  app = require('../../src/index');
+  provisioner.startWorker();
+
+  const res = await request(app).post('/api/stores').send({ name: 'Upgradable Store' });
+  storeId = res.body.store.id;
+  await waitForStatus(storeId, 'ready');
+});
+
+afterAll(() => {
+  provisioner.stopWorker();
+});
+
+async function waitForStatus(id, status, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const record = store.getById(id);
+    if (record?.status === status) return record;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Store ${id} did not reach '${status}'`);
+}
+
+describe('PATCH /api/stores/:id', () => {
+  it('records engine default settings at creation', () => {
+    expect(JSON.parse(store.getById(storeId).settings)).toEqual({
+      wordpressVersion: '6.4', plan: 'small',
+    });
+    expect(helm.install.mock.calls[0][0].values['wordpress.image']).toBe('wordpress:6.4-apache');
+  });
+
+  it('sizes the install from the default plan', () => {
+    expect(helm.install.mock.calls[0][0].values).toMatchObject({
+      'resourceQuota.limits.cpu': '2',
+      'resourceQuota.limits.memory': '2Gi',
+      'resourceQuota.limits.storage': '4Gi',
+      'wordpress.storage.size': '2Gi',
+      'mysql.storage.size': '2Gi',
+      'wordpress.resources.limits.cpu': '500m',
+      'wordpress.resources.limits.memory': '512Mi',
+    });
+  });
+
+  it('installs with the default creation parameters', () => {
+    expect(JSON.parse(store.getById(storeId).parameters)).toEqual({
+      adminUser: 'admin', adminEmail: 'admin@test.com', currency: 'USD', country: 'US:CA', sampleData: true,
+    });
+    expect(helm.install.mock.calls[0][0].values).toMatchObject({
+      'wordpress.siteTitle': 'Upgradable Store',
+      'wordpress.adminEmail': 'admin@test.com',
+      'woocommerce.currency': 'USD',
+      'woocommerce.sampleData': true,
+    });
+  });
+
+  it('rejects unknown and malformed settings', async () => {
+    const res = await request(app)
+      .patch(`/api/stores/${storeId}`)
+      .send({ wordpressVersion: 'latest', replicas: 3 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_SETTINGS');
+    expect(res.body.error.message).toContain("'wordpressVersion' has an invalid format");
+    expect(res.body.error.message).toContain("'replicas' is not a recognised field");
+  });
+
+  it('rejects an empty change', async () => {
+    const res = await request(app).patch(`/api/stores/${storeId}`).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_SETTINGS');
+  });
+
+  it('rejects an unknown plan', async () => {
+    const res = await request(app).patch(`/api/stores/${storeId}`).send({ plan: 'huge' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PLAN');
+  });
+
+  it('rejects a plan with smaller volumes', async () => {
+    plans.create({ id: 'tiny', name: 'Tiny', cpu: '4', memory: '4Gi', storage: '1Gi', dbStorage: '2Gi' });
+
+    const res = await request(app).patch(`/api/stores/${storeId}`).send({ plan: 'tiny' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PLAN');
+    expect(res.body.error.message).toContain("smaller storage than 'small'");
+  });
+
+  it('upgrades the release with merged settings', async () => {
+    const res = await request(app)
+      .patch(`/api/stores/${storeId}`)
+      .send({ plan: 'medium', wordpressVersion: '6.5' });
+    expect(res.status).toBe(202);
+
+    await waitForStatus(storeId, 'ready');
+    const record = store.getById(storeId);
+    expect(JSON.parse(record.settings)).toEqual({
+      wordpressVersion: '6.5', plan: 'medium',
+    });
+
+    const { releaseName, namespace, values } = helm.upgrade.mock.calls[0][0];
+    expect(releaseName).toBe(storeId);
+    expect(namespace).toBe(storeId);
+    expect(values['wordpress.image']).toBe('wordpress:6.5-apache');
+    expect(values['resourceQuota.limits.cpu']).toBe('4');
+    expect(values['wordpress.resources.limits.memory']).toBe('1Gi');
+    expect(values['wordpress.storage.size']).toBe('5Gi');
+    // The database volume is fixed at install
+    expect(values['mysql.storage.size']).toBeUndefined();
+  });
+
+  it('records the settings behind each revision', () => {
+    expect(revisions.getSettings(storeId, 1).plan).toBe('small');
+    expect(revisions.getSettings(storeId, 2).plan).toBe('medium');
+  });
+
+  it('carries the current admin password into the upgrade', () => {
+    const { values } = helm.upgrade.mock.calls[0][0];
+    expect(values['wordpress.adminPassword']).toBe('rotatedPass456');
+  });
+
+  it('audits the request and the applied change', () => {
+    const actions = audit.getByStoreId(storeId).map(e => e.action);
+    expect(actions).toContain('update_requested');
+    expect(actions).toContain('update');
+  });
+
+  it('passes through the updating state', () => {
+    const statuses = audit.getByStoreId(storeId)
+      .filter(e => e.action === 'status_change')
+      .map(e => JSON.parse(e.details).status);
+    expect(statuses).toContain('updating');
+  });
+
+  it('marks the store failed with the previous revision intact when the upgrade fails', async () => {
+    helm.upgrade.mockRejectedValueOnce(new Error('Helm command failed: timed out waiting for the condition'));
+
+    const res = await request(app)
+      .patch(`/api/stores/${storeId}`)
+      .send({ plan: 'large' });
+    expect(res.status).toBe(202);
+
+    const failed = await waitForStatus(storeId, 'failed');
+    expect(failed.error_message).toContain('revision 2 is still deployed');
+    expect(JSON.parse(failed.settings).plan).toBe('medium');
+  });
+
+  it('only updates ready stores', async () => {
+    const res = await request(app)
+      .patch(`/api/stores/${storeId}`)
+      .send({ plan: 'large' });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('INVALID_STATE_TRANSITION');
+  });
+
+  it('rejects engines without update support', async () => {
+    store.create({
+      id: 'store-medusa', name: 'Medusa', engine: 'medusa', namespace: 'store-medusa', helmRelease: 'store-medusa',
+    });
+    store.markReady('store-medusa', 'http://m', 'http://m/app');
+
+    const res = await request(app).patch('/api/stores/store-medusa').send({ plan: 'large' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('UNSUPPORTED_OPERATION');
+  });
+});
+
+describe('GET /api/stores/:id/revisions', () => {
+  let body;
+
+  beforeAll(async () => {
+    const res = await request(app).get(`/api/stores/${storeId}/revisions`);
+    expect(res.status).toBe(200);
+    body = res.body;
+  });
+
+  it('lists revisions newest first with the deployed one marked current', () => {
+    expect(body.revisions.map(r => r.revision)).toEqual([2, 1]);
+    expect(body.current).toBe(2);
+    expect(body.revisions[1].settings.plan).toBe('small');
+  });
+
+  it('diffs values against the previous revision', () => {
+    const change = body.revisions[0].changes.find(c => c.key === 'wordpress.image');
+    expect(change).toEqual({ key: 'wordpress.image', from: 'wordpress:6.4-apache', to: 'wordpress:6.5-apache' });
+    expect(body.revisions[0].changes.some(c => c.key === 'store.id')).toBe(false);
+  });
+
+  it('masks secrets in the diff', () => {
+    const change = body.revisions[0].changes.find(c => c.key === 'wordpress.adminPassword');
+    expect(change).toEqual({ key: 'wordpress.adminPassword', from: '********', to: '********' });
+    expect(JSON.stringify(body)).not.toContain('rotatedPass456');
+  });
+});
+
+describe('POST /api/stores/:id/rollback', () => {
+  it('rejects a missing or malformed revision', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: '1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_REVISION');
+  });
+
+  it('rejects an unknown revision', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 9 });
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toContain('Revision 9 not found');
+  });
+
+  it('rejects the revision that is already deployed', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 2 });
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toContain('already deployed');
+  });
+
+  it('rolls a failed store back and restores that revision\'s settings', async () => {
+    const res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 1 });
+    expect(res.status).toBe(202);
+
+    const record = await waitForStatus(storeId, 'ready');
+    expect(record.error_message).toBeNull();
+    expect(JSON.parse(record.settings)).toEqual({
+      wordpressVersion: '6.4', plan: 'small',
+    });
+    expect(helm.rollback).toHaveBeenCalledWith(expect.objectContaining({ releaseName: storeId, revision: 1 }));
+    expect(revisions.getSettings(storeId, 3).plan).toBe('small');
+  });
+
+  it('audits the rollback with both revisions', () => {
+    const entry = audit.getByStoreId(storeId).find(e => e.action === 'rollback');
+    expect(JSON.parse(entry.details)).toEqual({ fromRevision: 2, toRevision: 1 });
+  });
+
+  it('marks the store failed when helm rollback fails', async () => {
+    helm.rollback.mockRejectedValueOnce(new Error('Helm command failed: timed out'));
+
+    const res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 2 });
+    expect(res.status).toBe(202);
+
+    const failed = await waitForStatus(storeId, 'failed');
+    expect(failed.error_message).toContain('Rollback to revision 2 failed');
+  });
+});
+
+describe('rollback after a credential rotation', () => {
+  it('keeps the rotated admin password in the Secret', async () => {
+    let res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 1 });
+    expect(res.status).toBe(202);
+    await waitForStatus(storeId, 'ready');
+
+    res = await request(app).post(`/api/stores/${storeId}/credentials/rotate`);
+    expect(res.status).toBe(200);
+    const { password } = res.body.credentials;
+
+    res = await request(app).post(`/api/stores/${storeId}/rollback`).send({ revision: 2 });
+    expect(res.status).toBe(202);
+    await waitForStatus(storeId, 'ready');
+
+    res = await request(app).get(`/api/stores/${storeId}/credentials`);
+    expect(res.body.credentials.password).toBe(password);
+  });
+});
@@ -34,6 +34,20 @@ describe('Errors factory', () => {
     expect(err.code).toBe('CUSTOM');
   });
 
+  it('unauthorized returns 401', () => {
+    const err = Errors.unauthorized('no key');
+    expect(err.statusCode).toBe(401);
+    expect(err.code).toBe('UNAUTHORIZED');
+    expect(err.message).toBe('no key');
+  });
+
+  it('forbidden returns 403', () => {
+    const err = Errors.forbidden('Nope');
+    expect(err.statusCode).toBe(403);
+    expect(err.code).toBe('FORBIDDEN');
+    expect(err.message).toBe('Nope');
+  });
+
   it('notFound formats resource and id', () => {
     const err = Errors.notFound('Store', 'abc-123');
     expect(err.statusCode).toBe(404);
@@ -64,4 +78,18 @@ describe('Errors factory', () => {
     expect(err.statusCode).toBe(429);
     expect(err.message).toContain('10');
   });
+
+  it('quotaExceeded names the tenant whose limit was hit', () => {
+    const err = Errors.quotaExceeded(2, 'acme');
+    expect(err.code).toBe('QUOTA_EXCEEDED');
+    expect(err.message).toContain("Tenant 'acme'");
+    expect(err.message).toContain('2');
+  });
+
+  it('idempotencyKeyReused returns 422 naming the key', () => {
+    const err = Errors.idempotencyKeyReused('retry-1');
+    expect(err.statusCode).toBe(422);
+    expect(err.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(err.message).toContain("'retry-1'");
+  });
 });
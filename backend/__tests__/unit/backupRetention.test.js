@@ -0,0 +1,67 @@
+jest.mock('../../src/config', () => ({
+  dbPath: ':memory:',
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
+}));
+
+const { selectExpired } = require('../../src/services/backupRetention');
+
+// One scheduled backup per day at 03:00 UTC, newest first, ending 2026-03-31 (a Tuesday)
+function daily(count, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(2026, 2, 31 - i, 3));
+    return {
+      id: `bkp-${date.toISOString().slice(0, 10)}`,
+      trigger: 'scheduled',
+      status: 'completed',
+      created_at: date.toISOString().slice(0, 19).replace('T', ' '),
+      ...overrides,
+    };
+  });
+}
+
+const ids = (list) => list.map(b => b.id);
+
+describe('selectExpired', () => {
+  it('keeps everything when no rule has a positive count', () => {
+    expect(selectExpired(daily(10), {})).toEqual([]);
+    expect(selectExpired(daily(10), { daily: 0, weekly: 0 })).toEqual([]);
+  });
+
+  it('keeps the newest backup of each of the last N days', () => {
+    const backups = daily(10);
+    expect(ids(selectExpired(backups, { daily: 7 }))).toEqual(ids(backups.slice(7)));
+  });
+
+  it('keeps one backup per day when a day has several', () => {
+    const backups = [
+      ...daily(1),
+      { ...daily(1)[0], id: 'bkp-earlier', created_at: '2026-03-31 01:00:00' },
+      ...daily(3).slice(1),
+    ];
+    expect(ids(selectExpired(backups, { daily: 3 }))).toEqual(['bkp-earlier']);
+  });
+
+  it('keeps the union of daily, weekly and monthly rules', () => {
+    const backups = daily(60);
+    const kept = backups.filter(b => !ids(selectExpired(backups, { daily: 7, weekly: 4, monthly: 3 })).includes(b.id));
+
+    // 7 days (Mar 25–31), the newest of 4 ISO weeks (Mar 31 and 29 are
+    // already kept, plus Sundays Mar 22 and 15), and of February and January
+    expect(ids(kept)).toEqual([
+      ...ids(backups.slice(0, 7)),
+      'bkp-2026-03-22', 'bkp-2026-03-15',
+      'bkp-2026-02-28', 'bkp-2026-01-31',
+    ]);
+  });
+
+  it('never expires manual, failed or already pruned backups', () => {
+    const backups = [
+      ...daily(2),
+      ...daily(5, { trigger: 'manual' }).slice(2),
+      { ...daily(6)[5], status: 'failed' },
+    ];
+    expect(ids(selectExpired(backups, { daily: 1 }))).toEqual(['bkp-2026-03-30']);
+  });
+});
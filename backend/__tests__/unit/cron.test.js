@@ -0,0 +1,59 @@
+const cron = require('../../src/utils/cron');
+
+const at = (iso) => new Date(iso);
+
+describe('cron.parse', () => {
+  it('parses lists, ranges and steps', () => {
+    const parsed = cron.parse('0,30 9-17 */10 1-6/2 1-5');
+    expect([...parsed.minute]).toEqual([0, 30]);
+    expect([...parsed.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...parsed.dayOfMonth]).toEqual([1, 11, 21, 31]);
+    expect([...parsed.month]).toEqual([1, 3, 5]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('expands macros and treats 7 as Sunday', () => {
+    expect([...cron.parse('@daily').hour]).toEqual([0]);
+    expect(cron.parse('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+  });
+
+  it.each([
+    ['0 0 * *', /5 fields/],
+    ['60 * * * *', /minute/],
+    ['* 24 * * *', /hour/],
+    ['* * 0 * *', /dayOfMonth/],
+    ['* * * 13 *', /month/],
+    ['*/0 * * * *', /minute/],
+    ['5-1 * * * *', /minute/],
+    ['@yearly', /5 fields/],
+  ])('rejects %s', (expression, message) => {
+    expect(() => cron.parse(expression)).toThrow(message);
+  });
+});
+
+describe('cron.next', () => {
+  it('returns the next matching minute strictly after `from`', () => {
+    expect(cron.next('0 3 * * *', at('2026-03-10T02:59:30Z')).toISOString()).toBe('2026-03-10T03:00:00.000Z');
+    expect(cron.next('0 3 * * *', at('2026-03-10T03:00:00Z')).toISOString()).toBe('2026-03-11T03:00:00.000Z');
+    expect(cron.next('*/15 * * * *', at('2026-03-10T10:07:00Z')).toISOString()).toBe('2026-03-10T10:15:00.000Z');
+  });
+
+  it('rolls over months and years', () => {
+    expect(cron.next('@monthly', at('2026-12-15T00:00:00Z')).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(cron.next('30 1 31 * *', at('2026-04-01T00:00:00Z')).toISOString()).toBe('2026-05-31T01:30:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // 2026-03-10 is a Tuesday; the 15th comes before the next Monday (16th)
+    expect(cron.next('0 0 15 * 1', at('2026-03-10T12:00:00Z')).toISOString()).toBe('2026-03-15T00:00:00.000Z');
+    expect(cron.next('0 0 * * 1', at('2026-03-10T12:00:00Z')).toISOString()).toBe('2026-03-16T00:00:00.000Z');
+  });
+
+  it('finds leap days', () => {
+    expect(cron.next('0 0 29 2 *', at('2026-03-01T00:00:00Z')).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('throws for expressions that never fire', () => {
+    expect(() => cron.next('0 0 31 2 *', at('2026-01-01T00:00:00Z'))).toThrow(/never fires/);
+  });
+});
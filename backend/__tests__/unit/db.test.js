@@ -4,14 +4,20 @@ const path = require('path');
 // Override config BEFORE requiring db module
 jest.mock('../../src/config', () => ({
   dbPath: ':memory:',
+  defaultTenant: 'default',
+  defaultTenantTier: 'standard',
+  defaultPlan: 'small',
 }));
 
-let store, audit, metrics, db;
+let store, audit, jobs, tenants, provisioningAttempts, metrics, db;
 
 beforeAll(() => {
   const dbModule = require('../../src/db');
   store = dbModule.store;
   audit = dbModule.audit;
+  jobs = dbModule.jobs;
+  tenants = dbModule.tenants;
+  provisioningAttempts = dbModule.provisioningAttempts;
   metrics = dbModule.metrics;
   db = dbModule.db;
 });
@@ -82,6 +88,39 @@ describe('store operations', () => {
   });
 });
 
+describe('tenant operations', () => {
+  it('seeds the default tenant', () => {
+    const tenant = tenants.getById('default');
+    expect(tenant).toBeDefined();
+    expect(tenant.tier).toBe('standard');
+  });
+
+  it('assigns stores to the default tenant unless given one', () => {
+    expect(store.getById('store-test1').tenant_id).toBe('default');
+  });
+
+  it('scopes listing and active counts by tenant', () => {
+    tenants.create({ id: 'acme', name: 'Acme', tier: 'free' });
+    store.create({
+      id: 'store-acme1', name: 'Acme Store', engine: 'woocommerce',
+      namespace: 'store-acme1', helmRelease: 'store-acme1', tenantId: 'acme', actor: 'key:key-1',
+    });
+
+    expect(store.getAll('acme').map(s => s.id)).toEqual(['store-acme1']);
+    expect(store.getAll('default').map(s => s.id)).not.toContain('store-acme1');
+    expect(store.getActiveCount('acme')).toBe(1);
+    expect(store.getActiveCount('default')).toBe(0);
+    expect(store.getById('store-acme1').owner).toBe('key:key-1');
+  });
+
+  it('updates tier and store override', () => {
+    const updated = tenants.update('acme', { name: 'Acme Inc', tier: 'standard', maxStores: 3 });
+    expect(updated.name).toBe('Acme Inc');
+    expect(updated.tier).toBe('standard');
+    expect(updated.max_stores).toBe(3);
+  });
+});
+
 describe('audit operations', () => {
   it('logs an audit entry', () => {
     audit.log('store-test1', 'test_action', { key: 'value' });
@@ -96,6 +135,74 @@ describe('audit operations', () => {
   });
 });
 
+describe('job queue operations', () => {
+  const LEASE_MS = 60000;
+
+  it('enqueues a pending job', () => {
+    const job = jobs.enqueue('store-job1', 'provision');
+    expect(job.state).toBe('pending');
+    expect(job.attempts).toBe(0);
+    expect(jobs.getActiveForStore('store-job1').id).toBe(job.id);
+  });
+
+  it('does not duplicate an active job of the same type', () => {
+    const first = jobs.getActiveForStore('store-job1');
+    const again = jobs.enqueue('store-job1', 'provision');
+    expect(again.id).toBe(first.id);
+  });
+
+  it('claims a job with a lease and increments attempts', () => {
+    const job = jobs.claim('worker-a', LEASE_MS);
+    expect(job.store_id).toBe('store-job1');
+    expect(job.state).toBe('running');
+    expect(job.lease_owner).toBe('worker-a');
+    expect(job.attempts).toBe(1);
+  });
+
+  it('does not hand out a job with a live lease', () => {
+    expect(jobs.claim('worker-b', LEASE_MS)).toBeNull();
+  });
+
+  it('serializes jobs for the same store', () => {
+    jobs.enqueue('store-job1', 'delete');
+    expect(jobs.claim('worker-b', LEASE_MS)).toBeNull();
+  });
+
+  it('reclaims a job whose heartbeat went stale', () => {
+    const running = jobs.getActiveForStore('store-job1');
+    db.prepare("UPDATE jobs SET heartbeat_at = datetime('now', '-5 minutes') WHERE id = ?").run(running.id);
+
+    const job = jobs.claim('worker-b', LEASE_MS);
+    expect(job.id).toBe(running.id);
+    expect(job.lease_owner).toBe('worker-b');
+    expect(job.attempts).toBe(2);
+  });
+
+  it('only lets the lease owner finish a job', () => {
+    const running = jobs.getActiveForStore('store-job1');
+    jobs.complete(running.id, 'worker-a');
+    expect(jobs.getById(running.id).state).toBe('running');
+
+    jobs.complete(running.id, 'worker-b');
+    expect(jobs.getById(running.id).state).toBe('completed');
+  });
+
+  it('records the error when a job fails', () => {
+    const job = jobs.claim('worker-b', LEASE_MS);
+    expect(job.type).toBe('delete');
+    jobs.fail(job.id, 'worker-b', 'helm exploded');
+
+    const failed = jobs.getById(job.id);
+    expect(failed.state).toBe('failed');
+    expect(failed.last_error).toBe('helm exploded');
+    expect(jobs.getActiveForStore('store-job1')).toBeUndefined();
+  });
+
+  it('counts jobs by state', () => {
+    expect(jobs.getCounts()).toEqual({ completed: 1, failed: 1 });
+  });
+});
+
 describe('metrics operations', () => {
   it('returns structured metrics', () => {
     const data = metrics.getAll();
@@ -107,3 +214,89 @@ describe('metrics operations', () => {
     expect(typeof data.provisioning.totalProvisioned).toBe('number');
   });
 });
+
+describe('provisioning attempts', () => {
+  const at = (iso) => new Date(iso);
+
+  function attempt(storeId, engine, start, finish, outcome, phases = {}) {
+    const id = provisioningAttempts.start(storeId, engine, at(start));
+    provisioningAttempts.finish(id, { outcome, error: outcome === 'failed' ? 'boom' : null, phases }, at(finish));
+    return id;
+  }
+
+  beforeAll(() => {
+    attempt('store-att1', 'woocommerce', '2026-03-01T10:00:00Z', '2026-03-01T10:01:00Z', 'failed',
+      { helm_install: 20000 });
+    attempt('store-att1', 'woocommerce', '2026-03-01T11:00:00Z', '2026-03-01T11:02:00Z', 'ready',
+      { helm_install: 30000, pods: 60000, init: 30000 });
+    attempt('store-att2', 'woocommerce', '2026-03-02T09:00:00Z', '2026-03-02T09:01:00Z', 'ready',
+      { helm_install: 10000, pods: 40000, init: 10000 });
+    attempt('store-att3', 'medusa', '2026-03-02T12:00:00Z', '2026-03-02T12:05:00Z', 'ready');
+    provisioningAttempts.start('store-att4', 'medusa', at('2026-03-02T13:00:00Z'));
+    attempt('store-att4', 'medusa', '2026-03-02T14:00:00Z', '2026-03-02T14:03:00Z', 'ready');
+    attempt('store-att5', 'woocommerce', '2026-01-01T00:00:00Z', '2026-01-01T00:10:00Z', 'ready');
+  });
+
+  it('numbers attempts per store and records their timing', () => {
+    const [first, second] = provisioningAttempts.getByStoreId('store-att1');
+    expect(first).toMatchObject({ attempt: 1, outcome: 'failed', error: 'boom', duration_ms: 60000 });
+    expect(second).toMatchObject({ attempt: 2, outcome: 'ready', error: null, duration_ms: 120000 });
+    expect(JSON.parse(second.phases)).toEqual({ helm_install: 30000, pods: 60000, init: 30000 });
+  });
+
+  it('closes an attempt left running when the next one starts', () => {
+    const [interrupted] = provisioningAttempts.getByStoreId('store-att4');
+    expect(interrupted).toMatchObject({
+      outcome: 'failed',
+      error: 'Interrupted before finishing',
+      finished_at: '2026-03-02T14:00:00.000Z',
+    });
+  });
+
+  it('reports percentiles, success rate and retries over the window', () => {
+    const { provisioning } = metrics.getAll(at('2026-03-10T00:00:00Z'));
+    expect(provisioning).toMatchObject({
+      windowDays: 30,
+      totalProvisioned: 4,
+      avgDurationSeconds: 165,
+      minDurationSeconds: 60,
+      maxDurationSeconds: 300,
+      attempts: 6,
+      succeeded: 4,
+      failed: 2,
+      successRate: 0.667,
+      retries: 2,
+      p50DurationSeconds: 120,
+      p95DurationSeconds: 300,
+    });
+  });
+
+  it('breaks the numbers down by engine, phase and day', () => {
+    const { provisioning } = metrics.getAll(at('2026-03-10T00:00:00Z'));
+    expect(provisioning.byEngine).toEqual({
+      woocommerce: {
+        attempts: 3, succeeded: 2, failed: 1, successRate: 0.667, retries: 1,
+        p50DurationSeconds: 60, p95DurationSeconds: 120,
+      },
+      medusa: {
+        attempts: 3, succeeded: 2, failed: 1, successRate: 0.667, retries: 1,
+        p50DurationSeconds: 180, p95DurationSeconds: 300,
+      },
+    });
+    expect(provisioning.phases).toEqual({
+      helm_install: { p50Seconds: 20, p95Seconds: 30 },
+      pods: { p50Seconds: 40, p95Seconds: 60 },
+      init: { p50Seconds: 10, p95Seconds: 30 },
+    });
+    expect(provisioning.daily).toEqual([
+      {
+        date: '2026-03-01', attempts: 2, succeeded: 1, failed: 1, successRate: 0.5, retries: 1,
+        p50DurationSeconds: 120, p95DurationSeconds: 120,
+      },
+      {
+        date: '2026-03-02', attempts: 4, succeeded: 3, failed: 1, successRate: 0.75, retries: 1,
+        p50DurationSeconds: 180, p95DurationSeconds: 300,
+      },
+    ]);
+  });
+});
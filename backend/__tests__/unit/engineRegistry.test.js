@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const engineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engines-'));
+
+jest.mock('../../src/config', () => ({
+  engineDir: require('path').join(require('os').tmpdir(), 'unused'),
+}));
+
+const VALID_ENGINE = `
+module.exports = {
+  name: 'demo',
+  displayName: 'Demo Engine',
+  parameters: { type: 'object', properties: {} },
+  getChartPath: () => '/charts/demo',
+  getHelmValues: (id) => ({ 'store.id': id }),
+  getUrls: (id) => ({ storeUrl: 'http://' + id, adminUrl: 'http://' + id + '/admin' }),
+  validate: () => ({ valid: false, error: 'demo is offline' }),
+};
+`;
+
+let engineRegistry;
+
+beforeAll(() => {
+  fs.writeFileSync(path.join(engineDir, 'demo.js'), VALID_ENGINE);
+  fs.writeFileSync(path.join(engineDir, 'demo-copy.js'), VALID_ENGINE);
+  fs.writeFileSync(path.join(engineDir, 'broken.js'), "module.exports = { name: 'broken', getUrls() {} };");
+  fs.writeFileSync(path.join(engineDir, 'throws.js'), "throw new Error('boom');");
+  fs.writeFileSync(path.join(engineDir, 'README.md'), 'not an engine');
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  engineRegistry = require('../../src/services/engineRegistry');
+  engineRegistry.load(engineDir);
+});
+
+afterAll(() => {
+  fs.rmSync(engineDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('engineRegistry', () => {
+  it('registers only engines that satisfy the contract', () => {
+    expect(engineRegistry.names()).toEqual(['demo']);
+    expect(engineRegistry.has('broken')).toBe(false);
+    expect(engineRegistry.get('missing')).toBeNull();
+  });
+
+  it('returns the engine module by name', () => {
+    const engine = engineRegistry.get('demo');
+    expect(engine.getChartPath()).toBe('/charts/demo');
+  });
+
+  it('reports contract violations', () => {
+    const problems = engineRegistry.checkContract({ name: 'x', getUrls() {} });
+    expect(problems).toEqual(expect.arrayContaining([
+      "'displayName' must be a non-empty string",
+      "'getHelmValues' must be a function",
+      "'validate' must be a function",
+    ]));
+    expect(problems.some(p => p.includes('parameters'))).toBe(true);
+  });
+
+  it('lists engine metadata with availability', () => {
+    expect(engineRegistry.list()).toEqual([{
+      name: 'demo',
+      displayName: 'Demo Engine',
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      settings: null,
+      defaultSettings: null,
+      capabilities: [],
+      available: false,
+      unavailableReason: 'demo is offline',
+    }]);
+  });
+
+  it('derives capabilities from optional functions', () => {
+    expect(engineRegistry.capabilities({
+      getCredentialSecret() {},
+      rotateAdminPassword() {},
+    })).toEqual(['credentials', 'credential_rotation']);
+
+    const problems = engineRegistry.checkContract({ getCredentialSecret: 'nope' });
+    expect(problems).toContain("'getCredentialSecret' must be a function when provided");
+  });
+
+  it('logs why modules were skipped', () => {
+    const messages = console.error.mock.calls.map(c => c[0]).join('\n');
+    expect(messages).toContain('broken.js');
+    expect(messages).toContain('throws.js: boom');
+    expect(messages).toContain("engine 'demo' is already registered");
+  });
+});
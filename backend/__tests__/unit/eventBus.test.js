@@ -0,0 +1,36 @@
+const eventBus = require('../../src/utils/eventBus');
+
+describe('eventBus', () => {
+  it('delivers published events to subscribers with increasing IDs', () => {
+    const received = [];
+    const unsubscribe = eventBus.subscribe(e => received.push(e));
+
+    const first = eventBus.publish('store', { id: 'store-a' });
+    const second = eventBus.publish('audit', { action: 'create' });
+    unsubscribe();
+    eventBus.publish('store', { id: 'store-b' });
+
+    expect(received).toEqual([first, second]);
+    expect(second.id).toBe(first.id + 1);
+    expect(first.type).toBe('store');
+  });
+
+  it('replays events after a given ID', () => {
+    const marker = eventBus.publish('progress', { storeId: 'store-a' });
+    const next = eventBus.publish('progress', { storeId: 'store-b' });
+
+    expect(eventBus.since(marker.id)).toEqual([next]);
+    expect(eventBus.since(next.id)).toEqual([]);
+  });
+
+  it('requires a resync for IDs from the future (API restarted)', () => {
+    expect(eventBus.since(1e9)).toBeNull();
+  });
+
+  it('requires a resync once the gap has been evicted from the buffer', () => {
+    for (let i = 0; i < 600; i++) {
+      eventBus.publish('progress', { i });
+    }
+    expect(eventBus.since(1)).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+// kubectl is never run: execFile is replaced by a fake that records argv and
+// whatever was written to stdin.
+
+jest.mock('../../src/config', () => ({ kubeconfig: '' }));
+
+jest.mock('child_process', () => {
+  const { promisify } = require('util');
+  const execFile = jest.fn();
+  execFile[promisify.custom] = (...args) => execFile(...args);
+  return { execFile };
+});
+
+const { execFile } = require('child_process');
+const kubectl = require('../../src/utils/kubectlClient');
+const prometheus = require('../../src/utils/prometheus');
+
+const failures = (command) => prometheus.render().match(
+  new RegExp(`store_platform_command_failures_total\\{tool="kubectl",command="${command}"\\} (\\d+)`)
+)?.[1];
+
+let stdin;
+
+beforeEach(() => {
+  stdin = [];
+  execFile.mockReset();
+  execFile.mockImplementation(() => {
+    const running = Promise.resolve({ stdout: 'ok\n', stderr: '' });
+    running.child = { stdin: { end: (input) => stdin.push(input) } };
+    return running;
+  });
+});
+
+describe('apply', () => {
+  it('passes the manifest on stdin, keeping secret values out of argv', async () => {
+    const manifest = {
+      apiVersion: 'v1',
+      kind: 'Secret',
+      type: 'kubernetes.io/tls',
+      metadata: { name: 'shop-tls', namespace: 'store-a' },
+      stringData: { 'tls.crt': 'CERT', 'tls.key': 'PRIVATE-KEY' },
+    };
+
+    await expect(kubectl.apply(manifest)).resolves.toBe('ok');
+
+    const [command, args] = execFile.mock.calls[0];
+    expect(command).toBe('kubectl');
+    expect(args).toEqual(['apply', '-f', '-']);
+    expect(JSON.parse(stdin[0])).toEqual(manifest);
+  });
+});
+
+describe('getSecret', () => {
+  const fail = (stderr) => () => {
+    const running = Promise.reject(Object.assign(new Error('exit 1'), { stderr }));
+    running.child = { stdin: { end: () => {} } };
+    return running;
+  };
+
+  it('returns null for a missing Secret without counting a command failure', async () => {
+    execFile.mockImplementation(fail('Error from server (NotFound): secrets "x" not found'));
+    await expect(kubectl.getSecret('store-a', 'x')).resolves.toBeNull();
+    expect(failures('get')).toBeUndefined();
+  });
+
+  it('counts other errors as failures', async () => {
+    execFile.mockImplementation(fail('Unable to connect to the server'));
+    await expect(kubectl.getSecret('store-a', 'x')).rejects.toThrow(/Unable to connect/);
+    expect(failures('get')).toBe('1');
+  });
+});
+
+describe('secrets stay out of argv', () => {
+  it('patches a Secret from stdin', async () => {
+    await kubectl.patchSecret('store-a', 'store-a-admin', { 'admin-password': 'n3w-pass' });
+
+    const [, args] = execFile.mock.calls[0];
+    expect(args.join(' ')).not.toContain('n3w-pass');
+    expect(args).toEqual(expect.arrayContaining(['--patch-file', '/dev/stdin']));
+    expect(JSON.parse(stdin[0])).toEqual({ stringData: { 'admin-password': 'n3w-pass' } });
+  });
+
+  it('attaches stdin to an exec only when there is input', async () => {
+    await kubectl.exec('store-a', 'statefulset/store-a-mysql', 'mysql', ['mysql'], { input: 'SELECT 1;' });
+    await kubectl.exec('store-a', 'statefulset/store-a-mysql', 'mysql', ['true']);
+
+    expect(execFile.mock.calls[0][1]).toEqual([
+      'exec', 'statefulset/store-a-mysql', '--namespace', 'store-a', '-c', 'mysql', '-i', '--', 'mysql',
+    ]);
+    expect(stdin[0]).toBe('SELECT 1;');
+    expect(execFile.mock.calls[1][1]).not.toContain('-i');
+  });
+});
+
+describe('getPodStatuses', () => {
+  it('reports the first container that cannot start, init containers included', async () => {
+    execFile.mockImplementation(() => {
+      const running = Promise.resolve({ stdout: JSON.stringify({
+        items: [{
+          metadata: { name: 'store-a-medusa-7d9f' },
+          status: {
+            phase: 'Pending',
+            conditions: [],
+            initContainerStatuses: [{
+              name: 'migrate',
+              image: 'store-medusa:latest',
+              restartCount: 0,
+              state: { waiting: { reason: 'ErrImagePull', message: 'pull access denied' } },
+            }],
+            containerStatuses: [{
+              name: 'medusa',
+              image: 'store-medusa:latest',
+              restartCount: 0,
+              state: { waiting: { reason: 'PodInitializing' } },
+            }],
+          },
+        }],
+      }), stderr: '' });
+      running.child = { stdin: { end: () => {} } };
+      return running;
+    });
+
+    await expect(kubectl.getPodStatuses('store-a')).resolves.toEqual([{
+      name: 'store-a-medusa-7d9f',
+      phase: 'Pending',
+      ready: false,
+      restarts: 0,
+      waiting: { container: 'migrate', image: 'store-medusa:latest', reason: 'ErrImagePull', message: 'pull access denied' },
+    }]);
+  });
+});
@@ -0,0 +1,93 @@
+const prometheus = require('../../src/utils/prometheus');
+
+const lines = () => prometheus.render().split('\n');
+
+describe('counter', () => {
+  it('adds up per label set and escapes label values', () => {
+    const requests = prometheus.counter('test_requests_total', 'Test requests', ['path']);
+    requests.inc({ path: '/a' });
+    requests.inc({ path: '/a' }, 2);
+    requests.inc({ path: 'say "hi"\n' });
+
+    expect(lines()).toEqual(expect.arrayContaining([
+      '# HELP store_platform_test_requests_total Test requests',
+      '# TYPE store_platform_test_requests_total counter',
+      'store_platform_test_requests_total{path="/a"} 3',
+      'store_platform_test_requests_total{path="say \\"hi\\"\\n"} 1',
+    ]));
+  });
+
+  it('refuses a second metric with the same name', () => {
+    expect(() => prometheus.counter('test_requests_total', 'Again')).toThrow(/already registered/);
+  });
+});
+
+describe('histogram', () => {
+  it('counts observations into cumulative buckets', () => {
+    const latency = prometheus.histogram('test_latency_seconds', 'Test latency', [], [0.1, 1]);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 5);
+
+    expect(lines()).toEqual(expect.arrayContaining([
+      'store_platform_test_latency_seconds_bucket{le="0.1"} 1',
+      'store_platform_test_latency_seconds_bucket{le="1"} 2',
+      'store_platform_test_latency_seconds_bucket{le="+Inf"} 3',
+      'store_platform_test_latency_seconds_sum 5.55',
+      'store_platform_test_latency_seconds_count 3',
+    ]));
+  });
+});
+
+describe('gauge', () => {
+  it('keeps only the series set since the last reset', () => {
+    const depth = prometheus.gauge('test_depth', 'Test depth', ['queue']);
+    depth.set({ queue: 'a' }, 4);
+    depth.reset();
+    depth.set({ queue: 'b' }, 2);
+
+    const text = prometheus.render();
+    expect(text).toContain('store_platform_test_depth{queue="b"} 2');
+    expect(text).not.toContain('queue="a"');
+  });
+
+  it('reads its series from the collect callback on each render', () => {
+    let rows = [{ labels: { queue: 'x' }, value: 1 }];
+    prometheus.gauge('test_collected', 'Test collected', ['queue'], () => rows);
+    expect(prometheus.render()).toContain('store_platform_test_collected{queue="x"} 1');
+
+    rows = [{ labels: { queue: 'y' }, value: 3 }];
+    const text = prometheus.render();
+    expect(text).toContain('store_platform_test_collected{queue="y"} 3');
+    expect(text).not.toContain('queue="x"');
+  });
+});
+
+describe('timeCommand', () => {
+  it('times commands and counts failures by subcommand', async () => {
+    await expect(prometheus.timeCommand('helm', ['status', 'x'], async () => 'ok')).resolves.toBe('ok');
+    await expect(prometheus.timeCommand('helm', ['install', 'x'], async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const text = prometheus.render();
+    expect(text).toContain('store_platform_command_duration_seconds_count{tool="helm",command="status"} 1');
+    expect(text).toContain('store_platform_command_duration_seconds_count{tool="helm",command="install"} 1');
+    expect(text).toContain('store_platform_command_failures_total{tool="helm",command="install"} 1');
+    expect(text).not.toContain('store_platform_command_failures_total{tool="helm",command="status"}');
+  });
+
+  it('does not count expected errors as failures', async () => {
+    const notFound = { expected: (error) => /not found/.test(error.message) };
+    await expect(prometheus.timeCommand('kubectl', ['get', 'secret'], async () => {
+      throw new Error('secret not found');
+    }, notFound)).rejects.toThrow('not found');
+    await expect(prometheus.timeCommand('kubectl', ['get', 'secret'], async () => {
+      throw new Error('connection refused');
+    }, notFound)).rejects.toThrow('refused');
+
+    const text = prometheus.render();
+    expect(text).toContain('store_platform_command_duration_seconds_count{tool="kubectl",command="get"} 2');
+    expect(text).toContain('store_platform_command_failures_total{tool="kubectl",command="get"} 1');
+  });
+});
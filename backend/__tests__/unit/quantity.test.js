@@ -0,0 +1,43 @@
+const { parseCpu, parseBytes, formatCpu, formatBytes } = require('../../src/utils/quantity');
+
+describe('parseCpu', () => {
+  it.each([
+    ['2', 2000],
+    ['0.5', 500],
+    ['250m', 250],
+  ])('reads %s as %i millicores', (value, expected) => {
+    expect(parseCpu(value)).toBe(expected);
+  });
+
+  it.each(['', 'lots', '2Gi', '-1'])('rejects %p', (value) => {
+    expect(parseCpu(value)).toBeNaN();
+  });
+});
+
+describe('parseBytes', () => {
+  it.each([
+    ['512Mi', 512 * 2 ** 20],
+    ['2Gi', 2 * 2 ** 30],
+    ['1G', 1e9],
+    ['1024', 1024],
+  ])('reads %s', (value, expected) => {
+    expect(parseBytes(value)).toBe(expected);
+  });
+
+  it.each(['', '2GB', 'Gi'])('rejects %p', (value) => {
+    expect(parseBytes(value)).toBeNaN();
+  });
+});
+
+describe('formatting', () => {
+  it('prints whole cores or millicores', () => {
+    expect(formatCpu(4000)).toBe('4');
+    expect(formatCpu(500)).toBe('500m');
+  });
+
+  it('prints whole Gi or Mi', () => {
+    expect(formatBytes(4 * 2 ** 30)).toBe('4Gi');
+    expect(formatBytes(512 * 2 ** 20)).toBe('512Mi');
+    expect(formatBytes(0)).toBe('0Mi');
+  });
+});
@@ -1,6 +1,35 @@
 // Application configuration — env vars with sensible defaults.
 // In Kubernetes, values are injected via ConfigMap/Secret.
 
+const path = require('path');
+
+/** Parse "name:token,name2:token2" into [{ name, token }]. */
+function parseTokens(value = '') {
+  return value.split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes(':'))
+    .map(pair => {
+      const idx = pair.indexOf(':');
+      return { name: pair.slice(0, idx), token: pair.slice(idx + 1) };
+    });
+}
+
+// Tenant tiers — cap on active stores per tenant. maxRunningStores caps stores
+// that aren't hibernated (omit for no separate cap). maxResources caps the
+// tenant's stores' plans added up: cpu/memory of running stores, storage of
+// all active ones (null = no resource cap).
+const DEFAULT_TENANT_TIERS = {
+  free: {
+    maxStores: 1, maxRunningStores: 1, maxResources: { cpu: '2', memory: '2Gi', storage: '4Gi' },
+  },
+  standard: {
+    maxStores: 5, maxRunningStores: 3, maxResources: { cpu: '12', memory: '12Gi', storage: '50Gi' },
+  },
+  enterprise: {
+    maxStores: 25, maxRunningStores: 10, maxResources: null,
+  },
+};
+
 const config = {
   port: parseInt(process.env.PORT || '3001', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -8,20 +37,96 @@ const config = {
   dbPath: process.env.DB_PATH || './data/store-platform.db',
 
   helmChartPath: process.env.HELM_CHART_PATH || '/app/charts/woocommerce-chart',
+  medusaChartPath: process.env.MEDUSA_CHART_PATH || '/app/charts/medusa-chart',
+
+  // Store engines are discovered from this directory (one module per engine)
+  engineDir: process.env.ENGINE_DIR || path.join(__dirname, 'services', 'storeEngines'),
+  defaultEngine: process.env.DEFAULT_ENGINE || 'woocommerce',
   kubeconfig: process.env.KUBECONFIG || '',
 
   // nip.io provides wildcard DNS without /etc/hosts edits
   baseDomain: process.env.BASE_DOMAIN || '127.0.0.1.nip.io',
 
+  // Custom domains — cert-manager (Cluster)Issuer used for tls: "cert-manager".
+  // Empty means only uploaded certificates are accepted.
+  certManagerIssuer: process.env.CERT_MANAGER_ISSUER || '',
+  certManagerIssuerKind: process.env.CERT_MANAGER_ISSUER_KIND || 'ClusterIssuer',
+  // Unverified domain claims older than this are removed by the reaper (default 7 days). 0 keeps them.
+  domainClaimTtlMs: parseInt(process.env.DOMAIN_CLAIM_TTL_MS || '604800000', 10),
+
+  // Platform-wide cap across all tenants (cluster capacity)
   maxStores: parseInt(process.env.MAX_STORES || '10', 10),
+
+  // Tenants — identities without an explicit tenant belong to DEFAULT_TENANT.
+  // TENANT_TIERS (JSON) replaces the built-in tier table.
+  defaultTenant: process.env.DEFAULT_TENANT || 'default',
+  defaultTenantTier: process.env.DEFAULT_TENANT_TIER || 'standard',
+  tenantTiers: process.env.TENANT_TIERS ? JSON.parse(process.env.TENANT_TIERS) : DEFAULT_TENANT_TIERS,
+
+  // Resource plan for stores created without one (plans live in SQLite)
+  defaultPlan: process.env.DEFAULT_PLAN || 'small',
   provisionTimeoutMs: parseInt(process.env.PROVISION_TIMEOUT_MS || '600000', 10),
 
+  // Job queue — max jobs this process runs at once, and how long a lease
+  // survives without a heartbeat before another worker may reclaim it.
+  jobConcurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+  jobPollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+  jobLeaseMs: parseInt(process.env.JOB_LEASE_MS || '60000', 10),
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+
+  // Server-Sent Events — comment ping interval (keeps proxies from closing idle
+  // streams) and the reconnect delay suggested to clients.
+  sseKeepAliveMs: parseInt(process.env.SSE_KEEPALIVE_MS || '15000', 10),
+  sseRetryMs: parseInt(process.env.SSE_RETRY_MS || '3000', 10),
+
+  // Authentication — off by default for local development.
+  // AUTH_TOKENS holds static bearer tokens ("name:token,...") for admins/automation.
+  authEnabled: process.env.AUTH_ENABLED === 'true',
+  authTokens: parseTokens(process.env.AUTH_TOKENS),
+
+  // Backups — BACKUP_TARGET is 'pvc' (a PVC in the store's namespace; removed
+  // with the store) or 's3' (any S3-compatible endpoint, e.g. MinIO).
+  backupTarget: process.env.BACKUP_TARGET || 'pvc',
+  backupPvcSize: process.env.BACKUP_PVC_SIZE || '5Gi',
+  backupS3: {
+    endpoint: process.env.BACKUP_S3_ENDPOINT || '',
+    bucket: process.env.BACKUP_S3_BUCKET || 'store-backups',
+    region: process.env.BACKUP_S3_REGION || 'us-east-1',
+    accessKey: process.env.BACKUP_S3_ACCESS_KEY || '',
+    secretKey: process.env.BACKUP_S3_SECRET_KEY || '',
+  },
+  backupTimeoutMs: parseInt(process.env.BACKUP_TIMEOUT_MS || '1800000', 10),
+  backupPollIntervalMs: parseInt(process.env.BACKUP_POLL_INTERVAL_MS || '5000', 10),
+  // Soft delete — with a grace period, DELETE scales the store to zero and
+  // keeps it restorable until the reaper removes it. 0 deletes immediately.
+  deleteGracePeriodMs: parseInt(process.env.DELETE_GRACE_PERIOD_MS || '0', 10),
+  reaperIntervalMs: parseInt(process.env.REAPER_INTERVAL_MS || '60000', 10),
+
+  // Auto-hibernate — ready stores with no ingress traffic for this long are
+  // hibernated (engines that can report traffic only). 0 disables it.
+  autoHibernateIdleMs: parseInt(process.env.AUTO_HIBERNATE_IDLE_MS || '0', 10),
+  idleCheckIntervalMs: parseInt(process.env.IDLE_CHECK_INTERVAL_MS || '300000', 10),
+
+  // How often the scheduler looks for due backup schedules
+  backupSchedulerIntervalMs: parseInt(process.env.BACKUP_SCHEDULER_INTERVAL_MS || '60000', 10),
+
+  // Audit checkpoints — the audit chain's head, signed with AUDIT_SIGNING_KEY
+  // (an Ed25519 private key, PEM) and appended to a file kept apart from the
+  // database. No key means no checkpoints.
+  auditSigningKey: process.env.AUDIT_SIGNING_KEY || '',
+  auditCheckpointPath: process.env.AUDIT_CHECKPOINT_PATH || './data/audit-checkpoints.jsonl',
+  auditCheckpointIntervalMs: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS || '3600000', 10),
+
+  // How long a create's Idempotency-Key is remembered (and its response replayed)
+  idempotencyWindowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_MS || '86400000', 10),
+
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
   rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '30', 10),
   rateLimitMaxCreates: parseInt(process.env.RATE_LIMIT_MAX_CREATES || '5', 10),
 
   wpAdminUser: process.env.WP_ADMIN_USER || 'admin',
   wpAdminEmail: process.env.WP_ADMIN_EMAIL || 'admin@example.com',
+  medusaAdminEmail: process.env.MEDUSA_ADMIN_EMAIL || 'admin@example.com',
 };
 
 module.exports = config;
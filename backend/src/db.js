@@ -1,10 +1,16 @@
 // Database layer — SQLite via better-sqlite3.
-// Tables: stores (lifecycle tracking), audit_log (immutable action log).
+// Tables: stores (lifecycle tracking), audit_log (hash-chained action log),
+// jobs (durable provisioning/deletion queue with leases), api_keys (hashed credentials),
+// tenants (store ownership and quota tiers), plans (store resource sizes),
+// idempotency_keys (responses replayed for retried creates), provisioning_attempts
+// (timing of each provisioning run, by phase).
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
+const eventBus = require('./utils/eventBus');
+const auditChain = require('./utils/auditChain');
 
 const dbDir = path.dirname(config.dbPath);
 if (!dbDir.startsWith('.') || dbDir !== '.') {
@@ -18,6 +24,15 @@ db.pragma('foreign_keys = ON');
 
 // ─── Schema ──────────────────────────────────────────────────────
 
+// store_domains used to be keyed by hostname alone, so one store's unverified
+// claim shut every other store out. Set the old table aside before the new one
+// is created; its rows are copied across with the migrations below.
+const domainKeys = db.prepare('PRAGMA table_info(store_domains)').all().filter(c => c.pk);
+const rekeyDomains = domainKeys.length === 1;
+if (rekeyDomains) {
+  db.exec('DROP INDEX IF EXISTS idx_domains_store_id; ALTER TABLE store_domains RENAME TO store_domains_old');
+}
+
 db.exec(`
   CREATE TABLE IF NOT EXISTS stores (
     id TEXT PRIMARY KEY,
@@ -41,25 +56,326 @@ db.exec(`
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS tenants (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    max_stores INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Resource plans. cpu/memory are the store namespace's ResourceQuota (engines
+  -- size their containers within it); storage/db_storage are PVC sizes.
+  CREATE TABLE IF NOT EXISTS plans (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    cpu TEXT NOT NULL,
+    memory TEXT NOT NULL,
+    storage TEXT NOT NULL,
+    db_storage TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    store_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    state TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    lease_owner TEXT,
+    heartbeat_at DATETIME,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS store_revisions (
+    store_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    settings TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (store_id, revision)
+  );
+
+  CREATE TABLE IF NOT EXISTS backups (
+    id TEXT PRIMARY KEY,
+    store_id TEXT NOT NULL,
+    tenant_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    target TEXT NOT NULL,
+    location TEXT NOT NULL,
+    size_bytes INTEGER,
+    checksum TEXT,
+    error_message TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS backup_schedules (
+    store_id TEXT PRIMARY KEY,
+    cron TEXT NOT NULL,
+    retention TEXT NOT NULL DEFAULT '{}',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_success_at TEXT,
+    last_failure_at TEXT,
+    last_error TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Custom hostnames. Several stores may claim one; only a single claim per
+  -- hostname can be verified. TLS keys and certificates live in the store's
+  -- namespace, never here.
+  CREATE TABLE IF NOT EXISTS store_domains (
+    hostname TEXT NOT NULL,
+    store_id TEXT NOT NULL,
+    tls_mode TEXT NOT NULL DEFAULT 'none',
+    tls_secret TEXT,
+    tls_expires_at TEXT,
+    is_primary INTEGER NOT NULL DEFAULT 0,
+    verification_token TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    verified_at TEXT,
+    last_checked_at TEXT,
+    last_error TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (hostname, store_id)
+  );
+
+  -- First successful response per caller and Idempotency-Key, replayed to
+  -- retries with the same request until expires_at.
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    identity_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER NOT NULL,
+    response TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    PRIMARY KEY (identity_id, key)
+  );
+
+  -- One row per provisioning run of a store (retries add rows). phases maps
+  -- each completed phase (helm_install, pods, init, …) to its duration in ms.
+  CREATE TABLE IF NOT EXISTS provisioning_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    store_id TEXT NOT NULL,
+    engine TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    outcome TEXT NOT NULL DEFAULT 'running',
+    error TEXT,
+    phases TEXT NOT NULL DEFAULT '{}'
+  );
+
   CREATE INDEX IF NOT EXISTS idx_stores_status ON stores(status);
   CREATE INDEX IF NOT EXISTS idx_audit_store_id ON audit_log(store_id);
   CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs(state);
+  CREATE INDEX IF NOT EXISTS idx_jobs_store_id ON jobs(store_id);
+  CREATE INDEX IF NOT EXISTS idx_backups_store_id ON backups(store_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_domains_store_id ON store_domains(store_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_domains_verified ON store_domains(hostname) WHERE status = 'verified';
+  CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_at);
+  CREATE INDEX IF NOT EXISTS idx_attempts_store ON provisioning_attempts(store_id, id);
+  CREATE INDEX IF NOT EXISTS idx_attempts_started ON provisioning_attempts(started_at);
+`);
+
+// ─── Migrations ──────────────────────────────────────────────────
+// CREATE TABLE IF NOT EXISTS leaves existing databases untouched, so
+// columns added after a table first shipped are applied here.
+
+/** Returns true when the column was added. */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+addColumnIfMissing('audit_log', 'actor', 'TEXT');
+addColumnIfMissing('jobs', 'actor', 'TEXT');
+addColumnIfMissing('stores', 'tenant_id', 'TEXT');
+addColumnIfMissing('stores', 'owner', 'TEXT');
+addColumnIfMissing('stores', 'settings', "TEXT NOT NULL DEFAULT '{}'");
+addColumnIfMissing('stores', 'cloned_from', 'TEXT');
+addColumnIfMissing('stores', 'delete_after', 'TEXT');
+addColumnIfMissing('stores', 'suspended_replicas', 'TEXT');
+addColumnIfMissing('stores', 'last_active_at', 'TEXT');
+addColumnIfMissing('stores', 'expires_at', 'TEXT');
+addColumnIfMissing('stores', 'parameters', "TEXT NOT NULL DEFAULT '{}'");
+addColumnIfMissing('jobs', 'payload', 'TEXT');
+addColumnIfMissing('api_keys', 'tenant_id', 'TEXT');
+addColumnIfMissing('api_keys', 'role', "TEXT NOT NULL DEFAULT 'operator'");
+addColumnIfMissing('backups', 'trigger', "TEXT NOT NULL DEFAULT 'manual'");
+addColumnIfMissing('audit_log', 'prev_hash', 'TEXT');
+
+// Entries written before hash chaining are chained once, in id order, when the
+// column is added; from then on the chain vouches for them.
+if (addColumnIfMissing('audit_log', 'hash', 'TEXT')) {
+  const rows = db.prepare('SELECT * FROM audit_log ORDER BY id').all();
+  const seal = db.prepare('UPDATE audit_log SET prev_hash = ?, hash = ? WHERE id = ?');
+  db.transaction(() => {
+    let prevHash = null;
+    for (const row of rows) {
+      const hash = auditChain.hashEntry(row, prevHash);
+      seal.run(prevHash, hash, row.id);
+      prevHash = hash;
+    }
+  })();
+}
+
+if (rekeyDomains) {
+  db.exec('INSERT INTO store_domains SELECT * FROM store_domains_old; DROP TABLE store_domains_old');
+}
+
+// Stores and keys created before tenants existed belong to the default tenant
+db.prepare('UPDATE stores SET tenant_id = ? WHERE tenant_id IS NULL').run(config.defaultTenant);
+db.prepare('UPDATE api_keys SET tenant_id = ? WHERE tenant_id IS NULL').run(config.defaultTenant);
+db.prepare('INSERT OR IGNORE INTO tenants (id, name, tier) VALUES (?, ?, ?)')
+  .run(config.defaultTenant, 'Default', config.defaultTenantTier);
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_stores_tenant ON stores(tenant_id, status);
+  CREATE INDEX IF NOT EXISTS idx_stores_tenant_created ON stores(tenant_id, created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_stores_tenant_updated ON stores(tenant_id, updated_at, id);
+  CREATE INDEX IF NOT EXISTS idx_stores_tenant_name ON stores(tenant_id, name COLLATE NOCASE, id);
+  CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action);
+  CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor);
 `);
 
+// Built-in plans; admins can change them or add their own
+const DEFAULT_PLANS = [
+  { id: 'small', name: 'Small', cpu: '2', memory: '2Gi', storage: '2Gi', dbStorage: '2Gi' },
+  { id: 'medium', name: 'Medium', cpu: '4', memory: '4Gi', storage: '5Gi', dbStorage: '5Gi' },
+  { id: 'large', name: 'Large', cpu: '8', memory: '8Gi', storage: '10Gi', dbStorage: '10Gi' },
+];
+
+const seedPlan = db.prepare(`
+  INSERT OR IGNORE INTO plans (id, name, cpu, memory, storage, db_storage)
+  VALUES (@id, @name, @cpu, @memory, @storage, @dbStorage)
+`);
+for (const plan of DEFAULT_PLANS) seedPlan.run(plan);
+
+// A store's plan is kept in its settings (so revisions and rollback carry it).
+// Stores from before plans used the engine's `size` setting, named like the plans.
+db.prepare(`
+  UPDATE stores
+  SET settings = json_remove(json_set(settings, '$.plan', json_extract(settings, '$.size')), '$.size', '$.storageSize')
+  WHERE json_extract(settings, '$.plan') IS NULL
+    AND json_extract(settings, '$.size') IN (SELECT id FROM plans)
+`).run();
+db.prepare(`
+  UPDATE stores SET settings = json_set(settings, '$.plan', ?)
+  WHERE json_extract(settings, '$.plan') IS NULL
+`).run(config.defaultPlan);
+
 // ─── Prepared Statements ─────────────────────────────────────────
 
+/** A page of audit entries matching the filters (unset ones are NULL), after the cursor id. */
+function prepareAuditQuery(order) {
+  return db.prepare(`
+    SELECT * FROM audit_log
+    WHERE (@tenantId IS NULL OR store_id IN (SELECT id FROM stores WHERE tenant_id = @tenantId))
+      AND (@storeId IS NULL OR store_id = @storeId)
+      AND (@actions IS NULL OR action IN (SELECT value FROM json_each(@actions)))
+      AND (@actor IS NULL OR actor = @actor)
+      AND (@createdAfter IS NULL OR created_at >= @createdAfter)
+      AND (@createdBefore IS NULL OR created_at < @createdBefore)
+      AND (@afterId IS NULL OR id ${order === 'asc' ? '>' : '<'} @afterId)
+    ORDER BY id ${order.toUpperCase()}
+    LIMIT @limit
+  `);
+}
+
+// Sortable columns as SQL; names sort case-insensitively
+const STORE_SORTS = {
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  name: 'name COLLATE NOCASE',
+};
+
+/**
+ * One page of a filtered store listing, ordered by `column` then id. The
+ * cursor is the last row's (column, id); unset filters are NULL.
+ */
+function prepareStoreList(column, order) {
+  const after = order === 'asc' ? '>' : '<';
+  return db.prepare(`
+    SELECT * FROM stores
+    WHERE (@tenantId IS NULL OR tenant_id = @tenantId)
+      AND (@includeDeleted = 1 OR status != 'deleted')
+      AND (@statuses IS NULL OR status IN (SELECT value FROM json_each(@statuses)))
+      AND (@engine IS NULL OR engine = @engine)
+      AND (@owner IS NULL OR owner = @owner)
+      AND (@search IS NULL OR name LIKE @search ESCAPE '\\')
+      AND (@createdAfter IS NULL OR created_at >= @createdAfter)
+      AND (@createdBefore IS NULL OR created_at < @createdBefore)
+      AND (@cursorId IS NULL OR ${column} ${after} @cursorValue
+           OR (${column} = @cursorValue AND id ${after} @cursorId))
+    ORDER BY ${column} ${order.toUpperCase()}, id ${order.toUpperCase()}
+    LIMIT @limit
+  `);
+}
+
 const stmts = {
   insertStore: db.prepare(`
-    INSERT INTO stores (id, name, engine, status, namespace, helm_release)
-    VALUES (@id, @name, @engine, @status, @namespace, @helmRelease)
+    INSERT INTO stores (id, name, engine, status, namespace, helm_release, tenant_id, owner, settings, parameters, cloned_from, expires_at)
+    VALUES (@id, @name, @engine, @status, @namespace, @helmRelease, @tenantId, @owner, @settings, @parameters, @clonedFrom, @expiresAt)
   `),
 
   getStore: db.prepare('SELECT * FROM stores WHERE id = ?'),
-  getAllStores: db.prepare('SELECT * FROM stores ORDER BY created_at DESC'),
 
-  getActiveStoreCount: db.prepare(
-    "SELECT COUNT(*) as count FROM stores WHERE status NOT IN ('deleted', 'failed')"
-  ),
+  // @tenantId NULL means all tenants
+  getAllStores: db.prepare(`
+    SELECT * FROM stores
+    WHERE @tenantId IS NULL OR tenant_id = @tenantId
+    ORDER BY created_at DESC
+  `),
+
+  // Keyed "<column>:<asc|desc>"
+  listStores: Object.fromEntries(Object.entries(STORE_SORTS).flatMap(([sort, column]) => ['asc', 'desc']
+    .map(order => [`${sort}:${order}`, prepareStoreList(column, order)]))),
+
+  // Stores pending deletion don't count; undelete re-checks the quota
+  getActiveStoreCount: db.prepare(`
+    SELECT COUNT(*) as count FROM stores
+    WHERE status NOT IN ('deleted', 'failed', 'pending_deletion')
+      AND (@tenantId IS NULL OR tenant_id = @tenantId)
+  `),
+
+  // Stores using cluster resources: active and not hibernated
+  getRunningStoreCount: db.prepare(`
+    SELECT COUNT(*) as count FROM stores
+    WHERE status NOT IN ('deleted', 'failed', 'pending_deletion', 'hibernated')
+      AND (@tenantId IS NULL OR tenant_id = @tenantId)
+  `),
+
+  getStoresByStatus: db.prepare('SELECT * FROM stores WHERE status = ?'),
+
+  setLastActive: db.prepare(`
+    UPDATE stores SET last_active_at = @at WHERE id = @id
+  `),
 
   updateStoreStatus: db.prepare(`
     UPDATE stores 
@@ -74,20 +390,195 @@ const stmts = {
     WHERE id = @id
   `),
 
+  updateStoreSettings: db.prepare(`
+    UPDATE stores
+    SET settings = @settings, status = 'ready', error_message = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  upsertRevision: db.prepare(`
+    INSERT OR REPLACE INTO store_revisions (store_id, revision, settings)
+    VALUES (@storeId, @revision, @settings)
+  `),
+
+  getRevision: db.prepare(
+    'SELECT * FROM store_revisions WHERE store_id = ? AND revision = ?'
+  ),
+
+  getRevisions: db.prepare(
+    'SELECT * FROM store_revisions WHERE store_id = ? ORDER BY revision DESC'
+  ),
+
+  insertBackup: db.prepare(`
+    INSERT INTO backups (id, store_id, tenant_id, target, location, trigger, created_by)
+    VALUES (@id, @storeId, @tenantId, @target, @location, @trigger, @actor)
+  `),
+
+  getBackup: db.prepare('SELECT * FROM backups WHERE id = ?'),
+
+  getStoreBackups: db.prepare(
+    'SELECT * FROM backups WHERE store_id = ? ORDER BY created_at DESC, rowid DESC'
+  ),
+
+  updateBackupStatus: db.prepare(`
+    UPDATE backups
+    SET status = @status, error_message = @error,
+        completed_at = CASE WHEN @status IN ('completed', 'failed') THEN CURRENT_TIMESTAMP ELSE completed_at END
+    WHERE id = @id
+  `),
+
+  completeBackup: db.prepare(`
+    UPDATE backups
+    SET status = 'completed', size_bytes = @sizeBytes, checksum = @checksum,
+        error_message = NULL, completed_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  pruneBackup: db.prepare(`
+    UPDATE backups SET status = 'deleted' WHERE id = ?
+  `),
+
+  removeStoreBackups: db.prepare(`
+    UPDATE backups SET status = 'deleted'
+    WHERE store_id = @storeId AND target = @target AND status != 'deleted'
+  `),
+
+  upsertSchedule: db.prepare(`
+    INSERT INTO backup_schedules (store_id, cron, retention, enabled, next_run_at, created_by)
+    VALUES (@storeId, @cron, @retention, @enabled, @nextRunAt, @actor)
+    ON CONFLICT(store_id) DO UPDATE SET
+      cron = excluded.cron, retention = excluded.retention, enabled = excluded.enabled,
+      next_run_at = excluded.next_run_at, updated_at = CURRENT_TIMESTAMP
+  `),
+
+  getSchedule: db.prepare('SELECT * FROM backup_schedules WHERE store_id = ?'),
+
+  deleteSchedule: db.prepare('DELETE FROM backup_schedules WHERE store_id = ?'),
+
+  getDueSchedules: db.prepare(`
+    SELECT * FROM backup_schedules
+    WHERE enabled = 1 AND next_run_at <= @now
+    ORDER BY next_run_at ASC
+  `),
+
+  // Compare-and-set on next_run_at so only one process fires a given run
+  claimScheduleRun: db.prepare(`
+    UPDATE backup_schedules
+    SET next_run_at = @nextRunAt, last_run_at = @now
+    WHERE store_id = @storeId AND next_run_at = @dueAt
+  `),
+
+  recordScheduleSuccess: db.prepare(`
+    UPDATE backup_schedules SET last_success_at = @at WHERE store_id = @storeId
+  `),
+
+  recordScheduleFailure: db.prepare(`
+    UPDATE backup_schedules SET last_failure_at = @at, last_error = @error WHERE store_id = @storeId
+  `),
+
+  insertDomain: db.prepare(`
+    INSERT INTO store_domains
+      (hostname, store_id, tls_mode, tls_secret, tls_expires_at, is_primary, verification_token, created_by)
+    VALUES (@hostname, @storeId, @tlsMode, @tlsSecret, @tlsExpiresAt, @primary, @token, @actor)
+  `),
+
+  getDomain: db.prepare('SELECT * FROM store_domains WHERE hostname = ? AND store_id = ?'),
+
+  getVerifiedDomain: db.prepare("SELECT * FROM store_domains WHERE hostname = ? AND status = 'verified'"),
+
+  getStaleDomains: db.prepare(`
+    SELECT * FROM store_domains WHERE status != 'verified' AND created_at < datetime(?) ORDER BY created_at
+  `),
+
+  getStoreDomains: db.prepare(`
+    SELECT * FROM store_domains WHERE store_id = ? ORDER BY is_primary DESC, created_at ASC, hostname ASC
+  `),
+
+  clearPrimaryDomain: db.prepare('UPDATE store_domains SET is_primary = 0 WHERE store_id = ?'),
+
+  recordDomainCheck: db.prepare(`
+    UPDATE store_domains
+    SET status = @status, last_checked_at = @at, last_error = @error,
+        verified_at = CASE WHEN @status = 'verified' THEN COALESCE(verified_at, @at) ELSE verified_at END
+    WHERE hostname = @hostname AND store_id = @storeId
+  `),
+
+  deleteDomain: db.prepare('DELETE FROM store_domains WHERE hostname = ? AND store_id = ?'),
+
+  deleteStoreDomains: db.prepare('DELETE FROM store_domains WHERE store_id = ?'),
+
+  getBackupCounts: db.prepare(`
+    SELECT status, COUNT(*) as count FROM backups GROUP BY status
+  `),
+
+  getLastBackupSuccess: db.prepare(`
+    SELECT id, store_id, completed_at FROM backups
+    WHERE status = 'completed' ORDER BY completed_at DESC LIMIT 1
+  `),
+
+  getLastBackupFailure: db.prepare(`
+    SELECT id, store_id, completed_at, error_message FROM backups
+    WHERE status = 'failed' ORDER BY completed_at DESC LIMIT 1
+  `),
+
+  getScheduleCounts: db.prepare(`
+    SELECT COUNT(*) as total, COALESCE(SUM(enabled), 0) as enabled FROM backup_schedules
+  `),
+
   deleteStore: db.prepare(`
     UPDATE stores 
-    SET status = 'deleted', updated_at = CURRENT_TIMESTAMP
+    SET status = 'deleted', delete_after = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  setPendingDeletion: db.prepare(`
+    UPDATE stores
+    SET status = @status, delete_after = @deleteAfter, error_message = NULL, updated_at = CURRENT_TIMESTAMP
     WHERE id = @id
   `),
 
+  setSuspendedReplicas: db.prepare(`
+    UPDATE stores SET suspended_replicas = @replicas WHERE id = @id
+  `),
+
+  getExpiredDeletions: db.prepare(`
+    SELECT * FROM stores
+    WHERE status = 'pending_deletion' AND delete_after <= @now
+  `),
+
+  setExpiresAt: db.prepare(`
+    UPDATE stores SET expires_at = @expiresAt, updated_at = CURRENT_TIMESTAMP WHERE id = @id
+  `),
+
+  getExpiredStores: db.prepare(`
+    SELECT * FROM stores
+    WHERE expires_at <= @now AND status NOT IN ('deleting', 'deleted')
+  `),
+
   insertAudit: db.prepare(`
-    INSERT INTO audit_log (store_id, action, details)
-    VALUES (@storeId, @action, @details)
+    INSERT INTO audit_log (store_id, action, details, actor)
+    VALUES (@storeId, @action, @details, @actor)
   `),
 
-  getAuditLog: db.prepare(
-    'SELECT * FROM audit_log ORDER BY created_at DESC LIMIT ?'
-  ),
+  getAuditEntry: db.prepare('SELECT * FROM audit_log WHERE id = ?'),
+  getAuditHead: db.prepare('SELECT id, hash FROM audit_log ORDER BY id DESC LIMIT 1'),
+  sealAudit: db.prepare('UPDATE audit_log SET prev_hash = @prevHash, hash = @hash WHERE id = @id'),
+  getAuditChain: db.prepare('SELECT * FROM audit_log ORDER BY id'),
+  getAuditChainAfter: db.prepare('SELECT * FROM audit_log WHERE id > ? ORDER BY id'),
+
+  // @tenantId NULL means all tenants; platform entries (no store) only appear unscoped
+  getAuditLog: db.prepare(`
+    SELECT * FROM audit_log
+    WHERE @tenantId IS NULL
+       OR store_id IN (SELECT id FROM stores WHERE tenant_id = @tenantId)
+    ORDER BY created_at DESC LIMIT @limit
+  `),
+
+  // Filtered audit pages, keyed by direction; ids grow with time so they double as the cursor
+  queryAudit: {
+    desc: prepareAuditQuery('desc'),
+    asc: prepareAuditQuery('asc'),
+  },
 
   getStoreAudit: db.prepare(
     'SELECT * FROM audit_log WHERE store_id = ? ORDER BY created_at DESC'
@@ -97,13 +588,41 @@ const stmts = {
     SELECT status, COUNT(*) as count FROM stores GROUP BY status
   `),
 
-  getProvisioningStats: db.prepare(`
-    SELECT 
-      COUNT(*) as total_provisioned,
-      AVG(CAST((julianday(updated_at) - julianday(created_at)) * 86400 AS INTEGER)) as avg_duration_seconds,
-      MAX(CAST((julianday(updated_at) - julianday(created_at)) * 86400 AS INTEGER)) as max_duration_seconds,
-      MIN(CAST((julianday(updated_at) - julianday(created_at)) * 86400 AS INTEGER)) as min_duration_seconds
-    FROM stores WHERE status = 'ready'
+  getStoreCountsByEngine: db.prepare(`
+    SELECT status, engine, COUNT(*) as count FROM stores GROUP BY status, engine
+  `),
+
+  getJobQueueDepth: db.prepare(`
+    SELECT type, state, COUNT(*) as count FROM jobs
+    WHERE state IN ('pending', 'running') GROUP BY type, state
+  `),
+
+  insertAttempt: db.prepare(`
+    INSERT INTO provisioning_attempts (store_id, engine, attempt, started_at)
+    VALUES (@storeId, @engine,
+            (SELECT COUNT(*) + 1 FROM provisioning_attempts WHERE store_id = @storeId), @startedAt)
+  `),
+
+  // A run left open (the API restarted mid-provisioning) is closed when the next one starts
+  interruptAttempts: db.prepare(`
+    UPDATE provisioning_attempts
+    SET outcome = 'failed', error = 'Interrupted before finishing', finished_at = @now
+    WHERE store_id = @storeId AND outcome = 'running'
+  `),
+
+  finishAttempt: db.prepare(`
+    UPDATE provisioning_attempts
+    SET outcome = @outcome, error = @error, phases = @phases, finished_at = @finishedAt,
+        duration_ms = CAST(ROUND((julianday(@finishedAt) - julianday(started_at)) * 86400000) AS INTEGER)
+    WHERE id = @id
+  `),
+
+  getStoreAttempts: db.prepare('SELECT * FROM provisioning_attempts WHERE store_id = ? ORDER BY id'),
+
+  getFinishedAttempts: db.prepare(`
+    SELECT * FROM provisioning_attempts
+    WHERE started_at >= @since AND outcome != 'running'
+    ORDER BY started_at
   `),
 
   getRecentFailures: db.prepare(`
@@ -111,16 +630,171 @@ const stmts = {
     FROM stores WHERE status = 'failed' 
     ORDER BY updated_at DESC LIMIT 5
   `),
+
+  insertJob: db.prepare(`
+    INSERT INTO jobs (store_id, type, actor, payload) VALUES (@storeId, @type, @actor, @payload)
+  `),
+
+  getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+
+  getActiveJob: db.prepare(`
+    SELECT * FROM jobs
+    WHERE store_id = @storeId AND state IN ('pending', 'running')
+      AND (@type IS NULL OR type = @type)
+    ORDER BY id ASC LIMIT 1
+  `),
+
+  // Next claimable job: pending, or running with an expired lease (owner crashed).
+  // Skips stores that already have a live running job so ops on one store stay serialized.
+  getNextClaimableJob: db.prepare(`
+    SELECT * FROM jobs j
+    WHERE (j.state = 'pending'
+           OR (j.state = 'running' AND j.heartbeat_at < datetime('now', @leaseModifier)))
+      AND NOT EXISTS (
+        SELECT 1 FROM jobs r
+        WHERE r.store_id = j.store_id AND r.id != j.id AND r.state = 'running'
+          AND r.heartbeat_at >= datetime('now', @leaseModifier)
+      )
+    ORDER BY j.id ASC LIMIT 1
+  `),
+
+  claimJob: db.prepare(`
+    UPDATE jobs
+    SET state = 'running', lease_owner = @owner, attempts = attempts + 1,
+        heartbeat_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  heartbeatJob: db.prepare(`
+    UPDATE jobs SET heartbeat_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND lease_owner = @owner AND state = 'running'
+  `),
+
+  finishJob: db.prepare(`
+    UPDATE jobs
+    SET state = @state, last_error = @error, lease_owner = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id AND lease_owner = @owner
+  `),
+
+  getJobCounts: db.prepare(`
+    SELECT state, COUNT(*) as count FROM jobs GROUP BY state
+  `),
+
+  insertApiKey: db.prepare(`
+    INSERT INTO api_keys (id, name, key_hash, key_prefix, created_by, tenant_id, role)
+    VALUES (@id, @name, @keyHash, @keyPrefix, @createdBy, @tenantId, @role)
+  `),
+
+  getApiKey: db.prepare(`
+    SELECT id, name, key_prefix, tenant_id, role, created_by, created_at, last_used_at, revoked_at
+    FROM api_keys WHERE id = ?
+  `),
+
+  getActiveApiKeyByHash: db.prepare(`
+    SELECT id, name, key_prefix, tenant_id, role FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL
+  `),
+
+  getAllApiKeys: db.prepare(`
+    SELECT id, name, key_prefix, tenant_id, role, created_by, created_at, last_used_at, revoked_at
+    FROM api_keys ORDER BY created_at DESC
+  `),
+
+  touchApiKey: db.prepare(
+    'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ),
+
+  revokeApiKey: db.prepare(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL'
+  ),
+
+  insertTenant: db.prepare(`
+    INSERT INTO tenants (id, name, tier, max_stores) VALUES (@id, @name, @tier, @maxStores)
+  `),
+
+  getTenant: db.prepare('SELECT * FROM tenants WHERE id = ?'),
+  getAllTenants: db.prepare('SELECT * FROM tenants ORDER BY created_at ASC'),
+
+  updateTenant: db.prepare(`
+    UPDATE tenants SET name = @name, tier = @tier, max_stores = @maxStores WHERE id = @id
+  `),
+
+  insertPlan: db.prepare(`
+    INSERT INTO plans (id, name, description, cpu, memory, storage, db_storage)
+    VALUES (@id, @name, @description, @cpu, @memory, @storage, @dbStorage)
+  `),
+
+  getPlan: db.prepare('SELECT * FROM plans WHERE id = ?'),
+  getAllPlans: db.prepare('SELECT * FROM plans ORDER BY created_at ASC, rowid ASC'),
+
+  updatePlan: db.prepare(`
+    UPDATE plans
+    SET name = @name, description = @description, cpu = @cpu, memory = @memory,
+        storage = @storage, db_storage = @dbStorage, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  deletePlan: db.prepare('DELETE FROM plans WHERE id = ?'),
+
+  countPlanStores: db.prepare(`
+    SELECT COUNT(*) as count FROM stores
+    WHERE status != 'deleted' AND json_extract(settings, '$.plan') = ?
+  `),
+
+  // Active stores per plan for quota accounting; `running` excludes hibernated ones
+  getPlanUsage: db.prepare(`
+    SELECT json_extract(settings, '$.plan') AS plan,
+           COUNT(*) AS active,
+           SUM(status != 'hibernated') AS running
+    FROM stores
+    WHERE status NOT IN ('deleted', 'failed', 'pending_deletion')
+      AND tenant_id = @tenantId
+      AND (@excludeId IS NULL OR id != @excludeId)
+    GROUP BY plan
+  `),
+
+  // ── Idempotency keys ──
+  getIdempotencyKey: db.prepare(`
+    SELECT * FROM idempotency_keys
+    WHERE identity_id = @identityId AND key = @key AND expires_at > @now
+  `),
+
+  // The first response recorded for a key wins
+  insertIdempotencyKey: db.prepare(`
+    INSERT OR IGNORE INTO idempotency_keys (identity_id, key, request_hash, status_code, response, expires_at)
+    VALUES (@identityId, @key, @requestHash, @statusCode, @response, @expiresAt)
+  `),
+
+  pruneIdempotencyKeys: db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?'),
 };
 
 // ─── Store Operations ────────────────────────────────────────────
+// Every state change is published on the event bus so SSE clients see it live.
+
+function publishStore(id) {
+  const record = stmts.getStore.get(id);
+  if (record) {
+    eventBus.publish('store', record);
+  }
+}
 
 const store = {
-  create({ id, name, engine, namespace, helmRelease }) {
+  /**
+   * `parameters` are the engine's creation parameters, used once at install.
+   * `clonedFrom` is the id of the store this one is a copy of.
+   */
+  create({
+    id, name, engine, namespace, helmRelease, tenantId = config.defaultTenant, settings = {},
+    parameters = {}, clonedFrom = null, expiresAt = null, actor = null,
+  }) {
     stmts.insertStore.run({
-      id, name, engine, status: 'queued', namespace, helmRelease,
+      id, name, engine, status: 'queued', namespace, helmRelease, tenantId, owner: actor,
+      settings: JSON.stringify(settings), parameters: JSON.stringify(parameters), clonedFrom, expiresAt,
     });
-    audit.log(id, 'create', { name, engine });
+    publishStore(id);
+    audit.log(id, 'create', {
+      name, engine, tenantId, ...(clonedFrom && { clonedFrom }), ...(expiresAt && { expiresAt }),
+    }, actor);
     return stmts.getStore.get(id);
   },
 
@@ -128,43 +802,233 @@ const store = {
     return stmts.getStore.get(id);
   },
 
-  getAll() {
-    return stmts.getAllStores.all();
+  /** All stores, or only the given tenant's. */
+  getAll(tenantId = null) {
+    return stmts.getAllStores.all({ tenantId });
+  },
+
+  /**
+   * A page of stores matching the filters, sorted by `sort` (a STORE_SORTS key).
+   * `after` is the previous page's `next`; `next` is null on the last page.
+   * `search` matches names case-insensitively; dates are SQLite timestamps.
+   */
+  list({
+    tenantId = null, statuses = null, engine = null, owner = null, search = null,
+    createdAfter = null, createdBefore = null, includeDeleted = false,
+    sort = 'created_at', order = 'desc', limit = 50, after = null,
+  } = {}) {
+    const rows = stmts.listStores[`${sort}:${order}`].all({
+      tenantId,
+      statuses: statuses ? JSON.stringify(statuses) : null,
+      engine,
+      owner,
+      search: search ? `%${search.replace(/[\\%_]/g, c => `\\${c}`)}%` : null,
+      createdAfter,
+      createdBefore,
+      includeDeleted: includeDeleted ? 1 : 0,
+      cursorValue: after ? after.value : null,
+      cursorId: after ? after.id : null,
+      limit: limit + 1,
+    });
+
+    const stores = rows.slice(0, limit);
+    const last = stores[stores.length - 1];
+    return {
+      stores,
+      next: rows.length > limit ? { value: last[sort], id: last.id } : null,
+    };
+  },
+
+  /** Stores counting toward quota, platform-wide or for one tenant. */
+  getActiveCount(tenantId = null) {
+    return stmts.getActiveStoreCount.get({ tenantId }).count;
+  },
+
+  getRunningCount(tenantId = null) {
+    return stmts.getRunningStoreCount.get({ tenantId }).count;
   },
 
-  getActiveCount() {
-    return stmts.getActiveStoreCount.get().count;
+  /** [{ plan, active, running }] for the tenant's stores, optionally leaving one out. */
+  getPlanUsage(tenantId, excludeId = null) {
+    return stmts.getPlanUsage.all({ tenantId, excludeId });
+  },
+
+  getByStatus(status) {
+    return stmts.getStoresByStatus.all(status);
+  },
+
+  /** Record that the store was just used (traffic seen, or woken). `at` is ISO. */
+  markActive(id, at = new Date().toISOString()) {
+    stmts.setLastActive.run({ id, at });
   },
 
   updateStatus(id, status, errorMessage = null) {
     stmts.updateStoreStatus.run({ id, status, errorMessage });
+    publishStore(id);
     audit.log(id, 'status_change', { status, errorMessage });
   },
 
   markReady(id, storeUrl, adminUrl) {
     stmts.updateStoreUrls.run({ id, storeUrl, adminUrl });
+    publishStore(id);
     audit.log(id, 'status_change', { status: 'ready', storeUrl, adminUrl });
   },
 
-  markDeleted(id) {
+  /** Record settings applied by a successful upgrade and return the store to 'ready'. */
+  markUpdated(id, settings, changes, actor = null) {
+    stmts.updateStoreSettings.run({ id, settings: JSON.stringify(settings) });
+    publishStore(id);
+    audit.log(id, 'update', { changes }, actor);
+  },
+
+  markRolledBack(id, settings, { fromRevision, toRevision }, actor = null) {
+    stmts.updateStoreSettings.run({ id, settings: JSON.stringify(settings) });
+    publishStore(id);
+    audit.log(id, 'rollback', { fromRevision, toRevision }, actor);
+  },
+
+  markDeleted(id, actor = null) {
     stmts.deleteStore.run({ id });
-    audit.log(id, 'delete', {});
+    publishStore(id);
+    audit.log(id, 'delete', {}, actor);
+  },
+
+  /** Soft-deleted: scaled to zero, removed for good after `deleteAfter` (ISO). */
+  markPendingDeletion(id, deleteAfter, actor = null) {
+    stmts.setPendingDeletion.run({ id, status: 'pending_deletion', deleteAfter });
+    publishStore(id);
+    audit.log(id, 'soft_delete', { deleteAfter }, actor);
+  },
+
+  markUndeleted(id, actor = null) {
+    stmts.setPendingDeletion.run({ id, status: 'ready', deleteAfter: null });
+    publishStore(id);
+    audit.log(id, 'undelete', {}, actor);
+  },
+
+  markHibernated(id, actor = null) {
+    stmts.updateStoreStatus.run({ id, status: 'hibernated', errorMessage: null });
+    publishStore(id);
+    audit.log(id, 'hibernate', {}, actor);
+  },
+
+  /** Custom domains applied: the store serves `hosts` at these URLs and is ready again. */
+  markDomainsApplied(id, { storeUrl, adminUrl }, hosts, actor = null) {
+    stmts.updateStoreUrls.run({ id, storeUrl, adminUrl });
+    publishStore(id);
+    audit.log(id, 'domains_applied', { hosts, storeUrl }, actor);
+  },
+
+  markAwake(id, actor = null) {
+    stmts.updateStoreStatus.run({ id, status: 'ready', errorMessage: null });
+    stmts.setLastActive.run({ id, at: new Date().toISOString() });
+    publishStore(id);
+    audit.log(id, 'wake', {}, actor);
+  },
+
+  /** Replica counts saved while the store is scaled to zero; null once restored. */
+  setSuspendedReplicas(id, replicas) {
+    stmts.setSuspendedReplicas.run({ id, replicas: replicas && JSON.stringify(replicas) });
+  },
+
+  /** Soft-deleted stores whose grace period ended at or before `now` (ISO). */
+  getExpiredDeletions(now) {
+    return stmts.getExpiredDeletions.all({ now });
+  },
+
+  /** Change when an ephemeral store expires (ISO); null keeps it indefinitely. */
+  setExpiry(id, expiresAt, actor = null) {
+    const previous = stmts.getStore.get(id)?.expires_at ?? null;
+    stmts.setExpiresAt.run({ id, expiresAt });
+    publishStore(id);
+    audit.log(id, 'expiry_extended', { expiresAt, previous }, actor);
+  },
+
+  /** Stores past their TTL at `now` (ISO) that aren't already being deleted. */
+  getExpired(now) {
+    return stmts.getExpiredStores.all({ now });
   },
 };
 
 // ─── Audit Log ───────────────────────────────────────────────────
 
+// Each entry is chained to the one before it (see utils/auditChain); the
+// insert and its hash are one transaction so the chain has no gaps.
+const appendAudit = db.transaction((entry) => {
+  const head = stmts.getAuditHead.get();
+  const { lastInsertRowid } = stmts.insertAudit.run(entry);
+  const row = stmts.getAuditEntry.get(lastInsertRowid);
+  const prevHash = head ? head.hash : null;
+  const hash = auditChain.hashEntry(row, prevHash);
+  stmts.sealAudit.run({ id: row.id, prevHash, hash });
+  return { ...row, prev_hash: prevHash, hash };
+});
+
 const audit = {
-  log(storeId, action, details = {}) {
-    stmts.insertAudit.run({
+  /** `actor` is the identity ID that triggered the action; null for system actions. */
+  log(storeId, action, details = {}, actor = null) {
+    const entry = appendAudit({
       storeId,
       action,
       details: JSON.stringify(details),
+      actor,
     });
+    eventBus.publish('audit', entry);
+  },
+
+  getById(id) {
+    return stmts.getAuditEntry.get(id);
+  },
+
+  /**
+   * Check the whole chain, or only the entries after `from` ({ id, hash }).
+   * `from` must come from outside the database (a signature-checked
+   * checkpoint), since anything in it can be rewritten. See
+   * auditChain.verify() for the result, plus `from`.
+   */
+  verify({ from = null } = {}) {
+    if (!from) {
+      return { ...auditChain.verify(stmts.getAuditChain.iterate()), from: null };
+    }
+
+    const entry = stmts.getAuditEntry.get(from.id);
+    if (!entry || entry.hash !== from.hash) {
+      const reason = entry ? 'Entry no longer has its checkpointed hash' : 'Checkpointed entry is missing';
+      return { valid: false, entries: 0, head: null, brokenAt: { id: from.id, reason }, from };
+    }
+    return { ...auditChain.verify(stmts.getAuditChainAfter.iterate(from.id), from), from };
   },
 
-  getAll(limit = 100) {
-    return stmts.getAuditLog.all(limit);
+  /** Most recent entries, optionally limited to one tenant's stores. */
+  getAll(limit = 100, tenantId = null) {
+    return stmts.getAuditLog.all({ limit, tenantId });
+  },
+
+  /**
+   * A page of entries matching the filters, newest first unless `order` is
+   * 'asc'. `after` is the previous page's `next` (an entry id); `next` is null
+   * on the last page. Dates are SQLite timestamps.
+   */
+  query({
+    tenantId = null, storeId = null, actions = null, actor = null,
+    createdAfter = null, createdBefore = null, order = 'desc', limit = 100, after = null,
+  } = {}) {
+    const rows = stmts.queryAudit[order].all({
+      tenantId,
+      storeId,
+      actions: actions ? JSON.stringify(actions) : null,
+      actor,
+      createdAfter,
+      createdBefore,
+      afterId: after,
+      limit: limit + 1,
+    });
+
+    const entries = rows.slice(0, limit);
+    return {
+      entries,
+      next: rows.length > limit ? entries[entries.length - 1].id : null,
+    };
   },
 
   getByStoreId(storeId) {
@@ -172,13 +1036,465 @@ const audit = {
   },
 };
 
+// ─── Provisioning Attempts ───────────────────────────────────────
+
+const startAttempt = db.transaction(({ storeId, engine, startedAt }) => {
+  stmts.interruptAttempts.run({ storeId, now: startedAt });
+  return stmts.insertAttempt.run({ storeId, engine, startedAt }).lastInsertRowid;
+});
+
+const provisioningAttempts = {
+  /** Open a provisioning attempt for the store; returns its id. */
+  start(storeId, engine, now = new Date()) {
+    return startAttempt({ storeId, engine, startedAt: now.toISOString() });
+  },
+
+  /** `outcome` is 'ready' or 'failed'; `phases` maps phase → duration (ms). */
+  finish(id, { outcome, error = null, phases = {} }, now = new Date()) {
+    stmts.finishAttempt.run({
+      id, outcome, error, phases: JSON.stringify(phases), finishedAt: now.toISOString(),
+    });
+  },
+
+  getByStoreId(storeId) {
+    return stmts.getStoreAttempts.all(storeId);
+  },
+};
+
+// ─── Job Queue ───────────────────────────────────────────────────
+// Durable queue for background store operations. Workers claim a job by
+// taking a lease (lease_owner + heartbeat_at); a job whose heartbeat goes
+// stale is claimable again, which is how work survives an API crash.
+
+const jobs = {
+  /**
+   * Enqueue a job unless the same operation is already pending/running for the store.
+   * `payload` carries operation arguments (e.g. settings for an upgrade) as JSON.
+   */
+  enqueue(storeId, type, actor = null, payload = null) {
+    const existing = stmts.getActiveJob.get({ storeId, type });
+    if (existing) return existing;
+    const { lastInsertRowid } = stmts.insertJob.run({
+      storeId, type, actor, payload: payload && JSON.stringify(payload),
+    });
+    return stmts.getJob.get(lastInsertRowid);
+  },
+
+  getById(id) {
+    return stmts.getJob.get(id);
+  },
+
+  getActiveForStore(storeId) {
+    return stmts.getActiveJob.get({ storeId, type: null });
+  },
+
+  /** Atomically claim the next available job for `owner`. Returns the job or null. */
+  claim: db.transaction((owner, leaseMs) => {
+    const leaseModifier = `-${Math.ceil(leaseMs / 1000)} seconds`;
+    const job = stmts.getNextClaimableJob.get({ leaseModifier });
+    if (!job) return null;
+    stmts.claimJob.run({ id: job.id, owner });
+    return stmts.getJob.get(job.id);
+  }),
+
+  heartbeat(id, owner) {
+    return stmts.heartbeatJob.run({ id, owner }).changes > 0;
+  },
+
+  complete(id, owner) {
+    stmts.finishJob.run({ id, owner, state: 'completed', error: null });
+  },
+
+  fail(id, owner, error) {
+    stmts.finishJob.run({ id, owner, state: 'failed', error });
+  },
+
+  getCounts() {
+    const counts = {};
+    stmts.getJobCounts.all().forEach(row => { counts[row.state] = row.count; });
+    return counts;
+  },
+};
+
+// ─── API Keys ────────────────────────────────────────────────────
+// Only the SHA-256 hash of a key is stored; the plaintext is shown once at creation.
+
+const apiKeys = {
+  create({
+    id, name, keyHash, keyPrefix, tenantId = config.defaultTenant, role = 'operator', createdBy = null,
+  }) {
+    stmts.insertApiKey.run({ id, name, keyHash, keyPrefix, tenantId, role, createdBy });
+    return stmts.getApiKey.get(id);
+  },
+
+  getById(id) {
+    return stmts.getApiKey.get(id);
+  },
+
+  /** Look up a non-revoked key by hash and record the use. */
+  authenticate(keyHash) {
+    const key = stmts.getActiveApiKeyByHash.get(keyHash);
+    if (key) {
+      stmts.touchApiKey.run(key.id);
+    }
+    return key;
+  },
+
+  getAll() {
+    return stmts.getAllApiKeys.all();
+  },
+
+  revoke(id) {
+    stmts.revokeApiKey.run(id);
+    return stmts.getApiKey.get(id);
+  },
+};
+
+// ─── Tenants ─────────────────────────────────────────────────────
+// `max_stores` overrides the tier's store cap when set.
+
+const tenants = {
+  create({ id, name, tier, maxStores = null }) {
+    stmts.insertTenant.run({ id, name, tier, maxStores });
+    return stmts.getTenant.get(id);
+  },
+
+  getById(id) {
+    return stmts.getTenant.get(id);
+  },
+
+  getAll() {
+    return stmts.getAllTenants.all();
+  },
+
+  update(id, { name, tier, maxStores }) {
+    stmts.updateTenant.run({ id, name, tier, maxStores });
+    return stmts.getTenant.get(id);
+  },
+};
+
+// ─── Plans ───────────────────────────────────────────────────────
+
+const plans = {
+  create({ id, name, description = '', cpu, memory, storage, dbStorage }) {
+    stmts.insertPlan.run({ id, name, description, cpu, memory, storage, dbStorage });
+    return stmts.getPlan.get(id);
+  },
+
+  getById(id) {
+    return stmts.getPlan.get(id);
+  },
+
+  getAll() {
+    return stmts.getAllPlans.all();
+  },
+
+  update(id, { name, description, cpu, memory, storage, dbStorage }) {
+    stmts.updatePlan.run({ id, name, description, cpu, memory, storage, dbStorage });
+    return stmts.getPlan.get(id);
+  },
+
+  remove(id) {
+    stmts.deletePlan.run(id);
+  },
+
+  /** Stores (other than deleted ones) on the plan. */
+  countStores(id) {
+    return stmts.countPlanStores.get(id).count;
+  },
+};
+
+// ─── Store Revisions ─────────────────────────────────────────────
+// Settings each Helm revision was deployed with. Helm keeps the values;
+// this keeps the engine-level settings so a rollback can restore them.
+
+const revisions = {
+  record(storeId, revision, settings) {
+    stmts.upsertRevision.run({ storeId, revision, settings: JSON.stringify(settings) });
+  },
+
+  /** Settings deployed at `revision`, or null if it wasn't recorded. */
+  getSettings(storeId, revision) {
+    const row = stmts.getRevision.get(storeId, revision);
+    return row ? JSON.parse(row.settings) : null;
+  },
+
+  getAll(storeId) {
+    return stmts.getRevisions.all(storeId);
+  },
+};
+
+// ─── Backups ─────────────────────────────────────────────────────
+// One row per backup archive: pending → running → completed/failed.
+// `location` is the archive's key within the target (PVC path or S3 object).
+
+const backups = {
+  /** `trigger` is 'manual' or 'scheduled'; only scheduled backups are subject to retention. */
+  create({ id, storeId, tenantId, target, location, trigger = 'manual', actor = null }) {
+    stmts.insertBackup.run({ id, storeId, tenantId, target, location, trigger, actor });
+    return stmts.getBackup.get(id);
+  },
+
+  getById(id) {
+    return stmts.getBackup.get(id);
+  },
+
+  getByStoreId(storeId) {
+    return stmts.getStoreBackups.all(storeId);
+  },
+
+  markRunning(id) {
+    stmts.updateBackupStatus.run({ id, status: 'running', error: null });
+  },
+
+  markCompleted(id, { sizeBytes, checksum }, actor = null) {
+    stmts.completeBackup.run({ id, sizeBytes, checksum });
+    const backup = stmts.getBackup.get(id);
+    if (backup.trigger === 'scheduled') {
+      backupSchedules.recordSuccess(backup.store_id);
+    }
+    audit.log(backup.store_id, 'backup', { backupId: id, sizeBytes, checksum }, actor);
+    return backup;
+  },
+
+  markFailed(id, errorMessage, actor = null) {
+    stmts.updateBackupStatus.run({ id, status: 'failed', error: errorMessage });
+    const backup = stmts.getBackup.get(id);
+    if (backup.trigger === 'scheduled') {
+      backupSchedules.recordFailure(backup.store_id, errorMessage);
+    }
+    audit.log(backup.store_id, 'backup_failed', { backupId: id, error: errorMessage }, actor);
+  },
+
+  /** Archive removed from the target by retention. */
+  markPruned(id) {
+    stmts.pruneBackup.run(id);
+  },
+
+  /** Backups stored on `target` went away with the store (e.g. its namespace PVC). */
+  removeForStore(storeId, target) {
+    stmts.removeStoreBackups.run({ storeId, target });
+  },
+};
+
+// ─── Backup Schedules ────────────────────────────────────────────
+// One cron schedule per store. Run timestamps are ISO-8601 UTC strings so
+// they compare correctly as text.
+
+const backupSchedules = {
+  upsert({ storeId, cron, retention = {}, enabled = true, nextRunAt, actor = null }) {
+    stmts.upsertSchedule.run({
+      storeId, cron, retention: JSON.stringify(retention), enabled: enabled ? 1 : 0, nextRunAt, actor,
+    });
+    return stmts.getSchedule.get(storeId);
+  },
+
+  get(storeId) {
+    return stmts.getSchedule.get(storeId);
+  },
+
+  remove(storeId) {
+    return stmts.deleteSchedule.run(storeId).changes > 0;
+  },
+
+  getDue(now) {
+    return stmts.getDueSchedules.all({ now });
+  },
+
+  /** Advance a due schedule to its next run. False if another process already did. */
+  claimRun(storeId, dueAt, nextRunAt, now) {
+    return stmts.claimScheduleRun.run({ storeId, dueAt, nextRunAt, now }).changes > 0;
+  },
+
+  recordSuccess(storeId) {
+    stmts.recordScheduleSuccess.run({ storeId, at: new Date().toISOString() });
+  },
+
+  recordFailure(storeId, error) {
+    stmts.recordScheduleFailure.run({ storeId, at: new Date().toISOString(), error });
+  },
+};
+
+// ─── Domains ─────────────────────────────────────────────────────
+// Verification status: pending → verified (DNS TXT record found) / failed.
+// Only verified hostnames are routed to the store. Any number of stores may
+// claim a hostname; the first to verify it keeps it.
+
+const domains = {
+  /** Add a hostname; `primary` makes it the store's site URL in place of any other. */
+  add: db.transaction(({
+    hostname, storeId, tlsMode = 'none', tlsSecret = null, tlsExpiresAt = null, primary = false, token,
+    actor = null,
+  }) => {
+    if (primary) stmts.clearPrimaryDomain.run(storeId);
+    stmts.insertDomain.run({
+      hostname, storeId, tlsMode, tlsSecret, tlsExpiresAt, primary: primary ? 1 : 0, token, actor,
+    });
+    return stmts.getDomain.get(hostname, storeId);
+  }),
+
+  /** The store's claim on `hostname`, or undefined. */
+  get(hostname, storeId) {
+    return stmts.getDomain.get(hostname, storeId);
+  },
+
+  /** The claim that won `hostname`, whichever store holds it, or undefined. */
+  getOwner(hostname) {
+    return stmts.getVerifiedDomain.get(hostname);
+  },
+
+  /** Unverified claims made before `before` (ISO). */
+  getStale(before) {
+    return stmts.getStaleDomains.all(before);
+  },
+
+  /** The store's hostnames, primary first. */
+  getForStore(storeId) {
+    return stmts.getStoreDomains.all(storeId);
+  },
+
+  getVerified(storeId) {
+    return stmts.getStoreDomains.all(storeId).filter(d => d.status === 'verified');
+  },
+
+  /** Record a DNS check; a hostname another store verified first stays theirs. */
+  recordCheck: db.transaction((hostname, storeId, { verified, error = null }) => {
+    const owner = verified && stmts.getVerifiedDomain.get(hostname);
+    if (owner && owner.store_id !== storeId) {
+      verified = false;
+      error = `Domain '${hostname}' was verified by another store first`;
+    }
+    stmts.recordDomainCheck.run({
+      hostname, storeId, status: verified ? 'verified' : 'failed', at: new Date().toISOString(), error,
+    });
+    return stmts.getDomain.get(hostname, storeId);
+  }),
+
+  remove(hostname, storeId) {
+    return stmts.deleteDomain.run(hostname, storeId).changes > 0;
+  },
+
+  removeForStore(storeId) {
+    return stmts.deleteStoreDomains.run(storeId).changes;
+  },
+};
+
+// ─── Idempotency Keys ────────────────────────────────────────────
+// Keys are scoped to the caller, so two clients can't collide. Times are ISO strings.
+
+const idempotencyKeys = {
+  /** The live record for the caller's key, or undefined. */
+  get(identityId, key, now = new Date()) {
+    return stmts.getIdempotencyKey.get({ identityId, key, now: now.toISOString() });
+  },
+
+  /** Remember a response until `expiresAt`, dropping records that already expired. */
+  save({ identityId, key, requestHash, statusCode, response, expiresAt }, now = new Date()) {
+    stmts.pruneIdempotencyKeys.run(now.toISOString());
+    stmts.insertIdempotencyKey.run({
+      identityId, key, requestHash, statusCode,
+      response: JSON.stringify(response),
+      expiresAt: expiresAt.toISOString(),
+    });
+  },
+};
+
 // ─── Metrics ─────────────────────────────────────────────────────
 
+// Provisioning stats cover attempts started in this many days
+const PROVISIONING_WINDOW_DAYS = 30;
+
+/** Nearest-rank percentile of an ascending array (0 when empty). */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+/** Seconds to ready of the successful attempts, ascending. */
+function readyDurations(attempts) {
+  return attempts
+    .filter(a => a.outcome === 'ready')
+    .map(a => a.duration_ms / 1000)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Outcome and timing of a set of finished attempts. Percentiles are over
+ * successful attempts (time to ready), in whole seconds.
+ */
+function summarizeAttempts(attempts) {
+  const succeeded = attempts.filter(a => a.outcome === 'ready');
+  const durations = readyDurations(attempts);
+  return {
+    attempts: attempts.length,
+    succeeded: succeeded.length,
+    failed: attempts.length - succeeded.length,
+    successRate: attempts.length ? Math.round((succeeded.length / attempts.length) * 1000) / 1000 : null,
+    retries: attempts.filter(a => a.attempt > 1).length,
+    p50DurationSeconds: Math.round(percentile(durations, 50)),
+    p95DurationSeconds: Math.round(percentile(durations, 95)),
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = {};
+  for (const item of items) {
+    (groups[keyOf(item)] ||= []).push(item);
+  }
+  return groups;
+}
+
+/** Provisioning attempts over the window: overall, per engine, per phase and per day. */
+function provisioningStats(now) {
+  const since = new Date(now.getTime() - PROVISIONING_WINDOW_DAYS * 86400000).toISOString();
+  const attempts = stmts.getFinishedAttempts.all({ since });
+  const overall = summarizeAttempts(attempts);
+  const durations = readyDurations(attempts);
+
+  const byEngine = {};
+  for (const [engine, group] of Object.entries(groupBy(attempts, a => a.engine))) {
+    byEngine[engine] = summarizeAttempts(group);
+  }
+
+  const phaseDurations = {};
+  for (const attempt of attempts) {
+    for (const [phase, ms] of Object.entries(JSON.parse(attempt.phases))) {
+      (phaseDurations[phase] ||= []).push(ms / 1000);
+    }
+  }
+  const phases = {};
+  for (const [phase, values] of Object.entries(phaseDurations)) {
+    values.sort((a, b) => a - b);
+    phases[phase] = {
+      p50Seconds: Math.round(percentile(values, 50)),
+      p95Seconds: Math.round(percentile(values, 95)),
+    };
+  }
+
+  const daily = Object.entries(groupBy(attempts, a => a.started_at.slice(0, 10)))
+    .map(([date, group]) => ({ date, ...summarizeAttempts(group) }));
+
+  return {
+    windowDays: PROVISIONING_WINDOW_DAYS,
+    totalProvisioned: overall.succeeded,
+    avgDurationSeconds: durations.length
+      ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length)
+      : 0,
+    minDurationSeconds: Math.round(durations[0] || 0),
+    maxDurationSeconds: Math.round(durations[durations.length - 1] || 0),
+    ...overall,
+    byEngine,
+    phases,
+    daily,
+  };
+}
+
 const metrics = {
-  getAll() {
+  getAll(now = new Date()) {
     const counts = stmts.getStoreCounts.all();
-    const provisioning = stmts.getProvisioningStats.get();
     const recentFailures = stmts.getRecentFailures.all();
+    const backupCounts = stmts.getBackupCounts.all();
+    const schedules = stmts.getScheduleCounts.get();
 
     const statusCounts = {};
     counts.forEach(row => { statusCounts[row.status] = row.count; });
@@ -188,15 +1504,29 @@ const metrics = {
         total: Object.values(statusCounts).reduce((a, b) => a + b, 0),
         byStatus: statusCounts,
       },
-      provisioning: {
-        totalProvisioned: provisioning?.total_provisioned || 0,
-        avgDurationSeconds: Math.round(provisioning?.avg_duration_seconds || 0),
-        maxDurationSeconds: provisioning?.max_duration_seconds || 0,
-        minDurationSeconds: provisioning?.min_duration_seconds || 0,
-      },
+      provisioning: provisioningStats(now),
       recentFailures,
+      backups: {
+        byStatus: Object.fromEntries(backupCounts.map(row => [row.status, row.count])),
+        schedules: { total: schedules.total, enabled: schedules.enabled },
+        lastSuccess: stmts.getLastBackupSuccess.get() || null,
+        lastFailure: stmts.getLastBackupFailure.get() || null,
+      },
     };
   },
+
+  /** Store counts per status and engine: [{status, engine, count}]. */
+  getStoreCountsByEngine() {
+    return stmts.getStoreCountsByEngine.all();
+  },
+
+  /** Pending and running jobs per type: [{type, state, count}]. */
+  getJobQueueDepth() {
+    return stmts.getJobQueueDepth.all();
+  },
 };
 
-module.exports = { db, store, audit, metrics };
+module.exports = {
+  db, store, audit, jobs, apiKeys, tenants, plans, revisions, backups, backupSchedules, domains,
+  idempotencyKeys, provisioningAttempts, metrics,
+};
@@ -5,22 +5,32 @@ const cors = require('cors');
 const helmet = require('helmet');
 const config = require('./config');
 const storeRoutes = require('./routes/stores');
+const eventRoutes = require('./routes/events');
+const engineRoutes = require('./routes/engines');
+const planRoutes = require('./routes/plans');
+const adminRoutes = require('./routes/admin');
+const tenantRoutes = require('./routes/tenants');
 const errorHandler = require('./middleware/errorHandler');
+const { requestMetrics, routeMount } = require('./middleware/requestMetrics');
+const { authenticate } = require('./middleware/auth');
 const { generalLimiter, createLimiter } = require('./middleware/rateLimiter');
 
 const app = express();
 
 // ─── Middleware ────────────────────────────────────────────────────
 
+app.use(requestMetrics);
 app.use(helmet());
 
 app.use(cors({
   origin: config.nodeEnv === 'production'
     ? [`http://dashboard.${config.baseDomain}`]
     : '*',
-  methods: ['GET', 'POST', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
 }));
 
+// Authenticate before rate limiting so limits apply per identity
+app.use('/api', authenticate);
 app.use(generalLimiter);
 app.use(express.json({ limit: '1mb' }));
 
@@ -34,7 +44,12 @@ app.use('/api/stores', (req, res, next) => {
   next();
 });
 
-app.use('/api', storeRoutes);
+app.use('/api', routeMount, storeRoutes);
+app.use('/api', routeMount, eventRoutes);
+app.use('/api', routeMount, engineRoutes);
+app.use('/api', routeMount, planRoutes);
+app.use('/api', routeMount, tenantRoutes);
+app.use('/api/admin', routeMount, adminRoutes);
 
 // ─── Error Handling ───────────────────────────────────────────────
 
@@ -44,6 +59,12 @@ app.use(errorHandler);
 // Only start listening when run directly (not when imported by tests).
 
 if (require.main === module) {
+  const provisioner = require('./services/provisioner');
+  const backupScheduler = require('./services/backupScheduler');
+  const reaper = require('./services/reaper');
+  const idleMonitor = require('./services/idleMonitor');
+  const auditCheckpoints = require('./services/auditCheckpoints');
+
   const server = app.listen(config.port, () => {
     console.log(`
   ╔═══════════════════════════════════════════╗
@@ -55,17 +76,29 @@ if (require.main === module) {
   ╚═══════════════════════════════════════════╝
     `);
 
-    // Recover stores stuck in 'provisioning' from a previous crash
-    const provisioner = require('./services/provisioner');
-    provisioner.recoverOnStartup().catch(err => {
-      console.error('[server] Startup recovery failed:', err.message);
-    });
+    // Re-queue stores orphaned by a previous crash, then start claiming jobs
+    provisioner.recoverOnStartup()
+      .catch(err => {
+        console.error('[server] Startup recovery failed:', err.message);
+      })
+      .finally(() => {
+        provisioner.startWorker();
+        backupScheduler.start();
+        reaper.start();
+        idleMonitor.start();
+        auditCheckpoints.start();
+      });
   });
 
   // ─── Graceful Shutdown ──────────────────────────────────────────
 
   function shutdown(signal) {
     console.log(`\n[server] ${signal} received, shutting down...`);
+    provisioner.stopWorker();
+    backupScheduler.stop();
+    reaper.stop();
+    idleMonitor.stop();
+    auditCheckpoints.stop();
     server.close(() => {
       const { db } = require('./db');
       db.close();
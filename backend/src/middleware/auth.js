@@ -0,0 +1,106 @@
+// Authentication — resolves the caller identity from an API key or static bearer token.
+//
+// Credentials:
+//   Authorization: Bearer <api key | token>   (or X-API-Key: <api key>)
+//   ?access_token=<...>                        (SSE only — EventSource can't set headers)
+//
+// API keys are stored hashed in SQLite (see apiKeys in db.js). Static bearer
+// tokens come from AUTH_TOKENS and are meant for bootstrap admins and automation.
+// The resolved identity is attached as req.identity = { type, id, name, tenantId, role }.
+// API keys belong to the tenant and role they were issued with; static tokens are
+// admins in the default tenant. With auth disabled every caller is an anonymous admin.
+
+const crypto = require('crypto');
+const { apiKeys } = require('../db');
+const { Errors } = require('../utils/apiError');
+const config = require('../config');
+
+const API_KEY_PREFIX = 'spk_';
+const PUBLIC_PATHS = ['/health'];
+const QUERY_TOKEN_PATHS = ['/events'];
+
+const ANONYMOUS = Object.freeze({
+  type: 'anonymous', id: 'anonymous', name: 'anonymous', tenantId: config.defaultTenant, role: 'admin',
+});
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/** Returns { id, secret, keyHash, keyPrefix } — `secret` is only ever shown once. */
+function generateApiKey() {
+  const id = `key-${crypto.randomBytes(4).toString('hex')}`;
+  const secret = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    id,
+    secret,
+    keyHash: hashApiKey(secret),
+    keyPrefix: secret.slice(0, API_KEY_PREFIX.length + 6),
+  };
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function extractCredential(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+  if (QUERY_TOKEN_PATHS.includes(req.path) && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+function resolveIdentity(credential) {
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const key = apiKeys.authenticate(hashApiKey(credential));
+    return key
+      ? { type: 'api_key', id: `key:${key.id}`, name: key.name, tenantId: key.tenant_id, role: key.role }
+      : null;
+  }
+
+  const token = config.authTokens.find(t => safeEqual(t.token, credential));
+  return token
+    ? {
+      type: 'token', id: `token:${token.name}`, name: token.name, tenantId: config.defaultTenant, role: 'admin',
+    }
+    : null;
+}
+
+function authenticate(req, res, next) {
+  if (!config.authEnabled) {
+    req.identity = ANONYMOUS;
+    return next();
+  }
+
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const credential = extractCredential(req);
+  if (!credential) {
+    return next(Errors.unauthorized('Missing credentials. Provide an API key or bearer token.'));
+  }
+
+  const identity = resolveIdentity(credential);
+  if (!identity) {
+    return next(Errors.unauthorized('Invalid or revoked credentials'));
+  }
+
+  req.identity = identity;
+  next();
+}
+
+module.exports = {
+  authenticate,
+  generateApiKey,
+  hashApiKey,
+};
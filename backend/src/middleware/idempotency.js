@@ -0,0 +1,78 @@
+// Idempotency keys — a client that retries a create after a timeout sends the
+// same `Idempotency-Key` header and gets the original response back instead of
+// a second store. Keys are per caller and remembered for IDEMPOTENCY_WINDOW_MS.
+// Only successful responses are kept, so a request that failed can be retried
+// with the same key. Reusing a key for a different request is a 422.
+
+const crypto = require('crypto');
+const { idempotencyKeys } = require('../db');
+const { Errors } = require('../utils/apiError');
+const config = require('../config');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/** JSON with object keys sorted, so key order doesn't change the result. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const pairs = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${pairs.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** What makes two requests "the same": method, path and body (key order aside). */
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body ?? null)}`)
+    .digest('hex');
+}
+
+function idempotent() {
+  return (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key === undefined) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+      return next(Errors.badRequest(
+        `${HEADER} must be 1-255 printable characters without spaces`, 'INVALID_IDEMPOTENCY_KEY'
+      ));
+    }
+
+    const identityId = req.identity.id;
+    const requestHash = hashRequest(req);
+    const saved = idempotencyKeys.get(identityId, key);
+
+    if (saved) {
+      if (saved.request_hash !== requestHash) {
+        return next(Errors.idempotencyKeyReused(key));
+      }
+      console.log(`[api] Replaying response for ${HEADER} '${key}'`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(saved.status_code).json(JSON.parse(saved.response));
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        idempotencyKeys.save({
+          identityId,
+          key,
+          requestHash,
+          statusCode: res.statusCode,
+          response: body,
+          expiresAt: new Date(Date.now() + config.idempotencyWindowMs),
+        });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { idempotent };
@@ -1,15 +1,21 @@
 // Rate limiting — two tiers: general (30 req/min) and store creation (5 req/min).
+// Authenticated callers are limited per identity; anonymous callers per IP.
 
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
 
+function keyByIdentity(req) {
+  const identity = req.identity;
+  return identity && identity.type !== 'anonymous' ? identity.id : req.ip;
+}
+
 const generalLimiter = rateLimit({
   windowMs: config.rateLimitWindowMs,
   max: config.rateLimitMaxRequests,
   standardHeaders: true,
   legacyHeaders: false,
   skipFailedRequests: true,
-  keyGenerator: (req) => req.ip,
+  keyGenerator: keyByIdentity,
   message: {
     error: {
       code: 'RATE_LIMIT_EXCEEDED',
@@ -24,7 +30,7 @@ const createLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipFailedRequests: true,
-  keyGenerator: (req) => req.ip,
+  keyGenerator: keyByIdentity,
   message: {
     error: {
       code: 'RATE_LIMIT_EXCEEDED',
@@ -0,0 +1,54 @@
+// Role-based access control — each identity carries a role; routes declare
+// the permission they need with requirePermission().
+//
+//   viewer   — read stores, audit and metrics within the tenant
+//   operator — viewer + create stores; update/roll back/back up/restore/delete/
+//              retry and view/rotate admin credentials of the stores they own
+//   admin    — operator + act on any store in the tenant, read every tenant's
+//              audit log, manage API keys and tenants
+
+const { Errors } = require('../utils/apiError');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const VIEWER = ['stores:read', 'audit:read', 'metrics:read'];
+const OPERATOR = [
+  ...VIEWER,
+  'stores:create', 'stores:update', 'stores:rollback', 'stores:delete', 'stores:retry', 'stores:hibernate',
+  'backups:create', 'backups:restore', 'backups:schedule',
+  'credentials:read', 'credentials:rotate',
+  'domains:manage',
+];
+const ADMIN = [...OPERATOR, 'stores:manage_any', 'audit:read_all', 'platform:admin'];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER,
+  operator: OPERATOR,
+  admin: ADMIN,
+};
+
+function can(identity, permission) {
+  return (ROLE_PERMISSIONS[identity?.role] || []).includes(permission);
+}
+
+/** Owners may act on their own stores; `stores:manage_any` covers the rest. */
+function canManageStore(identity, record) {
+  return record.owner === identity.id || can(identity, 'stores:manage_any');
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.identity, permission)) {
+      return next();
+    }
+    next(Errors.forbidden(`Role '${req.identity?.role}' lacks permission '${permission}'`));
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  can,
+  canManageStore,
+  requirePermission,
+};
@@ -0,0 +1,29 @@
+// Request metrics — times every request into the
+// store_platform_http_request_duration_seconds histogram. Requests are
+// labelled by route template (/api/stores/:id), not by URL, so label
+// cardinality stays bounded; requests no route matched share "unmatched".
+
+const { httpRequestDuration } = require('../utils/prometheus');
+
+function requestMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.routeMountPath ?? req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ route, status: res.statusCode });
+  });
+  next();
+}
+
+/**
+ * Mounted just ahead of each router (`app.use('/api', routeMount, router)`)
+ * to note its mount path. req.baseUrl only holds it while the request is
+ * inside the router, and an error has left the router by the time the
+ * response finishes.
+ */
+function routeMount(req, res, next) {
+  req.routeMountPath = req.baseUrl;
+  next();
+}
+
+module.exports = { requestMetrics, routeMount };
@@ -0,0 +1,262 @@
+// Admin routes — API key, tenant and resource plan management. Plaintext keys are returned once, at creation.
+
+const { Router } = require('express');
+const { apiKeys, tenants, plans, audit } = require('../db');
+const { generateApiKey } = require('../middleware/auth');
+const { ROLES, requirePermission } = require('../middleware/rbac');
+const tenantQuota = require('../services/tenants');
+const planCatalog = require('../services/plans');
+const config = require('../config');
+const { Errors } = require('../utils/apiError');
+
+const router = Router();
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+router.use(requirePermission('platform:admin'));
+
+// ─── Validation ──────────────────────────────────────────────────
+
+function validateTier(tier) {
+  if (!Object.prototype.hasOwnProperty.call(config.tenantTiers, tier)) {
+    const available = Object.keys(config.tenantTiers).map(t => `'${t}'`).join(', ');
+    throw Errors.badRequest(`Invalid tier: '${tier}'. Must be one of: ${available}`, 'INVALID_TIER');
+  }
+  return tier;
+}
+
+/** `null` clears the override so the tier's cap applies. */
+function validateMaxStores(maxStores) {
+  if (maxStores === null) return null;
+  if (!Number.isInteger(maxStores) || maxStores < 0) {
+    throw Errors.badRequest('maxStores must be a non-negative integer or null', 'INVALID_MAX_STORES');
+  }
+  return maxStores;
+}
+
+/** Resource fields of a plan; `name` falls back to `fallbackName`. */
+function validatePlanFields(body, fallbackName) {
+  const fields = {
+    name: (typeof body.name === 'string' && body.name.trim()) ? body.name.trim().slice(0, 100) : fallbackName,
+    description: typeof body.description === 'string' ? body.description.trim().slice(0, 200) : '',
+    cpu: body.cpu,
+    memory: body.memory,
+    storage: body.storage,
+    dbStorage: body.dbStorage,
+  };
+
+  const problems = planCatalog.check(fields);
+  if (problems.length > 0) {
+    throw Errors.badRequest(`Invalid plan: ${problems.join('; ')}`, 'INVALID_PLAN');
+  }
+  return fields;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    const available = ROLES.map(r => `'${r}'`).join(', ');
+    throw Errors.badRequest(`Invalid role: '${role}'. Must be one of: ${available}`, 'INVALID_ROLE');
+  }
+  return role;
+}
+
+// ─── API Keys ────────────────────────────────────────────────────
+
+router.post('/keys', (req, res, next) => {
+  try {
+    const { name, tenant = config.defaultTenant, role = 'operator' } = req.body || {};
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      throw Errors.badRequest('Key name is required and must be a non-empty string', 'MISSING_KEY_NAME');
+    }
+
+    if (!tenants.getById(tenant)) {
+      throw Errors.badRequest(`Tenant '${tenant}' does not exist`, 'INVALID_TENANT');
+    }
+    validateRole(role);
+
+    const { id, secret, keyHash, keyPrefix } = generateApiKey();
+    const key = apiKeys.create({
+      id,
+      name: name.trim().slice(0, 100),
+      keyHash,
+      keyPrefix,
+      tenantId: tenant,
+      role,
+      createdBy: req.identity.id,
+    });
+
+    audit.log(null, 'api_key_created', {
+      keyId: id, name: key.name, tenantId: tenant, role,
+    }, req.identity.id);
+    res.status(201).json({ key, secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/keys', (req, res, next) => {
+  try {
+    res.json({ keys: apiKeys.getAll() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/keys/:id', (req, res, next) => {
+  try {
+    const existing = apiKeys.getById(req.params.id);
+    if (!existing) {
+      throw Errors.notFound('API key', req.params.id);
+    }
+
+    const key = apiKeys.revoke(req.params.id);
+    if (!existing.revoked_at) {
+      audit.log(null, 'api_key_revoked', { keyId: key.id, name: key.name }, req.identity.id);
+    }
+    res.json({ key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Tenants ─────────────────────────────────────────────────────
+
+router.post('/tenants', (req, res, next) => {
+  try {
+    const { id, name, tier = config.defaultTenantTier, maxStores = null } = req.body || {};
+    if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+      throw Errors.badRequest(
+        'Tenant id must be 2-40 lowercase letters, digits or dashes',
+        'INVALID_TENANT_ID'
+      );
+    }
+
+    if (tenants.getById(id)) {
+      throw Errors.conflict(`Tenant '${id}' already exists`, 'TENANT_EXISTS');
+    }
+
+    const tenant = tenants.create({
+      id,
+      name: (typeof name === 'string' && name.trim()) ? name.trim().slice(0, 100) : id,
+      tier: validateTier(tier),
+      maxStores: validateMaxStores(maxStores),
+    });
+
+    audit.log(null, 'tenant_created', { tenantId: id, tier: tenant.tier }, req.identity.id);
+    res.status(201).json({ tenant: tenantQuota.describe(tenant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/tenants', (req, res, next) => {
+  try {
+    res.json({ tenants: tenants.getAll().map(tenantQuota.describe) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Changing the tier applies to new stores immediately; existing namespaces keep their quota.
+router.patch('/tenants/:id', (req, res, next) => {
+  try {
+    const existing = tenants.getById(req.params.id);
+    if (!existing) {
+      throw Errors.notFound('Tenant', req.params.id);
+    }
+
+    const body = req.body || {};
+    const tenant = tenants.update(req.params.id, {
+      name: (typeof body.name === 'string' && body.name.trim())
+        ? body.name.trim().slice(0, 100)
+        : existing.name,
+      tier: body.tier !== undefined ? validateTier(body.tier) : existing.tier,
+      maxStores: body.maxStores !== undefined ? validateMaxStores(body.maxStores) : existing.max_stores,
+    });
+
+    audit.log(null, 'tenant_updated', {
+      tenantId: tenant.id, tier: tenant.tier, maxStores: tenant.max_stores,
+    }, req.identity.id);
+    res.json({ tenant: tenantQuota.describe(tenant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Plans ───────────────────────────────────────────────────────
+// Stores pick up a changed plan at their next update; volumes of plans in use can't shrink.
+
+router.post('/plans', (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (typeof body.id !== 'string' || !PLAN_ID_PATTERN.test(body.id)) {
+      throw Errors.badRequest('Plan id must be 2-40 lowercase letters, digits or dashes', 'INVALID_PLAN_ID');
+    }
+
+    if (plans.getById(body.id)) {
+      throw Errors.conflict(`Plan '${body.id}' already exists`, 'PLAN_EXISTS');
+    }
+
+    const plan = planCatalog.describe(plans.create({ id: body.id, ...validatePlanFields(body, body.id) }));
+
+    audit.log(null, 'plan_created', { plan }, req.identity.id);
+    res.status(201).json({ plan });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/plans/:id', (req, res, next) => {
+  try {
+    const existing = plans.getById(req.params.id);
+    if (!existing) {
+      throw Errors.notFound('Plan', req.params.id);
+    }
+
+    const current = planCatalog.describe(existing);
+    const fields = validatePlanFields({ ...current, ...req.body }, current.name);
+
+    const shrinking = planCatalog.shrinkingVolume(current, fields);
+    if (shrinking && plans.countStores(current.id) > 0) {
+      throw Errors.conflict(
+        `Plan '${current.id}' is in use; its ${shrinking} can't shrink (volumes can't be reduced)`,
+        'PLAN_IN_USE'
+      );
+    }
+
+    const plan = planCatalog.describe(plans.update(current.id, fields));
+
+    audit.log(null, 'plan_updated', { plan }, req.identity.id);
+    res.json({ plan });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/plans/:id', (req, res, next) => {
+  try {
+    const plan = plans.getById(req.params.id);
+    if (!plan) {
+      throw Errors.notFound('Plan', req.params.id);
+    }
+
+    if (plan.id === config.defaultPlan) {
+      throw Errors.conflict(`Plan '${plan.id}' is the default plan (DEFAULT_PLAN)`, 'PLAN_IN_USE');
+    }
+
+    const inUse = plans.countStores(plan.id);
+    if (inUse > 0) {
+      throw Errors.conflict(`Plan '${plan.id}' is used by ${inUse} store(s)`, 'PLAN_IN_USE');
+    }
+
+    plans.remove(plan.id);
+
+    audit.log(null, 'plan_deleted', { planId: plan.id }, req.identity.id);
+    res.json({ plan: planCatalog.describe(plan) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
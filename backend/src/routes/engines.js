@@ -0,0 +1,21 @@
+// Engine discovery — lets clients build their engine picker from the registry
+// instead of hard-coding the list.
+
+const { Router } = require('express');
+const engineRegistry = require('../services/engineRegistry');
+const config = require('../config');
+
+const router = Router();
+
+router.get('/engines', (req, res, next) => {
+  try {
+    res.json({
+      engines: engineRegistry.list(),
+      defaultEngine: config.defaultEngine,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Server-Sent Events stream — pushes store status changes, audit entries
+// and provisioning progress to the dashboard as they are written.
+//
+// Event types:
+//   store    — full store row after any lifecycle change
+//   audit    — newly written audit_log entry
+//   progress — { storeId, phase, message } while provisioning/deleting
+//   resync   — replay gap; client should refetch everything
+//
+// Callers only receive events about their own tenant's stores; audit entries
+// follow the same visibility rules as GET /audit.
+
+const { Router } = require('express');
+const { store } = require('../db');
+const eventBus = require('../utils/eventBus');
+const { can, requirePermission } = require('../middleware/rbac');
+const config = require('../config');
+
+const router = Router();
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function isVisible(identity, event) {
+  if (event.type === 'audit' && can(identity, 'audit:read_all')) return true;
+
+  const storeId = {
+    store: event.data.id,
+    audit: event.data.store_id,
+    progress: event.data.storeId,
+  }[event.type];
+  if (!storeId) return false;
+
+  const record = event.type === 'store' ? event.data : store.getById(storeId);
+  return record?.tenant_id === identity.tenantId;
+}
+
+router.get('/events', requirePermission('stores:read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.sseRetryMs}\n\n`);
+
+  // Browsers send Last-Event-ID on auto-reconnect; manual reconnects pass it as a query param
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!Number.isNaN(lastEventId)) {
+    const missed = eventBus.since(lastEventId);
+    if (missed) {
+      missed
+        .filter(event => isVisible(req.identity, event))
+        .forEach(event => writeEvent(res, event));
+    } else {
+      res.write(`event: resync\ndata: {}\n\n`);
+    }
+  }
+
+  const unsubscribe = eventBus.subscribe(event => {
+    if (isVisible(req.identity, event)) {
+      writeEvent(res, event);
+    }
+  });
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), config.sseKeepAliveMs);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Resource plans — lets clients build their plan picker from the catalog
+// (admins manage it under /api/admin/plans).
+
+const { Router } = require('express');
+const { plans } = require('../db');
+const planCatalog = require('../services/plans');
+const config = require('../config');
+
+const router = Router();
+
+router.get('/plans', (req, res, next) => {
+  try {
+    res.json({
+      plans: plans.getAll().map(planCatalog.describe),
+      defaultPlan: config.defaultPlan,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,68 @@
-// Store API routes — CRUD + retry + audit + metrics.
+// Store API routes — CRUD + update + rollback + backups (+ schedules) + domains + retry + audit + metrics.
+// Stores are scoped to the caller's tenant; other tenants' stores read as not found.
+// Each route declares the permission it needs (see middleware/rbac.js).
 //
 // Lifecycle state machine:
 //   queued → provisioning → ready
 //                        → failed → (retry) → provisioning
-//   any (except deleted) → deleting → deleted
+//   ready → updating → ready
+//                    → failed (helm rolled back; previous revision still serving)
+//   ready/failed → (rollback) → updating → ready
+//   ready → (restore) → restoring → ready / failed
+//   ready → (clone) → new store: queued → provisioning (+ copy of source data) → ready
+//   any (except deleted, updating) → deleting → deleted
+//   ready → (hibernate) → hibernated → (wake) → waking → ready / failed
+//   ready → (custom domain verified / removed) → updating → ready / failed
+//   ready/failed/hibernated → (delete, grace period set) → pending_deletion → (undelete) → ready
+//                                                                → (reaper / force) → deleting → deleted
+//   any (except deleting, deleted) → (TTL runs out, reaper) → deleting → deleted
 
 const { Router } = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { store, audit, metrics } = require('../db');
+const { store, audit, metrics, tenants, plans: planRecords, backups, backupSchedules, domains } = require('../db');
 const provisioner = require('../services/provisioner');
+const engineRegistry = require('../services/engineRegistry');
+const tenantQuota = require('../services/tenants');
+const credentials = require('../services/credentials');
+const releaseHistory = require('../services/releaseHistory');
+const backupJobs = require('../services/backups');
+const backupScheduler = require('../services/backupScheduler');
+const customDomains = require('../services/domains');
+const auditExport = require('../services/auditExport');
+const auditCheckpoints = require('../services/auditCheckpoints');
+const prometheus = require('../utils/prometheus');
+const plans = require('../services/plans');
+const { can, canManageStore, requirePermission } = require('../middleware/rbac');
+const { idempotent } = require('../middleware/idempotency');
 const config = require('../config');
+const schema = require('../utils/schema');
+const cron = require('../utils/cron');
 const { Errors } = require('../utils/apiError');
 
 const router = Router();
 
 const RETRYABLE_STATES = ['failed'];
-const DELETABLE_STATES = ['ready', 'failed', 'queued', 'provisioning'];
+const ROLLBACK_STATES = ['ready', 'failed'];
+const DELETABLE_STATES = ['ready', 'failed', 'queued', 'provisioning', 'hibernated', 'pending_deletion'];
+const SOFT_DELETABLE_STATES = ['ready', 'failed', 'hibernated'];
 const TERMINAL_STATES = ['deleted'];
+const MAX_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_DOMAINS_PER_STORE = 5;
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const STORE_STATUSES = [
+  'queued', 'provisioning', 'ready', 'failed', 'updating', 'restoring', 'hibernated', 'waking',
+  'pending_deletion', 'deleting', 'deleted',
+];
+const LIST_SORTS = ['created_at', 'updated_at', 'name'];
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 500;
 
 // ─── Validation ──────────────────────────────────────────────────
 
 function validateCreateStore(body) {
-  const { name, engine = 'woocommerce' } = body || {};
+  const { name, engine = config.defaultEngine, parameters } = body || {};
 
   if (!name || typeof name !== 'string' || name.trim().length === 0) {
     throw Errors.badRequest('Store name is required and must be a non-empty string', 'MISSING_STORE_NAME');
@@ -31,14 +72,387 @@ function validateCreateStore(body) {
     throw Errors.badRequest('Store name must be at least 2 characters', 'INVALID_STORE_NAME');
   }
 
-  if (!['woocommerce', 'medusa'].includes(engine)) {
+  if (!engineRegistry.has(engine)) {
+    const available = engineRegistry.names().map(n => `'${n}'`).join(', ');
     throw Errors.badRequest(
-      `Invalid engine: '${engine}'. Must be 'woocommerce' or 'medusa'`,
+      `Invalid engine: '${engine}'. Must be one of: ${available}`,
       'INVALID_ENGINE'
     );
   }
 
-  return { name: name.trim().slice(0, 100), engine };
+  return {
+    name: name.trim().slice(0, 100),
+    engine,
+    plan: validatePlan(body.plan ?? config.defaultPlan),
+    parameters: validateParameters(engineRegistry.get(engine), parameters),
+    expiresAt: validateExpiry(body),
+  };
+}
+
+/** The resource plan with id `planId` (see services/plans). */
+function validatePlan(planId) {
+  const plan = typeof planId === 'string' ? plans.get(planId) : null;
+  if (!plan) {
+    const available = planRecords.getAll().map(p => `'${p.id}'`).join(', ');
+    throw Errors.badRequest(`Invalid plan: '${planId}'. Must be one of: ${available}`, 'INVALID_PLAN');
+  }
+  return plan;
+}
+
+/** The store's current resource plan, or null if it has been removed. */
+function getStorePlan(record) {
+  return plans.get(JSON.parse(record.settings || '{}').plan);
+}
+
+/** Creation parameters checked against the engine's schema, with its defaults filled in. */
+function validateParameters(engine, parameters = {}) {
+  const problems = schema.validate(engine.parameters, parameters);
+  if (problems.length > 0) {
+    throw Errors.badRequest(`Invalid parameters: ${problems.join('; ')}`, 'INVALID_PARAMETERS');
+  }
+  return { ...schema.defaults(engine.parameters), ...parameters };
+}
+
+/** A TTL in seconds, or a string such as "90m", "4h" or "7d", as milliseconds. */
+function parseTtl(ttl) {
+  if (typeof ttl === 'number' && Number.isInteger(ttl) && ttl > 0) {
+    return ttl * 1000;
+  }
+  const match = typeof ttl === 'string' && /^(\d+)\s*([smhd])$/.exec(ttl.trim());
+  if (match && Number(match[1]) > 0) {
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+  throw Errors.badRequest(
+    `Invalid ttl: ${JSON.stringify(ttl)}. Use seconds or a duration such as "90m", "4h" or "7d"`,
+    'INVALID_TTL'
+  );
+}
+
+/**
+ * When a store should expire, from `ttl` (relative to `from`) or `expiresAt`
+ * (ISO). Undefined when neither is given; null when expiresAt is null.
+ */
+function validateExpiry(body, from = Date.now()) {
+  const { ttl, expiresAt } = body || {};
+  if (ttl === undefined && expiresAt === undefined) return undefined;
+
+  if (ttl !== undefined && expiresAt !== undefined) {
+    throw Errors.badRequest("Give either 'ttl' or 'expiresAt', not both", 'INVALID_TTL');
+  }
+
+  if (expiresAt === null) return null;
+
+  const at = ttl !== undefined
+    ? from + parseTtl(ttl)
+    : (typeof expiresAt === 'string' ? Date.parse(expiresAt) : NaN);
+  if (!Number.isFinite(at)) {
+    throw Errors.badRequest("'expiresAt' must be an ISO date string or null", 'INVALID_TTL');
+  }
+
+  if (at <= Date.now()) {
+    throw Errors.badRequest('Expiry must be in the future', 'INVALID_TTL');
+  }
+  if (at - Date.now() > MAX_TTL_MS) {
+    throw Errors.badRequest(`Expiry can be at most ${MAX_TTL_MS / DURATION_UNITS.d} days away`, 'INVALID_TTL');
+  }
+
+  return new Date(at).toISOString();
+}
+
+/** An ISO date query parameter as a SQLite timestamp ("YYYY-MM-DD HH:MM:SS"), or null. */
+function parseDateParam(value, name) {
+  if (value === undefined) return null;
+  const at = Date.parse(value);
+  if (!Number.isFinite(at)) {
+    throw Errors.badRequest(`'${name}' must be an ISO date`, 'INVALID_QUERY');
+  }
+  return new Date(at).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function encodeCursor(next) {
+  return next ? Buffer.from(JSON.stringify(next)).toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof id === 'string' && typeof value === 'string') return { value, id };
+  } catch {
+    // fall through
+  }
+  throw Errors.badRequest('Invalid cursor', 'INVALID_QUERY');
+}
+
+/** A query parameter given at most once; empty counts as absent. */
+function queryParam(query, name) {
+  const value = query[name];
+  if (value !== undefined && typeof value !== 'string') {
+    throw Errors.badRequest(`'${name}' must be given once`, 'INVALID_QUERY');
+  }
+  return value === '' ? undefined : value;
+}
+
+/** A page size from 1 to `max`; `fallback` when the parameter is absent. */
+function parseLimit(value, fallback, max) {
+  const limit = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw Errors.badRequest(`'limit' must be an integer from 1 to ${max}`, 'INVALID_QUERY');
+  }
+  return limit;
+}
+
+function parseOrder(value, fallback) {
+  const order = value || fallback;
+  if (!['asc', 'desc'].includes(order)) {
+    throw Errors.badRequest("'order' must be 'asc' or 'desc'", 'INVALID_QUERY');
+  }
+  return order;
+}
+
+/**
+ * GET /stores query → store.list() options. Filters: status (comma-separated),
+ * engine, owner ("me" = the caller), q (name contains), created_after/before,
+ * include_deleted. Sorting: sort + order. Paging: limit + cursor.
+ */
+function parseListQuery(query, identity) {
+  const single = (name) => queryParam(query, name);
+
+  const statuses = single('status')?.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = (statuses || []).filter(s => !STORE_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    throw Errors.badRequest(`Unknown status: ${unknown.join(', ')}`, 'INVALID_QUERY');
+  }
+
+  const sort = single('sort') || 'created_at';
+  if (!LIST_SORTS.includes(sort)) {
+    throw Errors.badRequest(`'sort' must be one of: ${LIST_SORTS.join(', ')}`, 'INVALID_QUERY');
+  }
+  const order = parseOrder(single('order'), sort === 'name' ? 'asc' : 'desc');
+
+  const limit = parseLimit(single('limit'), LIST_DEFAULT_LIMIT, LIST_MAX_LIMIT);
+
+  const includeDeleted = single('include_deleted');
+  if (includeDeleted !== undefined && !['true', 'false'].includes(includeDeleted)) {
+    throw Errors.badRequest("'include_deleted' must be 'true' or 'false'", 'INVALID_QUERY');
+  }
+
+  const owner = single('owner');
+  const cursor = single('cursor');
+  return {
+    tenantId: identity.tenantId,
+    statuses: statuses?.length ? statuses : null,
+    engine: single('engine') || null,
+    owner: owner === 'me' ? identity.id : (owner || null),
+    search: single('q')?.trim() || null,
+    createdAfter: parseDateParam(single('created_after'), 'created_after'),
+    createdBefore: parseDateParam(single('created_before'), 'created_before'),
+    includeDeleted: includeDeleted === 'true',
+    sort,
+    order,
+    limit,
+    after: cursor ? decodeCursor(cursor) : null,
+  };
+}
+
+/**
+ * Audit query → audit.query() options. Filters: store, action (comma-separated),
+ * actor ("me" = the caller), created_after/before. Paging: order, limit
+ * (1–500) and cursor. Callers without audit:read_all only see
+ * their tenant's stores.
+ */
+function parseAuditQuery(query, identity, { order: defaultOrder = 'desc' } = {}) {
+  const single = (name) => queryParam(query, name);
+
+  const cursor = single('cursor');
+  if (cursor !== undefined && !/^[1-9]\d*$/.test(cursor)) {
+    throw Errors.badRequest('Invalid cursor', 'INVALID_QUERY');
+  }
+
+  const actions = single('action')?.split(',').map(a => a.trim()).filter(Boolean);
+  const actor = single('actor');
+  const limit = parseLimit(single('limit'), AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT);
+
+  return {
+    tenantId: can(identity, 'audit:read_all') ? null : identity.tenantId,
+    storeId: single('store') || null,
+    actions: actions?.length ? actions : null,
+    actor: actor === 'me' ? identity.id : (actor || null),
+    createdAfter: parseDateParam(single('created_after'), 'created_after'),
+    createdBefore: parseDateParam(single('created_before'), 'created_before'),
+    order: parseOrder(single('order'), defaultOrder),
+    limit,
+    after: cursor ? Number(cursor) : null,
+  };
+}
+
+const RETENTION_SCHEMA = {
+  properties: {
+    daily: { type: 'integer', minimum: 0, maximum: 365 },
+    weekly: { type: 'integer', minimum: 0, maximum: 260 },
+    monthly: { type: 'integer', minimum: 0, maximum: 120 },
+  },
+};
+
+/** { cron, retention, enabled } from a schedule request body. */
+function validateBackupSchedule(body) {
+  const { cron: expression, retention = {}, enabled = true } = body || {};
+
+  if (!expression || typeof expression !== 'string') {
+    throw Errors.badRequest('cron is required, e.g. "0 3 * * *" or "@daily"', 'INVALID_CRON');
+  }
+  try {
+    cron.next(expression);
+  } catch (error) {
+    throw Errors.badRequest(error.message, 'INVALID_CRON');
+  }
+
+  const problems = schema.validate(RETENTION_SCHEMA, retention);
+  if (problems.length > 0) {
+    throw Errors.badRequest(`Invalid retention: ${problems.join('; ')}`, 'INVALID_RETENTION');
+  }
+
+  if (typeof enabled !== 'boolean') {
+    throw Errors.badRequest("'enabled' must be a boolean", 'INVALID_SCHEDULE');
+  }
+
+  return { cron: expression.trim(), retention, enabled };
+}
+
+/**
+ * { hostname, tls, certificate, privateKey, primary, tlsExpiresAt } from a
+ * domain request body. Uploaded certificates are checked against the hostname.
+ */
+function validateDomain(body) {
+  const { hostname, tls = 'none', certificate, privateKey, primary } = body || {};
+
+  if (typeof hostname !== 'string' || !hostname.trim()) {
+    throw Errors.badRequest('hostname is required, e.g. "shop.example.com"', 'INVALID_HOSTNAME');
+  }
+  const normalized = hostname.trim().toLowerCase().replace(/\.$/, '');
+  const problem = customDomains.checkHostname(normalized);
+  if (problem) {
+    throw Errors.badRequest(problem, 'INVALID_HOSTNAME');
+  }
+
+  if (!customDomains.TLS_MODES.includes(tls)) {
+    const modes = customDomains.TLS_MODES.map(m => `'${m}'`).join(', ');
+    throw Errors.badRequest(`Invalid tls: '${tls}'. Must be one of: ${modes}`, 'INVALID_TLS');
+  }
+
+  if (tls === 'cert-manager' && !config.certManagerIssuer) {
+    throw Errors.badRequest('cert-manager TLS is not configured on this platform (CERT_MANAGER_ISSUER)', 'INVALID_TLS');
+  }
+
+  let tlsExpiresAt = null;
+  if (tls === 'secret') {
+    if (typeof certificate !== 'string' || typeof privateKey !== 'string') {
+      throw Errors.badRequest("tls: 'secret' needs 'certificate' and 'privateKey' (PEM)", 'INVALID_TLS');
+    }
+    try {
+      tlsExpiresAt = customDomains.inspectCertificate(normalized, certificate, privateKey).expiresAt;
+    } catch (error) {
+      throw Errors.badRequest(error.message, 'INVALID_TLS');
+    }
+  }
+
+  if (primary !== undefined && typeof primary !== 'boolean') {
+    throw Errors.badRequest("'primary' must be a boolean", 'INVALID_HOSTNAME');
+  }
+
+  return { hostname: normalized, tls, certificate, privateKey, primary, tlsExpiresAt };
+}
+
+/** Load a store owned by the caller's tenant, or throw NOT_FOUND. */
+function findStore(req) {
+  const record = store.getById(req.params.id);
+  if (!record || record.tenant_id !== req.identity.tenantId) {
+    throw Errors.notFound('Store', req.params.id);
+  }
+  return record;
+}
+
+/** Operators may only act on stores they created; admins on any in the tenant. */
+function assertCanManage(req, record, action) {
+  if (!canManageStore(req.identity, record)) {
+    throw Errors.forbidden(`Only the store owner or an admin can ${action} store '${record.id}'`);
+  }
+}
+
+/**
+ * Quota checks for a store about to count again. `active`: the tenant's store
+ * cap, then platform capacity. `running`: the tier's cap on stores that aren't
+ * hibernated. With a `plan`, the same two for the tier's resource budget.
+ */
+function assertQuota(tenantId, { active = true, running = true, plan = null } = {}) {
+  const tenant = tenants.getById(tenantId);
+  if (!tenant) {
+    throw Errors.badRequest(`Tenant '${tenantId}' does not exist`, 'INVALID_TENANT');
+  }
+
+  if (active) {
+    const tenantLimit = tenantQuota.getStoreLimit(tenant);
+    if (store.getActiveCount(tenantId) >= tenantLimit) {
+      throw Errors.quotaExceeded(tenantLimit, tenantId);
+    }
+
+    if (store.getActiveCount() >= config.maxStores) {
+      throw Errors.quotaExceeded(config.maxStores);
+    }
+  }
+
+  if (running) {
+    const runningLimit = tenantQuota.getRunningLimit(tenant);
+    if (store.getRunningCount(tenantId) >= runningLimit) {
+      throw Errors.runningQuotaExceeded(runningLimit, tenantId);
+    }
+  }
+
+  if (plan) {
+    assertResources(tenant, plan, { active, running });
+  }
+}
+
+/** The tier's resource budget must have room for one more store on `plan`. */
+function assertResources(tenant, plan, options) {
+  const overrun = tenantQuota.checkResources(tenant, plan, options);
+  if (overrun) {
+    throw Errors.resourceQuotaExceeded(overrun, tenant.id);
+  }
+}
+
+/**
+ * Create a store record for the caller's tenant after the engine and quota
+ * checks. The caller enqueues its provisioning job.
+ */
+function createStore(req, {
+  name, engine, plan, settings, parameters = {}, clonedFrom = null, expiresAt = null,
+}) {
+  // Engine availability check
+  const engineModule = provisioner.getEngine(engine);
+  const validation = engineModule.validate();
+  if (!validation.valid) {
+    throw Errors.badRequest(validation.error, 'ENGINE_UNAVAILABLE');
+  }
+
+  const tenantId = req.identity.tenantId;
+  assertQuota(tenantId, { plan });
+
+  const shortId = uuidv4().split('-')[0];
+  const storeId = `store-${shortId}`;
+
+  return store.create({
+    id: storeId,
+    name,
+    engine,
+    namespace: storeId,
+    helmRelease: storeId,
+    tenantId,
+    settings: { ...(settings || engineModule.defaultSettings || {}), plan: plan.id },
+    parameters,
+    clonedFrom,
+    expiresAt,
+    actor: req.identity.id,
+  });
 }
 
 // ─── Routes ──────────────────────────────────────────────────────
@@ -51,82 +465,419 @@ router.get('/health', (req, res) => {
   });
 });
 
-router.get('/stores', (req, res, next) => {
+// Paginated: pass `nextCursor` back as `cursor` for the next page (null on the last).
+// Deleted stores are left out unless include_deleted=true.
+router.get('/stores', requirePermission('stores:read'), (req, res, next) => {
   try {
-    const stores = store.getAll();
-    res.json({ stores });
+    const { stores, next: after } = store.list(parseListQuery(req.query, req.identity));
+    res.json({ stores, nextCursor: encodeCursor(after) });
   } catch (error) {
     next(error);
   }
 });
 
-router.get('/stores/:id', (req, res, next) => {
+router.get('/stores/:id', requirePermission('stores:read'), (req, res, next) => {
   try {
-    const record = store.getById(req.params.id);
-    if (!record) {
-      throw Errors.notFound('Store', req.params.id);
-    }
+    const record = findStore(req);
     res.json({ store: record });
   } catch (error) {
     next(error);
   }
 });
 
-// Create is async: returns 201 immediately, provisioning runs in background.
-router.post('/stores', (req, res, next) => {
+// Create is async: returns 201 immediately, provisioning is queued for the job worker.
+// An `Idempotency-Key` header makes retries safe: a repeat gets the first 201 back.
+router.post('/stores', requirePermission('stores:create'), idempotent(), (req, res, next) => {
+  try {
+    const record = createStore(req, validateCreateStore(req.body));
+
+    // Durable hand-off — dashboard polls for status updates
+    provisioner.enqueue(record.id, 'provision', req.identity.id);
+
+    console.log(`[api] Store ${record.id} created, provisioning queued`);
+    res.status(201).json({ store: record });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * A running store can move to `plan` if the engine sizes stores by plan, the
+ * new plan's volumes are at least as big (PVCs can't shrink) and the tenant's
+ * resource budget has room for it in place of the current plan.
+ */
+function assertPlanChange(record, engine, plan) {
+  if (!engineRegistry.capabilities(engine).includes('plans')) {
+    throw Errors.badRequest(`Engine '${record.engine}' does not support resource plans`, 'UNSUPPORTED_OPERATION');
+  }
+
+  const current = getStorePlan(record);
+  const shrinking = current && plans.shrinkingVolume(current, plan);
+  if (shrinking) {
+    throw Errors.badRequest(
+      `Plan '${plan.id}' has a smaller ${shrinking} than '${current.id}' (volumes can't shrink)`,
+      'INVALID_PLAN'
+    );
+  }
+
+  assertResources(tenants.getById(record.tenant_id), plan, { excludeId: record.id });
+}
+
+// Update is async: returns 202, the helm upgrade is queued for the job worker.
+// Body is a partial settings object validated against the engine's settings
+// schema, plus optionally `plan` to move the store to another resource plan.
+router.patch('/stores/:id', requirePermission('stores:update'), (req, res, next) => {
   try {
-    const { name, engine } = validateCreateStore(req.body);
+    const record = findStore(req);
+    assertCanManage(req, record, 'update');
 
-    // Engine availability check
-    const engineModule = provisioner.getEngine(engine);
-    const validation = engineModule.validate();
-    if (!validation.valid) {
-      throw Errors.badRequest(validation.error, 'ENGINE_UNAVAILABLE');
+    const engine = provisioner.getEngine(record.engine);
+    if (!engineRegistry.capabilities(engine).includes('upgrade')) {
+      throw Errors.badRequest(`Engine '${record.engine}' does not support updates`, 'UNSUPPORTED_OPERATION');
     }
 
-    // Quota check
-    const activeCount = store.getActiveCount();
-    if (activeCount >= config.maxStores) {
-      throw Errors.quotaExceeded(config.maxStores);
+    if (record.status !== 'ready') {
+      throw Errors.invalidState(record.status, 'update');
     }
 
-    const shortId = uuidv4().split('-')[0];
-    const storeId = `store-${shortId}`;
-    const namespace = storeId;
-    const helmRelease = storeId;
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
+    }
 
-    const record = store.create({
-      id: storeId, name, engine, namespace, helmRelease,
+    const { plan: planId, ...settingsChanges } = req.body || {};
+    if (planId !== undefined) {
+      assertPlanChange(record, engine, validatePlan(planId));
+    }
+
+    const changes = { ...settingsChanges, ...(planId !== undefined && { plan: planId }) };
+    const problems = schema.validate(engine.settings, settingsChanges);
+    if (problems.length === 0 && Object.keys(changes).length === 0) {
+      problems.push('at least one setting must be provided');
+    }
+
+    if (problems.length === 0 && engine.checkSettingsChange) {
+      const current = provisioner.getStoreSettings(record, engine);
+      const changeError = engine.checkSettingsChange(current, { ...current, ...changes });
+      if (changeError) problems.push(changeError);
+    }
+
+    if (problems.length > 0) {
+      throw Errors.badRequest(`Invalid settings: ${problems.join('; ')}`, 'INVALID_SETTINGS');
+    }
+
+    audit.log(record.id, 'update_requested', { changes }, req.identity.id);
+    provisioner.enqueue(record.id, 'upgrade', req.identity.id, { settings: changes });
+
+    console.log(`[api] Store ${record.id} update initiated`);
+    res.status(202).json({ message: 'Store update initiated', storeId: record.id });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Revisions & Rollback ────────────────────────────────────────
+// Every install, upgrade and rollback is a Helm revision; rollback redeploys
+// an earlier one (as a new revision) and restores the settings it ran with.
+
+router.get('/stores/:id/revisions', requirePermission('stores:read'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    const revisions = await releaseHistory.listRevisions(record);
+    const deployed = revisions.find(r => r.status === 'deployed');
+
+    res.json({ revisions, current: deployed ? deployed.revision : null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/rollback', requirePermission('stores:rollback'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'roll back');
+
+    const revision = req.body?.revision;
+    if (!Number.isInteger(revision) || revision < 1) {
+      throw Errors.badRequest('revision must be a positive integer', 'INVALID_REVISION');
+    }
+
+    if (!ROLLBACK_STATES.includes(record.status)) {
+      throw Errors.invalidState(record.status, 'roll back');
+    }
+
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
+    }
+
+    const history = await releaseHistory.listRevisions(record);
+    const target = history.find(r => r.revision === revision);
+    if (!target) {
+      throw Errors.badRequest(`Revision ${revision} not found for store '${record.id}'`, 'INVALID_REVISION');
+    }
+    if (target.status === 'deployed') {
+      throw Errors.badRequest(`Revision ${revision} is already deployed`, 'INVALID_REVISION');
+    }
+
+    const current = history.find(r => r.status === 'deployed');
+    const details = { fromRevision: current ? current.revision : null, toRevision: revision };
+    audit.log(record.id, 'rollback_requested', details, req.identity.id);
+    provisioner.enqueue(record.id, 'rollback', req.identity.id, { revision });
+
+    console.log(`[api] Store ${record.id} rollback to revision ${revision} initiated`);
+    res.status(202).json({ message: 'Store rollback initiated', storeId: record.id, revision });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Backups & Restore ───────────────────────────────────────────
+// Backups run as Kubernetes Jobs via the job queue; the store stays ready.
+// Restore goes into the source store, or into a fresh store when the backup
+// lives on a durable target (S3) rather than the source namespace's PVC.
+
+router.get('/stores/:id/backups', requirePermission('stores:read'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    res.json({ backups: backups.getByStoreId(record.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/backups', requirePermission('backups:create'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'back up');
+
+    const backup = backupScheduler.queueBackup(record, { actor: req.identity.id });
+
+    console.log(`[api] Store ${record.id} backup ${backup.id} initiated`);
+    res.status(202).json({ backup });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/restore', requirePermission('backups:restore'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    // Restoring into a new store still reads this store's data
+    assertCanManage(req, record, 'restore');
+    const { backupId, into = 'existing', name } = req.body || {};
+
+    const backup = backupId && backups.getById(backupId);
+    if (!backup || backup.store_id !== record.id) {
+      throw Errors.notFound('Backup', backupId);
+    }
+    if (backup.status !== 'completed') {
+      throw Errors.badRequest(`Backup '${backup.id}' is ${backup.status}, not completed`, 'INVALID_BACKUP');
+    }
+
+    if (into === 'existing') {
+      if (record.status !== 'ready') {
+        throw Errors.invalidState(record.status, 'restore');
+      }
+      if (provisioner.getOperationStatus(record.id)) {
+        throw Errors.operationInProgress(record.id);
+      }
+
+      audit.log(record.id, 'restore_requested', { backupId: backup.id }, req.identity.id);
+      provisioner.enqueue(record.id, 'restore', req.identity.id, { backupId: backup.id });
+
+      console.log(`[api] Store ${record.id} restore from ${backup.id} initiated`);
+      return res.status(202).json({ message: 'Store restore initiated', storeId: record.id, backupId: backup.id });
+    }
+
+    if (into !== 'new') {
+      throw Errors.badRequest("into must be 'existing' or 'new'", 'INVALID_RESTORE_TARGET');
+    }
+
+    if (!can(req.identity, 'stores:create')) {
+      throw Errors.forbidden(`Role '${req.identity.role}' lacks permission 'stores:create'`);
+    }
+    if (!backupJobs.isDurable(backup.target)) {
+      throw Errors.badRequest(
+        `Backup '${backup.id}' is stored in the source store's namespace (${backup.target}); ` +
+        'restoring into a new store needs a durable target such as s3',
+        'UNSUPPORTED_OPERATION'
+      );
+    }
+
+    const engine = provisioner.getEngine(record.engine);
+    const settings = provisioner.getStoreSettings(record, engine);
+    const created = createStore(req, {
+      ...validateCreateStore({ name, engine: record.engine, plan: settings.plan }),
+      settings,
+      parameters: JSON.parse(record.parameters),
     });
 
-    // Fire-and-forget — dashboard polls for status updates
-    setImmediate(() => {
-      provisioner.provisionStore(storeId).catch(err => {
-        console.error(`[api] Background provisioning error for ${storeId}:`, err);
-      });
+    audit.log(created.id, 'restore_requested', { backupId: backup.id, sourceStoreId: record.id }, req.identity.id);
+    provisioner.enqueue(created.id, 'provision', req.identity.id, { restoreBackupId: backup.id });
+
+    console.log(`[api] Store ${created.id} created from backup ${backup.id}, provisioning queued`);
+    res.status(201).json({ store: created });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clone: a new store provisioned the normal way, then seeded with a fresh
+// backup of the source. The archive has to leave the source namespace, so
+// this needs a durable backup target (s3).
+
+router.post('/stores/:id/clone', requirePermission('stores:create'), (req, res, next) => {
+  try {
+    const source = findStore(req);
+    assertCanManage(req, source, 'clone');
+
+    const engine = provisioner.getEngine(source.engine);
+    if (!engineRegistry.capabilities(engine).includes('backup')) {
+      throw Errors.badRequest(`Engine '${source.engine}' does not support cloning`, 'UNSUPPORTED_OPERATION');
+    }
+
+    const targetProblem = backupJobs.checkTarget();
+    if (targetProblem) {
+      throw Errors.badRequest(targetProblem, 'BACKUP_UNAVAILABLE');
+    }
+
+    if (!backupJobs.isDurable(config.backupTarget)) {
+      throw Errors.badRequest(
+        `Cloning copies data between namespaces and needs a durable backup target such as s3 (configured: ${config.backupTarget})`,
+        'UNSUPPORTED_OPERATION'
+      );
+    }
+
+    if (source.status !== 'ready') {
+      throw Errors.invalidState(source.status, 'clone');
+    }
+
+    const { name = `${source.name} (copy)` } = req.body || {};
+    const settings = provisioner.getStoreSettings(source, engine);
+    const created = createStore(req, {
+      // Same plan as the source unless the body picks another
+      ...validateCreateStore({ plan: settings.plan, ...req.body, name, engine: source.engine }),
+      settings,
+      // The copied database has the source's admin user, so keep its parameters
+      parameters: JSON.parse(source.parameters),
+      clonedFrom: source.id,
     });
 
-    console.log(`[api] Store ${storeId} created, provisioning started`);
-    res.status(201).json({ store: record });
+    audit.log(created.id, 'clone_requested', { sourceStoreId: source.id }, req.identity.id);
+    provisioner.enqueue(created.id, 'provision', req.identity.id, { cloneFrom: source.id });
+
+    console.log(`[api] Store ${created.id} cloned from ${source.id}, provisioning queued`);
+    res.status(201).json({ store: created });
 
   } catch (error) {
     next(error);
   }
 });
 
-// Delete is async: returns 202, cleanup runs in background.
-router.delete('/stores/:id', (req, res, next) => {
+// Ephemeral stores: the reaper deletes them once expires_at passes. `ttl` extends
+// from the later of now and the current expiry; `expiresAt` sets it outright
+// (null makes the store permanent).
+router.post('/stores/:id/extend', requirePermission('stores:update'), (req, res, next) => {
   try {
-    const record = store.getById(req.params.id);
-    if (!record) {
-      throw Errors.notFound('Store', req.params.id);
+    const record = findStore(req);
+    assertCanManage(req, record, 'extend');
+
+    if (['deleting', 'deleted'].includes(record.status)) {
+      throw Errors.invalidState(record.status, 'extend');
     }
 
+    const from = Math.max(Date.now(), record.expires_at ? Date.parse(record.expires_at) : 0);
+    const expiresAt = validateExpiry(req.body, from);
+    if (expiresAt === undefined) {
+      throw Errors.badRequest("Give 'ttl' or 'expiresAt'", 'INVALID_TTL');
+    }
+
+    store.setExpiry(record.id, expiresAt, req.identity.id);
+    res.json({ store: store.getById(record.id) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One cron schedule per store; the scheduler (services/backupScheduler.js)
+// queues the backups and retention prunes older scheduled ones.
+
+router.get('/stores/:id/backup-schedule', requirePermission('stores:read'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    res.json({ schedule: backupScheduler.describe(backupSchedules.get(record.id)) || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/stores/:id/backup-schedule', requirePermission('backups:schedule'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'schedule backups for');
+
+    const engine = provisioner.getEngine(record.engine);
+    if (!engineRegistry.capabilities(engine).includes('backup')) {
+      throw Errors.badRequest(`Engine '${record.engine}' does not support backups`, 'UNSUPPORTED_OPERATION');
+    }
+
+    if (TERMINAL_STATES.includes(record.status) || record.status === 'deleting') {
+      throw Errors.invalidState(record.status, 'schedule backups for');
+    }
+
+    const { cron: expression, retention, enabled } = validateBackupSchedule(req.body);
+    const schedule = backupSchedules.upsert({
+      storeId: record.id,
+      cron: expression,
+      retention,
+      enabled,
+      nextRunAt: cron.next(expression).toISOString(),
+      actor: req.identity.id,
+    });
+    audit.log(record.id, 'backup_schedule_updated', { cron: expression, retention, enabled }, req.identity.id);
+
+    res.json({ schedule: backupScheduler.describe(schedule) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/stores/:id/backup-schedule', requirePermission('backups:schedule'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'schedule backups for');
+
+    if (!backupSchedules.remove(record.id)) {
+      throw Errors.notFound('Backup schedule for store', record.id);
+    }
+    audit.log(record.id, 'backup_schedule_deleted', {}, req.identity.id);
+
+    res.json({ message: 'Backup schedule removed', storeId: record.id });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete is async: returns 202, cleanup is queued (behind any in-flight provisioning).
+// With DELETE_GRACE_PERIOD_MS set, a ready/failed store is only scaled to zero
+// and kept for the grace period; ?force=true deletes it (or a pending one) now.
+router.delete('/stores/:id', requirePermission('stores:delete'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'delete');
+
     if (TERMINAL_STATES.includes(record.status)) {
       throw Errors.invalidState(record.status, 'delete');
     }
 
-    if (record.status === 'deleting') {
+    if (record.status === 'deleting' || provisioner.getOperationStatus(req.params.id) === 'delete') {
       throw Errors.operationInProgress(req.params.id);
     }
 
@@ -134,11 +885,26 @@ router.delete('/stores/:id', (req, res, next) => {
       throw Errors.invalidState(record.status, 'delete');
     }
 
-    setImmediate(() => {
-      provisioner.deleteStore(req.params.id).catch(err => {
-        console.error(`[api] Background deletion error for ${req.params.id}:`, err);
+    const force = req.query.force === 'true';
+    if (record.status === 'pending_deletion' && !force) {
+      throw Errors.conflict(
+        `Store '${record.id}' is already pending deletion; use ?force=true to delete it now`,
+        'INVALID_STATE_TRANSITION'
+      );
+    }
+
+    if (config.deleteGracePeriodMs > 0 && !force && SOFT_DELETABLE_STATES.includes(record.status)) {
+      provisioner.enqueue(record.id, 'soft_delete', req.identity.id);
+
+      console.log(`[api] Store ${record.id} soft delete initiated`);
+      return res.status(202).json({
+        message: 'Store scheduled for deletion',
+        storeId: record.id,
+        gracePeriodMs: config.deleteGracePeriodMs,
       });
-    });
+    }
+
+    provisioner.enqueue(req.params.id, 'delete', req.identity.id);
 
     console.log(`[api] Store ${req.params.id} delete initiated`);
     res.status(202).json({ message: 'Store deletion initiated', storeId: req.params.id });
@@ -148,14 +914,89 @@ router.delete('/stores/:id', (req, res, next) => {
   }
 });
 
-// Only failed stores can be retried.
-router.post('/stores/:id/retry', (req, res, next) => {
+// Hibernation scales a store to zero and back; data and the Helm release stay.
+// Hibernated stores count towards the store quota but not the running one.
+
+router.post('/stores/:id/hibernate', requirePermission('stores:hibernate'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'hibernate');
+
+    if (record.status !== 'ready') {
+      throw Errors.invalidState(record.status, 'hibernate');
+    }
+
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
+    }
+
+    provisioner.enqueue(record.id, 'hibernate', req.identity.id);
+
+    console.log(`[api] Store ${record.id} hibernate initiated`);
+    res.status(202).json({ message: 'Hibernate initiated', storeId: record.id });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/wake', requirePermission('stores:hibernate'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'wake');
+
+    if (record.status !== 'hibernated') {
+      throw Errors.invalidState(record.status, 'wake');
+    }
+
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
+    }
+
+    assertQuota(record.tenant_id, { active: false, plan: getStorePlan(record) });
+    provisioner.enqueue(record.id, 'wake', req.identity.id);
+
+    console.log(`[api] Store ${record.id} wake initiated`);
+    res.status(202).json({ message: 'Wake initiated', storeId: record.id });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undelete brings a soft-deleted store back before the reaper gets to it.
+router.post('/stores/:id/undelete', requirePermission('stores:delete'), (req, res, next) => {
   try {
-    const record = store.getById(req.params.id);
-    if (!record) {
-      throw Errors.notFound('Store', req.params.id);
+    const record = findStore(req);
+    assertCanManage(req, record, 'undelete');
+
+    if (record.status !== 'pending_deletion') {
+      throw Errors.invalidState(record.status, 'undelete');
+    }
+
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
     }
 
+    // Pending stores don't count towards quotas, so it must fit again
+    assertQuota(record.tenant_id, { plan: getStorePlan(record) });
+
+    provisioner.enqueue(record.id, 'undelete', req.identity.id);
+
+    console.log(`[api] Store ${record.id} undelete initiated`);
+    res.status(202).json({ message: 'Undelete initiated', storeId: record.id });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Only failed stores can be retried.
+router.post('/stores/:id/retry', requirePermission('stores:retry'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'retry');
+
     if (!RETRYABLE_STATES.includes(record.status)) {
       throw Errors.invalidState(record.status, 'retry');
     }
@@ -165,13 +1006,14 @@ router.post('/stores/:id/retry', (req, res, next) => {
       throw Errors.operationInProgress(req.params.id);
     }
 
-    audit.log(record.id, 'retry', { previousError: record.error_message });
+    // Failed stores don't count towards quotas, so it must fit again
+    assertQuota(record.tenant_id, { plan: getStorePlan(record) });
 
-    setImmediate(() => {
-      provisioner.provisionStore(req.params.id).catch(err => {
-        console.error(`[api] Background retry error for ${req.params.id}:`, err);
-      });
-    });
+    audit.log(record.id, 'retry', { previousError: record.error_message }, req.identity.id);
+
+    // A clone that never came up still needs its copy of the source
+    const payload = record.cloned_from && !record.store_url ? { cloneFrom: record.cloned_from } : null;
+    provisioner.enqueue(req.params.id, 'provision', req.identity.id, payload);
 
     console.log(`[api] Store ${req.params.id} retry initiated`);
     res.status(202).json({ message: 'Retry initiated', storeId: req.params.id });
@@ -181,20 +1023,263 @@ router.post('/stores/:id/retry', (req, res, next) => {
   }
 });
 
-router.get('/audit', (req, res, next) => {
-  try {
-    const limit = Math.min(
-      Math.max(parseInt(req.query.limit || '100', 10) || 100, 1),
-      500
+// ─── Credentials ─────────────────────────────────────────────────
+// Read from the store's Kubernetes Secret on demand, never cached or stored.
+
+function assertCredentialsAvailable(record, capability, action) {
+  const engine = provisioner.getEngine(record.engine);
+  if (!engineRegistry.capabilities(engine).includes(capability)) {
+    throw Errors.badRequest(
+      `Engine '${record.engine}' does not support ${action}`,
+      'UNSUPPORTED_OPERATION'
     );
-    const logs = audit.getAll(limit);
-    res.json({ audit: logs });
+  }
+  if (record.status !== 'ready') {
+    throw Errors.invalidState(record.status, action);
+  }
+}
+
+router.get('/stores/:id/credentials', requirePermission('credentials:read'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'view credentials for');
+    assertCredentialsAvailable(record, 'credentials', 'view credentials for');
+
+    const creds = await credentials.getCredentials(record);
+    audit.log(record.id, 'credentials_viewed', {}, req.identity.id);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ credentials: creds });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/credentials/rotate', requirePermission('credentials:rotate'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'rotate credentials for');
+    assertCredentialsAvailable(record, 'credential_rotation', 'rotate credentials for');
+
+    if (provisioner.getOperationStatus(record.id)) {
+      throw Errors.operationInProgress(record.id);
+    }
+
+    const creds = await credentials.rotateCredentials(record);
+    audit.log(record.id, 'credentials_rotated', { username: creds.username }, req.identity.id);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ credentials: creds });
   } catch (error) {
     next(error);
   }
 });
 
-router.get('/metrics', (req, res, next) => {
+// ─── Custom Domains ──────────────────────────────────────────────
+// Owners prove control of a hostname with a DNS TXT record. Verifying or
+// removing a routed hostname queues a `domains` job: helm upgrade of the
+// ingress, then the store's site URL is pointed at its primary domain.
+
+function findDomain(record, hostname) {
+  const domain = domains.get(String(hostname).toLowerCase(), record.id);
+  if (!domain) {
+    throw Errors.notFound('Domain', hostname);
+  }
+  return domain;
+}
+
+/** Unverified claims don't block anyone; a hostname another store verified does. */
+function assertDomainFree(hostname) {
+  if (domains.getOwner(hostname)) {
+    throw Errors.conflict(`Domain '${hostname}' is already attached to a store`, 'DOMAIN_EXISTS');
+  }
+}
+
+/** Changing routed domains re-deploys the ingress, so the store must be idle and ready. */
+function assertDomainsChangeable(record, action) {
+  const engine = provisioner.getEngine(record.engine);
+  if (!engineRegistry.capabilities(engine).includes('custom_domains')) {
+    throw Errors.badRequest(`Engine '${record.engine}' does not support custom domains`, 'UNSUPPORTED_OPERATION');
+  }
+  if (record.status !== 'ready') {
+    throw Errors.invalidState(record.status, action);
+  }
+  if (provisioner.getOperationStatus(record.id)) {
+    throw Errors.operationInProgress(record.id);
+  }
+}
+
+router.get('/stores/:id/domains', requirePermission('stores:read'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    res.json({ domains: domains.getForStore(record.id).map(d => customDomains.describe(d, record)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/stores/:id/domains', requirePermission('domains:manage'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'add domains to');
+    assertDomainsChangeable(record, 'add a domain to');
+
+    const { hostname, tls, certificate, privateKey, primary, tlsExpiresAt } = validateDomain(req.body);
+
+    const existing = domains.getForStore(record.id);
+    if (existing.length >= MAX_DOMAINS_PER_STORE) {
+      throw Errors.badRequest(
+        `Store '${record.id}' already has ${MAX_DOMAINS_PER_STORE} domains`,
+        'DOMAIN_LIMIT_REACHED'
+      );
+    }
+    if (domains.get(hostname, record.id)) {
+      throw Errors.conflict(`Domain '${hostname}' is already added to store '${record.id}'`, 'DOMAIN_EXISTS');
+    }
+    assertDomainFree(hostname);
+
+    const tlsSecret = tls === 'secret'
+      ? await customDomains.saveCertificate(record, hostname, certificate, privateKey)
+      : null;
+
+    const domain = domains.add({
+      hostname,
+      storeId: record.id,
+      tlsMode: tls,
+      tlsSecret,
+      tlsExpiresAt,
+      primary: primary ?? existing.length === 0,
+      token: customDomains.generateToken(),
+      actor: req.identity.id,
+    });
+    audit.log(record.id, 'domain_added', { hostname, tls, primary: Boolean(domain.is_primary) }, req.identity.id);
+
+    console.log(`[api] Domain ${hostname} added to ${record.id}, awaiting verification`);
+    res.status(201).json({ domain: customDomains.describe(domain, record) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Checks DNS now. A newly verified domain is routed by a queued `domains` job (202);
+// verified domains stay verified, so removing the TXT record later changes nothing.
+router.post('/stores/:id/domains/:hostname/verify', requirePermission('domains:manage'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'verify domains of');
+    const domain = findDomain(record, req.params.hostname);
+
+    if (domain.status === 'verified') {
+      return res.json({ domain: customDomains.describe(domain, record) });
+    }
+
+    assertDomainsChangeable(record, 'verify a domain of');
+    assertDomainFree(domain.hostname);
+    const checked = await customDomains.verify(domain);
+    if (checked.status !== 'verified') {
+      throw Errors.badRequest(checked.last_error, 'DOMAIN_VERIFICATION_FAILED');
+    }
+
+    audit.log(record.id, 'domain_verified', { hostname: domain.hostname }, req.identity.id);
+    provisioner.enqueue(record.id, 'domains', req.identity.id);
+
+    console.log(`[api] Domain ${domain.hostname} verified, routing to ${record.id} queued`);
+    res.status(202).json({ domain: customDomains.describe(checked, record) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/stores/:id/domains/:hostname', requirePermission('domains:manage'), async (req, res, next) => {
+  try {
+    const record = findStore(req);
+    assertCanManage(req, record, 'remove domains from');
+    const domain = findDomain(record, req.params.hostname);
+
+    // Unrouted domains can go at any time; routed ones need an ingress update
+    const routed = domain.status === 'verified';
+    if (routed) {
+      assertDomainsChangeable(record, 'remove a domain from');
+    }
+
+    domains.remove(domain.hostname, record.id);
+    await customDomains.removeCertificate(record, domain);
+    audit.log(record.id, 'domain_removed', { hostname: domain.hostname }, req.identity.id);
+
+    if (routed) {
+      provisioner.enqueue(record.id, 'domains', req.identity.id);
+    }
+
+    console.log(`[api] Domain ${domain.hostname} removed from ${record.id}`);
+    res.status(routed ? 202 : 200).json({ message: 'Domain removed', hostname: domain.hostname });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Audit ───────────────────────────────────────────────────────
+// Admins see every tenant's audit trail; everyone else only their own tenant's stores.
+// Paginated like GET /stores: pass `nextCursor` back as `cursor` (null on the last page).
+
+router.get('/audit', requirePermission('audit:read'), (req, res, next) => {
+  try {
+    const { entries, next: after } = audit.query(parseAuditQuery(req.query, req.identity));
+    res.json({ audit: entries, nextCursor: after && String(after) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything matching the filters as a download, oldest first unless order=desc.
+router.get('/audit/export', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const format = queryParam(req.query, 'format') || 'csv';
+    if (!auditExport.FORMATS.includes(format)) {
+      throw Errors.badRequest(`'format' must be one of: ${auditExport.FORMATS.join(', ')}`, 'INVALID_QUERY');
+    }
+
+    const { limit, after, ...filters } = parseAuditQuery(req.query, req.identity, { order: 'asc' });
+    console.log(`[api] Audit export (${format}) by ${req.identity.id}`);
+    await auditExport.send(res, filters, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Walk the hash chain and the signed checkpoints; reports the first broken link.
+// The chain is checked end to end; ?from=checkpoint resumes after the latest
+// checkpoint whose signature checks out (or walks it all if there is none).
+router.get('/audit/verify', requirePermission('audit:read_all'), (req, res, next) => {
+  try {
+    const checkpoints = auditCheckpoints.verify();
+    const from = req.query.from === 'checkpoint' && !checkpoints.failure ? checkpoints.latest : null;
+    const chain = audit.verify({ from: from && { id: from.id, hash: from.hash } });
+    const valid = chain.valid && !checkpoints.failure;
+    if (!valid) {
+      console.warn(`[api] Audit verification failed: ${JSON.stringify(chain.brokenAt || checkpoints.failure)}`);
+    }
+    res.json({ valid, chain, checkpoints });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One store's timeline, with the same filters (except `store`).
+router.get('/stores/:id/audit', requirePermission('audit:read'), (req, res, next) => {
+  try {
+    const record = findStore(req);
+    const options = { ...parseAuditQuery(req.query, req.identity), storeId: record.id };
+    const { entries, next: after } = audit.query(options);
+    res.json({ audit: entries, nextCursor: after && String(after) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/metrics', requirePermission('metrics:read'), (req, res, next) => {
   try {
     const data = metrics.getAll();
     res.json(data);
@@ -203,4 +1288,20 @@ router.get('/metrics', (req, res, next) => {
   }
 });
 
+// SQLite-backed gauges, read fresh on each render
+prometheus.gauge('stores', 'Stores by status and engine', ['status', 'engine'], () =>
+  metrics.getStoreCountsByEngine().map(({ status, engine, count }) => ({ labels: { status, engine }, value: count })));
+
+prometheus.gauge('job_queue_depth', 'Queued and running jobs by type', ['type', 'state'], () =>
+  metrics.getJobQueueDepth().map(({ type, state, count }) => ({ labels: { type, state }, value: count })));
+
+// Prometheus scrape target
+router.get('/metrics/prometheus', requirePermission('metrics:read'), (req, res, next) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(prometheus.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,32 @@
+// Caller context — who the caller is, what their role allows, and their
+// tenant's tier and quota usage.
+
+const { Router } = require('express');
+const { tenants } = require('../db');
+const tenantQuota = require('../services/tenants');
+const { ROLE_PERMISSIONS } = require('../middleware/rbac');
+const { Errors } = require('../utils/apiError');
+
+const router = Router();
+
+router.get('/me', (req, res) => {
+  const { type, id, name, tenantId, role } = req.identity;
+  res.json({
+    identity: { type, id, name, tenantId, role },
+    permissions: ROLE_PERMISSIONS[role] || [],
+  });
+});
+
+router.get('/tenant', (req, res, next) => {
+  try {
+    const tenant = tenants.getById(req.identity.tenantId);
+    if (!tenant) {
+      throw Errors.notFound('Tenant', req.identity.tenantId);
+    }
+    res.json({ tenant: tenantQuota.describe(tenant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+// Audit checkpoints — every interval, the audit chain's head (newest entry id
+// and hash) is signed with AUDIT_SIGNING_KEY and appended as one JSON line to
+// AUDIT_CHECKPOINT_PATH. The chain alone can't show that entries were cut off
+// the end, or that the whole log was re-hashed after an edit; a signed
+// checkpoint kept outside the database can. Auditors check signatures with
+// the key's public half (`openssl pkey -in key.pem -pubout`).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { audit } = require('../db');
+const config = require('../config');
+
+let timer = null;
+
+function signingKey() {
+  return config.auditSigningKey ? crypto.createPrivateKey(config.auditSigningKey) : null;
+}
+
+/** The bytes a checkpoint's signature covers. */
+function signedPayload({ id, hash, createdAt }) {
+  return Buffer.from(JSON.stringify([id, hash, createdAt]));
+}
+
+/** Checkpoints in the file, oldest first; unreadable lines are null. */
+function readCheckpoints() {
+  let text;
+  try {
+    text = fs.readFileSync(config.auditCheckpointPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return text.split('\n').filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  });
+}
+
+/**
+ * Sign and append the chain's head, unless it is already the latest
+ * checkpoint. The whole chain is checked first; a broken chain is not
+ * signed. Returns the new checkpoint or null.
+ */
+function tick(now = new Date()) {
+  const key = signingKey();
+  if (!key) return null;
+
+  const chain = audit.verify();
+  if (!chain.valid) {
+    console.error(`[audit] Not checkpointing: chain broken at entry ${chain.brokenAt.id} (${chain.brokenAt.reason})`);
+    return null;
+  }
+  if (!chain.head) return null;
+
+  const latest = readCheckpoints().at(-1);
+  if (latest && latest.id === chain.head.id && latest.hash === chain.head.hash) return null;
+
+  const checkpoint = { ...chain.head, createdAt: now.toISOString() };
+  checkpoint.signature = crypto.sign(null, signedPayload(checkpoint), key).toString('base64');
+
+  fs.mkdirSync(path.dirname(config.auditCheckpointPath), { recursive: true });
+  fs.appendFileSync(config.auditCheckpointPath, `${JSON.stringify(checkpoint)}\n`);
+  console.log(`[audit] Checkpoint at entry ${checkpoint.id}`);
+  return checkpoint;
+}
+
+/** Why `checkpoint` doesn't hold up, or null when it does. */
+function checkCheckpoint(checkpoint, publicKey) {
+  if (!checkpoint) return 'Unreadable line';
+
+  let signed = false;
+  try {
+    signed = crypto.verify(null, signedPayload(checkpoint), publicKey, Buffer.from(checkpoint.signature, 'base64'));
+  } catch {
+    signed = false;
+  }
+  if (!signed) return 'Signature does not match';
+
+  const entry = audit.getById(checkpoint.id);
+  if (!entry) return `Entry ${checkpoint.id} is missing from the audit log`;
+  if (entry.hash !== checkpoint.hash) return `Entry ${checkpoint.id} no longer has the checkpointed hash`;
+  return null;
+}
+
+/**
+ * Check every checkpoint's signature, and that the entry it names still has
+ * the hash it had then. Returns { enabled, verified, latest, failure }, where
+ * `verified` counts the checkpoints before the first failure.
+ */
+function verify() {
+  const key = signingKey();
+  if (!key) return { enabled: false, verified: 0, latest: null, failure: null };
+
+  const publicKey = crypto.createPublicKey(key);
+  const checkpoints = readCheckpoints();
+  for (const [index, checkpoint] of checkpoints.entries()) {
+    const reason = checkCheckpoint(checkpoint, publicKey);
+    if (reason) {
+      return {
+        enabled: true,
+        verified: index,
+        latest: checkpoints[index - 1] || null,
+        failure: { line: index + 1, id: checkpoint?.id ?? null, reason },
+      };
+    }
+  }
+  return { enabled: true, verified: checkpoints.length, latest: checkpoints.at(-1) || null, failure: null };
+}
+
+function start() {
+  if (timer) return;
+  if (!config.auditSigningKey) {
+    console.log('[audit] Checkpoints disabled (no AUDIT_SIGNING_KEY)');
+    return;
+  }
+  console.log(`[audit] Writing checkpoints to ${config.auditCheckpointPath} (every ${config.auditCheckpointIntervalMs}ms)`);
+  timer = setInterval(() => tick(), config.auditCheckpointIntervalMs);
+  tick();
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  tick,
+  verify,
+  start,
+  stop,
+};
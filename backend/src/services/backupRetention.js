@@ -0,0 +1,82 @@
+// Backup retention — grandfather-father-son pruning of scheduled backups.
+// A policy like { daily: 7, weekly: 4, monthly: 6 } keeps the newest backup
+// of each of the last 7 days, 4 ISO weeks and 6 months that have one; a
+// backup kept by any rule survives. Manual backups are never pruned.
+
+const { backups, audit } = require('../db');
+const backupJobs = require('./backups');
+
+const RULES = {
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: isoWeek,
+  monthly: (date) => date.toISOString().slice(0, 7),
+};
+
+/** 'YYYY-Www' — ISO weeks start on Monday and belong to the year of their Thursday. */
+function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+function takenAt(backup) {
+  return new Date(`${backup.created_at.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Backups in `list` that fall outside `policy`. Only completed scheduled
+ * backups are candidates; a policy with no positive counts keeps everything.
+ */
+function selectExpired(list, policy = {}) {
+  const candidates = list
+    .filter(b => b.trigger === 'scheduled' && b.status === 'completed')
+    .sort((a, b) => takenAt(b) - takenAt(a));
+
+  const rules = Object.keys(RULES).filter(rule => policy[rule] > 0);
+  if (rules.length === 0) return [];
+
+  const keep = new Set();
+  for (const rule of rules) {
+    const seen = new Set();
+    for (const backup of candidates) {
+      const bucket = RULES[rule](takenAt(backup));
+      if (seen.has(bucket)) continue;
+      if (seen.size === policy[rule]) break;
+      seen.add(bucket);
+      keep.add(backup.id);
+    }
+  }
+
+  return candidates.filter(b => !keep.has(b.id));
+}
+
+/** Delete the store's expired archives and mark them deleted. Returns the pruned backups. */
+async function applyRetention(storeRecord, policy) {
+  const expired = selectExpired(backups.getByStoreId(storeRecord.id), policy);
+  if (expired.length === 0) return [];
+
+  // Normally one group; more only if BACKUP_TARGET changed between backups
+  const byTarget = new Map();
+  for (const backup of expired) {
+    byTarget.set(backup.target, [...(byTarget.get(backup.target) || []), backup]);
+  }
+  for (const group of byTarget.values()) {
+    await backupJobs.deleteArchives(storeRecord, group);
+  }
+
+  for (const backup of expired) {
+    backups.markPruned(backup.id);
+  }
+  audit.log(storeRecord.id, 'backup_pruned', { backupIds: expired.map(b => b.id), retention: policy });
+  console.log(`[retention] Pruned ${expired.length} backup(s) of ${storeRecord.id}`);
+
+  return expired;
+}
+
+module.exports = {
+  selectExpired,
+  applyRetention,
+};
@@ -0,0 +1,123 @@
+// Backup scheduling — per-store cron schedules kept in SQLite and fired by a
+// timer inside the API process. Each due schedule is claimed with a
+// compare-and-set on next_run_at, so several API replicas never fire the
+// same run twice. Runs missed while the API was down collapse into one.
+
+const { store, audit, backups, backupSchedules } = require('../db');
+const provisioner = require('./provisioner');
+const engineRegistry = require('./engineRegistry');
+const backupJobs = require('./backups');
+const cron = require('../utils/cron');
+const config = require('../config');
+const { Errors } = require('../utils/apiError');
+
+const SCHEDULER_ACTOR = 'scheduler';
+
+let timer = null;
+
+/**
+ * Check that `storeRecord` can be backed up now, then create the backup and
+ * queue its job. Throws an ApiError explaining why not otherwise.
+ */
+function queueBackup(storeRecord, { actor = null, trigger = 'manual' } = {}) {
+  const engine = provisioner.getEngine(storeRecord.engine);
+  if (!engineRegistry.capabilities(engine).includes('backup')) {
+    throw Errors.badRequest(`Engine '${storeRecord.engine}' does not support backups`, 'UNSUPPORTED_OPERATION');
+  }
+
+  const targetProblem = backupJobs.checkTarget();
+  if (targetProblem) {
+    throw Errors.badRequest(targetProblem, 'BACKUP_UNAVAILABLE');
+  }
+
+  if (storeRecord.status !== 'ready') {
+    throw Errors.invalidState(storeRecord.status, 'back up');
+  }
+
+  const inFlight = backups.getByStoreId(storeRecord.id).some(b => ['pending', 'running'].includes(b.status));
+  if (inFlight || provisioner.getOperationStatus(storeRecord.id)) {
+    throw Errors.operationInProgress(storeRecord.id);
+  }
+
+  const backup = backups.create({
+    ...backupJobs.newBackup(storeRecord.id),
+    storeId: storeRecord.id,
+    tenantId: storeRecord.tenant_id,
+    trigger,
+    actor,
+  });
+  audit.log(storeRecord.id, 'backup_requested', { backupId: backup.id, target: backup.target, trigger }, actor);
+  provisioner.enqueue(storeRecord.id, 'backup', actor, { backupId: backup.id });
+
+  return backup;
+}
+
+/** Schedule row as returned by the API. */
+function describe(schedule) {
+  return schedule && {
+    ...schedule,
+    retention: JSON.parse(schedule.retention),
+    enabled: Boolean(schedule.enabled),
+  };
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────
+
+/** Fire every schedule due at `now`. Returns the number of runs fired (including skips). */
+function tick(now = new Date()) {
+  let fired = 0;
+
+  for (const schedule of backupSchedules.getDue(now.toISOString())) {
+    const storeId = schedule.store_id;
+
+    try {
+      const nextRunAt = cron.next(schedule.cron, now).toISOString();
+      if (!backupSchedules.claimRun(storeId, schedule.next_run_at, nextRunAt, now.toISOString())) {
+        continue;  // another process got there first
+      }
+      fired++;
+
+      const storeRecord = store.getById(storeId);
+      if (!storeRecord || storeRecord.status === 'deleted') {
+        backupSchedules.remove(storeId);
+        continue;
+      }
+
+      try {
+        const backup = queueBackup(storeRecord, { actor: SCHEDULER_ACTOR, trigger: 'scheduled' });
+        console.log(`[scheduler] Queued backup ${backup.id} of ${storeId} (next run ${nextRunAt})`);
+      } catch (error) {
+        backupSchedules.recordFailure(storeId, `Skipped: ${error.message}`);
+        audit.log(storeId, 'backup_skipped', { reason: error.message }, SCHEDULER_ACTOR);
+        console.warn(`[scheduler] Skipped backup of ${storeId}: ${error.message}`);
+      }
+
+    } catch (error) {
+      console.error(`[scheduler] Schedule for ${storeId} failed:`, error.message);
+    }
+  }
+
+  return fired;
+}
+
+function start() {
+  if (timer) return;
+  console.log(`[scheduler] Starting backup scheduler (every ${config.backupSchedulerIntervalMs}ms)`);
+  timer = setInterval(() => tick(), config.backupSchedulerIntervalMs);
+  tick();
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  SCHEDULER_ACTOR,
+  queueBackup,
+  describe,
+  tick,
+  start,
+  stop,
+};
@@ -0,0 +1,338 @@
+// Store backups — one-off Kubernetes Jobs in the store's namespace.
+//
+//   Backup:  dump (engine image: database → /work)
+//            → package (busybox: volumes → /work, tar + sha256 → /out)
+//            → upload (target image: /out → target, prints BACKUP_RESULT)
+//   Restore: fetch (target image: target → /out)
+//            → unpack (busybox: verify checksum, extract, replace volume contents)
+//            → load (engine image: /work → database)
+//   Prune:   remove (target image: delete archives listed in $KEYS)
+//
+// The engine says what to dump and load (getBackupPlan); the target says where
+// archives live. Size and checksum come back through the upload container's log.
+
+const { v4: uuidv4 } = require('uuid');
+const kubectl = require('../utils/kubectlClient');
+const { store } = require('../db');
+const config = require('../config');
+
+const BACKUP_PVC = 'store-backups';
+const S3_SECRET = 'store-backup-s3';
+const RESULT_PATTERN = /BACKUP_RESULT size=(\d+) sha256=([0-9a-f]{64})/;
+
+// Lets backup pods through the store's MySQL NetworkPolicy
+const POD_LABELS = { 'store.platform/role': 'backup' };
+
+const TOOLS_IMAGE = 'busybox:1.36';
+const STEP_RESOURCES = {
+  requests: { cpu: '50m', memory: '64Mi' },
+  limits: { cpu: '500m', memory: '512Mi' },
+};
+
+// ─── Targets ─────────────────────────────────────────────────────
+
+const TARGETS = {
+  // Lives in the store's namespace, so it's removed along with the store.
+  pvc: {
+    durable: false,
+    image: TOOLS_IMAGE,
+    check: () => null,
+    prepare: (namespace) => kubectl.apply({
+      apiVersion: 'v1',
+      kind: 'PersistentVolumeClaim',
+      metadata: { name: BACKUP_PVC, namespace, labels: POD_LABELS },
+      spec: {
+        accessModes: ['ReadWriteOnce'],
+        resources: { requests: { storage: config.backupPvcSize } },
+      },
+    }),
+    volumes: [{ name: 'target', persistentVolumeClaim: { claimName: BACKUP_PVC } }],
+    mounts: [{ name: 'target', mountPath: '/target' }],
+    env: () => [],
+    upload: 'mkdir -p "$(dirname "/target/$KEY")" && cp /out/archive.tar.gz "/target/$KEY"',
+    download: 'cp "/target/$KEY" /out/archive.tar.gz',
+    remove: 'for KEY in $KEYS; do rm -f "/target/$KEY"; done',
+  },
+
+  // Any S3-compatible store (AWS S3, MinIO). Credentials are copied into the
+  // store namespace as a Secret so the Job can reference them.
+  s3: {
+    durable: true,
+    image: 'amazon/aws-cli:2.15.0',
+    check: () => (config.backupS3.accessKey && config.backupS3.secretKey
+      ? null
+      : 'S3 backups need BACKUP_S3_ACCESS_KEY and BACKUP_S3_SECRET_KEY'),
+    prepare: (namespace) => kubectl.apply({
+      apiVersion: 'v1',
+      kind: 'Secret',
+      metadata: { name: S3_SECRET, namespace, labels: POD_LABELS },
+      type: 'Opaque',
+      stringData: {
+        'access-key': config.backupS3.accessKey,
+        'secret-key': config.backupS3.secretKey,
+      },
+    }),
+    volumes: [],
+    mounts: [],
+    env: () => [
+      { name: 'AWS_ACCESS_KEY_ID', valueFrom: { secretKeyRef: { name: S3_SECRET, key: 'access-key' } } },
+      { name: 'AWS_SECRET_ACCESS_KEY', valueFrom: { secretKeyRef: { name: S3_SECRET, key: 'secret-key' } } },
+      { name: 'AWS_DEFAULT_REGION', value: config.backupS3.region },
+      { name: 'BUCKET', value: config.backupS3.bucket },
+      { name: 'ENDPOINT', value: config.backupS3.endpoint },
+    ],
+    upload: 'aws s3 cp /out/archive.tar.gz "s3://$BUCKET/$KEY" ${ENDPOINT:+--endpoint-url "$ENDPOINT"}',
+    download: 'aws s3 cp "s3://$BUCKET/$KEY" /out/archive.tar.gz ${ENDPOINT:+--endpoint-url "$ENDPOINT"}',
+    remove: 'for KEY in $KEYS; do aws s3 rm "s3://$BUCKET/$KEY" ${ENDPOINT:+--endpoint-url "$ENDPOINT"}; done',
+  },
+};
+
+function getTarget(name) {
+  const target = TARGETS[name];
+  if (!target) {
+    throw new Error(`Unknown backup target: ${name}. Available: ${Object.keys(TARGETS).join(', ')}`);
+  }
+  return target;
+}
+
+/** Why the configured target can't take backups right now, or null. */
+function checkTarget() {
+  if (!TARGETS[config.backupTarget]) {
+    return `Unknown BACKUP_TARGET '${config.backupTarget}' (expected ${Object.keys(TARGETS).join(' or ')})`;
+  }
+  return TARGETS[config.backupTarget].check();
+}
+
+/** Whether backups on `targetName` outlive the store they were taken from. */
+function isDurable(targetName) {
+  return Boolean(TARGETS[targetName]?.durable);
+}
+
+/** New backup identity on the configured target: { id, target, location }. */
+function newBackup(storeId) {
+  const id = `bkp-${uuidv4().split('-')[0]}`;
+  return { id, target: config.backupTarget, location: `${storeId}/${id}.tar.gz` };
+}
+
+// ─── Job Manifests ───────────────────────────────────────────────
+
+function step(name, image, script, { env = [], mounts = [] } = {}) {
+  return {
+    name,
+    image,
+    command: ['sh', '-c', `set -e\n${script}`],
+    env,
+    volumeMounts: mounts,
+    resources: STEP_RESOURCES,
+  };
+}
+
+function jobManifest({ name, namespace, storeId, plan, target, initContainers, container }) {
+  return {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name,
+      namespace,
+      labels: { ...POD_LABELS, 'store.platform/store-id': storeId },
+    },
+    spec: {
+      backoffLimit: 0,
+      activeDeadlineSeconds: Math.floor(config.backupTimeoutMs / 1000),
+      template: {
+        metadata: { labels: { ...POD_LABELS, 'store.platform/store-id': storeId } },
+        spec: {
+          restartPolicy: 'Never',
+          initContainers,
+          containers: [container],
+          volumes: [
+            { name: 'work', emptyDir: {} },
+            { name: 'out', emptyDir: {} },
+            ...plan.volumes.map(v => ({ name: v.name, persistentVolumeClaim: { claimName: v.claimName } })),
+            ...target.volumes,
+          ],
+        },
+      },
+    },
+  };
+}
+
+const WORK = [{ name: 'work', mountPath: '/work' }];
+const OUT = [{ name: 'out', mountPath: '/out' }];
+
+function dataMounts(plan) {
+  return plan.volumes.map(v => ({ name: v.name, mountPath: `/data/${v.name}`, subPath: v.subPath }));
+}
+
+function backupJob(storeRecord, backup, plan) {
+  const target = getTarget(backup.target);
+  const archiveVolumes = plan.volumes
+    .map(v => `tar czf "/work/${v.name}.tar.gz" -C "/data/${v.name}" .`)
+    .join('\n');
+
+  return jobManifest({
+    name: `${storeRecord.id}-${backup.id}`,
+    namespace: storeRecord.namespace,
+    storeId: storeRecord.id,
+    plan,
+    target,
+    initContainers: [
+      step('dump', plan.image, plan.dumpScript, { env: plan.env, mounts: WORK }),
+      step('package', TOOLS_IMAGE, [
+        archiveVolumes,
+        'tar czf /out/archive.tar.gz -C /work .',
+        'SIZE=$(wc -c < /out/archive.tar.gz)',
+        'SUM=$(sha256sum /out/archive.tar.gz | cut -d" " -f1)',
+        'echo "BACKUP_RESULT size=$SIZE sha256=$SUM" > /out/result',
+      ].join('\n'), { mounts: [...WORK, ...OUT, ...dataMounts(plan)] }),
+    ],
+    container: step('upload', target.image, `${target.upload}\ncat /out/result`, {
+      env: [...target.env(), { name: 'KEY', value: backup.location }],
+      mounts: [...OUT, ...target.mounts],
+    }),
+  });
+}
+
+function restoreJob(storeRecord, backup, plan, jobName, sourceUrl, storeUrl) {
+  const target = getTarget(backup.target);
+  const replaceVolumes = plan.volumes
+    .map(v => `find "/data/${v.name}" -mindepth 1 -delete\ntar xzf "/work/${v.name}.tar.gz" -C "/data/${v.name}"`)
+    .join('\n');
+
+  return jobManifest({
+    name: jobName,
+    namespace: storeRecord.namespace,
+    storeId: storeRecord.id,
+    plan,
+    target,
+    initContainers: [
+      step('fetch', target.image, target.download, {
+        env: [...target.env(), { name: 'KEY', value: backup.location }],
+        mounts: [...OUT, ...target.mounts],
+      }),
+      step('unpack', TOOLS_IMAGE, [
+        'echo "$CHECKSUM  /out/archive.tar.gz" | sha256sum -c -',
+        'tar xzf /out/archive.tar.gz -C /work',
+        replaceVolumes,
+      ].join('\n'), {
+        env: [{ name: 'CHECKSUM', value: backup.checksum }],
+        mounts: [...WORK, ...OUT, ...dataMounts(plan)],
+      }),
+    ],
+    container: step('load', plan.image, plan.restoreScript, {
+      env: [
+        ...plan.env,
+        { name: 'SOURCE_URL', value: sourceUrl },
+        ...(storeUrl ? [{ name: 'STORE_URL', value: storeUrl }] : []),
+      ],
+      mounts: WORK,
+    }),
+  });
+}
+
+// ─── Running Jobs ────────────────────────────────────────────────
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForJob(namespace, jobName) {
+  const deadline = Date.now() + config.backupTimeoutMs;
+
+  while (Date.now() < deadline) {
+    if (await kubectl.jobCompleted(namespace, jobName)) return;
+
+    if (await kubectl.jobFailed(namespace, jobName)) {
+      const events = await kubectl.getEvents(namespace, 3);
+      const summary = events.map(e => `${e.reason}: ${e.message}`).join('; ');
+      throw new Error(`Job ${jobName} failed${summary ? `. Events: ${summary}` : ''}`);
+    }
+
+    await sleep(config.backupPollIntervalMs);
+  }
+
+  throw new Error(`Job ${jobName} did not finish within ${Math.round(config.backupTimeoutMs / 1000)} seconds`);
+}
+
+/** Run a backup Job to completion. Returns { sizeBytes, checksum }. */
+async function runBackup(storeRecord, backup, engine) {
+  const target = getTarget(backup.target);
+  const manifest = backupJob(storeRecord, backup, engine.getBackupPlan(storeRecord.id));
+  const jobName = manifest.metadata.name;
+
+  await target.prepare(storeRecord.namespace);
+  await kubectl.apply(manifest);
+
+  try {
+    await waitForJob(storeRecord.namespace, jobName);
+
+    const logs = await kubectl.getJobLogs(storeRecord.namespace, jobName, 'upload');
+    const match = RESULT_PATTERN.exec(logs);
+    if (!match) {
+      throw new Error(`Job ${jobName} finished without reporting the archive size and checksum`);
+    }
+    return { sizeBytes: parseInt(match[1], 10), checksum: match[2] };
+  } finally {
+    await kubectl.deleteJob(storeRecord.namespace, jobName).catch(() => { });
+  }
+}
+
+/**
+ * Restore `backup` into `storeRecord` (the source store or a fresh one).
+ * The load step gets SOURCE_URL, the URL of the store the backup came from,
+ * so the engine can rewrite it to the destination's, and STORE_URL when the
+ * destination already serves at a URL of its own (e.g. a custom domain).
+ */
+async function runRestore(storeRecord, backup, engine) {
+  const target = getTarget(backup.target);
+  const jobName = `${storeRecord.id}-restore-${uuidv4().split('-')[0]}`;
+  const sourceUrl = store.getById(backup.store_id)?.store_url || engine.getUrls(backup.store_id).storeUrl;
+  const manifest = restoreJob(
+    storeRecord, backup, engine.getBackupPlan(storeRecord.id), jobName, sourceUrl, storeRecord.store_url
+  );
+
+  await target.prepare(storeRecord.namespace);
+  await kubectl.apply(manifest);
+
+  try {
+    await waitForJob(storeRecord.namespace, jobName);
+  } finally {
+    await kubectl.deleteJob(storeRecord.namespace, jobName).catch(() => { });
+  }
+}
+
+/** Delete the archives of `list` (backups on one target) from storage. */
+async function deleteArchives(storeRecord, list) {
+  if (list.length === 0) return;
+
+  const target = getTarget(list[0].target);
+  const jobName = `${storeRecord.id}-prune-${uuidv4().split('-')[0]}`;
+  const manifest = jobManifest({
+    name: jobName,
+    namespace: storeRecord.namespace,
+    storeId: storeRecord.id,
+    plan: { volumes: [] },
+    target,
+    initContainers: [],
+    container: step('remove', target.image, target.remove, {
+      env: [...target.env(), { name: 'KEYS', value: list.map(b => b.location).join(' ') }],
+      mounts: target.mounts,
+    }),
+  });
+
+  await target.prepare(storeRecord.namespace);
+  await kubectl.apply(manifest);
+
+  try {
+    await waitForJob(storeRecord.namespace, jobName);
+  } finally {
+    await kubectl.deleteJob(storeRecord.namespace, jobName).catch(() => { });
+  }
+}
+
+module.exports = {
+  checkTarget,
+  deleteArchives,
+  isDurable,
+  newBackup,
+  runBackup,
+  runRestore,
+};
@@ -0,0 +1,103 @@
+// Store credentials — the admin login lives only in the store's Kubernetes
+// Secret. SQLite never sees a password; the audit log records who viewed or
+// rotated credentials, not their values.
+
+const crypto = require('crypto');
+const kubectl = require('../utils/kubectlClient');
+const engineRegistry = require('./engineRegistry');
+
+function generatePassword(length = 16) {
+  return crypto.randomBytes(length).toString('base64url').slice(0, length);
+}
+
+async function readSecret(record, engine) {
+  const { name, keys } = engine.getCredentialSecret(record.id);
+  const data = await kubectl.getSecret(record.namespace, name);
+  if (!data) {
+    throw new Error(`Credentials secret '${name}' not found in ${record.namespace}`);
+  }
+  return { name, keys, data };
+}
+
+/** Returns { username, password, email, adminUrl } for a store. */
+async function getCredentials(record) {
+  const engine = engineRegistry.get(record.engine);
+  const { keys, data } = await readSecret(record, engine);
+
+  return {
+    username: data[keys.username],
+    password: data[keys.password],
+    email: data[keys.email],
+    adminUrl: record.admin_url,
+  };
+}
+
+/**
+ * Generate a new admin password, apply it in the running store, then record it
+ * in the Secret. The store is updated first so a failure never leaves the
+ * Secret holding a password that doesn't work.
+ */
+async function rotateCredentials(record) {
+  const engine = engineRegistry.get(record.engine);
+  const { name, keys, data } = await readSecret(record, engine);
+  const username = data[keys.username];
+  const password = generatePassword();
+
+  await engine.rotateAdminPassword({
+    namespace: record.namespace,
+    storeId: record.id,
+    username,
+    password,
+  });
+  await kubectl.patchSecret(record.namespace, name, { [keys.password]: password });
+
+  console.log(`[credentials] Rotated admin password for ${record.id}`);
+  return {
+    username,
+    password,
+    email: data[keys.email],
+    adminUrl: record.admin_url,
+  };
+}
+
+/**
+ * Helm value carrying the current admin password (e.g. { 'wordpress.adminPassword': ... }),
+ * so an upgrade re-renders the Secret with the rotated password rather than the original.
+ * Empty when the engine has no credentials or the Secret can't be read.
+ */
+async function getPasswordValues(record) {
+  const engine = engineRegistry.get(record.engine);
+  if (!engine?.getCredentialSecret) return {};
+
+  const { name, keys, passwordValue } = engine.getCredentialSecret(record.id);
+  if (!passwordValue) return {};
+
+  const data = await kubectl.getSecret(record.namespace, name);
+  return data?.[keys.password] ? { [passwordValue]: data[keys.password] } : {};
+}
+
+/**
+ * Run `operation` (e.g. a helm rollback) that re-renders the Secret from an
+ * older revision's values, then write the current admin password back, since
+ * the running store still uses it. Does nothing extra when there is no Secret.
+ */
+async function keepPassword(record, operation) {
+  const engine = engineRegistry.get(record.engine);
+  if (!engine?.getCredentialSecret) return operation();
+
+  const { name, keys } = engine.getCredentialSecret(record.id);
+  const data = await kubectl.getSecret(record.namespace, name);
+  const result = await operation();
+
+  if (data?.[keys.password]) {
+    await kubectl.patchSecret(record.namespace, name, { [keys.password]: data[keys.password] });
+  }
+  return result;
+}
+
+module.exports = {
+  getCredentials,
+  getPasswordValues,
+  keepPassword,
+  rotateCredentials,
+};
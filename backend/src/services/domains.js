@@ -0,0 +1,199 @@
+// Custom domains — hostname checks, DNS ownership verification, uploaded TLS
+// certificates, and the ingress entries and URLs a store gets from its
+// verified domains.
+//
+// Ownership is proven with a TXT record: `_store-verification.<hostname>` must
+// contain `store-verification=<token>`. Unverified hostnames are never routed,
+// so nobody can claim traffic for a domain they don't control. Each claim has
+// its own token, so a claim on someone else's hostname blocks nobody: the
+// first store to verify wins, and stale unverified claims expire.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const kubectl = require('../utils/kubectlClient');
+const { domains } = require('../db');
+const config = require('../config');
+
+const VERIFICATION_PREFIX = '_store-verification';
+const TLS_MODES = ['none', 'secret', 'cert-manager'];
+const TLS_LABELS = { 'store.platform/role': 'tls' };
+
+const HOSTNAME = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/** Why `hostname` can't be attached to a store, or null if it can. */
+function checkHostname(hostname) {
+  if (!HOSTNAME.test(hostname)) {
+    return `'${hostname}' is not a valid hostname`;
+  }
+  const base = config.baseDomain.toLowerCase();
+  if (hostname === base || hostname.endsWith(`.${base}`)) {
+    return `Hostnames under ${base} are reserved for the platform`;
+  }
+  return null;
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/** The DNS record proving ownership of the domain. */
+function verificationRecord(domain) {
+  return {
+    type: 'TXT',
+    name: `${VERIFICATION_PREFIX}.${domain.hostname}`,
+    value: `store-verification=${domain.verification_token}`,
+  };
+}
+
+/**
+ * Look up the TXT record and record the result. Resolves to the updated
+ * domain; `status` is 'verified' or 'failed' (with `last_error`).
+ */
+async function verify(domain) {
+  const { name, value } = verificationRecord(domain);
+
+  let records = [];
+  try {
+    records = await dns.promises.resolveTxt(name);
+  } catch (error) {
+    if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+      return domains.recordCheck(domain.hostname, domain.store_id, { verified: false, error: `DNS lookup failed: ${error.message}` });
+    }
+  }
+
+  // A TXT record may be split into several strings
+  const found = records.some(chunks => chunks.join('') === value);
+  return domains.recordCheck(domain.hostname, domain.store_id, {
+    verified: found,
+    error: found ? null : `No TXT record '${value}' found at ${name}`,
+  });
+}
+
+/** The Secret holding a hostname's certificate (uploaded, or issued by cert-manager). */
+function secretName(storeId, hostname) {
+  return `${storeId}-${hostname.replace(/\./g, '-')}-tls`;
+}
+
+/**
+ * Check an uploaded PEM certificate and key for `hostname`: the certificate
+ * must cover it, be currently valid, and match the key. Returns
+ * { expiresAt } (ISO) or throws with the reason.
+ */
+function inspectCertificate(hostname, certificate, privateKey) {
+  let cert;
+  let key;
+  try {
+    cert = new crypto.X509Certificate(certificate);
+  } catch (error) {
+    throw new Error(`Certificate is not valid PEM: ${error.message}`);
+  }
+  try {
+    key = crypto.createPrivateKey(privateKey);
+  } catch (error) {
+    throw new Error(`Private key is not valid PEM: ${error.message}`);
+  }
+
+  if (!cert.checkHost(hostname)) {
+    throw new Error(`Certificate does not cover ${hostname}`);
+  }
+  const now = Date.now();
+  if (Date.parse(cert.validFrom) > now || Date.parse(cert.validTo) <= now) {
+    throw new Error(`Certificate is not currently valid (${cert.validFrom} – ${cert.validTo})`);
+  }
+  if (!cert.checkPrivateKey(key)) {
+    throw new Error('Private key does not match the certificate');
+  }
+
+  return { expiresAt: new Date(cert.validTo).toISOString() };
+}
+
+/**
+ * Store an uploaded certificate as a kubernetes.io/tls Secret in the store's
+ * namespace. The key reaches kubectl on stdin; it is never written to disk.
+ */
+async function saveCertificate(storeRecord, hostname, certificate, privateKey) {
+  const name = secretName(storeRecord.id, hostname);
+  await kubectl.apply({
+    apiVersion: 'v1',
+    kind: 'Secret',
+    type: 'kubernetes.io/tls',
+    metadata: {
+      name,
+      namespace: storeRecord.namespace,
+      labels: { ...TLS_LABELS, 'store.platform/store-id': storeRecord.id },
+    },
+    stringData: { 'tls.crt': certificate, 'tls.key': privateKey },
+  });
+  return name;
+}
+
+/** Remove a domain's uploaded certificate. Best-effort: the namespace goes with the store anyway. */
+async function removeCertificate(storeRecord, domain) {
+  if (domain.tls_mode !== 'secret' || !domain.tls_secret) return;
+  try {
+    await kubectl.deleteSecret(storeRecord.namespace, domain.tls_secret);
+  } catch (error) {
+    console.warn(`[domains] Could not delete secret ${domain.tls_secret}: ${error.message}`);
+  }
+}
+
+/** Verified domains as ingress entries: [{ host, tls, secretName }]. */
+function ingressEntries(storeId) {
+  return domains.getVerified(storeId).map(d => ({
+    host: d.hostname,
+    tls: d.tls_mode,
+    secretName: secretName(storeId, d.hostname),
+  }));
+}
+
+/**
+ * The store's URLs: its verified primary domain when it has one (https when
+ * the domain has TLS), otherwise the engine's platform URLs.
+ */
+function getUrls(storeRecord, engine) {
+  const platform = engine.getUrls(storeRecord.id);
+  const primary = domains.getVerified(storeRecord.id).find(d => d.is_primary);
+  if (!primary) return platform;
+
+  const origin = `${primary.tls_mode === 'none' ? 'http' : 'https'}://${primary.hostname}`;
+  return {
+    storeUrl: origin,
+    adminUrl: `${origin}${new URL(platform.adminUrl).pathname}`,
+  };
+}
+
+/** API representation, with the DNS records the owner needs to create. */
+function describe(domain, storeRecord) {
+  return {
+    hostname: domain.hostname,
+    status: domain.status,
+    primary: Boolean(domain.is_primary),
+    tls: {
+      mode: domain.tls_mode,
+      secretName: domain.tls_mode === 'none' ? null : secretName(storeRecord.id, domain.hostname),
+      expiresAt: domain.tls_expires_at,
+    },
+    dns: [
+      verificationRecord(domain),
+      { type: 'CNAME', name: domain.hostname, value: `${storeRecord.id}.${config.baseDomain}` },
+    ],
+    verifiedAt: domain.verified_at,
+    lastCheckedAt: domain.last_checked_at,
+    lastError: domain.last_error,
+    createdAt: domain.created_at,
+  };
+}
+
+module.exports = {
+  TLS_MODES,
+  checkHostname,
+  generateToken,
+  verify,
+  secretName,
+  inspectCertificate,
+  saveCertificate,
+  removeCertificate,
+  ingressEntries,
+  getUrls,
+  describe,
+};
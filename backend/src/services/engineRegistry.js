@@ -0,0 +1,173 @@
+// Engine registry — discovers store engine modules from a directory and checks
+// each one implements the engine contract before it can be used.
+//
+// Engine contract (see storeEngines/woocommerce.js):
+//   name, displayName          — identifier + human-readable label
+//   description                — optional one-liner for the dashboard
+//   parameters                 — JSON-schema object describing creation parameters
+//                                (property `default`s are filled in at creation)
+//   getChartPath()             — path to the engine's Helm chart
+//   getHelmValues(storeId, { name, parameters, plan })
+//                              — per-store Helm value overrides (install-time only)
+//   getUrls(storeId)           — { storeUrl, adminUrl }
+//   validate()                 — { valid, error? } — can the engine provision right now?
+//
+// Optional capabilities:
+//   settings, defaultSettings     — schema + initial values for settings changeable after creation
+//   getSettingsValues(settings)   — Helm values for a full settings object (used by helm upgrade)
+//   checkSettingsChange(cur, next) — error message if a change isn't allowed, else null
+//   getPlanValues(plan)           — Helm values sizing the store for a resource plan
+//                                   ({ cpu, memory, storage, dbStorage }; see services/plans.js)
+//   getCredentialSecret(storeId)  — { name, keys: { username, password, email }, passwordValue? }
+//                                   locating the admin login in the store's Kubernetes Secret
+//   rotateAdminPassword({ namespace, storeId, username, password })
+//                                 — async; applies a new admin password in the running store
+//   getBackupPlan(storeId)        — { image, env, dumpScript, restoreScript, volumes } for
+//                                   backup/restore Jobs (see services/backups.js)
+//   countRecentRequests({ namespace, storeId, sinceSeconds })
+//                                 — async; requests served recently, for auto-hibernate
+//   getDomainValues(entries)      — Helm values routing custom domains ([{ host, tls, secretName }])
+//   setSiteUrl({ namespace, storeId, url })
+//                                 — async; makes the running store generate links for `url`
+//   getInitJobName(storeId)       — the chart's one-off setup Job; provisioning waits for it
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const REQUIRED_STRINGS = ['name', 'displayName'];
+const REQUIRED_FUNCTIONS = ['getChartPath', 'getHelmValues', 'getUrls', 'validate'];
+
+// Optional function → capability name advertised in list()
+const CAPABILITIES = {
+  getSettingsValues: 'upgrade',
+  checkSettingsChange: null,
+  getPlanValues: 'plans',
+  getCredentialSecret: 'credentials',
+  rotateAdminPassword: 'credential_rotation',
+  getBackupPlan: 'backup',
+  countRecentRequests: 'traffic',
+  getDomainValues: 'custom_domains',
+  setSiteUrl: null,
+  getInitJobName: null,
+};
+
+let engines = null;
+
+/** Returns a list of contract violations for an engine module (empty if valid). */
+function checkContract(engine) {
+  const problems = [];
+
+  for (const key of REQUIRED_STRINGS) {
+    if (typeof engine[key] !== 'string' || engine[key].length === 0) {
+      problems.push(`'${key}' must be a non-empty string`);
+    }
+  }
+
+  for (const key of REQUIRED_FUNCTIONS) {
+    if (typeof engine[key] !== 'function') {
+      problems.push(`'${key}' must be a function`);
+    }
+  }
+
+  for (const key of Object.keys(CAPABILITIES)) {
+    if (engine[key] !== undefined && typeof engine[key] !== 'function') {
+      problems.push(`'${key}' must be a function when provided`);
+    }
+  }
+
+  const params = engine.parameters;
+  if (!params || typeof params !== 'object' || params.type !== 'object') {
+    problems.push("'parameters' must be an object schema ({ type: 'object', properties })");
+  }
+
+  return problems;
+}
+
+/**
+ * (Re)load all engines from `dir`. Modules that fail to load or break the
+ * contract are skipped with an error log so one bad engine can't take the
+ * platform down.
+ */
+function load(dir = config.engineDir) {
+  const loaded = new Map();
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+
+  for (const file of files) {
+    let engine;
+    try {
+      engine = require(path.resolve(dir, file));
+    } catch (error) {
+      console.error(`[engines] Failed to load ${file}: ${error.message}`);
+      continue;
+    }
+
+    const problems = checkContract(engine);
+    if (problems.length > 0) {
+      console.error(`[engines] Skipping ${file}: ${problems.join('; ')}`);
+      continue;
+    }
+
+    if (loaded.has(engine.name)) {
+      console.error(`[engines] Skipping ${file}: engine '${engine.name}' is already registered`);
+      continue;
+    }
+
+    loaded.set(engine.name, engine);
+  }
+
+  console.log(`[engines] Loaded ${loaded.size} engine(s) from ${dir}: ${[...loaded.keys()].join(', ')}`);
+  engines = loaded;
+  return loaded;
+}
+
+function getEngines() {
+  return engines || load();
+}
+
+function get(name) {
+  return getEngines().get(name) || null;
+}
+
+function has(name) {
+  return getEngines().has(name);
+}
+
+function names() {
+  return [...getEngines().keys()];
+}
+
+/** Capability names for the optional functions an engine implements. */
+function capabilities(engine) {
+  return Object.entries(CAPABILITIES)
+    .filter(([fn, capability]) => capability && typeof engine[fn] === 'function')
+    .map(([, capability]) => capability);
+}
+
+/** Engine metadata for discovery, including whether each can provision right now. */
+function list() {
+  return [...getEngines().values()].map(engine => {
+    const validation = engine.validate();
+    return {
+      name: engine.name,
+      displayName: engine.displayName,
+      description: engine.description || '',
+      parameters: engine.parameters,
+      settings: engine.settings || null,
+      defaultSettings: engine.defaultSettings || null,
+      capabilities: capabilities(engine),
+      available: validation.valid,
+      ...(validation.valid ? {} : { unavailableReason: validation.error }),
+    };
+  });
+}
+
+module.exports = {
+  load,
+  get,
+  has,
+  names,
+  list,
+  capabilities,
+  checkContract,
+};
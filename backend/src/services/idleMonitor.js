@@ -0,0 +1,75 @@
+// Idle monitor — auto-hibernates ready stores that have served no ingress
+// traffic for AUTO_HIBERNATE_IDLE_MS. Only engines that can count recent
+// requests (the 'traffic' capability) take part. A store isn't checked until
+// it has been ready and untouched for a whole idle window.
+
+const { store } = require('../db');
+const provisioner = require('./provisioner');
+const config = require('../config');
+
+const IDLE_ACTOR = 'auto-hibernate';
+
+let timer = null;
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+function parseTimestamp(value) {
+  if (!value) return 0;
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`).getTime();
+}
+
+/** Check every ready store once. Returns the ids queued for hibernation. */
+async function tick(now = new Date()) {
+  const idleMs = config.autoHibernateIdleMs;
+  if (!(idleMs > 0)) return [];
+
+  const hibernated = [];
+
+  for (const record of store.getByStatus('ready')) {
+    const lastActive = Math.max(parseTimestamp(record.last_active_at), parseTimestamp(record.updated_at));
+    if (now.getTime() - lastActive < idleMs) continue;
+
+    try {
+      const engine = provisioner.getEngine(record.engine);
+      if (typeof engine.countRecentRequests !== 'function') continue;
+
+      const requests = await engine.countRecentRequests({
+        namespace: record.namespace,
+        storeId: record.id,
+        sinceSeconds: idleMs / 1000,
+      });
+
+      if (requests > 0) {
+        store.markActive(record.id, now.toISOString());
+        continue;
+      }
+
+      provisioner.enqueue(record.id, 'hibernate', IDLE_ACTOR, { idleMs });
+      hibernated.push(record.id);
+      console.log(`[idle] No traffic to ${record.id} for ${Math.round(idleMs / 60000)} min, hibernating`);
+
+    } catch (error) {
+      console.warn(`[idle] Could not check traffic for ${record.id}: ${error.message}`);
+    }
+  }
+
+  return hibernated;
+}
+
+function start() {
+  if (timer || !(config.autoHibernateIdleMs > 0)) return;
+  console.log(`[idle] Auto-hibernate after ${config.autoHibernateIdleMs}ms idle (checked every ${config.idleCheckIntervalMs}ms)`);
+  timer = setInterval(() => tick(), config.idleCheckIntervalMs);
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  IDLE_ACTOR,
+  tick,
+  start,
+  stop,
+};
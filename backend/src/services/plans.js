@@ -0,0 +1,64 @@
+// Resource plans — named store sizes kept in SQLite. A plan's cpu/memory are
+// the store namespace's ResourceQuota, which engines divide among their
+// containers; storage and dbStorage size the app and database volumes.
+
+const { plans } = require('../db');
+const { parseCpu, parseBytes } = require('../utils/quantity');
+
+const QUANTITIES = {
+  cpu: parseCpu,
+  memory: parseBytes,
+  storage: parseBytes,
+  dbStorage: parseBytes,
+};
+
+/** API (and engine) representation of a plan row. */
+function describe(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    cpu: row.cpu,
+    memory: row.memory,
+    storage: row.storage,
+    dbStorage: row.db_storage,
+  };
+}
+
+/** The plan with `id`, described, or null. */
+function get(id) {
+  const row = plans.getById(id);
+  return row ? describe(row) : null;
+}
+
+/** Problems with a plan's resource fields (empty if valid). */
+function check(fields) {
+  return Object.entries(QUANTITIES)
+    .filter(([key, parse]) => !(parse(fields[key] ?? '') > 0))
+    .map(([key]) => `'${key}' must be a positive Kubernetes quantity (e.g. ${key === 'cpu' ? '"500m" or "2"' : '"2Gi"'})`);
+}
+
+/**
+ * What one store on the plan counts against its tenant: cpu (millicores) and
+ * memory (bytes) while running, storage (bytes, both volumes) while active.
+ */
+function footprint(plan) {
+  return {
+    cpu: parseCpu(plan.cpu),
+    memory: parseBytes(plan.memory),
+    storage: parseBytes(plan.storage) + parseBytes(plan.dbStorage),
+  };
+}
+
+/** The volume ('storage' or 'dbStorage') that moving from `current` to `next` would shrink, or null. */
+function shrinkingVolume(current, next) {
+  return ['storage', 'dbStorage'].find(key => parseBytes(next[key]) < parseBytes(current[key])) || null;
+}
+
+module.exports = {
+  describe,
+  get,
+  check,
+  footprint,
+  shrinkingVolume,
+};
@@ -1,34 +1,126 @@
-// Store provisioner — orchestrates lifecycle: create → provision → ready/failed → delete.
-// Uses store engines (Strategy pattern) for engine-specific Helm values and URLs.
-// Tracks active operations in-memory to prevent concurrent ops on the same store.
-
-const { store, audit } = require('../db');
+// Store provisioner — orchestrates lifecycle: create → provision → ready/failed →
+// upgrade/rollback/domains/backup/restore → (hibernate → wake) → (soft delete → undelete) → delete.
+// Uses store engines (Strategy pattern, discovered by the engine registry) for
+// engine-specific Helm values and URLs.
+// Work is queued in the durable `jobs` table and executed by a lease-based worker loop,
+// so operations survive API restarts. An in-memory map additionally guards against
+// concurrent ops on the same store within this process.
+
+const os = require('os');
+const {
+  store, audit, jobs, revisions, backups, backupSchedules, domains, provisioningAttempts,
+} = require('../db');
 const helm = require('../utils/helmClient');
 const kubectl = require('../utils/kubectlClient');
+const eventBus = require('../utils/eventBus');
+const { provisioningDuration } = require('../utils/prometheus');
+const engineRegistry = require('./engineRegistry');
+const plans = require('./plans');
+const credentials = require('./credentials');
+const backupJobs = require('./backups');
+const backupRetention = require('./backupRetention');
+const suspension = require('./suspension');
+const customDomains = require('./domains');
 const config = require('../config');
 
-const engines = {
-  woocommerce: require('./storeEngines/woocommerce'),
-  medusa: require('./storeEngines/medusa'),
-};
-
 // Prevents concurrent operations on the same store (single-process lock)
 const activeOperations = new Map();
 
+// Identifies this process as a lease owner in the jobs table
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Job ID → promise for jobs this process is currently running
+const runningJobs = new Map();
+let pollTimer = null;
+
 function getEngine(engineName) {
-  const engine = engines[engineName];
+  const engine = engineRegistry.get(engineName);
   if (!engine) {
-    throw new Error(`Unknown store engine: ${engineName}. Available: ${Object.keys(engines).join(', ')}`);
+    throw new Error(`Unknown store engine: ${engineName}. Available: ${engineRegistry.names().join(', ')}`);
   }
   return engine;
 }
 
+/** A store's current settings, filled in with engine defaults for older rows. */
+function getStoreSettings(storeRecord, engine) {
+  return { ...(engine.defaultSettings || {}), ...JSON.parse(storeRecord.settings || '{}') };
+}
+
+/** Helm values sizing the store for the plan in `settings` ({} if the engine doesn't use plans). */
+function getPlanValues(engine, settings) {
+  if (!engine.getPlanValues) return {};
+  const plan = plans.get(settings.plan);
+  if (!plan) {
+    throw new Error(`Unknown plan: ${settings.plan}`);
+  }
+  return engine.getPlanValues(plan);
+}
+
+/**
+ * Remember the settings behind the release's current revision so a later
+ * rollback can restore them. Best-effort: the store works without it.
+ */
+async function recordRevision(storeRecord, settings) {
+  try {
+    const release = await helm.status(storeRecord.helm_release, storeRecord.namespace);
+    if (release?.version) {
+      revisions.record(storeRecord.id, release.version, settings);
+    }
+  } catch (error) {
+    console.warn(`[provisioner] Could not record revision for ${storeRecord.id}: ${error.message}`);
+  }
+}
+
+/** Run one provisioning phase, recording its duration (ms) in `phases` if it succeeds. */
+async function timePhase(phases, name, work) {
+  const start = Date.now();
+  const result = await work();
+  phases[name] = Date.now() - start;
+  return result;
+}
+
+/**
+ * Copy a store's current data into a freshly installed one: back up the
+ * source (the archive crosses namespaces, so the target must be durable),
+ * then restore it here. The backup is kept on the source, tagged 'clone'.
+ */
+async function cloneInto(storeRecord, sourceId, engine, actor) {
+  const source = store.getById(sourceId);
+  if (!source || source.status === 'deleted') {
+    throw new Error(`Source store ${sourceId} no longer exists`);
+  }
+
+  const backup = backups.create({
+    ...backupJobs.newBackup(sourceId),
+    storeId: sourceId,
+    tenantId: source.tenant_id,
+    trigger: 'clone',
+    actor,
+  });
+
+  reportProgress(storeRecord.id, 'clone', `Backing up ${sourceId}`);
+  backups.markRunning(backup.id);
+  let completed;
+  try {
+    completed = backups.markCompleted(backup.id, await backupJobs.runBackup(source, backup, engine), actor);
+  } catch (error) {
+    backups.markFailed(backup.id, error.message, actor);
+    throw new Error(`Backing up source store ${sourceId} failed: ${error.message}`);
+  }
+
+  reportProgress(storeRecord.id, 'clone', `Copying data from ${sourceId}`);
+  await backupJobs.runRestore(storeRecord, completed, engine);
+  audit.log(storeRecord.id, 'clone', { sourceStoreId: sourceId, backupId: backup.id }, actor);
+}
+
 /**
  * Provision a store asynchronously.
- * Flow: mark provisioning → helm install → poll readiness → mark ready.
+ * Flow: mark provisioning → helm install → poll readiness → (restore backup / clone) → mark ready.
  * On failure: logs error, marks failed. Does NOT auto-rollback (allows debugging/retry).
+ * `payload.restoreBackupId` seeds the new store from another store's backup;
+ * `payload.cloneFrom` copies another store's current data into it.
  */
-async function provisionStore(storeId) {
+async function provisionStore(storeId, { actor = null, payload = {} } = {}) {
   if (activeOperations.has(storeId)) {
     console.log(`[provisioner] Operation already active for ${storeId}`);
     return;
@@ -39,12 +131,19 @@ async function provisionStore(storeId) {
   const timeoutHandle = setTimeout(() => {
     handleTimeout(storeId);
   }, config.provisionTimeoutMs);
+  const endTimer = provisioningDuration.startTimer();
+  const timing = { engine: 'unknown', outcome: 'failed' };
+  const phases = {};
+  let attemptId = null;
+  let failure = null;
 
   try {
     const storeRecord = store.getById(storeId);
     if (!storeRecord) {
       throw new Error(`Store ${storeId} not found in database`);
     }
+    timing.engine = storeRecord.engine;
+    attemptId = provisioningAttempts.start(storeId, storeRecord.engine);
 
     const engine = getEngine(storeRecord.engine);
 
@@ -59,31 +158,488 @@ async function provisionStore(storeId) {
     const namespace = storeRecord.namespace;
     const releaseName = storeRecord.helm_release;
     const chartPath = engine.getChartPath();
-    const values = engine.getHelmValues(storeId);
+    const settings = getStoreSettings(storeRecord, engine);
+    const values = {
+      ...engine.getHelmValues(storeId, {
+        name: storeRecord.name,
+        parameters: JSON.parse(storeRecord.parameters || '{}'),
+        plan: plans.get(settings.plan),
+      }),
+      ...(engine.getSettingsValues ? engine.getSettingsValues(settings) : {}),
+      ...getPlanValues(engine, settings),
+    };
 
     console.log(`[provisioner] Running helm install for ${releaseName} in ${namespace}`);
-    const helmResult = await helm.install({
+    reportProgress(storeId, 'helm_install', 'Installing Helm release');
+    const helmResult = await timePhase(phases, 'helm_install', () => helm.install({
       releaseName, chartPath, namespace, values,
-    });
+    }));
 
     if (helmResult.alreadyExists) {
       console.log(`[provisioner] Helm release already exists, checking readiness`);
     }
 
     console.log(`[provisioner] Waiting for pods to be ready in ${namespace}`);
-    await waitForPodsReady(namespace, storeId);
+    reportProgress(storeId, 'pods', 'Waiting for pods to become ready');
+    await timePhase(phases, 'pods', () => waitForPodsReady(namespace, storeId));
+
+    if (engine.getInitJobName) {
+      await timePhase(phases, 'init', () => waitForInitJob(namespace, storeId, engine.getInitJobName(storeId)));
+    }
+
+    if (payload.restoreBackupId) {
+      const backup = backups.getById(payload.restoreBackupId);
+      reportProgress(storeId, 'restore', `Restoring backup ${backup.id}`);
+      await timePhase(phases, 'restore', () => backupJobs.runRestore(storeRecord, backup, engine));
+      audit.log(storeId, 'restore', { backupId: backup.id, sourceStoreId: backup.store_id });
+    }
 
-    const urls = engine.getUrls(storeId);
+    if (payload.cloneFrom) {
+      await timePhase(phases, 'clone', () => cloneInto(storeRecord, payload.cloneFrom, engine, actor));
+    }
+
+    const urls = customDomains.getUrls(storeRecord, engine);
     store.markReady(storeId, urls.storeUrl, urls.adminUrl);
+    await recordRevision(storeRecord, settings);
+    timing.outcome = 'ready';
 
     console.log(`[provisioner] Store ${storeId} is READY at ${urls.storeUrl}`);
 
   } catch (error) {
     console.error(`[provisioner] Failed to provision ${storeId}:`, error.message);
     store.updateStatus(storeId, 'failed', error.message);
+    failure = error.message;
 
   } finally {
     clearTimeout(timeoutHandle);
+    endTimer(timing);
+    if (attemptId) {
+      provisioningAttempts.finish(attemptId, { outcome: timing.outcome, error: failure, phases });
+    }
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Apply settings changes to a running store.
+ * Flow: mark updating → helm upgrade (reuse values + new settings, atomic) → poll readiness → ready.
+ * On failure helm has already rolled back, so the store is marked failed with the
+ * previous revision still serving; retry re-checks it and returns it to ready.
+ */
+async function upgradeStore(storeId, { actor = null, payload = {} } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'updating');
+  let previousRevision = null;
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord) {
+      throw new Error(`Store ${storeId} not found in database`);
+    }
+
+    const engine = getEngine(storeRecord.engine);
+    const changes = payload.settings || {};
+    const settings = { ...getStoreSettings(storeRecord, engine), ...changes };
+
+    store.updateStatus(storeId, 'updating');
+    console.log(`[provisioner] Upgrading ${storeId}: ${JSON.stringify(changes)}`);
+
+    const namespace = storeRecord.namespace;
+    const releaseName = storeRecord.helm_release;
+    const release = await helm.status(releaseName, namespace);
+    previousRevision = release?.version ?? null;
+
+    const values = {
+      ...engine.getSettingsValues(settings),
+      ...getPlanValues(engine, settings),
+      ...await credentials.getPasswordValues(storeRecord),
+    };
+
+    reportProgress(storeId, 'helm_upgrade', 'Upgrading Helm release');
+    await helm.upgrade({
+      releaseName,
+      chartPath: engine.getChartPath(),
+      namespace,
+      values,
+      timeoutSeconds: Math.floor(config.provisionTimeoutMs / 1000),
+    });
+
+    reportProgress(storeId, 'pods', 'Waiting for pods to become ready');
+    await waitForPodsReady(namespace, storeId);
+
+    store.markUpdated(storeId, settings, changes, actor);
+    await recordRevision(storeRecord, settings);
+    console.log(`[provisioner] Store ${storeId} upgraded`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to upgrade ${storeId}:`, error.message);
+    const kept = previousRevision ? `revision ${previousRevision} is still deployed` : 'previous revision kept';
+    store.updateStatus(storeId, 'failed', `Upgrade failed (${kept}): ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Route the store's verified custom domains to it and point the store at its
+ * primary one. Flow: mark updating → helm upgrade (ingress values, atomic) →
+ * poll readiness → set the site URL → ready. Failure is handled like an upgrade.
+ */
+async function applyDomains(storeId, { actor = null } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'updating');
+  let previousRevision = null;
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord) {
+      throw new Error(`Store ${storeId} not found in database`);
+    }
+    if (storeRecord.status !== 'ready') {
+      console.log(`[provisioner] Store ${storeId} is not ready, not applying domains`);
+      return;
+    }
+
+    const engine = getEngine(storeRecord.engine);
+    const entries = customDomains.ingressEntries(storeId);
+    const hosts = entries.map(e => e.host);
+
+    store.updateStatus(storeId, 'updating');
+    console.log(`[provisioner] Applying domains for ${storeId}: ${hosts.join(', ') || '(none)'}`);
+
+    const namespace = storeRecord.namespace;
+    const releaseName = storeRecord.helm_release;
+    const release = await helm.status(releaseName, namespace);
+    previousRevision = release?.version ?? null;
+
+    reportProgress(storeId, 'helm_upgrade', 'Updating ingress hosts');
+    await helm.upgrade({
+      releaseName,
+      chartPath: engine.getChartPath(),
+      namespace,
+      values: {
+        ...engine.getDomainValues(entries),
+        ...await credentials.getPasswordValues(storeRecord),
+      },
+      timeoutSeconds: Math.floor(config.provisionTimeoutMs / 1000),
+    });
+
+    reportProgress(storeId, 'pods', 'Waiting for pods to become ready');
+    await waitForPodsReady(namespace, storeId);
+
+    const urls = customDomains.getUrls(storeRecord, engine);
+    if (engine.setSiteUrl && urls.storeUrl !== storeRecord.store_url) {
+      reportProgress(storeId, 'site_url', `Setting site URL to ${urls.storeUrl}`);
+      await engine.setSiteUrl({ namespace, storeId, url: urls.storeUrl });
+    }
+
+    store.markDomainsApplied(storeId, urls, hosts, actor);
+    await recordRevision(storeRecord, getStoreSettings(storeRecord, engine));
+    console.log(`[provisioner] Domains applied for ${storeId}`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to apply domains for ${storeId}:`, error.message);
+    const kept = previousRevision ? `revision ${previousRevision} is still deployed` : 'previous revision kept';
+    store.updateStatus(storeId, 'failed', `Domain update failed (${kept}): ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Roll a store back to an earlier Helm revision.
+ * Flow: mark updating → helm rollback (--wait) → poll readiness → restore that
+ * revision's settings → ready. On failure the store is marked failed; the
+ * revision history shows what is deployed.
+ */
+async function rollbackStore(storeId, { actor = null, payload = {} } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'updating');
+  const toRevision = payload.revision;
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord) {
+      throw new Error(`Store ${storeId} not found in database`);
+    }
+
+    const engine = getEngine(storeRecord.engine);
+    const namespace = storeRecord.namespace;
+    const releaseName = storeRecord.helm_release;
+
+    store.updateStatus(storeId, 'updating');
+    const release = await helm.status(releaseName, namespace);
+    const fromRevision = release?.version ?? null;
+    console.log(`[provisioner] Rolling back ${storeId}: revision ${fromRevision} → ${toRevision}`);
+
+    reportProgress(storeId, 'helm_rollback', `Rolling back to revision ${toRevision}`);
+    // The old revision's values carry the old admin password; the store's database doesn't
+    await credentials.keepPassword(storeRecord, () => helm.rollback({
+      releaseName,
+      namespace,
+      revision: toRevision,
+      timeoutSeconds: Math.floor(config.provisionTimeoutMs / 1000),
+    }));
+
+    reportProgress(storeId, 'pods', 'Waiting for pods to become ready');
+    await waitForPodsReady(namespace, storeId);
+
+    // Older revisions (before settings, or plans, were tracked) keep the current ones
+    const current = getStoreSettings(storeRecord, engine);
+    const settings = { plan: current.plan, ...(revisions.getSettings(storeId, toRevision) || current) };
+    store.markRolledBack(storeId, settings, { fromRevision, toRevision }, actor);
+    await recordRevision(storeRecord, settings);
+    console.log(`[provisioner] Store ${storeId} rolled back to revision ${toRevision}`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to roll back ${storeId}:`, error.message);
+    store.updateStatus(storeId, 'failed', `Rollback to revision ${toRevision} failed: ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Back up a store's data to the backup target. The store stays `ready`
+ * throughout (online dump); the outcome is tracked on the backup record.
+ * A successful scheduled backup then prunes per the schedule's retention.
+ */
+async function backupStore(storeId, { actor = null, payload = {} } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'backup');
+  const backupId = payload.backupId;
+
+  try {
+    const storeRecord = store.getById(storeId);
+    const backup = backups.getById(backupId);
+    if (!storeRecord || !backup) {
+      throw new Error(`Store ${storeId} or backup ${backupId} not found in database`);
+    }
+
+    backups.markRunning(backupId);
+    console.log(`[provisioner] Backing up ${storeId} to ${backup.target}:${backup.location}`);
+
+    const result = await backupJobs.runBackup(storeRecord, backup, getEngine(storeRecord.engine));
+    backups.markCompleted(backupId, result, actor);
+    console.log(`[provisioner] Backup ${backupId} of ${storeId} completed (${result.sizeBytes} bytes)`);
+
+    const schedule = backup.trigger === 'scheduled' && backupSchedules.get(storeId);
+    if (schedule) {
+      try {
+        await backupRetention.applyRetention(storeRecord, JSON.parse(schedule.retention));
+      } catch (error) {
+        // The backup itself succeeded; pruning is retried after the next one
+        console.warn(`[provisioner] Retention for ${storeId} failed: ${error.message}`);
+      }
+    }
+
+  } catch (error) {
+    console.error(`[provisioner] Backup ${backupId} of ${storeId} failed:`, error.message);
+    if (backups.getById(backupId)) {
+      backups.markFailed(backupId, error.message, actor);
+    }
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Restore a backup into the store it was taken from.
+ * Flow: mark restoring → restore Job (data + volumes) → poll readiness → ready.
+ */
+async function restoreStore(storeId, { actor = null, payload = {} } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'restoring');
+  const backupId = payload.backupId;
+
+  try {
+    const storeRecord = store.getById(storeId);
+    const backup = backups.getById(backupId);
+    if (!storeRecord || !backup) {
+      throw new Error(`Store ${storeId} or backup ${backupId} not found in database`);
+    }
+
+    store.updateStatus(storeId, 'restoring');
+    console.log(`[provisioner] Restoring ${storeId} from backup ${backupId}`);
+
+    reportProgress(storeId, 'restore', `Restoring backup ${backupId}`);
+    await backupJobs.runRestore(storeRecord, backup, getEngine(storeRecord.engine));
+
+    reportProgress(storeId, 'pods', 'Waiting for pods to become ready');
+    await waitForPodsReady(storeRecord.namespace, storeId);
+
+    store.updateStatus(storeId, 'ready');
+    audit.log(storeId, 'restore', { backupId, sourceStoreId: backup.store_id }, actor);
+    console.log(`[provisioner] Store ${storeId} restored from ${backupId}`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to restore ${storeId}:`, error.message);
+    store.updateStatus(storeId, 'failed', `Restore from backup ${backupId} failed: ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Hibernate a ready store: scale its workloads to zero, keeping data and the
+ * Helm release. Skipped if the store stopped being ready since it was queued.
+ */
+async function hibernateStore(storeId, { actor = null } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'hibernating');
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord || storeRecord.status !== 'ready') {
+      console.log(`[provisioner] Store ${storeId} is no longer ready, not hibernating`);
+      return;
+    }
+
+    reportProgress(storeId, 'scale_down', 'Scaling store to zero');
+    await suspension.suspend(storeRecord);
+    store.markHibernated(storeId, actor);
+    console.log(`[provisioner] Store ${storeId} hibernated`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to hibernate ${storeId}:`, error.message);
+    store.updateStatus(storeId, 'failed', `Hibernate failed: ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Wake a hibernated store: restore its replicas and wait for the pods.
+ * Flow: mark waking → scale up → poll readiness → mark ready.
+ */
+async function wakeStore(storeId, { actor = null } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'waking');
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord || !['hibernated', 'waking'].includes(storeRecord.status)) {
+      throw new Error(`Store ${storeId} is not hibernated`);
+    }
+
+    store.updateStatus(storeId, 'waking');
+    reportProgress(storeId, 'scale_up', 'Restoring store replicas');
+    await suspension.resume(storeRecord);
+    await waitForPodsReady(storeRecord.namespace, storeId);
+
+    store.markAwake(storeId, actor);
+    console.log(`[provisioner] Store ${storeId} is awake`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to wake ${storeId}:`, error.message);
+    if (store.getById(storeId)?.status === 'waking') {
+      store.updateStatus(storeId, 'failed', `Wake failed: ${error.message}`);
+    }
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Soft-delete a store: scale it to zero and mark it `pending_deletion` for
+ * the configured grace period. The reaper deletes it for good afterwards.
+ */
+async function softDeleteStore(storeId, { actor = null } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'deleting');
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord) {
+      throw new Error(`Store ${storeId} not found`);
+    }
+
+    reportProgress(storeId, 'scale_down', 'Scaling store to zero');
+    await suspension.suspend(storeRecord);
+
+    const deleteAfter = new Date(Date.now() + config.deleteGracePeriodMs).toISOString();
+    store.markPendingDeletion(storeId, deleteAfter, actor);
+    console.log(`[provisioner] Store ${storeId} pending deletion until ${deleteAfter}`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to soft-delete ${storeId}:`, error.message);
+    store.updateStatus(storeId, 'failed', `Delete failed: ${error.message}`);
+
+  } finally {
+    activeOperations.delete(storeId);
+  }
+}
+
+/**
+ * Bring a soft-deleted store back: restore its replicas, wait for pods, mark ready.
+ */
+async function undeleteStore(storeId, { actor = null } = {}) {
+  if (activeOperations.has(storeId)) {
+    console.log(`[provisioner] Operation already active for ${storeId}`);
+    return;
+  }
+
+  activeOperations.set(storeId, 'undeleting');
+
+  try {
+    const storeRecord = store.getById(storeId);
+    if (!storeRecord || storeRecord.status !== 'pending_deletion') {
+      throw new Error(`Store ${storeId} is no longer pending deletion`);
+    }
+
+    reportProgress(storeId, 'scale_up', 'Restoring store replicas');
+    await suspension.resume(storeRecord);
+    await waitForPodsReady(storeRecord.namespace, storeId);
+
+    store.markUndeleted(storeId, actor);
+    console.log(`[provisioner] Store ${storeId} undeleted`);
+
+  } catch (error) {
+    console.error(`[provisioner] Failed to undelete ${storeId}:`, error.message);
+    if (store.getById(storeId)?.status === 'pending_deletion') {
+      store.updateStatus(storeId, 'failed', `Undelete failed: ${error.message}`);
+    }
+
+  } finally {
     activeOperations.delete(storeId);
   }
 }
@@ -92,8 +648,9 @@ async function provisionStore(storeId) {
  * Delete a store asynchronously.
  * Flow: helm uninstall → kubectl delete namespace (cascade) → mark deleted.
  * Belt-and-suspenders: namespace delete catches anything helm missed.
+ * `payload.expired` marks a reaper deletion, dropped if the store was undeleted meanwhile.
  */
-async function deleteStore(storeId) {
+async function deleteStore(storeId, { actor = null, payload = {} } = {}) {
   if (activeOperations.has(storeId)) {
     console.log(`[provisioner] Operation already active for ${storeId}`);
     throw new Error('An operation is already in progress for this store');
@@ -107,12 +664,29 @@ async function deleteStore(storeId) {
       throw new Error(`Store ${storeId} not found`);
     }
 
+    if (payload.expired && !(storeRecord.status === 'pending_deletion'
+      && storeRecord.delete_after <= new Date().toISOString())) {
+      console.log(`[provisioner] Store ${storeId} is no longer due for deletion, skipping`);
+      return;
+    }
+
+    // TTL expiry: skip if the store was extended (or deleted) since it was queued
+    if (payload.ttlExpired) {
+      if (!storeRecord.expires_at || storeRecord.expires_at > new Date().toISOString()
+        || storeRecord.status === 'deleted') {
+        console.log(`[provisioner] Store ${storeId} is no longer expired, skipping`);
+        return;
+      }
+      audit.log(storeId, 'expired', { expiresAt: storeRecord.expires_at }, actor);
+    }
+
     store.updateStatus(storeId, 'deleting');
     console.log(`[provisioner] Deleting store ${storeId}`);
 
     const namespace = storeRecord.namespace;
     const releaseName = storeRecord.helm_release;
 
+    reportProgress(storeId, 'helm_uninstall', 'Uninstalling Helm release');
     try {
       await helm.uninstall({ releaseName, namespace });
       console.log(`[provisioner] Helm release ${releaseName} uninstalled`);
@@ -120,6 +694,7 @@ async function deleteStore(storeId) {
       console.warn(`[provisioner] Helm uninstall warning: ${error.message}`);
     }
 
+    reportProgress(storeId, 'namespace_delete', 'Deleting namespace');
     try {
       await kubectl.deleteNamespace(namespace);
       console.log(`[provisioner] Namespace ${namespace} deleted`);
@@ -127,7 +702,10 @@ async function deleteStore(storeId) {
       console.warn(`[provisioner] Namespace delete warning: ${error.message}`);
     }
 
-    store.markDeleted(storeId);
+    store.markDeleted(storeId, actor);
+    backups.removeForStore(storeId, 'pvc');  // the backup PVC went with the namespace
+    backupSchedules.remove(storeId);
+    domains.removeForStore(storeId);  // frees the hostnames; TLS secrets went with the namespace
     console.log(`[provisioner] Store ${storeId} fully deleted`);
 
   } catch (error) {
@@ -140,6 +718,9 @@ async function deleteStore(storeId) {
 }
 
 /** Polls pod readiness. Fails fast on CrashLoopBackOff or excessive restarts. */
+// Waiting reasons that won't clear up by themselves: the image has to be built, loaded or fixed
+const IMAGE_PULL_ERRORS = ['ErrImagePull', 'ImagePullBackOff', 'ErrImageNeverPull', 'InvalidImageName'];
+
 async function waitForPodsReady(namespace, storeId, maxAttempts = 60) {
   for (let i = 0; i < maxAttempts; i++) {
     const ready = await kubectl.allPodsReady(namespace);
@@ -149,6 +730,15 @@ async function waitForPodsReady(namespace, storeId, maxAttempts = 60) {
     }
 
     const pods = await kubectl.getPodStatuses(namespace);
+    const unpullable = pods.find(p => IMAGE_PULL_ERRORS.includes(p.waiting?.reason));
+    if (unpullable) {
+      const { container, image, reason } = unpullable.waiting;
+      throw new Error(
+        `Image ${image} (container ${container} of pod ${unpullable.name}) cannot be pulled: ${reason}. ` +
+        'Build it and load it into the cluster, or set the chart\'s image to one the cluster can pull'
+      );
+    }
+
     const failedPods = pods.filter(p => p.phase === 'Failed' || p.restarts > 5);
 
     if (failedPods.length > 0) {
@@ -157,6 +747,9 @@ async function waitForPodsReady(namespace, storeId, maxAttempts = 60) {
       throw new Error(`Pods failed: ${failedPods.map(p => p.name).join(', ')}. Events: ${eventSummary}`);
     }
 
+    const readyCount = pods.filter(p => p.ready).length;
+    reportProgress(storeId, 'pods', `${readyCount}/${pods.length} pods ready (check ${i + 1}/${maxAttempts})`);
+
     await sleep(5000);
 
     if (i % 5 === 0) {
@@ -167,6 +760,36 @@ async function waitForPodsReady(namespace, storeId, maxAttempts = 60) {
   throw new Error(`Pods did not become ready within ${maxAttempts * 5} seconds`);
 }
 
+/**
+ * Wait for the engine's one-off setup Job (WordPress install, Medusa seed).
+ * Its pod finishes rather than staying ready, so pod readiness alone says
+ * nothing about it.
+ */
+async function waitForInitJob(namespace, storeId, jobName, maxAttempts = 180) {
+  for (let i = 0; i < maxAttempts; i++) {
+    if (await kubectl.jobCompleted(namespace, jobName)) {
+      console.log(`[provisioner] Job ${jobName} completed in ${namespace} (attempt ${i + 1})`);
+      return;
+    }
+
+    if (await kubectl.jobFailed(namespace, jobName)) {
+      const events = await kubectl.getEvents(namespace, 5);
+      const eventSummary = events.map(e => `${e.reason}: ${e.message}`).join('; ');
+      throw new Error(`Job ${jobName} failed. Events: ${eventSummary}`);
+    }
+
+    reportProgress(storeId, 'init', `Waiting for ${jobName} to finish (check ${i + 1}/${maxAttempts})`);
+    await sleep(5000);
+  }
+
+  throw new Error(`Job ${jobName} did not finish within ${maxAttempts * 5} seconds`);
+}
+
+/** Publish a provisioning/deletion progress update for live dashboards. */
+function reportProgress(storeId, phase, message) {
+  eventBus.publish('progress', { storeId, phase, message });
+}
+
 function handleTimeout(storeId) {
   if (activeOperations.has(storeId)) {
     console.error(`[provisioner] Timeout for ${storeId}`);
@@ -175,57 +798,156 @@ function handleTimeout(storeId) {
   }
 }
 
+/** Returns the type of the store's pending/running job ('provision' | 'upgrade' | 'delete'), or null. */
 function getOperationStatus(storeId) {
-  return activeOperations.get(storeId) || null;
+  const job = jobs.getActiveForStore(storeId);
+  return job ? job.type : null;
 }
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// ─── Job Queue Worker ────────────────────────────────────────────
+
+const JOB_HANDLERS = {
+  provision: provisionStore,
+  upgrade: upgradeStore,
+  rollback: rollbackStore,
+  backup: backupStore,
+  restore: restoreStore,
+  domains: applyDomains,
+  hibernate: hibernateStore,
+  wake: wakeStore,
+  soft_delete: softDeleteStore,
+  undelete: undeleteStore,
+  delete: deleteStore,
+};
+
+/**
+ * Queue a background operation for a store. Returns the (possibly pre-existing) job.
+ * `actor` is the identity that requested it, carried through to the audit log;
+ * `payload` holds the operation's arguments and is handed back to the handler.
+ */
+function enqueue(storeId, type, actor = null, payload = null) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = jobs.enqueue(storeId, type, actor, payload);
+  if (pollTimer) {
+    setImmediate(pollJobs);
+  }
+  return job;
+}
+
+/** Claim jobs until the concurrency limit is reached or the queue is empty. */
+function pollJobs() {
+  while (runningJobs.size < config.jobConcurrency) {
+    let job;
+    try {
+      job = jobs.claim(WORKER_ID, config.jobLeaseMs);
+    } catch (error) {
+      console.error('[worker] Failed to claim job:', error.message);
+      return;
+    }
+
+    if (!job) return;
+    runningJobs.set(job.id, runJob(job));
+  }
+}
+
 /**
- * Startup recovery — reconciles DB state with cluster reality.
- * Called on API boot to fix stores stuck in 'provisioning' or 'queued'
- * (e.g., after an API crash mid-provision).
+ * Run a claimed job, heartbeating its lease while the handler is in flight.
+ * A job reclaimed more than `jobMaxAttempts` times (the worker kept dying
+ * mid-operation) is abandoned and its store marked failed.
+ */
+async function runJob(job) {
+  console.log(`[worker] Running job ${job.id}: ${job.type} ${job.store_id} (attempt ${job.attempts})`);
+
+  const heartbeat = setInterval(() => {
+    jobs.heartbeat(job.id, WORKER_ID);
+  }, Math.max(Math.floor(config.jobLeaseMs / 3), 1000));
+
+  try {
+    if (job.attempts > config.jobMaxAttempts) {
+      const message = `Operation abandoned after ${job.attempts - 1} interrupted attempts`;
+      store.updateStatus(job.store_id, 'failed', message);
+      jobs.fail(job.id, WORKER_ID, message);
+      return;
+    }
+
+    await JOB_HANDLERS[job.type](job.store_id, {
+      actor: job.actor,
+      payload: job.payload ? JSON.parse(job.payload) : {},
+    });
+    jobs.complete(job.id, WORKER_ID);
+
+  } catch (error) {
+    console.error(`[worker] Job ${job.id} failed:`, error.message);
+    jobs.fail(job.id, WORKER_ID, error.message);
+
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(job.id);
+    if (pollTimer) {
+      setImmediate(pollJobs);
+    }
+  }
+}
+
+function startWorker() {
+  if (pollTimer) return;
+  console.log(`[worker] Starting job worker ${WORKER_ID} (concurrency: ${config.jobConcurrency})`);
+  pollTimer = setInterval(pollJobs, config.jobPollIntervalMs);
+  pollJobs();
+}
+
+/**
+ * Stop claiming new jobs. In-flight jobs are not awaited: if the process exits,
+ * their leases expire and another worker (or the next boot) resumes them.
+ */
+function stopWorker() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Startup recovery — reconciles DB state with the job queue.
+ * Jobs interrupted by a crash are resumed by the worker once their lease expires.
+ * Stores stuck in 'queued', 'provisioning', 'waking' or 'deleting' with no job behind
+ * them get one re-enqueued; provisioning, waking and deletion are idempotent, so
+ * re-running is safe.
+ * An 'updating' (upgrade/rollback) or 'restoring' store with no job has lost its
+ * request, so it is marked failed instead — retry re-checks what is deployed.
  */
 async function recoverOnStartup() {
   const allStores = store.getAll();
+
+  const interrupted = ['updating', 'restoring'];
+  for (const s of allStores.filter(s => interrupted.includes(s.status) && !jobs.getActiveForStore(s.id))) {
+    const operation = s.status === 'restoring' ? 'restore' : 'update';
+    store.updateStatus(s.id, 'failed', `The ${operation} was interrupted by an API restart`);
+    audit.log(s.id, 'recovery', { result: 'failed', reason: `${operation} interrupted` });
+  }
+
   const stuckStores = allStores.filter(s =>
-    s.status === 'provisioning' || s.status === 'queued'
+    ['queued', 'provisioning', 'waking', 'deleting'].includes(s.status) && !jobs.getActiveForStore(s.id)
   );
 
   if (stuckStores.length === 0) {
-    console.log('[provisioner] Startup recovery: no stuck stores found');
+    console.log('[provisioner] Startup recovery: no orphaned stores found');
     return;
   }
 
-  console.log(`[provisioner] Startup recovery: found ${stuckStores.length} stuck store(s)`);
+  console.log(`[provisioner] Startup recovery: found ${stuckStores.length} orphaned store(s)`);
 
   for (const stuckStore of stuckStores) {
-    try {
-      console.log(`[provisioner] Checking stuck store ${stuckStore.id} (status: ${stuckStore.status})`);
-
-      const ready = await kubectl.allPodsReady(stuckStore.namespace);
-
-      if (ready) {
-        const engine = getEngine(stuckStore.engine);
-        const urls = engine.getUrls(stuckStore.id);
-        store.markReady(stuckStore.id, urls.storeUrl, urls.adminUrl);
-        audit.log(stuckStore.id, 'recovery', { result: 'marked_ready', reason: 'pods ready after restart' });
-        console.log(`[provisioner] Recovery: ${stuckStore.id} marked READY (pods were running)`);
-      } else {
-        store.updateStatus(
-          stuckStore.id,
-          'failed',
-          'API restarted during provisioning. Click retry to re-attempt.'
-        );
-        audit.log(stuckStore.id, 'recovery', { result: 'marked_failed', reason: 'API restart interrupted provisioning' });
-        console.log(`[provisioner] Recovery: ${stuckStore.id} marked FAILED (provisioning interrupted)`);
-      }
-    } catch (error) {
-      console.error(`[provisioner] Recovery failed for ${stuckStore.id}:`, error.message);
-      store.updateStatus(stuckStore.id, 'failed', `Recovery failed: ${error.message}`);
-    }
+    const type = { deleting: 'delete', waking: 'wake' }[stuckStore.status] || 'provision';
+    jobs.enqueue(stuckStore.id, type);
+    audit.log(stuckStore.id, 'recovery', { result: 'requeued', job: type, reason: 'no active job after restart' });
+    console.log(`[provisioner] Recovery: ${stuckStore.id} re-queued for ${type} (status: ${stuckStore.status})`);
   }
 
   console.log('[provisioner] Startup recovery complete');
@@ -233,8 +955,16 @@ async function recoverOnStartup() {
 
 module.exports = {
   provisionStore,
+  upgradeStore,
+  rollbackStore,
+  backupStore,
+  restoreStore,
   deleteStore,
+  enqueue,
+  startWorker,
+  stopWorker,
   getEngine,
   getOperationStatus,
+  getStoreSettings,
   recoverOnStartup,
 };
@@ -0,0 +1,82 @@
+// Reaper — finishes soft deletions and removes ephemeral stores. Stores whose
+// grace period or TTL has run out get a normal `delete` job; the job queue
+// dedupes, so ticking again (or on another replica) before it runs is harmless.
+// TTL expiry skips the grace period: the owner already said when to remove it.
+// It also drops custom-domain claims that were never verified.
+
+const { store, audit, domains } = require('../db');
+const provisioner = require('./provisioner');
+const customDomains = require('./domains');
+const config = require('../config');
+
+const REAPER_ACTOR = 'reaper';
+
+let timer = null;
+
+function queueDeletion(record, payload, reason) {
+  try {
+    provisioner.enqueue(record.id, 'delete', REAPER_ACTOR, payload);
+    console.log(`[reaper] ${reason} for ${record.id}, deletion queued`);
+  } catch (error) {
+    console.error(`[reaper] Failed to queue deletion of ${record.id}:`, error.message);
+  }
+}
+
+/**
+ * Queue deletion of every store whose grace period or TTL ended by `now`.
+ * Returns how many.
+ */
+function tick(now = new Date()) {
+  const pending = store.getExpiredDeletions(now.toISOString());
+  for (const record of pending) {
+    queueDeletion(record, { expired: true }, 'Grace period ended');
+  }
+
+  const expired = store.getExpired(now.toISOString())
+    .filter(record => !pending.some(p => p.id === record.id));
+  for (const record of expired) {
+    queueDeletion(record, { ttlExpired: true }, 'TTL expired');
+  }
+
+  expireDomainClaims(now);
+  return pending.length + expired.length;
+}
+
+/**
+ * Remove unverified domain claims older than DOMAIN_CLAIM_TTL_MS, with their
+ * uploaded certificates. Returns how many.
+ */
+function expireDomainClaims(now = new Date()) {
+  if (!config.domainClaimTtlMs) return 0;
+
+  const stale = domains.getStale(new Date(now.getTime() - config.domainClaimTtlMs).toISOString());
+  for (const domain of stale) {
+    domains.remove(domain.hostname, domain.store_id);
+    audit.log(domain.store_id, 'domain_expired', { hostname: domain.hostname }, REAPER_ACTOR);
+    const record = store.getById(domain.store_id);
+    if (record) customDomains.removeCertificate(record, domain);
+    console.log(`[reaper] Unverified claim on ${domain.hostname} by ${domain.store_id} expired`);
+  }
+  return stale.length;
+}
+
+function start() {
+  if (timer) return;
+  console.log(`[reaper] Starting reaper (every ${config.reaperIntervalMs}ms)`);
+  timer = setInterval(() => tick(), config.reaperIntervalMs);
+  tick();
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  REAPER_ACTOR,
+  tick,
+  expireDomainClaims,
+  start,
+  stop,
+};
@@ -0,0 +1,70 @@
+// Release history — a store's Helm revisions with what changed between them.
+// Values come from `helm get values` (what the platform passed via --set);
+// secrets in them are masked before anything leaves the API.
+
+const helm = require('../utils/helmClient');
+const { revisions } = require('../db');
+
+const SENSITIVE_KEY = /password|secret|token/i;
+const MASK = '********';
+
+/** Nested values → { 'a.b.c': leaf }. Arrays are treated as leaves. */
+function flatten(values, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(values || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+function mask(key, value) {
+  return value !== undefined && SENSITIVE_KEY.test(key) ? MASK : value;
+}
+
+/** Changed keys between two value sets: [{ key, from, to }], sorted by key. */
+function diffValues(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  return keys
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+    .map(key => ({ key, from: mask(key, a[key]) ?? null, to: mask(key, b[key]) ?? null }));
+}
+
+/**
+ * Revisions of the store's release, newest first, each with the values diff
+ * against the revision before it and the settings it was deployed with.
+ * `changes` is null for the oldest listed revision when helm has pruned its predecessor.
+ */
+async function listRevisions(storeRecord) {
+  const releaseName = storeRecord.helm_release;
+  const namespace = storeRecord.namespace;
+  const entries = await helm.history(releaseName, namespace);
+
+  const values = await Promise.all(
+    entries.map(entry => helm.getValues(releaseName, namespace, entry.revision))
+  );
+
+  return entries.map((entry, i) => ({
+    revision: entry.revision,
+    status: entry.status,
+    updated: entry.updated,
+    chart: entry.chart,
+    appVersion: entry.app_version,
+    description: entry.description,
+    settings: revisions.getSettings(storeRecord.id, entry.revision),
+    changes: i > 0 || entry.revision === 1
+      ? diffValues(i > 0 ? values[i - 1] : {}, values[i])
+      : null,
+  })).reverse();
+}
+
+module.exports = {
+  listRevisions,
+  diffValues,
+};
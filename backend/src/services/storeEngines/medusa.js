@@ -1,34 +1,113 @@
-// MedusaJS store engine — stub for future implementation.
-// Adding a new engine requires: this file + a new Helm chart.
+// MedusaJS store engine — generates Helm values and URLs for Medusa deployments.
+// One Medusa server per store serves the Store API (/store) and the admin dashboard (/app).
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseCpu, parseBytes, formatCpu, formatBytes } = require('../../utils/quantity');
+const config = require('../../config');
 
 const ENGINE_NAME = 'medusa';
 
+// Share of the plan's namespace quota per component. What's left covers the
+// seed job, which needs 768Mi — so plans below 2Gi are too small for Medusa.
+const COMPONENT_SHARES = { medusa: 0.35, postgres: 0.2, redis: 0.05 };
+
+function generatePassword(length = 16) {
+  return crypto.randomBytes(length).toString('base64url').slice(0, length);
+}
+
 function getChartPath() {
-  throw new Error('MedusaJS engine is not implemented yet');
+  return config.medusaChartPath;
 }
 
-function getHelmValues(_storeId) {
-  throw new Error('MedusaJS engine is not implemented yet');
+/** Generate Helm value overrides for a specific store instance. */
+function getHelmValues(storeId, { plan = null } = {}) {
+  return {
+    'store.id': storeId,
+    'store.domain': `${storeId}.${config.baseDomain}`,
+
+    'postgres.database': 'medusa',
+    'postgres.user': 'medusa',
+    'postgres.password': generatePassword(),
+    ...(plan && { 'postgres.storage.size': plan.dbStorage }),
+
+    'medusa.jwtSecret': generatePassword(32),
+    'medusa.cookieSecret': generatePassword(32),
+    'medusa.adminEmail': config.medusaAdminEmail,
+    'medusa.adminPassword': generatePassword(12),
+
+    'ingress.host': `${storeId}.${config.baseDomain}`,
+    'ingress.className': 'nginx',
+  };
 }
 
 function getUrls(storeId) {
+  const host = `${storeId}.${config.baseDomain}`;
   return {
-    storeUrl: `http://${storeId}.localhost:8000`,
-    adminUrl: `http://${storeId}.localhost:7001`,
+    storeUrl: `http://${host}`,
+    adminUrl: `http://${host}/app`,
   };
 }
 
-function validate() {
+/**
+ * Map a resource plan to Helm values: the namespace quota and each component's
+ * share of it (requests a fifth of the CPU and half the memory limit). Medusa
+ * has no app volume of its own; the Postgres volume is set at install only.
+ */
+function getPlanValues(plan) {
+  const values = {
+    'resourceQuota.limits.cpu': plan.cpu,
+    'resourceQuota.limits.memory': plan.memory,
+    'resourceQuota.limits.storage': formatBytes(parseBytes(plan.storage) + parseBytes(plan.dbStorage)),
+  };
+  for (const [component, share] of Object.entries(COMPONENT_SHARES)) {
+    const cpu = parseCpu(plan.cpu) * share;
+    const memory = parseBytes(plan.memory) * share;
+    Object.assign(values, {
+      [`${component}.resources.requests.cpu`]: formatCpu(cpu / 5),
+      [`${component}.resources.requests.memory`]: formatBytes(memory / 2),
+      [`${component}.resources.limits.cpu`]: formatCpu(cpu),
+      [`${component}.resources.limits.memory`]: formatBytes(memory),
+    });
+  }
+  return values;
+}
+
+/** Admin login lives in the chart's `<store>-medusa` Secret (rotation isn't supported). */
+function getCredentialSecret(storeId) {
   return {
-    valid: false,
-    error: 'MedusaJS engine is not yet implemented. Please use WooCommerce.',
+    name: `${storeId}-medusa`,
+    keys: { username: 'admin-email', password: 'admin-password', email: 'admin-email' },
+    passwordValue: 'medusa.adminPassword',
   };
 }
 
+/** The chart's one-off seed Job; provisioning waits for it to complete. */
+function getInitJobName(storeId) {
+  return `${storeId}-seed`;
+}
+
+/** The chart ships in the API image; fail fast if it is missing rather than mid-install. */
+function validate() {
+  if (!fs.existsSync(getChartPath())) {
+    return {
+      valid: false,
+      error: `MedusaJS chart not found at ${getChartPath()}`,
+    };
+  }
+  return { valid: true };
+}
+
 module.exports = {
   name: ENGINE_NAME,
+  displayName: 'MedusaJS (Headless)',
+  description: 'Headless Medusa server with Postgres, Redis and the admin dashboard',
+  parameters: { type: 'object', properties: {} },
   getChartPath,
   getHelmValues,
   getUrls,
   validate,
+  getPlanValues,
+  getCredentialSecret,
+  getInitJobName,
 };
@@ -2,10 +2,56 @@
 
 const path = require('path');
 const crypto = require('crypto');
+const kubectl = require('../../utils/kubectlClient');
+const { parseCpu, parseBytes, formatCpu, formatBytes } = require('../../utils/quantity');
 const config = require('../../config');
 
 const ENGINE_NAME = 'woocommerce';
 
+// Share of the plan's namespace quota given to each of WordPress and MySQL; the
+// rest is headroom for the init job and backup Jobs. The 'small' plan (2 CPU,
+// 2Gi) gives both the chart defaults.
+const CONTAINER_SHARE = 0.25;
+
+/** Settings that can be changed on a running store (applied with helm upgrade). */
+const settings = {
+  type: 'object',
+  properties: {
+    wordpressVersion: {
+      type: 'string', pattern: '^[0-9]+\\.[0-9]+(\\.[0-9]+)?$', title: 'WordPress version',
+    },
+  },
+};
+
+const defaultSettings = { wordpressVersion: '6.4' };
+
+/** Chosen at creation and used once, by the Helm install and the init job. */
+const parameters = {
+  type: 'object',
+  properties: {
+    siteTitle: {
+      type: 'string', minLength: 1, maxLength: 100, title: 'Site title',
+      description: 'Defaults to the store name',
+    },
+    adminUser: {
+      type: 'string', pattern: '^[A-Za-z0-9_.-]{3,60}$', title: 'Admin username', default: config.wpAdminUser,
+    },
+    adminEmail: {
+      type: 'string', pattern: '^[^\\s@\'"]+@[^\\s@\'"]+\\.[^\\s@\'"]+$', maxLength: 100,
+      title: 'Admin email', default: config.wpAdminEmail,
+    },
+    currency: {
+      type: 'string', pattern: '^[A-Z]{3}$', title: 'Currency', description: 'ISO 4217 code, e.g. EUR',
+      default: 'USD',
+    },
+    country: {
+      type: 'string', pattern: '^[A-Z]{2}(:[A-Z0-9-]{1,10})?$', title: 'Country',
+      description: 'ISO country code, optionally with a state (US:CA)', default: 'US:CA',
+    },
+    sampleData: { type: 'boolean', title: 'Add sample products', default: true },
+  },
+};
+
 function generatePassword(length = 16) {
   return crypto.randomBytes(length).toString('base64url').slice(0, length);
 }
@@ -15,7 +61,7 @@ function getChartPath() {
 }
 
 /** Generate Helm value overrides for a specific store instance. */
-function getHelmValues(storeId) {
+function getHelmValues(storeId, { name = storeId, parameters: params = {}, plan = null } = {}) {
   const mysqlRootPassword = generatePassword();
   const mysqlPassword = generatePassword();
   const wpAdminPassword = generatePassword(12);
@@ -28,11 +74,17 @@ function getHelmValues(storeId) {
     'mysql.database': 'wordpress',
     'mysql.user': 'wordpress',
     'mysql.password': mysqlPassword,
+    // The StatefulSet's volume claim can't change after install, so only set here
+    ...(plan && { 'mysql.storage.size': plan.dbStorage }),
 
-    'wordpress.adminUser': config.wpAdminUser,
+    'wordpress.adminUser': params.adminUser || config.wpAdminUser,
     'wordpress.adminPassword': wpAdminPassword,
-    'wordpress.adminEmail': config.wpAdminEmail,
-    'wordpress.siteTitle': storeId,
+    'wordpress.adminEmail': params.adminEmail || config.wpAdminEmail,
+    'wordpress.siteTitle': params.siteTitle || name,
+
+    'woocommerce.currency': params.currency || 'USD',
+    'woocommerce.country': params.country || 'US:CA',
+    'woocommerce.sampleData': params.sampleData !== false,
 
     'ingress.host': `${storeId}.${config.baseDomain}`,
     'ingress.className': 'nginx',
@@ -51,10 +103,180 @@ function validate() {
   return { valid: true };
 }
 
+/** Map store settings to Helm values. */
+function getSettingsValues({ wordpressVersion }) {
+  return {
+    'wordpress.image': `wordpress:${wordpressVersion}-apache`,
+  };
+}
+
+/**
+ * Map a resource plan to Helm values: the namespace quota, WordPress and MySQL
+ * container sizes within it (requests a fifth of the CPU and half the memory
+ * limit), and the WordPress volume. The MySQL volume is set at install only.
+ */
+function getPlanValues(plan) {
+  const cpu = parseCpu(plan.cpu) * CONTAINER_SHARE;
+  const memory = parseBytes(plan.memory) * CONTAINER_SHARE;
+  // Backups to 'pvc' keep a volume in the namespace too
+  const backupVolume = config.backupTarget === 'pvc' ? parseBytes(config.backupPvcSize) : 0;
+  const storageQuota = parseBytes(plan.storage) + parseBytes(plan.dbStorage) + backupVolume;
+
+  const values = {
+    'resourceQuota.limits.cpu': plan.cpu,
+    'resourceQuota.limits.memory': plan.memory,
+    'resourceQuota.limits.storage': formatBytes(storageQuota),
+    'wordpress.storage.size': plan.storage,
+  };
+  for (const component of ['wordpress', 'mysql']) {
+    Object.assign(values, {
+      [`${component}.resources.requests.cpu`]: formatCpu(cpu / 5),
+      [`${component}.resources.requests.memory`]: formatBytes(memory / 2),
+      [`${component}.resources.limits.cpu`]: formatCpu(cpu),
+      [`${component}.resources.limits.memory`]: formatBytes(memory),
+    });
+  }
+  return values;
+}
+
+/**
+ * The chart's `<store>-admin` Secret holds the WordPress admin login.
+ * `passwordValue` is the Helm value it's rendered from, so upgrades can carry
+ * a rotated password forward instead of reverting to the install-time one.
+ */
+function getCredentialSecret(storeId) {
+  return {
+    name: `${storeId}-admin`,
+    keys: { username: 'admin-user', password: 'admin-password', email: 'admin-email' },
+    passwordValue: 'wordpress.adminPassword',
+  };
+}
+
+/** The chart's init Job installs WordPress + WooCommerce; provisioning waits for it. */
+function getInitJobName(storeId) {
+  return `${storeId}-init`;
+}
+
+/**
+ * Set the admin password directly in MySQL. WordPress accepts an MD5 hash and
+ * re-hashes it with its own scheme on the next login.
+ */
+async function rotateAdminPassword({ namespace, storeId, username, password }) {
+  // Both values are interpolated into SQL below; generated passwords are base64url
+  if (!/^[\w.@-]+$/.test(username) || !/^[\w-]+$/.test(password)) {
+    throw new Error('Refusing to rotate: unexpected characters in username or password');
+  }
+
+  // The statement goes to mysql on stdin, so the password is in no process's argv
+  const sql = `UPDATE wp_users SET user_pass = MD5('${password}') WHERE user_login = '${username}';`;
+  await kubectl.exec(namespace, `statefulset/${storeId}-mysql`, 'mysql', [
+    'sh', '-c', 'mysql -uroot -p"$MYSQL_ROOT_PASSWORD" "$MYSQL_DATABASE"',
+  ], { input: sql });
+}
+
+/**
+ * Helm values routing custom domains to the store: one Ingress per entry
+ * (see the chart's ingress.yaml). An empty list removes them all.
+ */
+function getDomainValues(entries) {
+  if (entries.length === 0) {
+    return { 'ingress.customDomains': 'null' };
+  }
+
+  const values = {
+    'ingress.certManager.issuer': config.certManagerIssuer,
+    'ingress.certManager.kind': config.certManagerIssuerKind,
+  };
+  entries.forEach(({ host, tls, secretName }, i) => {
+    values[`ingress.customDomains[${i}].host`] = host;
+    values[`ingress.customDomains[${i}].tls`] = tls;
+    values[`ingress.customDomains[${i}].secretName`] = secretName;
+  });
+  return values;
+}
+
+/** Point WordPress at `url` (siteurl and home), e.g. after its primary domain changed. */
+async function setSiteUrl({ namespace, storeId, url }) {
+  // Interpolated into SQL below; store URLs are scheme + hostname only
+  if (!/^https?:\/\/[a-z0-9.-]+$/.test(url)) {
+    throw new Error(`Refusing to set site URL: unexpected characters in '${url}'`);
+  }
+
+  const sql = `UPDATE wp_options SET option_value = '${url}' WHERE option_name IN ('siteurl', 'home')`;
+  await kubectl.exec(namespace, `statefulset/${storeId}-mysql`, 'mysql', [
+    'sh', '-c', `mysql -uroot -p"$MYSQL_ROOT_PASSWORD" "$MYSQL_DATABASE" -e "${sql}"`,
+  ]);
+}
+
+/**
+ * Requests served in the last `sinceSeconds`, counted from the WordPress
+ * (Apache) access log. Kubelet probes aren't traffic.
+ */
+async function countRecentRequests({ namespace, storeId, sinceSeconds }) {
+  const logs = await kubectl.getLogs(namespace, `deployment/${storeId}-wordpress`, 'wordpress', sinceSeconds);
+  return logs.split('\n')
+    .filter(line => /"(GET|HEAD|POST|PUT|PATCH|DELETE|OPTIONS) /.test(line) && !line.includes('kube-probe'))
+    .length;
+}
+
+/**
+ * Backup contents: a mysqldump of the store database plus wp-content
+ * (themes, plugins, uploads). After loading a dump the site URL and admin
+ * password are reset to this store's, so a restore into a fresh store works
+ * and the admin Secret stays the source of truth for the login.
+ */
+function getBackupPlan(storeId) {
+  const fromSecret = (name, secret, key) => ({ name, valueFrom: { secretKeyRef: { name: secret, key } } });
+  const mysql = 'mysql -h "$DB_HOST" -uroot -p"$DB_ROOT_PASSWORD" "$DB_NAME"';
+
+  return {
+    image: 'mysql:8.0',
+    env: [
+      { name: 'DB_HOST', value: `${storeId}-mysql` },
+      { name: 'SITE_URL', value: getUrls(storeId).storeUrl },
+      fromSecret('DB_NAME', `${storeId}-mysql`, 'mysql-database'),
+      fromSecret('DB_ROOT_PASSWORD', `${storeId}-mysql`, 'mysql-root-password'),
+      fromSecret('WP_ADMIN_USER', `${storeId}-admin`, 'admin-user'),
+      fromSecret('WP_ADMIN_PASSWORD', `${storeId}-admin`, 'admin-password'),
+    ],
+    dumpScript: 'mysqldump -h "$DB_HOST" -uroot -p"$DB_ROOT_PASSWORD" --single-transaction --routines "$DB_NAME" > /work/database.sql',
+    // Platform hosts are `store-<8 hex>.<baseDomain>`, so source and destination
+    // have the same length and a plain replace keeps PHP-serialized option
+    // lengths valid (which is why WP-CLI's search-replace isn't needed).
+    // Hosts of different lengths (custom domains) are left in the content;
+    // siteurl/home below still point the store at its own URL.
+    restoreScript: [
+      'SITE_URL="${STORE_URL:-$SITE_URL}"',
+      'OLD_HOST="${SOURCE_URL#*://}"',
+      'NEW_HOST="${SITE_URL#*://}"',
+      'if [ -n "$SOURCE_URL" ] && [ "$OLD_HOST" != "$NEW_HOST" ] && [ ${#OLD_HOST} -eq ${#NEW_HOST} ]; then '
+        + 'sed -i "s#$(printf %s "$OLD_HOST" | sed "s/[.]/[.]/g")#$NEW_HOST#g" /work/database.sql; fi',
+      `${mysql} < /work/database.sql`,
+      `${mysql} -e "UPDATE wp_options SET option_value = '$SITE_URL' WHERE option_name IN ('siteurl', 'home')"`,
+      `${mysql} -e "UPDATE wp_users SET user_pass = MD5('$WP_ADMIN_PASSWORD') WHERE user_login = '$WP_ADMIN_USER'"`,
+    ].join(' && '),
+    volumes: [{ name: 'wp-content', claimName: `${storeId}-wordpress`, subPath: 'wp-content' }],
+  };
+}
+
 module.exports = {
   name: ENGINE_NAME,
+  displayName: 'WooCommerce (WordPress)',
+  description: 'WordPress + WooCommerce with MySQL, sample products and Cash on Delivery',
+  parameters,
+  settings,
+  defaultSettings,
   getChartPath,
   getHelmValues,
   getUrls,
   validate,
+  getSettingsValues,
+  getPlanValues,
+  getCredentialSecret,
+  rotateAdminPassword,
+  getBackupPlan,
+  countRecentRequests,
+  getDomainValues,
+  setSiteUrl,
+  getInitJobName,
 };
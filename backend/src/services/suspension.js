@@ -0,0 +1,32 @@
+// Store suspension — scale a store's Deployments and StatefulSets to zero and
+// back. The original replica counts are saved on the store row before scaling
+// down, so a retried suspend never overwrites them with zeros.
+
+const { store } = require('../db');
+const kubectl = require('../utils/kubectlClient');
+
+async function suspend(storeRecord) {
+  let replicas = storeRecord.suspended_replicas && JSON.parse(storeRecord.suspended_replicas);
+  if (!replicas) {
+    replicas = await kubectl.getReplicas(storeRecord.namespace);
+    store.setSuspendedReplicas(storeRecord.id, replicas);
+  }
+
+  for (const target of Object.keys(replicas)) {
+    await kubectl.scale(storeRecord.namespace, target, 0);
+  }
+}
+
+async function resume(storeRecord) {
+  const replicas = JSON.parse(storeRecord.suspended_replicas || '{}');
+
+  for (const [target, count] of Object.entries(replicas)) {
+    await kubectl.scale(storeRecord.namespace, target, count);
+  }
+  store.setSuspendedReplicas(storeRecord.id, null);
+}
+
+module.exports = {
+  suspend,
+  resume,
+};
@@ -0,0 +1,106 @@
+// Tenant quotas — resolves a tenant's tier into its store caps and its
+// resource budget, and adds up what its stores' plans use of it.
+
+const { store } = require('../db');
+const plans = require('./plans');
+const { parseCpu, parseBytes, formatCpu, formatBytes } = require('../utils/quantity');
+const config = require('../config');
+
+const RESOURCES = {
+  cpu: { parse: parseCpu, format: formatCpu },
+  memory: { parse: parseBytes, format: formatBytes },
+  storage: { parse: parseBytes, format: formatBytes },
+};
+
+function getTier(tenant) {
+  return config.tenantTiers[tenant.tier] || config.tenantTiers[config.defaultTenantTier];
+}
+
+/** Max active stores for the tenant: explicit override, else the tier's cap. */
+function getStoreLimit(tenant) {
+  return tenant.max_stores ?? getTier(tenant).maxStores;
+}
+
+/** Max stores that may run (not hibernated) at once; the store cap if the tier sets none. */
+function getRunningLimit(tenant) {
+  return Math.min(getTier(tenant).maxRunningStores ?? Infinity, getStoreLimit(tenant));
+}
+
+/** The tier's resource budget as { cpu: millicores, memory, storage: bytes }, or null. */
+function getResourceLimit(tenant) {
+  const max = getTier(tenant).maxResources;
+  if (!max) return null;
+  return Object.fromEntries(
+    Object.entries(RESOURCES).map(([key, { parse }]) => [key, max[key] != null ? parse(max[key]) : Infinity])
+  );
+}
+
+/**
+ * What the tenant's stores' plans add up to: cpu/memory of running stores,
+ * storage of all active ones. `excludeId` leaves one store out (plan changes).
+ * Stores on a plan that no longer exists count as nothing.
+ */
+function getResourceUsage(tenantId, excludeId = null) {
+  const usage = { cpu: 0, memory: 0, storage: 0 };
+  for (const { plan: planId, active, running } of store.getPlanUsage(tenantId, excludeId)) {
+    const plan = plans.get(planId);
+    if (!plan) continue;
+    const { cpu, memory, storage } = plans.footprint(plan);
+    usage.cpu += cpu * running;
+    usage.memory += memory * running;
+    usage.storage += storage * active;
+  }
+  return usage;
+}
+
+/**
+ * The first resource one more store on `plan` would take over the tenant's
+ * budget — { resource, used, requested, limit } as quantities — or null if it
+ * fits. `running: false` counts only storage (e.g. for a hibernated store).
+ */
+function checkResources(tenant, plan, { active = true, running = true, excludeId = null } = {}) {
+  const limit = getResourceLimit(tenant);
+  if (!limit) return null;
+
+  const used = getResourceUsage(tenant.id, excludeId);
+  const requested = plans.footprint(plan);
+  const checked = [...(running ? ['cpu', 'memory'] : []), ...(active ? ['storage'] : [])];
+
+  const resource = checked.find(key => used[key] + requested[key] > limit[key]);
+  if (!resource) return null;
+
+  const { format } = RESOURCES[resource];
+  return {
+    resource,
+    used: format(used[resource]),
+    requested: format(requested[resource]),
+    limit: format(limit[resource]),
+  };
+}
+
+/** Tenant record with its effective limits and current usage. */
+function describe(tenant) {
+  const limit = getResourceLimit(tenant);
+  const used = getResourceUsage(tenant.id);
+  return {
+    ...tenant,
+    maxStores: getStoreLimit(tenant),
+    activeStores: store.getActiveCount(tenant.id),
+    maxRunningStores: getRunningLimit(tenant),
+    runningStores: store.getRunningCount(tenant.id),
+    resources: Object.fromEntries(Object.entries(RESOURCES).map(([key, { format }]) => [key, {
+      used: format(used[key]),
+      limit: limit && Number.isFinite(limit[key]) ? format(limit[key]) : null,
+    }])),
+  };
+}
+
+module.exports = {
+  getTier,
+  getStoreLimit,
+  getRunningLimit,
+  getResourceLimit,
+  getResourceUsage,
+  checkResources,
+  describe,
+};
@@ -22,6 +22,12 @@ const Errors = {
   badRequest: (message, code = 'BAD_REQUEST') =>
     new ApiError(400, code, message),
 
+  unauthorized: (message = 'Authentication required') =>
+    new ApiError(401, 'UNAUTHORIZED', message),
+
+  forbidden: (message = 'Insufficient permissions') =>
+    new ApiError(403, 'FORBIDDEN', message),
+
   notFound: (resource, id) =>
     new ApiError(404, 'NOT_FOUND', `${resource} '${id}' not found`),
 
@@ -36,9 +42,23 @@ const Errors = {
     new ApiError(409, 'OPERATION_IN_PROGRESS',
       `An operation is already in progress for store '${storeId}'`),
 
-  quotaExceeded: (max) =>
-    new ApiError(429, 'QUOTA_EXCEEDED',
-      `Store limit reached (max: ${max}). Delete existing stores to create new ones.`),
+  quotaExceeded: (max, tenantId = null) =>
+    new ApiError(429, 'QUOTA_EXCEEDED', tenantId
+      ? `Tenant '${tenantId}' store limit reached (max: ${max}). Delete existing stores to create new ones.`
+      : `Platform store limit reached (max: ${max}). Delete existing stores to create new ones.`),
+
+  runningQuotaExceeded: (max, tenantId) =>
+    new ApiError(429, 'RUNNING_QUOTA_EXCEEDED',
+      `Tenant '${tenantId}' running store limit reached (max: ${max}). Hibernate or delete a running store first.`),
+
+  idempotencyKeyReused: (key) =>
+    new ApiError(422, 'IDEMPOTENCY_KEY_REUSED',
+      `Idempotency-Key '${key}' was already used with a different request. Use a new key for a new request.`),
+
+  resourceQuotaExceeded: ({ resource, used, requested, limit }, tenantId) =>
+    new ApiError(429, 'RESOURCE_QUOTA_EXCEEDED',
+      `Tenant '${tenantId}' ${resource} limit reached (using ${used}, plan needs ${requested}, max: ${limit}). ` +
+      'Choose a smaller plan, or hibernate or delete a store first.'),
 };
 
 module.exports = { ApiError, Errors };
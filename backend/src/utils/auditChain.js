@@ -0,0 +1,56 @@
+// Audit hash chain — every audit_log row stores a SHA-256 over its own fields
+// and the previous row's hash. Editing a row changes its hash; deleting or
+// reordering rows breaks the `prev_hash` link of the row after. The first
+// row's prev_hash is null.
+
+const crypto = require('crypto');
+
+/** Hash of `entry` (an audit_log row) chained to `prevHash`. */
+function hashEntry(entry, prevHash) {
+  const fields = [
+    entry.id,
+    entry.created_at,
+    entry.store_id,
+    entry.action,
+    entry.actor,
+    entry.details,
+    prevHash,
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Walk `rows` (oldest first) and check every link. Returns
+ * { valid, entries, head: {id, hash} | null, brokenAt: {id, reason} | null },
+ * where `entries` counts the rows that checked out and `head` is the last one.
+ * `start` ({ id, hash }) is an already-verified entry the rows follow on from.
+ */
+function verify(rows, start = null) {
+  let entries = 0;
+  let head = start;
+
+  for (const row of rows) {
+    const expectedPrev = head ? head.hash : null;
+    let reason = null;
+    if (row.prev_hash !== expectedPrev) {
+      reason = head
+        ? `prev_hash does not match entry ${head.id}; entries were removed or inserted`
+        : 'The first entry has a prev_hash; earlier entries were removed';
+    } else if (row.hash !== hashEntry(row, row.prev_hash)) {
+      reason = 'Entry content does not match its hash';
+    }
+    if (reason) {
+      return { valid: false, entries, head, brokenAt: { id: row.id, reason } };
+    }
+
+    entries++;
+    head = { id: row.id, hash: row.hash };
+  }
+
+  return { valid: true, entries, head, brokenAt: null };
+}
+
+module.exports = {
+  hashEntry,
+  verify,
+};
@@ -0,0 +1,102 @@
+// Minimal cron expressions — the five standard fields (minute hour day-of-month
+// month day-of-week) with *, lists, ranges and steps, plus @hourly/@daily/
+// @weekly/@monthly. Evaluated in UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },  // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Far enough to find "Feb 29 on a Monday"-style schedules, bounded so bad input can't spin
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: '${text}'`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : (end !== undefined ? parseInt(end, 10) : (step ? max : from));
+    const by = step ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(`Invalid ${name} field: '${text}' (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += by) values.add(v);
+  }
+
+  return values;
+}
+
+/** Parse an expression. Throws with a readable message if it's invalid. */
+function parse(expression) {
+  const source = MACROS[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: '${expression}'`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    // Classic cron: when both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/** The first run strictly after `from` (a Date), as a Date. */
+function next(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parse(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never fires: '${expression}'`);
+}
+
+module.exports = {
+  parse,
+  next,
+};
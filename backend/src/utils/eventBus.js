@@ -0,0 +1,48 @@
+// In-process event bus — fans out store/audit/progress events to SSE subscribers.
+// Keeps a bounded replay buffer so reconnecting clients can resume from Last-Event-ID.
+
+const { EventEmitter } = require('events');
+
+const REPLAY_BUFFER_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected dashboard
+
+const buffer = [];
+let lastId = 0;
+
+/** Publish an event to all subscribers. Returns { id, type, data }. */
+function publish(type, data) {
+  const event = { id: ++lastId, type, data };
+
+  buffer.push(event);
+  if (buffer.length > REPLAY_BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/** Subscribe to all events. Returns an unsubscribe function. */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Events published after `eventId`, oldest first.
+ * Returns null when the gap can't be filled from the buffer (events were
+ * evicted, or the ID comes from before an API restart) — the client must resync.
+ */
+function since(eventId) {
+  if (eventId > lastId) return null;
+  if (buffer.length > 0 && eventId < buffer[0].id - 1) return null;
+  return buffer.filter(e => e.id > eventId);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  since,
+};
@@ -1,14 +1,19 @@
-// Helm CLI wrapper — shells out to helm binary for install/uninstall/status.
+// Helm CLI wrapper — shells out to helm binary for install/upgrade/rollback/uninstall/status.
 // Same approach used by ArgoCD — CLI is the reference implementation.
 
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const config = require('../config');
+const { timeCommand } = require('./prometheus');
 
 const execFileAsync = promisify(execFile);
 const HELM_TIMEOUT = 600000; // 10 minutes
 
-async function helmExec(args) {
+/** Helm's answer for a release that doesn't exist — expected from status/history probes. */
+const isNotFound = (error) => /not found/i.test(error.stderr || error.message);
+
+/** Run helm. `expected` is passed to timeCommand (errors not counted as failures). */
+async function helmExec(args, { expected } = {}) {
   try {
     const opts = {
       timeout: HELM_TIMEOUT,
@@ -19,7 +24,7 @@ async function helmExec(args) {
       opts.env = { ...process.env, KUBECONFIG: config.kubeconfig };
     }
 
-    const { stdout, stderr } = await execFileAsync('helm', args, opts);
+    const { stdout, stderr } = await timeCommand('helm', args, () => execFileAsync('helm', args, opts), { expected });
 
     if (stderr) {
       console.warn(`[helm warn] ${args.join(' ')}: ${stderr}`);
@@ -33,6 +38,14 @@ async function helmExec(args) {
   }
 }
 
+/**
+ * `--set` splits on commas and treats backslashes as escapes; user-supplied
+ * values (site titles, …) are escaped so they arrive intact.
+ */
+function setArg(key, value) {
+  return `${key}=${String(value).replace(/[\\,]/g, '\\$&')}`;
+}
+
 /**
  * Install a release. Idempotent — skips if already installed.
  * Does NOT use --wait or --atomic: init jobs can take 3-10 minutes,
@@ -52,13 +65,91 @@ async function install({ releaseName, chartPath, namespace, values = {} }) {
   ];
 
   for (const [key, value] of Object.entries(values)) {
-    args.push('--set', `${key}=${value}`);
+    args.push('--set', setArg(key, value));
   }
 
   const output = await helmExec(args);
   return { installed: true, output };
 }
 
+/**
+ * Upgrade an existing release. --reuse-values keeps everything set at install
+ * time (generated passwords, hosts) and layers `values` on top. --atomic rolls
+ * back to the previous revision if the upgrade fails, so a bad change never
+ * leaves the store half-applied.
+ */
+async function upgrade({ releaseName, chartPath, namespace, values = {}, timeoutSeconds = 600 }) {
+  const args = [
+    'upgrade', releaseName, chartPath,
+    '--namespace', namespace,
+    '--reuse-values',
+    '--atomic',
+    '--timeout', `${timeoutSeconds}s`,
+  ];
+
+  for (const [key, value] of Object.entries(values)) {
+    args.push('--set', setArg(key, value));
+  }
+
+  const output = await helmExec(args);
+  return { upgraded: true, output };
+}
+
+/** Parsed `helm status` for a release, or null if it doesn't exist. */
+async function status(releaseName, namespace) {
+  try {
+    const output = await helmExec([
+      'status', releaseName,
+      '--namespace', namespace,
+      '--output', 'json',
+    ], { expected: isNotFound });
+    return JSON.parse(output);
+  } catch (error) {
+    return null;
+  }
+}
+
+/** Release revisions, oldest first. [] if the release doesn't exist. */
+async function history(releaseName, namespace, max = 20) {
+  try {
+    const output = await helmExec([
+      'history', releaseName,
+      '--namespace', namespace,
+      '--max', String(max),
+      '--output', 'json',
+    ], { expected: isNotFound });
+    return JSON.parse(output || '[]');
+  } catch (error) {
+    if (/not found/i.test(error.message)) return [];
+    throw error;
+  }
+}
+
+/** User-supplied values of a revision (what was passed via --set). */
+async function getValues(releaseName, namespace, revision) {
+  const output = await helmExec([
+    'get', 'values', releaseName,
+    '--namespace', namespace,
+    '--revision', String(revision),
+    '--output', 'json',
+  ]);
+  return JSON.parse(output || 'null') || {};
+}
+
+/**
+ * Roll a release back to an earlier revision. Helm records this as a new
+ * revision with the old manifest and values; --wait blocks until it's healthy.
+ */
+async function rollback({ releaseName, namespace, revision, timeoutSeconds = 600 }) {
+  const output = await helmExec([
+    'rollback', releaseName, String(revision),
+    '--namespace', namespace,
+    '--wait',
+    '--timeout', `${timeoutSeconds}s`,
+  ]);
+  return { rolledBack: true, output };
+}
+
 /** Uninstall a release. Idempotent — no-op if not found. */
 async function uninstall({ releaseName, namespace }) {
   const exists = await releaseExists(releaseName, namespace);
@@ -81,7 +172,7 @@ async function releaseExists(releaseName, namespace) {
       'status', releaseName,
       '--namespace', namespace,
       '--output', 'json',
-    ]);
+    ], { expected: isNotFound });
     return true;
   } catch (error) {
     return false;
@@ -102,6 +193,11 @@ async function listReleases(namespace) {
 
 module.exports = {
   install,
+  upgrade,
+  status,
+  history,
+  getValues,
+  rollback,
   uninstall,
   releaseExists,
   listReleases,
@@ -1,20 +1,35 @@
-// Kubectl CLI wrapper — namespace management, pod status polling, event retrieval.
+// Kubectl CLI wrapper — namespace management, pod status polling, event retrieval,
+// secret access (including TLS secrets for custom domains), exec into running store pods, one-off Jobs (backups) and
+// scaling workloads (soft delete, hibernation).
 
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const config = require('../config');
+const { timeCommand } = require('./prometheus');
 
 const execFileAsync = promisify(execFile);
 const KUBECTL_TIMEOUT = 30000;
 
-async function kubectlExec(args) {
+// kubectl's answer for a missing object — expected from existence checks
+const isNotFound = (error) => /NotFound|not found/.test(error.stderr || error.message);
+
+/**
+ * Run kubectl. `input` is written to its stdin — secrets (manifests, passwords)
+ * go this way so they never appear in argv or on disk. `expected` is passed to
+ * timeCommand (errors not counted as failures).
+ */
+async function kubectlExec(args, { input, expected } = {}) {
   try {
     const opts = { timeout: KUBECTL_TIMEOUT };
     if (config.kubeconfig) {
       opts.env = { ...process.env, KUBECONFIG: config.kubeconfig };
     }
 
-    const { stdout } = await execFileAsync('kubectl', args, opts);
+    const { stdout } = await timeCommand('kubectl', args, () => {
+      const running = execFileAsync('kubectl', args, opts);
+      running.child.stdin.end(input);
+      return running;
+    }, { expected });
     return stdout.trim();
   } catch (error) {
     const msg = error.stderr || error.message;
@@ -24,7 +39,7 @@ async function kubectlExec(args) {
 
 async function namespaceExists(namespace) {
   try {
-    await kubectlExec(['get', 'namespace', namespace, '-o', 'name']);
+    await kubectlExec(['get', 'namespace', namespace, '-o', 'name'], { expected: isNotFound });
     return true;
   } catch (e) {
     return false;
@@ -40,7 +55,11 @@ async function deleteNamespace(namespace) {
   await kubectlExec(['delete', 'namespace', namespace, '--wait=true']);
 }
 
-/** Returns [{ name, phase, ready, restarts }] for all pods in namespace. */
+/**
+ * Returns [{ name, phase, ready, restarts, waiting }] for all pods in namespace.
+ * `waiting` is the first container (init containers included) that can't
+ * start, as { container, image, reason, message }, or null.
+ */
 async function getPodStatuses(namespace) {
   try {
     const output = await kubectlExec([
@@ -55,12 +74,17 @@ async function getPodStatuses(namespace) {
       const isReady = conditions.some(c => c.type === 'Ready' && c.status === 'True');
       const containerStatuses = pod.status.containerStatuses || [];
       const restarts = containerStatuses.reduce((acc, curr) => acc + curr.restartCount, 0);
+      const stuck = [...(pod.status.initContainerStatuses || []), ...containerStatuses]
+        .find(c => c.state?.waiting?.reason && c.state.waiting.reason !== 'PodInitializing');
 
       return {
         name: pod.metadata.name,
         phase: pod.status.phase,
         ready: isReady,
         restarts: restarts,
+        waiting: stuck
+          ? { container: stuck.name, image: stuck.image, reason: stuck.state.waiting.reason, message: stuck.state.waiting.message || '' }
+          : null,
       };
     });
   } catch (e) {
@@ -105,6 +129,30 @@ async function jobFailed(namespace, jobName) {
   }
 }
 
+/** Create or update resources from a manifest object (or a List of them), passed on stdin. */
+async function apply(manifest) {
+  return kubectlExec(['apply', '-f', '-'], { input: JSON.stringify(manifest) });
+}
+
+/** Logs of one container of a Job's pod. */
+async function getJobLogs(namespace, jobName, container) {
+  return kubectlExec([
+    'logs', `job/${jobName}`,
+    '--namespace', namespace,
+    '-c', container,
+  ]);
+}
+
+/** Delete a Job and its pods. No-op if it's already gone. */
+async function deleteJob(namespace, jobName) {
+  await kubectlExec([
+    'delete', 'job', jobName,
+    '--namespace', namespace,
+    '--ignore-not-found',
+    '--cascade=background',
+  ]);
+}
+
 /** Get recent cluster events — useful for surfacing failure reasons. */
 async function getEvents(namespace, limit = 10) {
   try {
@@ -129,6 +177,91 @@ async function getEvents(namespace, limit = 10) {
   }
 }
 
+/** Read a Secret's data, base64-decoded. Returns null if the Secret doesn't exist. */
+async function getSecret(namespace, name) {
+  let output;
+  try {
+    output = await kubectlExec([
+      'get', 'secret', name,
+      '--namespace', namespace,
+      '-o', 'json',
+    ], { expected: isNotFound });
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+
+  const data = JSON.parse(output).data || {};
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, Buffer.from(value, 'base64').toString('utf8')])
+  );
+}
+
+/** Merge plain-text values into an existing Secret. The patch is passed on stdin. */
+async function patchSecret(namespace, name, stringData) {
+  await kubectlExec([
+    'patch', 'secret', name,
+    '--namespace', namespace,
+    '--type', 'merge',
+    '--patch-file', '/dev/stdin',
+  ], { input: JSON.stringify({ stringData }) });
+}
+
+/** Delete a Secret. No-op if it's already gone. */
+async function deleteSecret(namespace, name) {
+  await kubectlExec([
+    'delete', 'secret', name,
+    '--namespace', namespace,
+    '--ignore-not-found',
+  ]);
+}
+
+/** Replica counts of the namespace's Deployments and StatefulSets: { 'deployment/name': 1, ... }. */
+async function getReplicas(namespace) {
+  const output = await kubectlExec([
+    'get', 'deployments,statefulsets',
+    '--namespace', namespace,
+    '-o', 'json',
+  ]);
+  const { items = [] } = JSON.parse(output || '{}');
+  return Object.fromEntries(
+    items.map(item => [`${item.kind.toLowerCase()}/${item.metadata.name}`, item.spec.replicas ?? 1])
+  );
+}
+
+/** Scale one workload (e.g. "deployment/store-abc-wordpress"). */
+async function scale(namespace, target, replicas) {
+  await kubectlExec([
+    'scale', target,
+    '--namespace', namespace,
+    `--replicas=${replicas}`,
+  ]);
+}
+
+/** Logs of one container of a workload from the last `sinceSeconds`. */
+async function getLogs(namespace, target, container, sinceSeconds) {
+  return kubectlExec([
+    'logs', target,
+    '--namespace', namespace,
+    '-c', container,
+    `--since=${Math.ceil(sinceSeconds)}s`,
+  ]);
+}
+
+/**
+ * Run a command in a container of a running workload (e.g. "statefulset/store-abc-mysql").
+ * `input` becomes the command's stdin — for secrets, which must stay out of argv.
+ */
+async function exec(namespace, target, container, command, { input } = {}) {
+  return kubectlExec([
+    'exec', target,
+    '--namespace', namespace,
+    '-c', container,
+    ...(input === undefined ? [] : ['-i']),
+    '--', ...command,
+  ], { input });
+}
+
 module.exports = {
   namespaceExists,
   deleteNamespace,
@@ -136,5 +269,15 @@ module.exports = {
   allPodsReady,
   jobCompleted,
   jobFailed,
+  apply,
+  getJobLogs,
+  deleteJob,
   getEvents,
+  getSecret,
+  patchSecret,
+  deleteSecret,
+  exec,
+  getReplicas,
+  scale,
+  getLogs,
 };
@@ -0,0 +1,188 @@
+// Prometheus metrics — a small registry of counters, gauges and histograms,
+// rendered in the text exposition format (0.0.4) for GET /metrics/prometheus.
+// Counters and histograms are recorded in-process as things happen (and
+// start from zero on restart, which Prometheus handles); gauges backed by
+// SQLite are read by their collect callback on each render.
+
+const PREFIX = 'store_platform_';
+
+const registry = new Map();
+
+// Label values are joined into a key; \u0000 can't appear in an HTTP route or
+// a status, so keys never collide.
+function seriesKey(labelNames, labels) {
+  return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+function register(type, name, help, labelNames, metric) {
+  const fullName = PREFIX + name;
+  if (registry.has(fullName)) {
+    throw new Error(`Metric ${fullName} is already registered`);
+  }
+  registry.set(fullName, { type, help, labelNames, ...metric });
+  return registry.get(fullName);
+}
+
+/** A value that only goes up, e.g. failures. */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  register('counter', name, help, labelNames, {
+    lines: (fullName) => [...series].map(([key, value]) =>
+      `${fullName}${formatLabels(labelNames, key)} ${formatValue(value)}`),
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+  };
+}
+
+/**
+ * A value that goes up and down. With `collect`, render() calls it for the
+ * current series ([{ labels, value }]) each time; otherwise set() them.
+ */
+function gauge(name, help, labelNames = [], collect = null) {
+  const series = new Map();
+  const current = () => (collect
+    ? collect().map(({ labels, value }) => [seriesKey(labelNames, labels), value])
+    : [...series]);
+  register('gauge', name, help, labelNames, {
+    lines: (fullName) => current().map(([key, value]) =>
+      `${fullName}${formatLabels(labelNames, key)} ${formatValue(value)}`),
+  });
+
+  return {
+    set(labels, value) {
+      series.set(seriesKey(labelNames, labels), value);
+    },
+    reset() {
+      series.clear();
+    },
+  };
+}
+
+/** Observations counted into cumulative `le` buckets (seconds, by convention). */
+function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+  const series = new Map();
+
+  register('histogram', name, help, labelNames, {
+    lines: (fullName) => [...series].flatMap(([key, { counts, sum }]) => [
+      ...bounds.map((bound, i) =>
+        `${fullName}_bucket${formatLabels(labelNames, key, `le="${formatValue(bound)}"`)} ${counts[i]}`),
+      `${fullName}_sum${formatLabels(labelNames, key)} ${formatValue(sum)}`,
+      `${fullName}_count${formatLabels(labelNames, key)} ${counts[counts.length - 1]}`,
+    ]),
+  });
+
+  const observe = (labels, value) => {
+    const key = seriesKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, { counts: bounds.map(() => 0), sum: 0 });
+    }
+    const entry = series.get(key);
+    bounds.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+  };
+
+  return {
+    observe,
+    /** Start timing; the returned function records the elapsed seconds. */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+  };
+}
+
+/** Every registered metric in the text exposition format. */
+function render() {
+  const lines = [];
+  for (const [fullName, metric] of registry) {
+    lines.push(`# HELP ${fullName} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${fullName} ${metric.type}`);
+    lines.push(...metric.lines(fullName));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ─── Platform Metrics ────────────────────────────────────────────
+// Recorded where the work happens; SQLite-backed gauges are registered by
+// the scrape route, which owns the database access.
+
+const httpRequestDuration = histogram(
+  'http_request_duration_seconds',
+  'API request latency by route template',
+  ['method', 'route', 'status']
+);
+
+const commandDuration = histogram(
+  'command_duration_seconds',
+  'helm/kubectl command latency, by subcommand',
+  ['tool', 'command'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+);
+
+const commandFailures = counter(
+  'command_failures_total',
+  'helm/kubectl commands that exited with an error',
+  ['tool', 'command']
+);
+
+const provisioningDuration = histogram(
+  'provisioning_duration_seconds',
+  'Time from the start of provisioning to ready or failed',
+  ['engine', 'outcome'],
+  [15, 30, 60, 120, 180, 300, 450, 600, 900]
+);
+
+/**
+ * Time one CLI call: records its latency and, when it throws, a failure.
+ * `args[0]` (install, get, …) is the command label. `expected(error)` marks
+ * errors that are an answer rather than a failure (e.g. "not found" from an
+ * existence check); those aren't counted.
+ */
+async function timeCommand(tool, args, run, { expected = () => false } = {}) {
+  const labels = { tool, command: args[0] || '' };
+  const end = commandDuration.startTimer(labels);
+  try {
+    return await run();
+  } catch (error) {
+    if (!expected(error)) commandFailures.inc(labels);
+    throw error;
+  } finally {
+    end();
+  }
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  timeCommand,
+  httpRequestDuration,
+  provisioningDuration,
+};
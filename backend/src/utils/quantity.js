@@ -0,0 +1,38 @@
+// Kubernetes resource quantities — CPU ("500m", "2") as millicores and
+// memory/storage ("512Mi", "10Gi", "1G") as bytes, so plans can be added up
+// and compared. Formatting rounds down to whole millicores / Mi.
+
+const BINARY = { Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40 };
+const DECIMAL = { k: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+/** Millicores for a CPU quantity, or NaN if it isn't one. */
+function parseCpu(value) {
+  const match = /^(\d+(?:\.\d+)?)(m?)$/.exec(String(value).trim());
+  if (!match) return NaN;
+  return match[2] ? Number(match[1]) : Number(match[1]) * 1000;
+}
+
+/** Bytes for a memory/storage quantity, or NaN if it isn't one. */
+function parseBytes(value) {
+  const match = /^(\d+(?:\.\d+)?)(Ki|Mi|Gi|Ti|k|M|G|T)?$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const unit = match[2];
+  return Number(match[1]) * (unit ? (BINARY[unit] || DECIMAL[unit]) : 1);
+}
+
+function formatCpu(millicores) {
+  const m = Math.floor(millicores);
+  return m % 1000 === 0 ? String(m / 1000) : `${m}m`;
+}
+
+function formatBytes(bytes) {
+  const mi = Math.floor(bytes / BINARY.Mi);
+  return mi % 1024 === 0 && mi > 0 ? `${mi / 1024}Gi` : `${mi}Mi`;
+}
+
+module.exports = {
+  parseCpu,
+  parseBytes,
+  formatCpu,
+  formatBytes,
+};
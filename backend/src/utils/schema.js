@@ -0,0 +1,78 @@
+// Minimal JSON-schema subset validator for engine-defined parameters.
+// Supports: type (string/integer/number/boolean), enum, pattern, minLength,
+// maxLength, minimum, maximum, required; unknown properties are rejected.
+// title, description and default are annotations for forms (see defaults()).
+
+function checkValue(key, prop, value) {
+  switch (prop.type) {
+    case 'string':
+      if (typeof value !== 'string') return `'${key}' must be a string`;
+      if (prop.minLength !== undefined && value.length < prop.minLength) {
+        return `'${key}' must be at least ${prop.minLength} characters`;
+      }
+      if (prop.maxLength !== undefined && value.length > prop.maxLength) {
+        return `'${key}' must be at most ${prop.maxLength} characters`;
+      }
+      if (prop.pattern && !new RegExp(prop.pattern).test(value)) {
+        return `'${key}' has an invalid format`;
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)
+        || (prop.type === 'integer' && !Number.isInteger(value))) {
+        return `'${key}' must be ${prop.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if (prop.minimum !== undefined && value < prop.minimum) return `'${key}' must be >= ${prop.minimum}`;
+      if (prop.maximum !== undefined && value > prop.maximum) return `'${key}' must be <= ${prop.maximum}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `'${key}' must be a boolean`;
+      break;
+    default:
+      break;
+  }
+
+  if (prop.enum && !prop.enum.includes(value)) {
+    return `'${key}' must be one of: ${prop.enum.map(v => `'${v}'`).join(', ')}`;
+  }
+  return null;
+}
+
+/** Validate a plain object against an object schema. Returns a list of problems (empty if valid). */
+function validate(schema, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['must be an object'];
+  }
+
+  const properties = schema.properties || {};
+  const problems = [];
+
+  for (const key of Object.keys(data)) {
+    if (!properties[key]) {
+      problems.push(`'${key}' is not a recognised field`);
+    } else {
+      const problem = checkValue(key, properties[key], data[key]);
+      if (problem) problems.push(problem);
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (data[key] === undefined) {
+      problems.push(`'${key}' is required`);
+    }
+  }
+
+  return problems;
+}
+
+/** The `default` of every property that declares one. */
+function defaults(schema) {
+  return Object.fromEntries(
+    Object.entries(schema.properties || {})
+      .filter(([, prop]) => prop.default !== undefined)
+      .map(([key, prop]) => [key, prop.default])
+  );
+}
+
+module.exports = { validate, defaults };
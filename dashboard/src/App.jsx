@@ -1,16 +1,52 @@
 import { useState, useEffect, useCallback } from 'react';
-import { storesApi } from './api/stores';
+import { storesApi, subscribeToEvents, auth } from './api/stores';
 
 /* ─────────────────────────────────────────────────────────────────
  * App — Main Application Component
  * 
  * Responsibilities:
- * - Polls API every 5 seconds for store status updates
+ * - Subscribes to live store/audit/progress events (SSE)
+ * - Falls back to polling every 5 seconds while the stream is down
  * - Manages global store list state
  * - Renders Header, Stats, StoreGrid, and CreateModal
  * ───────────────────────────────────────────────────────────────── */
 
-const POLL_INTERVAL = 5000; // 5 seconds
+const POLL_INTERVAL = 5000; // 5 seconds (fallback when live updates are down)
+const AUDIT_PAGE_SIZE = 50;
+const STORE_PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+const CREDENTIALS_VISIBLE_MS = 60000; // revealed passwords are cleared after a minute
+const EXPIRY_TICK_MS = 30000;
+const EXPIRY_SOON_MS = 60 * 60 * 1000;
+
+// Lifetimes offered when creating a store (the API also takes any "<n>m/h/d")
+const TTL_OPTIONS = [
+    { value: '', label: 'Keep until deleted' },
+    { value: '1h', label: '1 hour' },
+    { value: '4h', label: '4 hours' },
+    { value: '1d', label: '1 day' },
+    { value: '7d', label: '7 days' },
+];
+
+/** "Small — 2 CPU · 2Gi RAM · 2Gi + 2Gi disk" for the plan pickers. */
+function planLabel(plan) {
+    return `${plan.name} — ${plan.cpu} CPU · ${plan.memory} RAM · ${plan.storage} + ${plan.dbStorage} disk`;
+}
+
+/** Random hex key; getRandomValues works on plain-http dashboards, unlike randomUUID. */
+function newIdempotencyKey() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** "2d 3h", "3h 12m", "12m" — the time left before a store expires. */
+function formatRemaining(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
 
 // ─── STATUS CONFIG ─────────────────────────────────────────────
 const STATUS_CONFIG = {
@@ -18,47 +54,184 @@ const STATUS_CONFIG = {
     provisioning: { label: 'Provisioning', icon: '⟳' },
     queued: { label: 'Queued', icon: '◦' },
     failed: { label: 'Failed', icon: '✕' },
+    updating: { label: 'Updating', icon: '⟳' },
+    restoring: { label: 'Restoring', icon: '⟳' },
+    hibernated: { label: 'Hibernated', icon: '💤' },
+    waking: { label: 'Waking', icon: '⟳' },
     deleting: { label: 'Deleting', icon: '⟳' },
+    pending_deletion: { label: 'Pending deletion', icon: '⏳' },
     deleted: { label: 'Deleted', icon: '—' },
 };
 
 export default function App() {
     const [stores, setStores] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [pages, setPages] = useState(1);
+    const [searchInput, setSearchInput] = useState('');
+    const [filters, setFilters] = useState({ search: '', status: '' });
     const [isLoading, setIsLoading] = useState(true);
     const [showCreate, setShowCreate] = useState(false);
     const [error, setError] = useState(null);
     const [apiConnected, setApiConnected] = useState(false);
     const [activeTab, setActiveTab] = useState('stores');
     const [auditLog, setAuditLog] = useState([]);
+    const [auditCursor, setAuditCursor] = useState(null);
+    const [auditPages, setAuditPages] = useState(1);
+    const [auditFilters, setAuditFilters] = useState({ action: '', store: '', actor: '' });
     const [metrics, setMetrics] = useState(null);
+    const [liveUpdates, setLiveUpdates] = useState(false);
+    const [progress, setProgress] = useState({});
+    const [apiKey, setApiKey] = useState(auth.getKey());
+    const [needsAuth, setNeedsAuth] = useState(false);
+    const [tenant, setTenant] = useState(null);
+    const [me, setMe] = useState(null);
+    const [engines, setEngines] = useState({});
+    const [settingsStore, setSettingsStore] = useState(null);
+    const [detailStoreId, setDetailStoreId] = useState(null);
 
     // ── Fetch stores ──
+    // Re-reads every page loaded so far, so a refresh doesn't drop "load more" results.
     const fetchStores = useCallback(async () => {
         try {
-            const data = await storesApi.getAll();
-            // Filter out deleted stores from display
-            setStores(data.stores.filter(s => s.status !== 'deleted'));
+            const query = { q: filters.search, status: filters.status, limit: STORE_PAGE_SIZE };
+            const [data, tenantData, meData] = await Promise.all([
+                storesApi.getAll(query),
+                storesApi.getTenant(),
+                storesApi.getMe(),
+            ]);
+            let page = data;
+            let loaded = data.stores;
+            for (let i = 1; i < pages && page.nextCursor; i++) {
+                page = await storesApi.getAll({ ...query, cursor: page.nextCursor });
+                loaded = loaded.concat(page.stores);
+            }
+            setStores(loaded);
+            setNextCursor(page.nextCursor);
+            setTenant(tenantData.tenant);
+            setMe(meData);
             setApiConnected(true);
+            setNeedsAuth(false);
             setError(null);
         } catch (err) {
             setApiConnected(false);
+            setNeedsAuth(err.code === 'UNAUTHORIZED');
             setError(err.message);
         } finally {
             setIsLoading(false);
         }
+    }, [filters, pages]);
+
+    // ── Filters; a change starts again from the first page ──
+    const updateFilters = useCallback((change) => {
+        setFilters(prev => ({ ...prev, ...change }));
+        setPages(1);
+    }, []);
+
+    // Search as you type, once typing pauses
+    useEffect(() => {
+        const search = searchInput.trim();
+        if (search === filters.search) return;
+        const timeout = setTimeout(() => updateFilters({ search }), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timeout);
+    }, [searchInput, filters.search, updateFilters]);
+
+    // Live events arrive for every store; only list those the filters would return
+    const matchesFilters = useCallback((s) => (
+        s.status !== 'deleted'
+        && (!filters.status || s.status === filters.status)
+        && (!filters.search || s.name.toLowerCase().includes(filters.search.toLowerCase()))
+    ), [filters]);
+
+    // ── Fetch audit log ──
+    // Like fetchStores, re-reads every page loaded so far.
+    const fetchAudit = useCallback(async () => {
+        const query = { ...auditFilters, limit: AUDIT_PAGE_SIZE };
+        let page = await storesApi.getAudit(query);
+        let loaded = page.audit;
+        for (let i = 1; i < auditPages && page.nextCursor; i++) {
+            page = await storesApi.getAudit({ ...query, cursor: page.nextCursor });
+            loaded = loaded.concat(page.audit);
+        }
+        setAuditLog(loaded);
+        setAuditCursor(page.nextCursor);
+    }, [auditFilters, auditPages]);
+
+    const updateAuditFilters = useCallback((change) => {
+        setAuditFilters(prev => ({ ...prev, ...change }));
+        setAuditPages(1);
     }, []);
 
-    // ── Poll every 5 seconds ──
+    const matchesAuditFilters = useCallback((entry) => (
+        (!auditFilters.action || entry.action === auditFilters.action)
+        && (!auditFilters.store || entry.store_id === auditFilters.store)
+        && (!auditFilters.actor || entry.actor === (auditFilters.actor === 'me' ? me?.identity.id : auditFilters.actor))
+    ), [auditFilters, me]);
+
+    // ── Poll every 5 seconds, only while live updates are unavailable ──
+    // Re-runs on every connection change, so a (re)connect also resyncs the list.
     useEffect(() => {
         fetchStores();
+        if (liveUpdates) return;
         const interval = setInterval(fetchStores, POLL_INTERVAL);
         return () => clearInterval(interval);
-    }, [fetchStores]);
+    }, [fetchStores, liveUpdates]);
+
+    // ── Live updates ──
+    useEffect(() => subscribeToEvents({
+        onConnectionChange: setLiveUpdates,
+        onEvent: (type, data) => {
+            if (type === 'store') {
+                setStores(prev => {
+                    if (!matchesFilters(data)) return prev.filter(s => s.id !== data.id);
+                    const exists = prev.some(s => s.id === data.id);
+                    return exists
+                        ? prev.map(s => (s.id === data.id ? data : s))
+                        : [data, ...prev];
+                });
+                if (!['provisioning', 'updating', 'restoring', 'deleting'].includes(data.status)) {
+                    setProgress(prev => {
+                        const { [data.id]: _, ...rest } = prev;
+                        return rest;
+                    });
+                }
+            } else if (type === 'audit') {
+                if (!matchesAuditFilters(data)) return;
+                setAuditLog(prev => (prev.some(e => e.id === data.id) ? prev : [data, ...prev]));
+            } else if (type === 'progress') {
+                setProgress(prev => ({ ...prev, [data.storeId]: data }));
+            } else if (type === 'resync') {
+                fetchStores();
+            }
+        },
+    }), [fetchStores, matchesFilters, matchesAuditFilters, apiKey]);
+
+    // ── Engine capabilities and settings schemas ──
+    useEffect(() => {
+        if (!apiConnected) return;
+        storesApi.getEngines()
+            .then(data => setEngines(Object.fromEntries(
+                data.engines.map(e => [e.name, e])
+            )))
+            .catch(() => { });
+    }, [apiConnected]);
+
+    // ── Permissions (the API enforces these; the UI just hides what would be rejected) ──
+    const can = (permission) => Boolean(me?.permissions.includes(permission));
+    const canManage = (store) => store.owner === me?.identity.id || can('stores:manage_any');
+    const engineCan = (store, capability) => (engines[store.engine]?.capabilities || []).includes(capability);
+    const detailStore = stores.find(s => s.id === detailStoreId);
+
+    // ── API key ──
+    const handleSaveKey = (key) => {
+        auth.setKey(key);
+        setApiKey(key);
+        fetchStores();
+    };
 
     // ── Create store ──
-    const handleCreate = async (name, engine) => {
+    const handleCreate = async (name, engine, { ttl, parameters, plan, idempotencyKey }) => {
         try {
-            await storesApi.create(name, engine);
+            await storesApi.create(name, engine, { ttl: ttl || undefined, parameters, plan, idempotencyKey });
             setShowCreate(false);
             // Immediately fetch to show the new store
             await fetchStores();
@@ -68,18 +241,57 @@ export default function App() {
     };
 
     // ── Delete store ──
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this store? This will remove ALL resources.')) {
+    const handleDelete = async (id, { force = false } = {}) => {
+        const message = force
+            ? 'Delete this store now? This removes ALL resources and cannot be undone.'
+            : 'Are you sure you want to delete this store? This will remove ALL resources.';
+        if (!window.confirm(message)) {
             return;
         }
         try {
-            await storesApi.delete(id);
+            await storesApi.delete(id, { force });
             await fetchStores();
         } catch (err) {
             alert(`Failed to delete store: ${err.message}`);
         }
     };
 
+    const handleUndelete = async (id) => {
+        try {
+            await storesApi.undelete(id);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to undelete store: ${err.message}`);
+        }
+    };
+
+    const handleExtend = async (id) => {
+        try {
+            await storesApi.extend(id, '1d');
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to extend store: ${err.message}`);
+        }
+    };
+
+    const handleHibernate = async (id) => {
+        try {
+            await storesApi.hibernate(id);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to hibernate store: ${err.message}`);
+        }
+    };
+
+    const handleWake = async (id) => {
+        try {
+            await storesApi.wake(id);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to wake store: ${err.message}`);
+        }
+    };
+
     // ── Retry store ──
     const handleRetry = async (id) => {
         try {
@@ -90,13 +302,74 @@ export default function App() {
         }
     };
 
-    // ── Fetch audit log ──
+    // ── Update store settings ──
+    const handleUpdate = async (id, settings) => {
+        await storesApi.update(id, settings);
+        setSettingsStore(null);
+        await fetchStores();
+    };
+
+    // ── Roll back store ──
+    const handleRollback = async (id, revision) => {
+        if (!window.confirm(`Roll this store back to revision ${revision}?`)) return;
+        try {
+            await storesApi.rollback(id, revision);
+            setDetailStoreId(null);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to roll back: ${err.message}`);
+        }
+    };
+
+    // ── Backups ──
+    const handleBackup = async (id) => {
+        try {
+            await storesApi.createBackup(id);
+        } catch (err) {
+            alert(`Failed to start backup: ${err.message}`);
+        }
+    };
+
+    const handleRestore = async (id, backupId, into) => {
+        let name;
+        if (into === 'new') {
+            name = window.prompt('Name for the new store:');
+            if (!name) return;
+        } else if (!window.confirm(`Restore backup ${backupId}? Current store data will be replaced.`)) {
+            return;
+        }
+        try {
+            await storesApi.restore(id, backupId, { into, name });
+            setDetailStoreId(null);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to restore: ${err.message}`);
+        }
+    };
+
+    const handleClone = async (source) => {
+        const name = window.prompt(`Name for the copy of ${source.name}:`, `${source.name} (copy)`);
+        if (!name) return;
+        try {
+            await storesApi.clone(source.id, name);
+            await fetchStores();
+        } catch (err) {
+            alert(`Failed to clone: ${err.message}`);
+        }
+    };
+
     useEffect(() => {
         if (activeTab !== 'activity') return;
-        storesApi.getAudit(50)
-            .then(data => setAuditLog(data.audit || []))
-            .catch(() => { });
-    }, [activeTab, stores]); // re-fetch when stores change
+        fetchAudit().catch(() => { });
+    }, [activeTab, fetchAudit, stores]); // re-fetch when stores change
+
+    const handleAuditExport = async (format) => {
+        try {
+            await storesApi.exportAudit(auditFilters, format);
+        } catch (err) {
+            alert(`Failed to export: ${err.message}`);
+        }
+    };
 
     // ── Fetch metrics ──
     useEffect(() => {
@@ -110,7 +383,7 @@ export default function App() {
     const stats = {
         total: stores.length,
         ready: stores.filter(s => s.status === 'ready').length,
-        provisioning: stores.filter(s => ['provisioning', 'queued'].includes(s.status)).length,
+        provisioning: stores.filter(s => ['provisioning', 'queued', 'updating', 'restoring'].includes(s.status)).length,
         failed: stores.filter(s => s.status === 'failed').length,
     };
 
@@ -128,15 +401,23 @@ export default function App() {
                 <div className="header__actions">
                     <div className="connection-status">
                         <span className={`connection-dot ${apiConnected ? 'connection-dot--connected' : 'connection-dot--error'}`} />
-                        {apiConnected ? 'Connected' : 'Disconnected'}
+                        {!apiConnected ? 'Disconnected' : liveUpdates ? 'Live' : 'Connected (polling)'}
+                        {me && <span className="connection-status__role">· {me.identity.role}</span>}
                     </div>
-                    <button
-                        className="btn btn--primary"
-                        onClick={() => setShowCreate(true)}
-                        disabled={!apiConnected}
-                    >
-                        + Create Store
-                    </button>
+                    {apiKey && (
+                        <button className="btn btn--ghost" onClick={() => setNeedsAuth(true)}>
+                            🔑 API Key
+                        </button>
+                    )}
+                    {can('stores:create') && (
+                        <button
+                            className="btn btn--primary"
+                            onClick={() => setShowCreate(true)}
+                            disabled={!apiConnected}
+                        >
+                            + Create Store
+                        </button>
+                    )}
                 </div>
             </header>
 
@@ -154,6 +435,23 @@ export default function App() {
                 <div className="stat stat--failed">
                     Failed <span className="stat__value">{stats.failed}</span>
                 </div>
+                {tenant && (
+                    <div className="stat stat--quota" title={`Tenant: ${tenant.name}`}>
+                        Quota ({tenant.tier}) <span className="stat__value">{tenant.activeStores}/{tenant.maxStores}</span>
+                    </div>
+                )}
+                {tenant && Number.isFinite(tenant.maxRunningStores) && (
+                    <div className="stat stat--quota" title="Stores not hibernated">
+                        Running <span className="stat__value">{tenant.runningStores}/{tenant.maxRunningStores}</span>
+                    </div>
+                )}
+                {tenant && Object.entries(tenant.resources || {})
+                    .filter(([, usage]) => usage.limit)
+                    .map(([resource, usage]) => (
+                        <div key={resource} className="stat stat--quota" title="Reserved by store plans">
+                            {resource.toUpperCase()} <span className="stat__value">{usage.used}/{usage.limit}</span>
+                        </div>
+                    ))}
             </div>
 
             {/* Tabs */}
@@ -188,11 +486,39 @@ export default function App() {
             {/* Tab Content */}
             {activeTab === 'stores' && (
                 <>
+                    <div className="store-filters">
+                        <input
+                            type="search"
+                            placeholder="Search stores by name"
+                            aria-label="Search stores"
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                        <select
+                            aria-label="Filter by status"
+                            value={filters.status}
+                            onChange={(e) => updateFilters({ status: e.target.value })}
+                        >
+                            <option value="">All statuses</option>
+                            {Object.entries(STATUS_CONFIG)
+                                .filter(([status]) => status !== 'deleted')
+                                .map(([status, cfg]) => (
+                                    <option key={status} value={status}>{cfg.label}</option>
+                                ))}
+                        </select>
+                    </div>
+
                     {isLoading ? (
                         <div className="empty-state">
                             <div className="spinner" style={{ width: 32, height: 32 }} />
                             <p style={{ marginTop: 16 }}>Loading stores...</p>
                         </div>
+                    ) : stores.length === 0 && (filters.search || filters.status) ? (
+                        <div className="empty-state">
+                            <div className="empty-state__icon">🔍</div>
+                            <h2 className="empty-state__title">No matching stores</h2>
+                            <p className="empty-state__text">No stores match the current search and status filter.</p>
+                        </div>
                     ) : stores.length === 0 ? (
                         <div className="empty-state">
                             <div className="empty-state__icon">🏪</div>
@@ -201,13 +527,15 @@ export default function App() {
                                 Create your first WooCommerce store. It will be provisioned
                                 automatically on Kubernetes with its own isolated namespace.
                             </p>
-                            <button
-                                className="btn btn--primary"
-                                onClick={() => setShowCreate(true)}
-                                disabled={!apiConnected}
-                            >
-                                + Create Your First Store
-                            </button>
+                            {can('stores:create') && (
+                                <button
+                                    className="btn btn--primary"
+                                    onClick={() => setShowCreate(true)}
+                                    disabled={!apiConnected}
+                                >
+                                    + Create Your First Store
+                                </button>
+                            )}
                         </div>
                     ) : (
                         <div className="store-grid">
@@ -215,23 +543,107 @@ export default function App() {
                                 <StoreCard
                                     key={store.id}
                                     store={store}
-                                    onDelete={handleDelete}
-                                    onRetry={handleRetry}
+                                    progress={progress[store.id]}
+                                    onDelete={can('stores:delete') && canManage(store) ? handleDelete : null}
+                                    onUndelete={can('stores:delete') && canManage(store) ? handleUndelete : null}
+                                    onExtend={can('stores:update') && canManage(store) ? handleExtend : null}
+                                    onHibernate={can('stores:hibernate') && canManage(store) ? handleHibernate : null}
+                                    onWake={can('stores:hibernate') && canManage(store) ? handleWake : null}
+                                    onRetry={can('stores:retry') && canManage(store) ? handleRetry : null}
+                                    onShowDetail={setDetailStoreId}
+                                    clonedFrom={store.cloned_from && (stores.find(s => s.id === store.cloned_from) || { id: store.cloned_from })}
+                                    onClone={
+                                        can('stores:create') && canManage(store) && engineCan(store, 'backup')
+                                            ? handleClone
+                                            : null
+                                    }
+                                    onEditSettings={
+                                        can('stores:update') && canManage(store) && engineCan(store, 'upgrade')
+                                            ? setSettingsStore
+                                            : null
+                                    }
+                                    onShowCredentials={
+                                        can('credentials:read') && canManage(store) && engineCan(store, 'credentials')
+                                            ? storesApi.getCredentials
+                                            : null
+                                    }
+                                    onRotateCredentials={
+                                        can('credentials:rotate') && canManage(store) && engineCan(store, 'credential_rotation')
+                                            ? storesApi.rotateCredentials
+                                            : null
+                                    }
                                 />
                             ))}
                         </div>
                     )}
+
+                    {nextCursor && !isLoading && (
+                        <div className="load-more">
+                            <button className="btn btn--ghost" onClick={() => setPages(prev => prev + 1)}>
+                                Load more stores
+                            </button>
+                        </div>
+                    )}
                 </>
             )}
 
             {activeTab === 'activity' && (
-                <ActivityLog entries={auditLog} />
+                <ActivityLog
+                    entries={auditLog}
+                    stores={stores}
+                    filters={auditFilters}
+                    onFilter={updateAuditFilters}
+                    hasMore={Boolean(auditCursor)}
+                    onLoadMore={() => setAuditPages(prev => prev + 1)}
+                    onExport={handleAuditExport}
+                />
             )}
 
             {activeTab === 'metrics' && (
                 <MetricsPanel data={metrics} />
             )}
 
+            {/* API Key Modal */}
+            {needsAuth && (
+                <ApiKeyModal
+                    initialKey={apiKey || ''}
+                    onClose={() => setNeedsAuth(false)}
+                    onSave={handleSaveKey}
+                />
+            )}
+
+            {/* Store Detail Modal */}
+            {detailStore && (
+                <StoreDetailModal
+                    store={detailStore}
+                    onClose={() => setDetailStoreId(null)}
+                    onRollback={can('stores:rollback') && canManage(detailStore) ? handleRollback : null}
+                    onBackup={
+                        can('backups:create') && canManage(detailStore) && engineCan(detailStore, 'backup')
+                            ? handleBackup
+                            : null
+                    }
+                    onRestore={can('backups:restore') ? handleRestore : null}
+                    canRestoreAsNew={can('stores:create')}
+                    canRestoreInPlace={canManage(detailStore)}
+                    canSchedule={
+                        can('backups:schedule') && canManage(detailStore) && engineCan(detailStore, 'backup')
+                    }
+                    supportsDomains={engineCan(detailStore, 'custom_domains')}
+                    canManageDomains={can('domains:manage') && canManage(detailStore)}
+                />
+            )}
+
+            {/* Settings Modal */}
+            {settingsStore && (
+                <SettingsModal
+                    store={settingsStore}
+                    engine={engines[settingsStore.engine]}
+                    onClose={() => setSettingsStore(null)}
+                    onSave={handleUpdate}
+                />
+            )}
+
             {/* Create Modal */}
             {showCreate && (
                 <CreateModal
@@ -244,9 +656,47 @@ export default function App() {
 }
 
 /* ─── Store Card Component ──────────────────────────────────────── */
-function StoreCard({ store, onDelete, onRetry }) {
+// Action callbacks are null when the caller isn't allowed to perform them.
+function StoreCard({
+    store, progress, clonedFrom, onShowDetail, onClone, onDelete, onUndelete, onRetry, onEditSettings,
+    onExtend, onHibernate, onWake, onShowCredentials, onRotateCredentials,
+}) {
     const statusCfg = STATUS_CONFIG[store.status] || STATUS_CONFIG.queued;
-    const isActive = ['provisioning', 'queued', 'deleting'].includes(store.status);
+    const isActive = ['provisioning', 'queued', 'updating', 'restoring', 'waking', 'deleting'].includes(store.status);
+    const expires = Boolean(store.expires_at) && !['deleting', 'deleted'].includes(store.status);
+
+    // Re-render periodically so the expiry countdown stays current
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        if (!expires) return;
+        const timer = setInterval(() => setNow(Date.now()), EXPIRY_TICK_MS);
+        return () => clearInterval(timer);
+    }, [expires]);
+    const remainingMs = expires ? new Date(store.expires_at).getTime() - now : null;
+
+    // Reveal-once: credentials are held only while shown, then dropped.
+    // Seeing them again means another (audited) request.
+    const [credentials, setCredentials] = useState(null);
+    const [credentialsBusy, setCredentialsBusy] = useState(false);
+
+    useEffect(() => {
+        if (!credentials) return;
+        const timer = setTimeout(() => setCredentials(null), CREDENTIALS_VISIBLE_MS);
+        return () => clearTimeout(timer);
+    }, [credentials]);
+
+    const revealCredentials = async (fetchCredentials, confirmMessage) => {
+        if (confirmMessage && !window.confirm(confirmMessage)) return;
+        setCredentialsBusy(true);
+        try {
+            const data = await fetchCredentials(store.id);
+            setCredentials(data.credentials);
+        } catch (err) {
+            alert(`Failed to load credentials: ${err.message}`);
+        } finally {
+            setCredentialsBusy(false);
+        }
+    };
 
     const formatDate = (dateStr) => {
         if (!dateStr) return '—';
@@ -262,15 +712,41 @@ function StoreCard({ store, onDelete, onRetry }) {
             <div className="store-card__header">
                 <div>
                     <div className="store-card__name">{store.name}</div>
-                    <div className="store-card__engine">{store.engine}</div>
+                    <div className="store-card__engine">
+                        {store.engine}{parseSettings(store.settings).plan && ` · ${parseSettings(store.settings).plan}`}
+                    </div>
+                </div>
+                <div className="store-card__badges">
+                    {expires && (
+                        <span
+                            className={`expiry-badge${remainingMs < EXPIRY_SOON_MS ? ' expiry-badge--soon' : ''}`}
+                            title={`Deleted automatically at ${new Date(store.expires_at).toLocaleString()}`}
+                        >
+                            ⏱ {remainingMs > 0 ? `${formatRemaining(remainingMs)} left` : 'Expiring'}
+                        </span>
+                    )}
+                    <span className={`status-badge status-badge--${store.status}`}>
+                        <span className="status-badge__dot" />
+                        {statusCfg.label}
+                    </span>
                 </div>
-                <span className={`status-badge status-badge--${store.status}`}>
-                    <span className="status-badge__dot" />
-                    {statusCfg.label}
-                </span>
             </div>
 
             <div className="store-card__details">
+                {store.status === 'pending_deletion' && store.delete_after && (
+                    <div className="store-card__detail">
+                        <span className="store-card__detail-label">Deletes</span>
+                        <span className="store-card__detail-value">
+                            {new Date(store.delete_after).toLocaleString()}
+                        </span>
+                    </div>
+                )}
+                {clonedFrom && (
+                    <div className="store-card__detail">
+                        <span className="store-card__detail-label">Cloned from</span>
+                        <span className="store-card__detail-value">{clonedFrom.name || clonedFrom.id}</span>
+                    </div>
+                )}
                 {store.store_url && (
                     <div className="store-card__detail">
                         <span className="store-card__detail-label">Store</span>
@@ -301,19 +777,113 @@ function StoreCard({ store, onDelete, onRetry }) {
                 </div>
             </div>
 
+            {isActive && progress && (
+                <div className="store-card__progress">
+                    {progress.message}
+                </div>
+            )}
+
             {store.error_message && (
                 <div className="store-card__error">
                     <strong>Error:</strong> {store.error_message}
                 </div>
             )}
 
+            {credentials && (
+                <div className="store-card__credentials">
+                    <div className="store-card__detail">
+                        <span className="store-card__detail-label">User</span>
+                        <span className="store-card__detail-value">{credentials.username}</span>
+                    </div>
+                    <div className="store-card__detail">
+                        <span className="store-card__detail-label">Password</span>
+                        <span className="store-card__detail-value">
+                            <code>{credentials.password}</code>
+                            <button
+                                className="btn btn--ghost btn--sm"
+                                onClick={() => navigator.clipboard?.writeText(credentials.password)}
+                            >
+                                Copy
+                            </button>
+                        </span>
+                    </div>
+                    <div className="store-card__credentials-hint">
+                        Shown once — this will be hidden when you close it or after a minute.
+                        <button className="btn btn--ghost btn--sm" onClick={() => setCredentials(null)}>
+                            Hide
+                        </button>
+                    </div>
+                </div>
+            )}
+
             <div className="store-card__actions">
-                {store.status === 'failed' && (
+                {onRetry && store.status === 'failed' && (
                     <button className="btn btn--ghost" onClick={() => onRetry(store.id)}>
                         ↻ Retry
                     </button>
                 )}
-                {!['deleting', 'deleted'].includes(store.status) && (
+                {['ready', 'failed'].includes(store.status) && (
+                    <button className="btn btn--ghost" onClick={() => onShowDetail(store.id)}>
+                        ☰ Details
+                    </button>
+                )}
+                {onEditSettings && store.status === 'ready' && (
+                    <button className="btn btn--ghost" onClick={() => onEditSettings(store)}>
+                        ⚙ Settings
+                    </button>
+                )}
+                {onClone && store.status === 'ready' && (
+                    <button className="btn btn--ghost" onClick={() => onClone(store)}>
+                        ⧉ Clone
+                    </button>
+                )}
+                {onShowCredentials && store.status === 'ready' && !credentials && (
+                    <button
+                        className="btn btn--ghost"
+                        onClick={() => revealCredentials(onShowCredentials)}
+                        disabled={credentialsBusy}
+                    >
+                        🔑 Credentials
+                    </button>
+                )}
+                {onRotateCredentials && store.status === 'ready' && (
+                    <button
+                        className="btn btn--ghost"
+                        onClick={() => revealCredentials(
+                            onRotateCredentials,
+                            'Generate a new admin password? The current one will stop working.'
+                        )}
+                        disabled={credentialsBusy}
+                    >
+                        ↻ Rotate
+                    </button>
+                )}
+                {onExtend && expires && (
+                    <button className="btn btn--ghost" onClick={() => onExtend(store.id)}>
+                        ⏱ +1 day
+                    </button>
+                )}
+                {onHibernate && store.status === 'ready' && (
+                    <button className="btn btn--ghost" onClick={() => onHibernate(store.id)}>
+                        💤 Hibernate
+                    </button>
+                )}
+                {onWake && store.status === 'hibernated' && (
+                    <button className="btn btn--ghost" onClick={() => onWake(store.id)}>
+                        ☀ Wake
+                    </button>
+                )}
+                {onUndelete && store.status === 'pending_deletion' && (
+                    <button className="btn btn--ghost" onClick={() => onUndelete(store.id)}>
+                        ↶ Undelete
+                    </button>
+                )}
+                {onDelete && store.status === 'pending_deletion' && (
+                    <button className="btn btn--danger" onClick={() => onDelete(store.id, { force: true })}>
+                        Delete now
+                    </button>
+                )}
+                {onDelete && !['deleting', 'deleted', 'pending_deletion'].includes(store.status) && (
                     <button className="btn btn--danger" onClick={() => onDelete(store.id)}>
                         Delete
                     </button>
@@ -329,10 +899,52 @@ function StoreCard({ store, onDelete, onRetry }) {
 /* ─── Create Store Modal ─────────────────────────────────────────── */
 function CreateModal({ onClose, onCreate }) {
     const [name, setName] = useState('');
-    const [engine, setEngine] = useState('woocommerce');
+    const [engines, setEngines] = useState(null);
+    const [engine, setEngine] = useState('');
+    const [ttl, setTtl] = useState('');
+    const [parameters, setParameters] = useState({});
+    const [plans, setPlans] = useState([]);
+    const [plan, setPlan] = useState('');
+    const [showAdvanced, setShowAdvanced] = useState(false);
+    // One key per modal: a resubmit after a lost response can't create a second store
+    const [idempotencyKey] = useState(newIdempotencyKey);
     const [isCreating, setIsCreating] = useState(false);
     const [error, setError] = useState(null);
 
+    // ── Load engine picker from the registry ──
+    useEffect(() => {
+        storesApi.getEngines()
+            .then(data => {
+                setEngines(data.engines);
+                const preferred = data.engines.find(e => e.name === data.defaultEngine && e.available)
+                    || data.engines.find(e => e.available);
+                setEngine(preferred ? preferred.name : '');
+            })
+            .catch(err => {
+                setEngines([]);
+                setError(`Failed to load engines: ${err.message}`);
+            });
+        storesApi.getPlans()
+            .then(data => {
+                setPlans(data.plans);
+                setPlan(data.defaultPlan);
+            })
+            .catch(() => { });
+    }, []);
+
+    const selectedEngine = engines?.find(e => e.name === engine);
+    const supportsPlans = (selectedEngine?.capabilities || []).includes('plans');
+    const parameterFields = Object.entries(selectedEngine?.parameters.properties || {});
+
+    // ── Each engine has its own parameters; start from its schema defaults ──
+    useEffect(() => {
+        setParameters(Object.fromEntries(
+            Object.entries(selectedEngine?.parameters.properties || {})
+                .filter(([, field]) => field.default !== undefined)
+                .map(([key, field]) => [key, field.default])
+        ));
+    }, [selectedEngine]);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!name.trim()) return;
@@ -340,7 +952,11 @@ function CreateModal({ onClose, onCreate }) {
         setIsCreating(true);
         setError(null);
         try {
-            await onCreate(name.trim(), engine);
+            // Blank fields fall back to the engine's defaults
+            const filled = Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== ''));
+            await onCreate(name.trim(), engine, {
+                ttl, parameters: filled, plan: supportsPlans ? plan : undefined, idempotencyKey,
+            });
         } catch (err) {
             setError(err.message);
             setIsCreating(false);
@@ -354,7 +970,7 @@ function CreateModal({ onClose, onCreate }) {
             <div className="modal">
                 <h2 className="modal__title">Create New Store</h2>
                 <p className="modal__subtitle">
-                    A new WooCommerce store will be provisioned in an isolated Kubernetes namespace.
+                    A new store will be provisioned in an isolated Kubernetes namespace.
                 </p>
 
                 <form onSubmit={handleSubmit}>
@@ -378,13 +994,76 @@ function CreateModal({ onClose, onCreate }) {
                             id="store-engine"
                             value={engine}
                             onChange={(e) => setEngine(e.target.value)}
+                            disabled={isCreating || !engines}
+                        >
+                            {!engines && <option value="">Loading engines...</option>}
+                            {engines?.map(e => (
+                                <option key={e.name} value={e.name} disabled={!e.available}>
+                                    {e.displayName}{e.available ? '' : ' (Unavailable)'}
+                                </option>
+                            ))}
+                        </select>
+                        {selectedEngine?.description && (
+                            <p className="form-hint">{selectedEngine.description}</p>
+                        )}
+                    </div>
+
+                    {supportsPlans && plans.length > 0 && (
+                        <div className="form-group">
+                            <label htmlFor="store-plan">Plan</label>
+                            <select
+                                id="store-plan"
+                                value={plan}
+                                onChange={(e) => setPlan(e.target.value)}
+                                disabled={isCreating}
+                            >
+                                {plans.map(p => (
+                                    <option key={p.id} value={p.id}>{planLabel(p)}</option>
+                                ))}
+                            </select>
+                            <p className="form-hint">Counts against your tenant's CPU, memory and storage budget.</p>
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label htmlFor="store-ttl">Lifetime</label>
+                        <select
+                            id="store-ttl"
+                            value={ttl}
+                            onChange={(e) => setTtl(e.target.value)}
                             disabled={isCreating}
                         >
-                            <option value="woocommerce">WooCommerce (WordPress)</option>
-                            <option value="medusa" disabled>MedusaJS (Coming Soon)</option>
+                            {TTL_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
                         </select>
+                        {ttl && (
+                            <p className="form-hint">The store is deleted automatically when this runs out.</p>
+                        )}
                     </div>
 
+                    {parameterFields.length > 0 && (
+                        <button
+                            type="button"
+                            className="btn btn--ghost btn--sm"
+                            onClick={() => setShowAdvanced(prev => !prev)}
+                        >
+                            {showAdvanced ? '▾' : '▸'} Store options
+                        </button>
+                    )}
+
+                    {showAdvanced && parameterFields.map(([key, field]) => (
+                        <SchemaField
+                            key={`${engine}-${key}`}
+                            id={`param-${key}`}
+                            name={key}
+                            field={field}
+                            value={parameters[key]}
+                            onChange={(value) => setParameters(prev => ({ ...prev, [key]: value }))}
+                            disabled={isCreating}
+                        />
+                    ))}
+
                     {error && (
                         <div className="store-card__error">
                             {error}
@@ -403,7 +1082,7 @@ function CreateModal({ onClose, onCreate }) {
                         <button
                             type="submit"
                             className="btn btn--primary"
-                            disabled={!name.trim() || isCreating}
+                            disabled={!name.trim() || !engine || isCreating}
                         >
                             {isCreating ? (
                                 <>
@@ -421,76 +1100,957 @@ function CreateModal({ onClose, onCreate }) {
     );
 }
 
-/* ─── Activity Log Component ────────────────────────────────────── */
-function ActivityLog({ entries }) {
-    const formatTime = (dateStr) => {
-        if (!dateStr) return '—';
-        const d = new Date(dateStr + 'Z');
-        return d.toLocaleString('en-US', {
-            month: 'short', day: 'numeric',
-            hour: '2-digit', minute: '2-digit', second: '2-digit',
-        });
-    };
+/* ─── Store Detail Modal ─────────────────────────────────────────── */
+// Helm revision history with per-revision value changes; rollback is offered
+// for every revision except the one currently deployed. Domains and backups below.
+function StoreDetailModal({
+    store, onClose, onRollback, onBackup, onRestore, canRestoreAsNew, canRestoreInPlace, canSchedule,
+    supportsDomains, canManageDomains,
+}) {
+    const [revisions, setRevisions] = useState(null);
+    const [error, setError] = useState(null);
 
-    const actionIcons = {
-        create: '🆕',
-        delete: '🗑️',
-        status_change: '🔄',
-        retry: '↻',
-        recovery: '🔧',
-    };
+    useEffect(() => {
+        storesApi.getRevisions(store.id)
+            .then(data => setRevisions(data.revisions))
+            .catch(err => setError(err.message));
+    }, [store.id, store.status]);
 
-    if (entries.length === 0) {
-        return (
-            <div className="empty-state">
-                <div className="empty-state__icon">📋</div>
-                <h2 className="empty-state__title">No activity yet</h2>
-                <p className="empty-state__text">Actions will appear here as you create, delete, and manage stores.</p>
-            </div>
-        );
-    }
+    const canRollBack = onRollback && ['ready', 'failed'].includes(store.status);
 
     return (
-        <div className="activity-log">
-            {entries.map(entry => {
-                let details = {};
-                try { details = JSON.parse(entry.details || '{}'); } catch (e) { }
-                return (
-                    <div key={entry.id} className="activity-entry">
-                        <span className="activity-entry__icon">
-                            {actionIcons[entry.action] || '•'}
-                        </span>
-                        <div className="activity-entry__content">
-                            <span className="activity-entry__action">
-                                {entry.action.replace('_', ' ')}
-                            </span>
-                            <span className="activity-entry__store">
-                                {entry.store_id}
-                            </span>
-                            {details.status && (
-                                <span className={`status-badge status-badge--${details.status}`} style={{ fontSize: '0.7rem', padding: '2px 6px' }}>
-                                    {details.status}
-                                </span>
-                            )}
-                            {details.errorMessage && (
-                                <span className="activity-entry__error">
-                                    {details.errorMessage}
-                                </span>
-                            )}
-                        </div>
-                        <span className="activity-entry__time">
-                            {formatTime(entry.created_at)}
-                        </span>
+        <div className="modal-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="modal modal--wide">
+                <h2 className="modal__title">{store.name}</h2>
+                <p className="modal__subtitle">
+                    {store.engine} · {store.namespace} · {STATUS_CONFIG[store.status]?.label || store.status}
+                </p>
+
+                {error && (
+                    <div className="store-card__error">
+                        Failed to load revisions: {error}
                     </div>
-                );
-            })}
-        </div>
-    );
-}
+                )}
 
-/* ─── Metrics Panel Component ───────────────────────────────────── */
-function MetricsPanel({ data }) {
-    if (!data) {
+                {!revisions && !error && (
+                    <p className="form-hint">
+                        <span className="spinner" /> Loading revisions...
+                    </p>
+                )}
+
+                {revisions && revisions.length === 0 && (
+                    <p className="form-hint">No Helm revisions yet.</p>
+                )}
+
+                {revisions && revisions.length > 0 && (
+                    <div className="revision-list">
+                        {revisions.map(rev => (
+                            <div key={rev.revision} className={`revision revision--${rev.status}`}>
+                                <div className="revision__header">
+                                    <span className="revision__number">#{rev.revision}</span>
+                                    <span className="revision__status">{rev.status}</span>
+                                    <span className="revision__description">{rev.description}</span>
+                                    {canRollBack && rev.status !== 'deployed' && (
+                                        <button
+                                            className="btn btn--ghost btn--sm"
+                                            onClick={() => onRollback(store.id, rev.revision)}
+                                        >
+                                            ↺ Roll back
+                                        </button>
+                                    )}
+                                </div>
+                                {rev.changes && rev.changes.length > 0 && (
+                                    <ul className="revision__changes">
+                                        {rev.changes.map(change => (
+                                            <li key={change.key}>
+                                                <code>{change.key}</code>: {String(change.from ?? '—')} → {String(change.to ?? '—')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {supportsDomains && <DomainList store={store} canEdit={canManageDomains} />}
+
+                <BackupList
+                    store={store}
+                    onBackup={onBackup}
+                    onRestore={onRestore}
+                    canRestoreAsNew={canRestoreAsNew}
+                    canRestoreInPlace={canRestoreInPlace}
+                    canSchedule={canSchedule}
+                />
+
+                <div className="modal__actions">
+                    <button type="button" className="btn btn--ghost" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/* ─── Domain List ────────────────────────────────────────────────── */
+// A domain is routed once its TXT record verifies; until then its DNS records
+// are shown. Uploaded keys go straight to the API and are never kept here.
+const TLS_MODE_LABELS = {
+    none: 'No TLS',
+    'cert-manager': "Let's Encrypt (cert-manager)",
+    secret: 'Upload certificate',
+};
+
+const EMPTY_DOMAIN = { hostname: '', tls: 'none', certificate: '', privateKey: '', primary: false };
+
+function DomainList({ store, canEdit }) {
+    const [domains, setDomains] = useState(null);
+    const [form, setForm] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const loadDomains = useCallback(() => {
+        storesApi.getDomains(store.id)
+            .then(data => setDomains(data.domains))
+            .catch(err => setError(err.message));
+    }, [store.id]);
+
+    useEffect(() => {
+        loadDomains();
+    }, [loadDomains, store.status]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+            loadDomains();
+            return true;
+        } catch (err) {
+            setError(err.message);
+            loadDomains();
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const add = async (e) => {
+        e.preventDefault();
+        const { certificate, privateKey, ...domain } = form;
+        const added = await run(() => storesApi.addDomain(store.id, {
+            ...domain,
+            primary: domain.primary || undefined,
+            ...(form.tls === 'secret' && { certificate, privateKey }),
+        }));
+        if (added) setForm(null);
+    };
+
+    const remove = (hostname) => {
+        if (!window.confirm(`Remove ${hostname} from this store?`)) return;
+        run(() => storesApi.removeDomain(store.id, hostname));
+    };
+
+    const ready = store.status === 'ready';
+
+    return (
+        <div className="backup-list">
+            <div className="backup-list__header">
+                <h3>Domains</h3>
+                {canEdit && !form && (
+                    <button className="btn btn--ghost btn--sm" onClick={() => setForm(EMPTY_DOMAIN)} disabled={!ready}>
+                        + Add domain
+                    </button>
+                )}
+            </div>
+
+            {form && (
+                <form className="backup-schedule" onSubmit={add}>
+                    <div className="form-group">
+                        <label htmlFor="domain-hostname">Hostname</label>
+                        <input
+                            id="domain-hostname"
+                            type="text"
+                            placeholder="shop.example.com"
+                            value={form.hostname}
+                            onChange={(e) => setForm(prev => ({ ...prev, hostname: e.target.value }))}
+                            disabled={busy}
+                            autoFocus
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="domain-tls">TLS</label>
+                        <select
+                            id="domain-tls"
+                            value={form.tls}
+                            onChange={(e) => setForm(prev => ({ ...prev, tls: e.target.value }))}
+                            disabled={busy}
+                        >
+                            {Object.entries(TLS_MODE_LABELS).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {form.tls === 'secret' && ['certificate', 'privateKey'].map(field => (
+                        <div className="form-group" key={field}>
+                            <label htmlFor={`domain-${field}`}>
+                                {field === 'certificate' ? 'Certificate (PEM, with chain)' : 'Private key (PEM)'}
+                            </label>
+                            <textarea
+                                id={`domain-${field}`}
+                                rows={4}
+                                value={form[field]}
+                                onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+                                disabled={busy}
+                                spellCheck={false}
+                            />
+                        </div>
+                    ))}
+                    <label className="backup-schedule__toggle">
+                        <input
+                            type="checkbox"
+                            checked={form.primary}
+                            onChange={(e) => setForm(prev => ({ ...prev, primary: e.target.checked }))}
+                            disabled={busy}
+                        />
+                        Primary (the store's own URL)
+                    </label>
+                    <div className="modal__actions">
+                        <button type="button" className="btn btn--ghost btn--sm" onClick={() => setForm(null)}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn--primary btn--sm" disabled={busy || !form.hostname.trim()}>
+                            {busy ? 'Adding...' : 'Add domain'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {error && <div className="store-card__error">{error}</div>}
+
+            {domains && domains.length === 0 && !form && (
+                <p className="form-hint">Served at {store.store_url || 'its platform URL'} only.</p>
+            )}
+
+            {domains?.map(domain => (
+                <div key={domain.hostname} className={`revision domain--${domain.status}`}>
+                    <div className="revision__header">
+                        <span className="revision__number">{domain.primary ? '★ ' : ''}{domain.hostname}</span>
+                        <span className="revision__status">{domain.status}</span>
+                        <span className="revision__description">
+                            {TLS_MODE_LABELS[domain.tls.mode]}
+                            {domain.tls.expiresAt && ` · expires ${new Date(domain.tls.expiresAt).toLocaleDateString()}`}
+                        </span>
+                        {canEdit && domain.status !== 'verified' && (
+                            <button
+                                className="btn btn--ghost btn--sm"
+                                onClick={() => run(() => storesApi.verifyDomain(store.id, domain.hostname))}
+                                disabled={busy || !ready}
+                            >
+                                Verify
+                            </button>
+                        )}
+                        {canEdit && (
+                            <button
+                                className="btn btn--ghost btn--sm"
+                                onClick={() => remove(domain.hostname)}
+                                disabled={busy || (domain.status === 'verified' && !ready)}
+                            >
+                                Remove
+                            </button>
+                        )}
+                    </div>
+                    {domain.status !== 'verified' && (
+                        <ul className="revision__changes">
+                            {domain.dns.map(record => (
+                                <li key={record.type}>
+                                    {record.type} <code>{record.name}</code> → <code>{record.value}</code>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {domain.status === 'failed' && domain.lastError && (
+                        <div className="form-hint">{domain.lastError}</div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/* ─── Backup List ────────────────────────────────────────────────── */
+// Polls while a backup is pending or running. Only backups on a durable
+// target (s3) can seed a new store; PVC backups live in the store namespace.
+function BackupList({ store, onBackup, onRestore, canRestoreAsNew, canRestoreInPlace, canSchedule }) {
+    const [backups, setBackups] = useState(null);
+    const [error, setError] = useState(null);
+
+    const loadBackups = useCallback(() => {
+        storesApi.getBackups(store.id)
+            .then(data => setBackups(data.backups))
+            .catch(err => setError(err.message));
+    }, [store.id]);
+
+    useEffect(() => {
+        loadBackups();
+    }, [loadBackups, store.status]);
+
+    const inFlight = backups?.some(b => ['pending', 'running'].includes(b.status));
+    useEffect(() => {
+        if (!inFlight) return;
+        const timer = setInterval(loadBackups, 3000);
+        return () => clearInterval(timer);
+    }, [inFlight, loadBackups]);
+
+    const startBackup = async () => {
+        await onBackup(store.id);
+        loadBackups();
+    };
+
+    const formatSize = (bytes) => {
+        if (bytes == null) return '—';
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    };
+
+    const ready = store.status === 'ready';
+
+    return (
+        <div className="backup-list">
+            <div className="backup-list__header">
+                <h3>Backups</h3>
+                {onBackup && (
+                    <button
+                        className="btn btn--ghost btn--sm"
+                        onClick={startBackup}
+                        disabled={!ready || inFlight}
+                    >
+                        + Back up now
+                    </button>
+                )}
+            </div>
+
+            <BackupSchedule store={store} canEdit={canSchedule} />
+
+            {error && (
+                <div className="store-card__error">
+                    Failed to load backups: {error}
+                </div>
+            )}
+
+            {backups && backups.length === 0 && (
+                <p className="form-hint">No backups yet.</p>
+            )}
+
+            {backups?.map(backup => (
+                <div key={backup.id} className={`revision backup--${backup.status}`}>
+                    <div className="revision__header">
+                        <span className="revision__number">{backup.id}</span>
+                        <span className="revision__status">{backup.status}</span>
+                        <span className="revision__description">
+                            {backup.target} · {formatSize(backup.size_bytes)} · {backup.created_at}
+                        </span>
+                        {onRestore && backup.status === 'completed' && canRestoreInPlace && ready && (
+                            <button
+                                className="btn btn--ghost btn--sm"
+                                onClick={() => onRestore(store.id, backup.id, 'existing')}
+                            >
+                                Restore
+                            </button>
+                        )}
+                        {onRestore && backup.status === 'completed' && canRestoreAsNew && backup.target === 's3' && (
+                            <button
+                                className="btn btn--ghost btn--sm"
+                                onClick={() => onRestore(store.id, backup.id, 'new')}
+                            >
+                                Restore as new
+                            </button>
+                        )}
+                    </div>
+                    {backup.checksum && (
+                        <div className="form-hint">
+                        {backup.trigger === 'scheduled' ? 'scheduled · ' : ''}sha256 {backup.checksum.slice(0, 16)}…
+                    </div>
+                    )}
+                    {backup.error_message && (
+                        <div className="store-card__error">{backup.error_message}</div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/* ─── Backup Schedule ────────────────────────────────────────────── */
+// Cron runs in UTC. Retention keeps the newest scheduled backup per day, ISO
+// week and month for the given counts; manual backups are never pruned.
+const RETENTION_RULES = ['daily', 'weekly', 'monthly'];
+
+function BackupSchedule({ store, canEdit }) {
+    const [schedule, setSchedule] = useState(undefined);
+    const [form, setForm] = useState(null);
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        storesApi.getBackupSchedule(store.id)
+            .then(data => setSchedule(data.schedule))
+            .catch(err => setError(err.message));
+    }, [store.id]);
+
+    const startEditing = () => {
+        setError(null);
+        setForm({
+            cron: schedule?.cron || '0 3 * * *',
+            enabled: schedule ? schedule.enabled : true,
+            retention: { daily: 7, weekly: 4, monthly: 0, ...schedule?.retention },
+        });
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+        try {
+            const data = await storesApi.setBackupSchedule(store.id, form);
+            setSchedule(data.schedule);
+            setForm(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const remove = async () => {
+        if (!window.confirm('Remove the backup schedule? Existing backups are kept.')) return;
+        try {
+            await storesApi.deleteBackupSchedule(store.id);
+            setSchedule(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (schedule === undefined && !error) return null;
+
+    if (form) {
+        return (
+            <form className="backup-schedule" onSubmit={save}>
+                <div className="form-group">
+                    <label htmlFor="schedule-cron">Schedule (cron, UTC)</label>
+                    <input
+                        id="schedule-cron"
+                        type="text"
+                        placeholder="0 3 * * *"
+                        value={form.cron}
+                        onChange={(e) => setForm(prev => ({ ...prev, cron: e.target.value }))}
+                        disabled={isSaving}
+                    />
+                    <p className="form-hint">e.g. "0 3 * * *" (daily at 03:00), "@hourly", "0 2 * * 0" (Sundays)</p>
+                </div>
+                <div className="backup-schedule__retention">
+                    {RETENTION_RULES.map(rule => (
+                        <div className="form-group" key={rule}>
+                            <label htmlFor={`retention-${rule}`}>Keep {rule}</label>
+                            <input
+                                id={`retention-${rule}`}
+                                type="number"
+                                min={0}
+                                value={form.retention[rule]}
+                                onChange={(e) => setForm(prev => ({
+                                    ...prev,
+                                    retention: { ...prev.retention, [rule]: parseInt(e.target.value || '0', 10) },
+                                }))}
+                                disabled={isSaving}
+                            />
+                        </div>
+                    ))}
+                </div>
+                <label className="backup-schedule__toggle">
+                    <input
+                        type="checkbox"
+                        checked={form.enabled}
+                        onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                        disabled={isSaving}
+                    />
+                    Enabled
+                </label>
+                {error && <div className="store-card__error">{error}</div>}
+                <div className="modal__actions">
+                    <button type="button" className="btn btn--ghost btn--sm" onClick={() => setForm(null)}>
+                        Cancel
+                    </button>
+                    <button type="submit" className="btn btn--primary btn--sm" disabled={isSaving}>
+                        {isSaving ? 'Saving...' : 'Save schedule'}
+                    </button>
+                </div>
+            </form>
+        );
+    }
+
+    const retention = schedule && RETENTION_RULES
+        .filter(rule => schedule.retention[rule] > 0)
+        .map(rule => `${schedule.retention[rule]} ${rule}`)
+        .join(', ');
+
+    return (
+        <div className="backup-schedule">
+            <div className="backup-schedule__summary">
+                {schedule ? (
+                    <span>
+                        ⏰ <code>{schedule.cron}</code>
+                        {schedule.enabled ? '' : ' (paused)'} · keep {retention || 'all'}
+                    </span>
+                ) : (
+                    <span className="form-hint">No backup schedule.</span>
+                )}
+                {canEdit && (
+                    <span>
+                        <button className="btn btn--ghost btn--sm" onClick={startEditing}>
+                            {schedule ? 'Edit' : 'Schedule backups'}
+                        </button>
+                        {schedule && (
+                            <button className="btn btn--ghost btn--sm" onClick={remove}>Remove</button>
+                        )}
+                    </span>
+                )}
+            </div>
+            {schedule && (
+                <div className="form-hint">
+                    {schedule.enabled && `Next run ${new Date(schedule.next_run_at).toLocaleString()}`}
+                    {schedule.last_success_at && ` · last success ${new Date(schedule.last_success_at).toLocaleString()}`}
+                </div>
+            )}
+            {schedule?.last_error && schedule.last_failure_at > (schedule.last_success_at || '') && (
+                <div className="store-card__error">{schedule.last_error}</div>
+            )}
+            {error && <div className="store-card__error">{error}</div>}
+        </div>
+    );
+}
+
+/* ─── Schema Field ───────────────────────────────────────────────── */
+// One form control for a property of an engine's JSON schema (settings or
+// creation parameters): enums become selects, booleans checkboxes.
+function SchemaField({ id, name, field, value, onChange, disabled }) {
+    if (field.type === 'boolean') {
+        return (
+            <div className="form-group">
+                <label className="backup-schedule__toggle">
+                    <input
+                        id={id}
+                        type="checkbox"
+                        checked={Boolean(value)}
+                        onChange={(e) => onChange(e.target.checked)}
+                        disabled={disabled}
+                    />
+                    {field.title || name}
+                </label>
+                {field.description && <p className="form-hint">{field.description}</p>}
+            </div>
+        );
+    }
+
+    const numeric = field.type === 'integer' || field.type === 'number';
+    return (
+        <div className="form-group">
+            <label htmlFor={id}>{field.title || name}</label>
+            {field.enum ? (
+                <select id={id} value={value ?? ''} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+                    {field.enum.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            ) : (
+                <input
+                    id={id}
+                    type={numeric ? 'number' : 'text'}
+                    value={value ?? ''}
+                    onChange={(e) => onChange(numeric && e.target.value !== '' ? Number(e.target.value) : e.target.value)}
+                    maxLength={field.maxLength}
+                    disabled={disabled}
+                />
+            )}
+            {field.description && <p className="form-hint">{field.description}</p>}
+        </div>
+    );
+}
+
+/* ─── Store Settings Modal ───────────────────────────────────────── */
+// Fields come from the engine's settings schema, plus the resource plan for
+// engines that support plans; only changed values are sent.
+function SettingsModal({ store, engine, onClose, onSave }) {
+    const current = { ...engine.defaultSettings, ...parseSettings(store.settings) };
+    const [values, setValues] = useState(current);
+    const [plans, setPlans] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const supportsPlans = engine.capabilities.includes('plans');
+
+    useEffect(() => {
+        if (!supportsPlans) return;
+        storesApi.getPlans()
+            .then(data => setPlans(data.plans))
+            .catch(err => setError(`Failed to load plans: ${err.message}`));
+    }, [supportsPlans]);
+
+    const changes = Object.fromEntries(
+        Object.entries(values).filter(([key, value]) => value !== current[key])
+    );
+    const hasChanges = Object.keys(changes).length > 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!hasChanges) return;
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave(store.id, changes);
+        } catch (err) {
+            setError(err.message);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="modal">
+                <h2 className="modal__title">Store Settings</h2>
+                <p className="modal__subtitle">
+                    Changes are rolled out with a Helm upgrade. If it fails, the current release stays deployed.
+                </p>
+
+                <form onSubmit={handleSubmit}>
+                    {supportsPlans && plans.length > 0 && (
+                        <div className="form-group">
+                            <label htmlFor="setting-plan">Plan</label>
+                            <select
+                                id="setting-plan"
+                                value={values.plan}
+                                onChange={(e) => setValues(prev => ({ ...prev, plan: e.target.value }))}
+                                disabled={isSaving}
+                            >
+                                {plans.map(p => (
+                                    <option key={p.id} value={p.id}>{planLabel(p)}</option>
+                                ))}
+                            </select>
+                            <p className="form-hint">Volumes can grow but not shrink; the database volume keeps its install size.</p>
+                        </div>
+                    )}
+
+                    {Object.entries(engine.settings.properties).map(([key, field]) => (
+                        <SchemaField
+                            key={key}
+                            id={`setting-${key}`}
+                            name={key}
+                            field={field}
+                            value={values[key]}
+                            onChange={(value) => setValues(prev => ({ ...prev, [key]: value }))}
+                            disabled={isSaving}
+                        />
+                    ))}
+
+                    {error && (
+                        <div className="store-card__error">
+                            {error}
+                        </div>
+                    )}
+
+                    <div className="modal__actions">
+                        <button type="button" className="btn btn--ghost" onClick={onClose} disabled={isSaving}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn--primary" disabled={!hasChanges || isSaving}>
+                            {isSaving ? (
+                                <>
+                                    <span className="spinner" />
+                                    Applying...
+                                </>
+                            ) : (
+                                'Apply Changes'
+                            )}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+function parseSettings(raw) {
+    try {
+        return typeof raw === 'string' ? JSON.parse(raw) : (raw || {});
+    } catch {
+        return {};
+    }
+}
+
+/* ─── API Key Modal ──────────────────────────────────────────────── */
+function ApiKeyModal({ initialKey, onClose, onSave }) {
+    const [key, setKey] = useState(initialKey);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!key.trim()) return;
+        onSave(key.trim());
+        onClose();
+    };
+
+    return (
+        <div className="modal-overlay" onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+        }}>
+            <div className="modal">
+                <h2 className="modal__title">API Key Required</h2>
+                <p className="modal__subtitle">
+                    This platform requires authentication. Paste an API key or bearer token.
+                </p>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label htmlFor="api-key">API Key</label>
+                        <input
+                            id="api-key"
+                            type="password"
+                            placeholder="spk_..."
+                            value={key}
+                            onChange={(e) => setKey(e.target.value)}
+                            autoFocus
+                        />
+                    </div>
+
+                    <div className="modal__actions">
+                        <button type="button" className="btn btn--ghost" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn--primary" disabled={!key.trim()}>
+                            Save Key
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+/* ─── Activity Log Component ────────────────────────────────────── */
+const ACTION_ICONS = {
+    create: '🆕',
+    delete: '🗑️',
+    status_change: '🔄',
+    retry: '↻',
+    update_requested: '⚙',
+    update: '⚙',
+    rollback_requested: '↺',
+    rollback: '↺',
+    backup_requested: '💾',
+    backup: '💾',
+    backup_failed: '💾',
+    backup_skipped: '⏭️',
+    backup_pruned: '🧹',
+    backup_schedule_updated: '⏰',
+    backup_schedule_deleted: '⏰',
+    restore_requested: '♻️',
+    restore: '♻️',
+    soft_delete: '⏳',
+    undelete: '↶',
+    expired: '⏱',
+    domain_added: '🌐',
+    domain_verified: '🌐',
+    domain_removed: '🌐',
+    domains_applied: '🌐',
+    expiry_extended: '⏱',
+    hibernate: '💤',
+    wake: '☀',
+    clone_requested: '⧉',
+    clone: '⧉',
+    recovery: '🔧',
+    api_key_created: '🔑',
+    api_key_revoked: '🔒',
+    credentials_viewed: '🔑',
+    credentials_rotated: '🔑',
+    tenant_created: '🏢',
+    tenant_updated: '🏢',
+    plan_created: '📐',
+    plan_updated: '📐',
+    plan_deleted: '📐',
+};
+
+function ActivityLog({ entries, stores, filters, onFilter, hasMore, onLoadMore, onExport }) {
+    const formatTime = (dateStr) => {
+        if (!dateStr) return '—';
+        const d = new Date(dateStr + 'Z');
+        return d.toLocaleString('en-US', {
+            month: 'short', day: 'numeric',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        });
+    };
+
+    const filtered = Boolean(filters.action || filters.store || filters.actor);
+
+    return (
+        <>
+            <div className="store-filters">
+                <select
+                    aria-label="Filter by action"
+                    value={filters.action}
+                    onChange={(e) => onFilter({ action: e.target.value })}
+                >
+                    <option value="">All actions</option>
+                    {Object.keys(ACTION_ICONS).map(action => (
+                        <option key={action} value={action}>{action.replaceAll('_', ' ')}</option>
+                    ))}
+                </select>
+                <select
+                    aria-label="Filter by store"
+                    value={filters.store}
+                    onChange={(e) => onFilter({ store: e.target.value })}
+                >
+                    <option value="">All stores</option>
+                    {stores.map(s => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                </select>
+                <select
+                    aria-label="Filter by actor"
+                    value={filters.actor}
+                    onChange={(e) => onFilter({ actor: e.target.value })}
+                >
+                    <option value="">Anyone</option>
+                    <option value="me">Me</option>
+                </select>
+                <button className="btn btn--ghost btn--sm" onClick={() => onExport('csv')}>Export CSV</button>
+                <button className="btn btn--ghost btn--sm" onClick={() => onExport('ndjson')}>Export NDJSON</button>
+            </div>
+
+            {entries.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state__icon">📋</div>
+                    <h2 className="empty-state__title">{filtered ? 'No matching activity' : 'No activity yet'}</h2>
+                    <p className="empty-state__text">
+                        {filtered
+                            ? 'Try other filters.'
+                            : 'Actions will appear here as you create, delete, and manage stores.'}
+                    </p>
+                </div>
+            ) : (
+                <div className="activity-log">
+                    {entries.map(entry => {
+                        let details = {};
+                        try { details = JSON.parse(entry.details || '{}'); } catch (e) { }
+                        return (
+                            <div key={entry.id} className="activity-entry">
+                                <span className="activity-entry__icon">
+                                    {ACTION_ICONS[entry.action] || '•'}
+                                </span>
+                                <div className="activity-entry__content">
+                                    <span className="activity-entry__action">
+                                        {entry.action.replace('_', ' ')}
+                                    </span>
+                                    <span className="activity-entry__store">
+                                        {entry.store_id}
+                                    </span>
+                                    {entry.actor && (
+                                        <span className="activity-entry__actor">
+                                            by {entry.actor}
+                                        </span>
+                                    )}
+                                    {details.status && (
+                                        <span className={`status-badge status-badge--${details.status}`} style={{ fontSize: '0.7rem', padding: '2px 6px' }}>
+                                            {details.status}
+                                        </span>
+                                    )}
+                                    {details.errorMessage && (
+                                        <span className="activity-entry__error">
+                                            {details.errorMessage}
+                                        </span>
+                                    )}
+                                </div>
+                                <span className="activity-entry__time">
+                                    {formatTime(entry.created_at)}
+                                </span>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {hasMore && (
+                <div className="load-more">
+                    <button className="btn btn--ghost" onClick={onLoadMore}>
+                        Load more activity
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
+
+/* ─── Provisioning Chart ─────────────────────────────────────────── */
+// One column per day: p95 time to ready, with p50 drawn inside it.
+function ProvisioningChart({ days, formatDuration }) {
+    const max = Math.max(...days.map(d => d.p95DurationSeconds), 1);
+    const share = (seconds, of) => `${Math.round((seconds / (of || 1)) * 100)}%`;
+
+    return (
+        <div className="duration-chart">
+            <div className="stat-rows__title">
+                Time to ready by day
+                <span className="duration-chart__legend">
+                    <span className="duration-chart__swatch duration-chart__swatch--p95" /> p95
+                    <span className="duration-chart__swatch duration-chart__swatch--p50" /> p50
+                </span>
+            </div>
+            <div className="duration-chart__plot">
+                {days.map(day => (
+                    <div
+                        key={day.date}
+                        className="duration-chart__day"
+                        title={`${day.date}: p50 ${formatDuration(day.p50DurationSeconds)}, p95 ${formatDuration(day.p95DurationSeconds)} · ${day.succeeded} ready, ${day.failed} failed`}
+                    >
+                        <div className="duration-chart__bars">
+                            <div
+                                className="duration-chart__bar duration-chart__bar--p95"
+                                style={{ height: share(day.p95DurationSeconds, max) }}
+                            >
+                                <div
+                                    className="duration-chart__bar duration-chart__bar--p50"
+                                    style={{ height: share(day.p50DurationSeconds, day.p95DurationSeconds) }}
+                                />
+                            </div>
+                        </div>
+                        <div className={`duration-chart__failed${day.failed ? '' : ' duration-chart__failed--none'}`}>
+                            {day.failed ? `✕${day.failed}` : '·'}
+                        </div>
+                        <div className="duration-chart__label">{day.date.slice(5)}</div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/* ─── Metrics Panel Component ───────────────────────────────────── */
+// Provisioning stats cover attempts started in the API's window (`windowDays`).
+const PHASE_LABELS = {
+    helm_install: 'Helm install',
+    pods: 'Pod readiness',
+    init: 'Init job',
+    restore: 'Backup restore',
+    clone: 'Clone copy',
+};
+
+function MetricsPanel({ data }) {
+    if (!data) {
         return (
             <div className="empty-state">
                 <div className="spinner" style={{ width: 32, height: 32 }} />
@@ -505,6 +2065,10 @@ function MetricsPanel({ data }) {
         return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
     };
 
+    const formatRate = (rate) => (rate == null ? '—' : `${Math.round(rate * 100)}%`);
+
+    const provisioning = data.provisioning || {};
+
     return (
         <div className="metrics-panel">
             <div className="metrics-section">
@@ -530,27 +2094,124 @@ function MetricsPanel({ data }) {
             </div>
 
             <div className="metrics-section">
-                <h3 className="metrics-section__title">⏱️ Provisioning Performance</h3>
+                <h3 className="metrics-section__title">
+                    ⏱️ Provisioning Performance
+                    {provisioning.windowDays && (
+                        <span className="metrics-section__hint"> · last {provisioning.windowDays} days</span>
+                    )}
+                </h3>
                 <div className="metrics-grid">
                     <div className="metric-card">
-                        <div className="metric-card__value">{data.provisioning?.totalProvisioned || 0}</div>
+                        <div className="metric-card__value">{provisioning.totalProvisioned || 0}</div>
                         <div className="metric-card__label">Total Provisioned</div>
                     </div>
                     <div className="metric-card">
-                        <div className="metric-card__value">{formatDuration(data.provisioning?.avgDurationSeconds)}</div>
+                        <div className="metric-card__value">{formatDuration(provisioning.avgDurationSeconds)}</div>
                         <div className="metric-card__label">Avg Duration</div>
                     </div>
                     <div className="metric-card">
-                        <div className="metric-card__value">{formatDuration(data.provisioning?.minDurationSeconds)}</div>
+                        <div className="metric-card__value">{formatDuration(provisioning.minDurationSeconds)}</div>
                         <div className="metric-card__label">Fastest</div>
                     </div>
                     <div className="metric-card">
-                        <div className="metric-card__value">{formatDuration(data.provisioning?.maxDurationSeconds)}</div>
+                        <div className="metric-card__value">{formatDuration(provisioning.maxDurationSeconds)}</div>
                         <div className="metric-card__label">Slowest</div>
                     </div>
+                    <div className="metric-card">
+                        <div className="metric-card__value">{formatDuration(provisioning.p50DurationSeconds)}</div>
+                        <div className="metric-card__label">p50</div>
+                    </div>
+                    <div className="metric-card">
+                        <div className="metric-card__value">{formatDuration(provisioning.p95DurationSeconds)}</div>
+                        <div className="metric-card__label">p95</div>
+                    </div>
+                    <div className="metric-card metric-card--ready">
+                        <div className="metric-card__value">{formatRate(provisioning.successRate)}</div>
+                        <div className="metric-card__label">Success Rate</div>
+                    </div>
+                    <div className="metric-card">
+                        <div className="metric-card__value">{provisioning.retries || 0}</div>
+                        <div className="metric-card__label">Retries</div>
+                    </div>
                 </div>
+
+                {provisioning.daily?.length > 0 && (
+                    <ProvisioningChart days={provisioning.daily} formatDuration={formatDuration} />
+                )}
+
+                {Object.keys(provisioning.byEngine || {}).length > 0 && (
+                    <div className="stat-rows">
+                        <div className="stat-rows__title">By engine</div>
+                        {Object.entries(provisioning.byEngine).map(([engine, stats]) => (
+                            <div key={engine} className="stat-row">
+                                <span className="stat-row__name">{engine}</span>
+                                <span>{stats.attempts} attempts</span>
+                                <span className="stat-row__ok">{formatRate(stats.successRate)} ok</span>
+                                <span>{stats.retries} retries</span>
+                                <span>
+                                    p50 {formatDuration(stats.p50DurationSeconds)} · p95 {formatDuration(stats.p95DurationSeconds)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {Object.keys(provisioning.phases || {}).length > 0 && (
+                    <div className="stat-rows">
+                        <div className="stat-rows__title">By phase</div>
+                        {Object.entries(provisioning.phases).map(([phase, stats]) => (
+                            <div key={phase} className="stat-row">
+                                <span className="stat-row__name">{PHASE_LABELS[phase] || phase}</span>
+                                <span>
+                                    p50 {formatDuration(stats.p50Seconds)} · p95 {formatDuration(stats.p95Seconds)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
             </div>
 
+            {data.backups && (
+                <div className="metrics-section">
+                    <h3 className="metrics-section__title">💾 Backups</h3>
+                    <div className="metrics-grid">
+                        <div className="metric-card metric-card--ready">
+                            <div className="metric-card__value">{data.backups.byStatus?.completed || 0}</div>
+                            <div className="metric-card__label">Completed</div>
+                        </div>
+                        <div className="metric-card metric-card--failed">
+                            <div className="metric-card__value">{data.backups.byStatus?.failed || 0}</div>
+                            <div className="metric-card__label">Failed</div>
+                        </div>
+                        <div className="metric-card">
+                            <div className="metric-card__value">
+                                {data.backups.schedules?.enabled || 0}/{data.backups.schedules?.total || 0}
+                            </div>
+                            <div className="metric-card__label">Active Schedules</div>
+                        </div>
+                    </div>
+                    <div className="failures-list">
+                        {data.backups.lastSuccess && (
+                            <div className="failure-entry">
+                                <span className="failure-entry__name">Last success</span>
+                                <span>
+                                    {data.backups.lastSuccess.store_id} · {data.backups.lastSuccess.completed_at}
+                                </span>
+                            </div>
+                        )}
+                        {data.backups.lastFailure && (
+                            <div className="failure-entry">
+                                <span className="failure-entry__name">Last failure</span>
+                                <span className="failure-entry__error">
+                                    {data.backups.lastFailure.store_id} · {data.backups.lastFailure.completed_at}
+                                    {' '}— {data.backups.lastFailure.error_message}
+                                </span>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {data.recentFailures?.length > 0 && (
                 <div className="metrics-section">
                     <h3 className="metrics-section__title">❌ Recent Failures</h3>
@@ -10,16 +10,35 @@
 // In development (Vite), use proxy path.
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
+// API key for platforms running with AUTH_ENABLED; kept in localStorage
+const API_KEY_STORAGE = 'storePlatform.apiKey';
+
+export const auth = {
+  getKey() {
+    return localStorage.getItem(API_KEY_STORAGE);
+  },
+
+  setKey(key) {
+    localStorage.setItem(API_KEY_STORAGE, key);
+  },
+
+  clearKey() {
+    localStorage.removeItem(API_KEY_STORAGE);
+  },
+};
+
 async function request(path, options = {}) {
   const url = `${API_BASE}${path}`;
+  const apiKey = auth.getKey();
   
   try {
     const res = await fetch(url, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
         ...options.headers,
       },
-      ...options,
     });
 
     const data = await res.json();
@@ -27,7 +46,10 @@ async function request(path, options = {}) {
     if (!res.ok) {
       // Supports both structured errors ({error: {code, message}}) and legacy strings
       const errorMsg = data.error?.message || data.error || `Request failed with status ${res.status}`;
-      throw new Error(errorMsg);
+      const error = new Error(errorMsg);
+      error.code = data.error?.code;
+      error.status = res.status;
+      throw error;
     }
 
     return data;
@@ -39,12 +61,25 @@ async function request(path, options = {}) {
   }
 }
 
+/** Query string for the set values of `query` ("" when none are). */
+function queryString(query) {
+  const params = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== '')
+  );
+  return params.size ? `?${params}` : '';
+}
+
 export const storesApi = {
   /**
-   * Get all stores.
+   * A page of stores, newest first: { stores, nextCursor }.
+   * @param {object} [query]
+   * @param {string} [query.q] - Name contains (case-insensitive)
+   * @param {string} [query.status] - Comma-separated statuses
+   * @param {number} [query.limit] - Page size (max 200)
+   * @param {string} [query.cursor] - `nextCursor` from the previous page
    */
-  getAll() {
-    return request('/stores');
+  getAll(query = {}) {
+    return request(`/stores${queryString(query)}`);
   },
 
   /**
@@ -57,20 +92,198 @@ export const storesApi = {
   /**
    * Create a new store.
    * @param {string} name - Store name
-   * @param {string} engine - 'woocommerce' or 'medusa'
+   * @param {string} engine - Engine name from getEngines()
+   * @param {object} [options]
+   * @param {string} [options.ttl] - e.g. "4h" or "7d"; the store is deleted once it runs out
+   * @param {object} [options.parameters] - Creation parameters per the engine's `parameters` schema
+   * @param {string} [options.plan] - Resource plan id from getPlans(); the platform default if omitted
+   * @param {string} [options.idempotencyKey] - Same key on a retry returns the first store instead of a second
    */
-  create(name, engine = 'woocommerce') {
+  create(name, engine = 'woocommerce', { ttl, parameters, plan, idempotencyKey } = {}) {
     return request('/stores', {
       method: 'POST',
-      body: JSON.stringify({ name, engine }),
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: JSON.stringify({ name, engine, ttl, parameters, plan }),
+    });
+  },
+
+  /**
+   * Push back an ephemeral store's expiry by `ttl` (e.g. "1d").
+   */
+  extend(id, ttl) {
+    return request(`/stores/${id}/extend`, {
+      method: 'POST',
+      body: JSON.stringify({ ttl }),
+    });
+  },
+
+  /**
+   * Change a ready store's engine settings. Applied asynchronously (202).
+   * @param {string} id
+   * @param {Object} settings - Only the fields being changed
+   */
+  update(id, settings) {
+    return request(`/stores/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  /**
+   * Helm revisions of a store, newest first, with values diffs.
+   */
+  getRevisions(id) {
+    return request(`/stores/${id}/revisions`);
+  },
+
+  /**
+   * Roll a store back to an earlier revision. Applied asynchronously (202).
+   * @param {string} id
+   * @param {number} revision
+   */
+  rollback(id, revision) {
+    return request(`/stores/${id}/rollback`, {
+      method: 'POST',
+      body: JSON.stringify({ revision }),
+    });
+  },
+
+  /**
+   * Backups of a store, newest first.
+   */
+  getBackups(id) {
+    return request(`/stores/${id}/backups`);
+  },
+
+  /**
+   * Start a backup of a ready store. Runs asynchronously (202).
+   */
+  createBackup(id) {
+    return request(`/stores/${id}/backups`, { method: 'POST' });
+  },
+
+  /**
+   * The store's backup schedule, or null if it has none.
+   */
+  getBackupSchedule(id) {
+    return request(`/stores/${id}/backup-schedule`);
+  },
+
+  /**
+   * Create or replace the store's backup schedule.
+   * @param {string} id
+   * @param {{ cron: string, retention?: { daily?: number, weekly?: number, monthly?: number }, enabled?: boolean }} schedule
+   */
+  setBackupSchedule(id, schedule) {
+    return request(`/stores/${id}/backup-schedule`, {
+      method: 'PUT',
+      body: JSON.stringify(schedule),
+    });
+  },
+
+  /**
+   * Remove the store's backup schedule. Existing backups are kept.
+   */
+  deleteBackupSchedule(id) {
+    return request(`/stores/${id}/backup-schedule`, { method: 'DELETE' });
+  },
+
+  /**
+   * The store's custom domains, with the DNS records each one needs.
+   */
+  getDomains(id) {
+    return request(`/stores/${id}/domains`);
+  },
+
+  /**
+   * Attach a custom hostname. It is routed once verified.
+   * @param {string} id
+   * @param {{ hostname: string, tls?: 'none'|'secret'|'cert-manager', certificate?: string, privateKey?: string, primary?: boolean }} domain
+   */
+  addDomain(id, domain) {
+    return request(`/stores/${id}/domains`, {
+      method: 'POST',
+      body: JSON.stringify(domain),
     });
   },
 
   /**
-   * Delete a store.
+   * Check the domain's DNS TXT record; when found the domain is routed to the store.
    */
-  delete(id) {
-    return request(`/stores/${id}`, { method: 'DELETE' });
+  verifyDomain(id, hostname) {
+    return request(`/stores/${id}/domains/${encodeURIComponent(hostname)}/verify`, { method: 'POST' });
+  },
+
+  removeDomain(id, hostname) {
+    return request(`/stores/${id}/domains/${encodeURIComponent(hostname)}`, { method: 'DELETE' });
+  },
+
+  /**
+   * Restore a backup into the store itself, or into a new store named `name`.
+   * @param {string} id - Store the backup was taken from
+   * @param {string} backupId
+   * @param {{ into?: 'existing' | 'new', name?: string }} [options]
+   */
+  restore(id, backupId, { into = 'existing', name } = {}) {
+    return request(`/stores/${id}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ backupId, into, name }),
+    });
+  },
+
+  /**
+   * Create a new store holding a copy of this store's data and settings.
+   * @param {string} id - Store to copy
+   * @param {string} [name] - Defaults to "<source name> (copy)"
+   */
+  clone(id, name) {
+    return request(`/stores/${id}/clone`, {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  /**
+   * Delete a store. With a grace period configured it is only scaled to zero
+   * (pending_deletion) unless `force` is set.
+   */
+  delete(id, { force = false } = {}) {
+    return request(`/stores/${id}${force ? '?force=true' : ''}`, { method: 'DELETE' });
+  },
+
+  /**
+   * Bring back a store that is pending deletion.
+   */
+  undelete(id) {
+    return request(`/stores/${id}/undelete`, { method: 'POST' });
+  },
+
+  /**
+   * Scale a ready store to zero. Data is kept; wake brings it back.
+   */
+  hibernate(id) {
+    return request(`/stores/${id}/hibernate`, { method: 'POST' });
+  },
+
+  /**
+   * Scale a hibernated store back up (subject to the running-store quota).
+   */
+  wake(id) {
+    return request(`/stores/${id}/wake`, { method: 'POST' });
+  },
+
+  /**
+   * Fetch the store's admin login (read from its Kubernetes Secret; audited).
+   */
+  getCredentials(id) {
+    return request(`/stores/${id}/credentials`);
+  },
+
+  /**
+   * Generate and apply a new admin password. Returns the new credentials.
+   */
+  rotateCredentials(id) {
+    return request(`/stores/${id}/credentials/rotate`, { method: 'POST' });
   },
 
   /**
@@ -81,10 +294,66 @@ export const storesApi = {
   },
 
   /**
-   * Get audit log.
+   * A page of audit entries, newest first: { audit, nextCursor }.
+   * @param {object} [query]
+   * @param {string} [query.store] - Store ID
+   * @param {string} [query.action] - Comma-separated actions
+   * @param {string} [query.actor] - Identity ID, or "me"
+   * @param {number} [query.limit] - Page size (max 500)
+   * @param {string} [query.cursor] - `nextCursor` from the previous page
    */
-  getAudit(limit = 50) {
-    return request(`/audit?limit=${limit}`);
+  getAudit(query = {}) {
+    return request(`/audit${queryString(query)}`);
+  },
+
+  /**
+   * Download every audit entry matching `query` (getAudit filters) as a file.
+   * @param {object} query
+   * @param {'csv'|'ndjson'} format
+   */
+  async exportAudit(query, format) {
+    const apiKey = auth.getKey();
+    const res = await fetch(`${API_BASE}/audit/export${queryString({ ...query, format })}`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error?.message || `Export failed with status ${res.status}`);
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  /**
+   * List available store engines (for the engine picker).
+   */
+  getEngines() {
+    return request('/engines');
+  },
+
+  /**
+   * List resource plans (for the plan picker) and the default plan id.
+   */
+  getPlans() {
+    return request('/plans');
+  },
+
+  /**
+   * Caller identity, role and permissions (used to hide disallowed actions).
+   */
+  getMe() {
+    return request('/me');
+  },
+
+  /**
+   * Caller's tenant with tier, store limit and active store count.
+   */
+  getTenant() {
+    return request('/tenant');
   },
 
   /**
@@ -101,3 +370,73 @@ export const storesApi = {
     return request('/metrics');
   },
 };
+
+// ─── Live Updates (Server-Sent Events) ──────────────────────────
+
+const EVENT_TYPES = ['store', 'audit', 'progress', 'resync'];
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Subscribe to the API's live event stream.
+ *
+ * The browser reconnects on its own (sending Last-Event-ID) after transient
+ * drops. If the stream is closed for good (e.g. the API returned an error),
+ * we reconnect with exponential backoff and pass the last seen ID as a query
+ * param so the server can replay what was missed.
+ *
+ * @param {object} handlers
+ * @param {(type: string, data: object) => void} handlers.onEvent
+ * @param {(connected: boolean) => void} handlers.onConnectionChange - callers poll while false
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeToEvents({ onEvent, onConnectionChange }) {
+  if (typeof EventSource === 'undefined') {
+    onConnectionChange(false);
+    return () => { };
+  }
+
+  let source = null;
+  let lastEventId = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let closed = false;
+
+  function connect() {
+    // EventSource can't send headers, so credentials travel as a query param
+    const params = new URLSearchParams();
+    if (lastEventId) params.set('lastEventId', lastEventId);
+    if (auth.getKey()) params.set('access_token', auth.getKey());
+    const query = params.toString() ? `?${params}` : '';
+    source = new EventSource(`${API_BASE}/events${query}`);
+
+    source.onopen = () => {
+      reconnectDelay = 1000;
+      onConnectionChange(true);
+    };
+
+    source.onerror = () => {
+      onConnectionChange(false);
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    };
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        if (e.lastEventId) lastEventId = e.lastEventId;
+        let data = {};
+        try { data = JSON.parse(e.data); } catch { /* keep empty payload */ }
+        onEvent(type, data);
+      });
+    });
+  }
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (source) source.close();
+  };
+}
@@ -0,0 +1,94 @@
+{{/*
+Common helper templates for the MedusaJS store chart.
+Mirrors the WooCommerce chart so both engines label resources the same way.
+*/}}
+
+{{/*
+Base resource name: the store ID.
+Example: store-abc-medusa, store-abc-postgres
+*/}}
+{{- define "medusa.fullname" -}}
+{{ .Values.store.id }}
+{{- end }}
+
+{{/*
+Common labels applied to ALL resources in this chart.
+*/}}
+{{- define "medusa.labels" -}}
+app.kubernetes.io/name: medusa
+app.kubernetes.io/instance: {{ .Values.store.id }}
+app.kubernetes.io/managed-by: {{ .Release.Service }}
+helm.sh/chart: {{ .Chart.Name }}-{{ .Chart.Version }}
+store.platform/store-id: {{ .Values.store.id }}
+{{- end }}
+
+{{/*
+PostgreSQL specific selector
+*/}}
+{{- define "medusa.postgres.selectorLabels" -}}
+app.kubernetes.io/name: postgres
+app.kubernetes.io/instance: {{ .Values.store.id }}
+app.kubernetes.io/component: database
+{{- end }}
+
+{{/*
+Redis specific selector
+*/}}
+{{- define "medusa.redis.selectorLabels" -}}
+app.kubernetes.io/name: redis
+app.kubernetes.io/instance: {{ .Values.store.id }}
+app.kubernetes.io/component: cache
+{{- end }}
+
+{{/*
+Medusa server specific selector
+*/}}
+{{- define "medusa.server.selectorLabels" -}}
+app.kubernetes.io/name: medusa
+app.kubernetes.io/instance: {{ .Values.store.id }}
+app.kubernetes.io/component: storefront
+{{- end }}
+
+{{/*
+Connection strings built from the per-store secret values.
+*/}}
+{{- define "medusa.databaseUrl" -}}
+postgres://{{ .Values.postgres.user }}:{{ .Values.postgres.password }}@{{ include "medusa.fullname" . }}-postgres:5432/{{ .Values.postgres.database }}?sslmode=disable
+{{- end }}
+
+{{- define "medusa.redisUrl" -}}
+redis://{{ include "medusa.fullname" . }}-redis:6379
+{{- end }}
+
+{{/*
+Environment shared by the Medusa server and the seed job.
+*/}}
+{{- define "medusa.env" -}}
+- name: NODE_ENV
+  value: production
+- name: DATABASE_URL
+  valueFrom:
+    secretKeyRef:
+      name: {{ include "medusa.fullname" . }}-medusa
+      key: database-url
+- name: REDIS_URL
+  value: {{ include "medusa.redisUrl" . | quote }}
+- name: JWT_SECRET
+  valueFrom:
+    secretKeyRef:
+      name: {{ include "medusa.fullname" . }}-medusa
+      key: jwt-secret
+- name: COOKIE_SECRET
+  valueFrom:
+    secretKeyRef:
+      name: {{ include "medusa.fullname" . }}-medusa
+      key: cookie-secret
+- name: MEDUSA_BACKEND_URL
+  value: "http://{{ .Values.ingress.host }}"
+- name: STORE_CORS
+  value: "http://{{ .Values.ingress.host }}"
+- name: ADMIN_CORS
+  value: "http://{{ .Values.ingress.host }}"
+- name: AUTH_CORS
+  value: "http://{{ .Values.ingress.host }}"
+{{- end }}
@@ -2,6 +2,7 @@
 #
 # Windows equivalent of setup-local.sh
 # Prerequisites: Docker Desktop, kind, kubectl, helm
+# Set $env:WITH_MEDUSA = "1" to also build the MedusaJS engine image
 
 $ErrorActionPreference = "Stop"
 
@@ -41,6 +42,9 @@ Write-Host ""
 Write-Host "═══ Step 3/6: Building Docker images ═══"
 docker build -t store-api:latest -f docker/Dockerfile.api .
 docker build -t store-dashboard:latest -f docker/Dockerfile.dashboard .
+if ($env:WITH_MEDUSA -eq "1") {
+    docker build -t store-medusa:latest -f docker/Dockerfile.medusa .
+}
 Write-Host "Images built!"
 
 # Step 4: Load images into kind
@@ -48,6 +52,9 @@ Write-Host ""
 Write-Host "═══ Step 4/6: Loading images into kind cluster ═══"
 kind load docker-image store-api:latest --name store-platform
 kind load docker-image store-dashboard:latest --name store-platform
+if ($env:WITH_MEDUSA -eq "1") {
+    kind load docker-image store-medusa:latest --name store-platform
+}
 Write-Host "Images loaded!"
 
 # Step 5: Create platform namespace
@@ -11,6 +11,7 @@
 # Prerequisites: docker, kind, kubectl, helm
 #
 # Usage: bash scripts/setup-local.sh
+#        WITH_MEDUSA=1 bash scripts/setup-local.sh   # also build the MedusaJS engine image
 
 set -euo pipefail
 
@@ -49,6 +50,9 @@ echo ""
 echo "═══ Step 3/6: Building Docker images ═══"
 docker build -t store-api:latest -f docker/Dockerfile.api .
 docker build -t store-dashboard:latest -f docker/Dockerfile.dashboard .
+if [ "${WITH_MEDUSA:-0}" = "1" ]; then
+  docker build -t store-medusa:latest -f docker/Dockerfile.medusa .
+fi
 echo "Images built!"
 
 # ── Step 4: Load images into kind ──
@@ -56,6 +60,9 @@ echo ""
 echo "═══ Step 4/6: Loading images into kind cluster ═══"
 kind load docker-image store-api:latest --name store-platform
 kind load docker-image store-dashboard:latest --name store-platform
+if [ "${WITH_MEDUSA:-0}" = "1" ]; then
+  kind load docker-image store-medusa:latest --name store-platform
+fi
 echo "Images loaded!"
 
 # ── Step 5: Create platform namespace ──